@@ -0,0 +1,142 @@
+/**
+ * Scripted browser actions — run in order on a rendered page before its HTML is captured.
+ *
+ * Supported: click, scroll, type, wait_for_selector, wait_ms, press.
+ * Each action has its own timeout (timeout_ms, capped) and all of them share one
+ * overall budget, so a long script can never hold a browser slot indefinitely.
+ *
+ * Also validates the render-wait options (wait_for, wait_until, timeout_ms) that
+ * choose when a browser-rendered page counts as ready.
+ */
+
+export const ACTION_LIMITS = {
+  maxActions: 20,
+  defaultTimeoutMs: 5_000,
+  maxTimeoutMs: 15_000,
+  budgetMs: 30_000,
+  maxSelectorLength: 500,
+  maxTextLength: 1_000,
+};
+
+const ACTION_TYPES = new Set(['click', 'scroll', 'type', 'wait_for_selector', 'wait_ms', 'press']);
+const KEY_PATTERN = /^[A-Za-z0-9+_-]{1,32}$/;
+const WAIT_UNTIL = new Set(['load', 'domcontentloaded', 'networkidle']);
+const RENDER_TIMEOUT = { min: 1_000, max: 60_000 };
+
+function isSelector(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.length <= ACTION_LIMITS.maxSelectorLength;
+}
+
+/**
+ * Validate an actions array from a request body. Returns an error message, or null
+ * if acceptable (an absent actions option is acceptable).
+ */
+export function validateActions(actions) {
+  if (actions == null) return null;
+  if (!Array.isArray(actions)) return 'actions must be an array';
+  if (actions.length > ACTION_LIMITS.maxActions) return `Max ${ACTION_LIMITS.maxActions} actions`;
+
+  for (let i = 0; i < actions.length; i++) {
+    const a = actions[i];
+    const at = `actions[${i}]`;
+    if (!a || typeof a !== 'object' || !ACTION_TYPES.has(a.type)) {
+      return `${at}.type must be one of: ${[...ACTION_TYPES].join(', ')}`;
+    }
+    if (a.timeout_ms != null && (!Number.isInteger(a.timeout_ms) || a.timeout_ms < 1 || a.timeout_ms > ACTION_LIMITS.maxTimeoutMs)) {
+      return `${at}.timeout_ms must be 1-${ACTION_LIMITS.maxTimeoutMs}`;
+    }
+    switch (a.type) {
+      case 'click':
+      case 'wait_for_selector':
+        if (!isSelector(a.selector)) return `${at}.selector is required`;
+        break;
+      case 'type':
+        if (!isSelector(a.selector)) return `${at}.selector is required`;
+        if (typeof a.text !== 'string' || a.text.length > ACTION_LIMITS.maxTextLength) {
+          return `${at}.text must be a string of up to ${ACTION_LIMITS.maxTextLength} characters`;
+        }
+        break;
+      case 'scroll':
+        if (a.selector != null && !isSelector(a.selector)) return `${at}.selector must be a CSS selector`;
+        if (a.pixels != null && (!Number.isInteger(a.pixels) || Math.abs(a.pixels) > 100_000)) {
+          return `${at}.pixels must be an integer`;
+        }
+        break;
+      case 'wait_ms':
+        if (!Number.isInteger(a.ms) || a.ms < 0 || a.ms > ACTION_LIMITS.maxTimeoutMs) {
+          return `${at}.ms must be 0-${ACTION_LIMITS.maxTimeoutMs}`;
+        }
+        break;
+      case 'press':
+        if (typeof a.key !== 'string' || !KEY_PATTERN.test(a.key)) return `${at}.key must be a key name like Enter or Control+A`;
+        if (a.selector != null && !isSelector(a.selector)) return `${at}.selector must be a CSS selector`;
+        break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate render-wait options. Accepts request-body values (strings or numbers)
+ * or query-string values (strings). Returns an error message, or null if acceptable.
+ */
+export function validateRenderWait({ wait_for: waitFor, wait_until: waitUntil, timeout_ms: timeoutMs } = {}) {
+  if (waitFor != null && !isSelector(waitFor)) return 'wait_for must be a CSS selector';
+  if (waitUntil != null && !WAIT_UNTIL.has(waitUntil)) {
+    return `wait_until must be one of: ${[...WAIT_UNTIL].join(', ')}`;
+  }
+  if (timeoutMs != null) {
+    const n = Number(timeoutMs);
+    if (!Number.isInteger(n) || n < RENDER_TIMEOUT.min || n > RENDER_TIMEOUT.max) {
+      return `timeout_ms must be ${RENDER_TIMEOUT.min}-${RENDER_TIMEOUT.max}`;
+    }
+  }
+  return null;
+}
+
+/** Run one action with the given timeout (ms) */
+async function runAction(page, action, timeout) {
+  switch (action.type) {
+    case 'click':
+      return page.locator(action.selector).first().click({ timeout });
+    case 'type':
+      return page.locator(action.selector).first().fill(action.text, { timeout });
+    case 'press':
+      if (action.selector) return page.locator(action.selector).first().press(action.key, { timeout });
+      return page.keyboard.press(action.key);
+    case 'wait_for_selector':
+      return page.waitForSelector(action.selector, { state: 'visible', timeout });
+    case 'wait_ms':
+      return page.waitForTimeout(Math.min(action.ms, timeout));
+    case 'scroll':
+      if (action.selector) return page.locator(action.selector).first().scrollIntoViewIfNeeded({ timeout });
+      return page.evaluate((px) => {
+        if (px == null) window.scrollTo(0, document.body.scrollHeight);
+        else window.scrollBy(0, px);
+      }, action.pixels ?? null);
+  }
+}
+
+/**
+ * Run validated actions in order. Each action gets min(its timeout, remaining budget).
+ * Throws on the first failing action or when the budget runs out.
+ * @param {object} page - Patchright page
+ * @param {object[]} actions
+ * @param {{budgetMs?: number}} [opts]
+ */
+export async function runActions(page, actions, opts = {}) {
+  const deadline = Date.now() + (opts.budgetMs ?? ACTION_LIMITS.budgetMs);
+
+  for (let i = 0; i < actions.length; i++) {
+    const action = actions[i];
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw new Error(`Actions budget exceeded before actions[${i}] (${action.type})`);
+
+    const timeout = Math.min(action.timeout_ms ?? ACTION_LIMITS.defaultTimeoutMs, remaining);
+    try {
+      await runAction(page, action, timeout);
+    } catch (e) {
+      throw new Error(`Action actions[${i}] (${action.type}) failed: ${e.message.split('\n')[0]}`);
+    }
+  }
+}
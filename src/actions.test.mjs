@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateActions, validateRenderWait, runActions } from './actions.mjs';
+
+/** Fake Patchright page that records calls; `fail` names a method that should throw */
+function fakePage({ fail, delayMs = 0 } = {}) {
+  const calls = [];
+  const act = (name) => async (...args) => {
+    calls.push([name, ...args]);
+    if (delayMs) await new Promise((r) => setTimeout(r, delayMs));
+    if (name === fail) throw new Error(`${name} timed out\n  call log...`);
+  };
+  const locatorFor = (selector) => ({
+    first: () => ({
+      click: act(`click ${selector}`),
+      fill: act(`fill ${selector}`),
+      press: act(`press ${selector}`),
+      scrollIntoViewIfNeeded: act(`scrollIntoView ${selector}`),
+    }),
+  });
+  const page = {
+    locator: locatorFor,
+    keyboard: { press: act('keyboard.press') },
+    waitForSelector: act('waitForSelector'),
+    waitForTimeout: act('waitForTimeout'),
+    evaluate: async (fn, arg) => { calls.push(['evaluate', arg]); },
+  };
+  return { page, calls };
+}
+
+describe('validateActions', () => {
+  it('accepts a missing actions option and a valid script', () => {
+    assert.equal(validateActions(undefined), null);
+    assert.equal(validateActions([
+      { type: 'click', selector: 'button.more' },
+      { type: 'type', selector: '#q', text: 'hello' },
+      { type: 'press', key: 'Enter' },
+      { type: 'scroll' },
+      { type: 'scroll', pixels: -400 },
+      { type: 'wait_for_selector', selector: '.result', timeout_ms: 10_000 },
+      { type: 'wait_ms', ms: 250 },
+    ]), null);
+  });
+
+  it('rejects non-arrays, unknown types and too many actions', () => {
+    assert.match(validateActions({ type: 'click' }), /must be an array/);
+    assert.match(validateActions([{ type: 'hover', selector: 'a' }]), /actions\[0\]\.type must be one of/);
+    assert.match(validateActions(Array(21).fill({ type: 'scroll' })), /Max 20 actions/);
+  });
+
+  it('rejects missing or malformed fields', () => {
+    assert.match(validateActions([{ type: 'click' }]), /actions\[0\]\.selector is required/);
+    assert.match(validateActions([{ type: 'type', selector: '#q' }]), /actions\[0\]\.text/);
+    assert.match(validateActions([{ type: 'scroll' }, { type: 'wait_ms', ms: 60_000 }]), /actions\[1\]\.ms/);
+    assert.match(validateActions([{ type: 'press', key: 'Enter; rm' }]), /actions\[0\]\.key/);
+    assert.match(validateActions([{ type: 'scroll', timeout_ms: 0 }]), /timeout_ms/);
+  });
+});
+
+describe('validateRenderWait', () => {
+  it('accepts body and query-string values', () => {
+    assert.equal(validateRenderWait({}), null);
+    assert.equal(validateRenderWait({ wait_for: '#app .ready', wait_until: 'networkidle', timeout_ms: 30000 }), null);
+    assert.equal(validateRenderWait({ wait_until: 'load', timeout_ms: '5000' }), null);
+  });
+
+  it('rejects unknown strategies, empty selectors and out-of-range timeouts', () => {
+    assert.match(validateRenderWait({ wait_until: 'idle' }), /wait_until must be one of/);
+    assert.match(validateRenderWait({ wait_for: '' }), /wait_for/);
+    assert.match(validateRenderWait({ timeout_ms: 500 }), /timeout_ms must be 1000-60000/);
+    assert.match(validateRenderWait({ timeout_ms: 'soon' }), /timeout_ms/);
+  });
+});
+
+describe('runActions', () => {
+  it('runs actions in order with per-action timeouts', async () => {
+    const { page, calls } = fakePage();
+    await runActions(page, [
+      { type: 'click', selector: 'button.more' },
+      { type: 'type', selector: '#q', text: 'hello', timeout_ms: 1000 },
+      { type: 'press', key: 'Enter' },
+      { type: 'scroll' },
+      { type: 'wait_ms', ms: 10 },
+    ]);
+    assert.deepEqual(calls.map((c) => c[0]), [
+      'click button.more', 'fill #q', 'keyboard.press', 'evaluate', 'waitForTimeout',
+    ]);
+    assert.ok(calls[0][1].timeout <= 5000);
+    assert.equal(calls[1][1], 'hello');
+    assert.ok(calls[1][2].timeout <= 1000);
+    assert.equal(calls[3][1], null);
+  });
+
+  it('reports which action failed, first line only', async () => {
+    const { page } = fakePage({ fail: 'waitForSelector' });
+    await assert.rejects(
+      () => runActions(page, [{ type: 'scroll' }, { type: 'wait_for_selector', selector: '.x' }]),
+      { message: 'Action actions[1] (wait_for_selector) failed: waitForSelector timed out' },
+    );
+  });
+
+  it('stops when the overall budget runs out', async () => {
+    const { page, calls } = fakePage({ delayMs: 30 });
+    await assert.rejects(
+      () => runActions(page, [
+        { type: 'click', selector: 'a' },
+        { type: 'click', selector: 'b' },
+      ], { budgetMs: 20 }),
+      { message: /budget exceeded before actions\[1\]/ },
+    );
+    assert.equal(calls.length, 1);
+  });
+});
@@ -14,6 +14,7 @@ import { nanoid } from 'nanoid';
 import { Hono } from 'hono';
 import { compress } from 'hono/compress';
 import { cors } from 'hono/cors';
+import { stream, streamSSE } from 'hono/streaming';
 import { withRequestContext, getLog } from './logger.mjs';
 import {
   register, httpRequestsTotal, httpRequestDuration,
@@ -22,6 +23,14 @@ import {
   browserPoolActive, asyncJobsTotal, webhookDeliveriesTotal,
 } from './metrics.mjs';
 import { getProxyPool } from './proxy-pool.mjs';
+import { getDomainRules } from './rules.mjs';
+import { validateActions, validateRenderWait } from './actions.mjs';
+import { checkSelector } from './extractor.mjs';
+import { toFrontMatter } from './frontmatter.mjs';
+import { markdownToText, markdownToHtml, markdownToAst, sanitizeHtml } from './formats.mjs';
+import { chunkMarkdown, validateChunkOptions } from './chunker.mjs';
+import { countTokens, TOKENIZERS, DEFAULT_TOKENIZER } from './markdown.mjs';
+import { parsePageRanges, formatPageRanges } from './pdf.mjs';
 
 /** Short SHA-256 hash for cache keys — collision-resistant, no poisoning */
 const hashKey = (s) => createHash('sha256').update(s).digest('hex').slice(0, 32);
@@ -29,6 +38,8 @@ const hashKey = (s) => createHash('sha256').update(s).digest('hex').slice(0, 32)
 // Cache constants (shared, stateless)
 const CACHE_TTL = 5 * 60 * 1000;  // 5 minutes (default)
 const CACHE_MAX = 200;
+const CAPTURE_CACHE_BYTES = 32 * 1024 * 1024;  // in-memory screenshots/PDFs, all together
+const CAPTURE_REDIS_MAX = 1024 * 1024;  // larger captures are not stored in Redis
 
 // ─── Cache TTL by conversion tier ───────────────────────────────────
 function getTtlForTier(tier) {
@@ -83,6 +94,331 @@ function sanitizeUrl(url) {
   }
 }
 
+function errorStatus(err) {
+  const upstreamMatch = err.message?.match?.(/HTTP[_ ](\d{3})/);
+  return upstreamMatch ? parseInt(upstreamMatch[1], 10)
+    : err.message?.includes('Blocked URL') ? 403
+    : err.message?.includes('too large') ? 413
+    : err.message?.includes('Unsupported content type') ? 415
+    : err.message?.includes('matched no elements') ? 422
+    : err.message?.includes('Requested pages not in document') ? 422
+    : err.message?.includes('Too many redirects') ? 502
+    : err.message?.includes('pool exhausted') ? 503
+    : /^OCR (queue full|timed out)/.test(err.message || '') ? 503
+    : 500;
+}
+
+/** Record conversion metrics and the "ok" log line for a fresh (uncached) result */
+function recordConversion(result) {
+  const q = result.quality || { score: 0, grade: 'F' };
+  conversionTierTotal.inc({ tier: result.tier });
+  conversionTokens.observe({ tier: result.tier }, result.tokens);
+  conversionQuality.observe({ tier: result.tier }, q.score);
+  getLog().info({ tier: result.tier, tokens: result.tokens, ms: result.totalMs, grade: q.grade, score: q.score, method: result.method || 'unknown' }, 'ok');
+}
+
+/** JSON body for a conversion result (Accept: application/json and SSE result events) */
+function conversionJson(result, format) {
+  const json = {
+    title: result.title, url: result.url, content: result.markdown,
+    excerpt: result.excerpt, byline: result.byline, siteName: result.siteName,
+    tokens: result.tokens, tokenizer: result.tokenizer || DEFAULT_TOKENIZER, tier: result.tier, readability: result.readability,
+    method: result.method || 'unknown', quality: result.quality || { score: 0, grade: 'F' }, time_ms: result.totalMs,
+  };
+  if (result.metadata) { json.metadata = result.metadata; }
+  if (result.pages) { json.total_pages = result.totalPages; json.pages = result.pages; }
+  Object.assign(json, formatFields(result, format));
+  if (result.fit_markdown) { json.fit_markdown = result.fit_markdown; json.fit_tokens = result.fit_tokens; }
+  if (result.escalation?.length) { json.escalation = result.escalation; }
+  if (result.sitemap) { json.sitemap = result.sitemap; }
+  if (result.candidates) { json.candidates = result.candidates; }
+  if (result.debug) { json.debug = result.debug; }
+  return json;
+}
+
+/**
+ * Output formats (format=). markdown, frontmatter and plain differ only in the header;
+ * text, html and ast replace the markdown body. JSON responses are chosen by the Accept
+ * header instead and carry text/html/ast as an extra field next to the markdown content.
+ */
+const OUTPUT_FORMATS = ['markdown', 'frontmatter', 'plain', 'text', 'html', 'ast'];
+
+/** Media types that select a format through the Accept header */
+const ACCEPT_FORMATS = { 'text/plain': 'text', 'text/html': 'html', 'application/mdast+json': 'ast' };
+
+/**
+ * Format requested by the Accept header: the highest-ranked media type, if it maps to one.
+ * Browsers (text/html alongside application/xhtml+xml) keep getting markdown.
+ */
+function formatFromAccept(accept) {
+  if (!accept || accept.includes('application/xhtml+xml')) return null;
+  const ranked = accept.split(',').map((part, i) => {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    return { type: type.trim(), q: q ? Number(q.slice(2)) : 1, i };
+  }).sort((a, b) => b.q - a.q || a.i - b.i);
+  return ACCEPT_FORMATS[ranked[0]?.type] ?? null;
+}
+
+/** Sanitized extracted HTML, or the markdown rendered to HTML when the tier produced none */
+function resultHtml(result) {
+  return result.contentHtml ? sanitizeHtml(result.contentHtml, result.url || undefined) : markdownToHtml(result.markdown);
+}
+
+/** The { text } / { html } / { ast } field that JSON bodies carry for those formats */
+function formatFields(result, format) {
+  if (format === 'text') return { text: markdownToText(result.markdown) };
+  if (format === 'html') return { html: resultHtml(result) };
+  if (format === 'ast') return { ast: markdownToAst(result.markdown) };
+  return {};
+}
+
+/** Stamp a fresh conversion result with its fetch time; cache hits keep the original stamp */
+function withFetchedAt(result) {
+  return { ...result, fetchedAt: new Date().toISOString() };
+}
+
+/** Validate a format value. Returns an error message or null */
+function checkFormat(format) {
+  if (format == null || OUTPUT_FORMATS.includes(format)) return null;
+  return `format must be one of: ${OUTPUT_FORMATS.join(', ')}`;
+}
+
+/** Validate a tokenizer value. Returns an error message or null */
+function checkTokenizer(tokenizer) {
+  if (tokenizer == null || TOKENIZERS.includes(tokenizer)) return null;
+  return `tokenizer must be one of: ${TOKENIZERS.join(', ')}`;
+}
+
+/** Validate a PDF page selection ("1-5,10"). Returns an error message or null */
+function checkPages(pages) {
+  if (pages == null || pages === '' || parsePageRanges(pages)) return null;
+  return 'pages must be page numbers and ranges, e.g. 1-5,10';
+}
+
+/** Normalized page selection for convert() options and cache keys (undefined when unset) */
+function toPages(pages) {
+  const ranges = pages == null || pages === '' ? null : parsePageRanges(pages);
+  return ranges ? formatPageRanges(ranges) : undefined;
+}
+
+/**
+ * Markdown response body: the content behind a header in the requested format —
+ * `Title:` / `URL Source:` lines by default, a YAML front matter block for frontmatter,
+ * nothing at all for plain.
+ */
+function markdownBody(result, format) {
+  if (format === 'plain') return result.markdown;
+  if (format === 'frontmatter') {
+    return toFrontMatter({
+      title: result.title,
+      url: result.url,
+      author: result.byline,
+      description: result.excerpt,
+      tokens: result.tokens,
+      tier: result.tier,
+      quality: result.quality,
+      fetched_at: result.fetchedAt,
+      ...result.metadata,
+    }) + result.markdown;
+  }
+  const header = [
+    `Title: ${result.title}`,
+    result.url ? `URL Source: ${result.url}` : '',
+    result.byline ? `Author: ${result.byline}` : '',
+    result.excerpt ? `Description: ${result.excerpt}` : '',
+    '',
+    'Markdown Content:',
+  ].filter(Boolean).join('\n');
+  return `${header}\n${result.markdown}`;
+}
+
+/**
+ * Send a conversion result as markdown or JSON (by Accept header),
+ * with conversion headers, ETag and conditional 304 support.
+ * format picks the markdown header style (see markdownBody) or replaces the
+ * markdown with plain text, HTML or an mdast tree.
+ */
+function sendConversion(c, result, isCacheHit, format) {
+  const q = result.quality || { score: 0, grade: 'F' };
+  const ttl = getTtlForTier(result.tier);
+  const accept = c.req.header('accept') || '';
+
+  c.header('x-markdown-tokens', String(result.tokens));
+  c.header('x-tokenizer', result.tokenizer || DEFAULT_TOKENIZER);
+  c.header('x-conversion-tier', result.tier);
+  c.header('x-conversion-time', String(result.totalMs));
+  c.header('x-readability', result.readability ? 'true' : 'false');
+  c.header('x-extraction-method', result.method || 'unknown');
+  c.header('x-quality-score', String(q.score));
+  c.header('x-quality-grade', q.grade);
+  c.header('x-cache', isCacheHit ? 'hit' : 'miss');
+  c.header('vary', 'accept, accept-encoding');
+  c.header('cache-control', `public, max-age=${ttl}`);
+
+  // Same markdown, different body per format: keep the ETags apart
+  const etag = `W/"${hashKey(format ? `${format}|${result.markdown}` : result.markdown)}"`;
+  c.header('etag', etag);
+
+  const ifNoneMatch = c.req.header('if-none-match');
+  if (ifNoneMatch === etag) {
+    return c.body(null, 304);
+  }
+
+  if (accept.includes('application/json')) {
+    return c.json(conversionJson(result, format));
+  }
+
+  if (format === 'ast') {
+    return c.json(markdownToAst(result.markdown));
+  }
+  if (format === 'html') {
+    // Extracted page HTML served from our origin: sandboxed on top of sanitizing
+    c.header('content-security-policy', 'sandbox; default-src \'none\'; img-src * data:; style-src \'unsafe-inline\'');
+    return c.html(resultHtml(result));
+  }
+  if (format === 'text') {
+    return c.text(markdownToText(result.markdown));
+  }
+
+  c.header('content-type', 'text/markdown; charset=utf-8');
+  return c.body(markdownBody(result, format));
+}
+
+/** Validate a webhook callback_url. Returns an error message, or null if acceptable. */
+function validateCallbackUrl(callbackUrl) {
+  try {
+    const u = new URL(callbackUrl);
+    if (u.protocol !== 'https:') {
+      return 'callback_url must use https';
+    }
+    const host = u.hostname.toLowerCase();
+    if (host === 'localhost' || host === '[::1]' || host === '' || host.startsWith('[')) {
+      return 'callback_url cannot target private addresses';
+    }
+    const parts = host.split('.').map(Number);
+    if (parts.length === 4 && parts.every((n) => n >= 0 && n <= 255)) {
+      const [a, b] = parts;
+      if (a === 0 || a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) ||
+          (a === 192 && b === 168) || (a === 169 && b === 254) || (a === 100 && b >= 64 && b <= 127)) {
+        return 'callback_url cannot target private addresses';
+      }
+    }
+    const METADATA_HOSTS = ['metadata.google.internal', 'metadata.goog', 'instance-data.ec2.internal'];
+    if (METADATA_HOSTS.includes(host.replace(/\.$/, ''))) {
+      return 'callback_url cannot target metadata services';
+    }
+  } catch {
+    return 'Invalid callback_url';
+  }
+  return null;
+}
+
+/** Map request-body options (snake_case) to convert() options */
+function toConvertOptions(options) {
+  return {
+    mode: options?.mode,
+    links: options?.links,
+    maxTokens: options?.max_tokens ? parseInt(String(options.max_tokens), 10) : undefined,
+    tokenizer: options?.tokenizer || undefined,
+    pages: toPages(options?.pages),
+    actions: options?.actions?.length ? options.actions : undefined,
+    ...toRenderOptions(options),
+    ...toSelectorOptions(options),
+    candidates: options?.candidates || undefined,
+    format: options?.format || undefined,
+    debug: options?.debug === true || undefined,
+  };
+}
+
+/** Map include_selector / exclude_selector request values to convert() options */
+function toSelectorOptions(values) {
+  return {
+    includeSelector: values?.include_selector || undefined,
+    excludeSelector: values?.exclude_selector || undefined,
+  };
+}
+
+/** Map render-wait request values (body options or query params, snake_case) to convert() options */
+function toRenderOptions(values) {
+  return {
+    waitFor: values?.wait_for || undefined,
+    waitUntil: values?.wait_until || undefined,
+    timeoutMs: values?.timeout_ms ? parseInt(String(values.timeout_ms), 10) : undefined,
+  };
+}
+
+/** Validate include_selector / exclude_selector and candidates. Returns an error message or null */
+function checkExtractionOptions(options) {
+  for (const name of ['include_selector', 'exclude_selector']) {
+    if (options?.[name] == null) continue;
+    const error = checkSelector(options[name], name);
+    if (error) return error;
+  }
+  if (options?.candidates != null && options.candidates !== 'all') return 'candidates must be "all"';
+  return null;
+}
+
+/**
+ * Validate request-body options that need more than type coercion.
+ * Returns { error, status } or null if acceptable.
+ */
+function checkConvertOptions(options, enableBrowser) {
+  const actionsError = validateActions(options?.actions);
+  if (actionsError) return { error: actionsError, status: 400 };
+  const renderError = validateRenderWait(options || {});
+  if (renderError) return { error: renderError, status: 400 };
+  const extractionError = checkExtractionOptions(options);
+  if (extractionError) return { error: extractionError, status: 400 };
+  const formatError = checkFormat(options?.format) || checkTokenizer(options?.tokenizer) || checkPages(options?.pages);
+  if (formatError) return { error: formatError, status: 400 };
+  if (options?.actions?.length && !enableBrowser) {
+    return { error: 'Browser tier unavailable (required for actions)', status: 503 };
+  }
+  if ((options?.wait_for || options?.wait_until) && !enableBrowser) {
+    return { error: 'Browser tier unavailable (required for wait_for / wait_until)', status: 503 };
+  }
+  return null;
+}
+
+/** Options of the web-page pipeline (rendering, extraction passes), which uploaded documents skip */
+const PAGE_ONLY_OPTIONS = ['wait_for', 'wait_until', 'timeout_ms', 'include_selector', 'exclude_selector', 'candidates', 'actions'];
+
+/** format=html results carry the extracted HTML, so they are cached apart from the rest */
+function htmlSuffix(opts) {
+  return opts.format === 'html' ? 'html' : '';
+}
+
+/** Cache-key suffix for a non-default tokenizer ('' for the default, so existing keys stay valid) */
+function tokenizerSuffix(opts) {
+  return opts.tokenizer && opts.tokenizer !== DEFAULT_TOKENIZER ? `|tokenizer:${opts.tokenizer}` : '';
+}
+
+/** Cache-key suffix for a PDF page selection ('' when none is set) */
+function pagesSuffix(opts) {
+  return opts.pages ? `|pages:${opts.pages}` : '';
+}
+
+/** Cache-key suffix for the extraction-targeting selectors ('' when none are set) */
+function selectorSuffix(opts) {
+  return opts.includeSelector || opts.excludeSelector
+    ? `|selectors:${JSON.stringify([opts.includeSelector, opts.excludeSelector])}` : '';
+}
+
+/**
+ * Cache key for a URL conversion; options that change the output are part of the key.
+ * null for debug requests — diagnostics are always fresh and never cached.
+ */
+function urlCacheKey(url, opts) {
+  if (opts.debug) return null;
+  const optionsSuffix = [opts.mode, opts.links, opts.maxTokens, opts.candidates, htmlSuffix(opts)].filter(Boolean).join('|')
+    + selectorSuffix(opts) + tokenizerSuffix(opts) + pagesSuffix(opts);
+  const actionsSuffix = opts.actions?.length ? `|actions:${JSON.stringify(opts.actions)}` : '';
+  const render = [opts.waitFor, opts.waitUntil, opts.timeoutMs];
+  const renderSuffix = render.some((v) => v != null) ? `|render:${JSON.stringify(render)}` : '';
+  return `cache:${hashKey(normalizeCacheKey(url) + '|' + optionsSuffix + actionsSuffix + renderSuffix)}`;
+}
+
 function isExtractEmpty(result) {
   if (!result?.valid || !result?.data) return true;
   const data = result.data;
@@ -97,6 +433,48 @@ function isExtractEmpty(result) {
 const openapiSpec = JSON.parse(readFileSync(new URL('./openapi.json', import.meta.url), 'utf8'));
 
 const API_PARAMS = new Set(['url', 'mode', 'links', 'max_tokens']);
+/**
+ * GET /{url} options whose names sites commonly use too (?format=, ?pages=, ?debug=).
+ * With the target in the path they stay on the target URL; they are options only
+ * alongside ?url=, where the target's own query is encoded inside the url value.
+ */
+const URL_FORM_PARAMS = [
+  'wait_for', 'wait_until', 'timeout_ms', 'include_selector', 'exclude_selector', 'candidates', 'format', 'tokenizer', 'pages', 'debug',
+];
+const MAP_PARAMS = new Set(['url', 'prefix', 'exclude_regions']);
+const MAP_REGIONS = new Set(['nav', 'header', 'footer', 'aside']);
+const SCREENSHOT_PARAMS = new Set(['url', 'format', 'full_page', 'width', 'height', 'quality']);
+const PDF_PARAMS = new Set(['url', 'paper', 'landscape']);
+
+/**
+ * Read the target URL from the request path (after routePrefix) or ?url=.
+ * Query params not in apiParams belong to the target URL and are re-appended.
+ * Returns '' when no target was given.
+ */
+function targetUrlFrom(c, routePrefix = '', apiParams = API_PARAMS) {
+  let targetUrl = c.req.path.slice(routePrefix.length + 1);
+
+  const targetParams = new URLSearchParams();
+  const rawUrl = new URL(c.req.url);
+  for (const [key, value] of rawUrl.searchParams) {
+    if (!apiParams.has(key)) {
+      targetParams.append(key, value);
+    }
+  }
+
+  if (!targetUrl || targetUrl === '') {
+    targetUrl = c.req.query('url') || '';
+  } else {
+    const qs = targetParams.toString();
+    if (qs) targetUrl += (targetUrl.includes('?') ? '&' : '?') + qs;
+  }
+
+  try { targetUrl = decodeURIComponent(targetUrl); } catch {}
+
+  // Restore protocol double-slash if collapsed by HTTP path normalization
+  // e.g. "https:/example.com" → "https://example.com"
+  return targetUrl.replace(/^(https?):\/(?!\/)/, '$1://');
+}
 
 /**
  * Create a new Hono application with injected dependencies.
@@ -106,6 +484,8 @@ export function createApp(deps = {}) {
   const {
     browserPool = null,
     convertFn = null,
+    convertHtmlFn = null,
+    convertFileFn = null,
     extractSchemaFn = null,
     checkRateLimitFn = async () => ({ allowed: true, remaining: 59 }),
     getRedisFn = () => null,
@@ -114,6 +494,12 @@ export function createApp(deps = {}) {
     createJobFn = null,
     getJobFn = async () => null,
     completeJobFn = async () => {},
+    completeJobRawFn = async () => {},
+    updateJobProgressFn = async () => {},
+    crawlFn = null,
+    mapFn = null,
+    screenshotFn = null,
+    pdfFn = null,
     failJobFn = async () => {},
     enableBrowser = false,
   } = deps;
@@ -143,7 +529,10 @@ export function createApp(deps = {}) {
   }
 
   // ─── Dual-layer cache ─────────────────────────────────────────────
+  // A null key marks an uncacheable request (debug=true): always a miss, never stored
+
   async function getCachedResult(cacheKey) {
+    if (!cacheKey) return null;
     const redisResult = await getCacheFn(cacheKey);
     if (redisResult) return { result: redisResult, source: 'redis' };
     const memResult = getMemCached(cacheKey);
@@ -152,10 +541,51 @@ export function createApp(deps = {}) {
   }
 
   async function setCachedResult(cacheKey, result, ttlSec = 300) {
+    if (!cacheKey) return;
     await setCacheFn(cacheKey, result, ttlSec);
     setMemCache(cacheKey, result, ttlSec * 1000);
   }
 
+  /**
+   * SSE variant of the main route: `start`, then `tier`/`escalation` events as
+   * convert() works through the tiers, then one `result` (or `error`) event.
+   */
+  function streamConversion(c, targetUrl, cacheKey, options) {
+    c.header('x-accel-buffering', 'no');
+    return streamSSE(c, async (stream) => {
+      // Events arrive synchronously from convert(); chain writes to keep them ordered
+      let writes = Promise.resolve();
+      const send = (event, data) => {
+        writes = writes.then(() => stream.writeSSE({ event, data: JSON.stringify(data) })).catch(() => {});
+        return writes;
+      };
+
+      try {
+        const hit = await getCachedResult(cacheKey);
+        let result;
+        send('start', { url: targetUrl, cache: hit ? 'hit' : 'miss' });
+
+        if (hit) {
+          result = hit.result;
+          cacheHitsTotal.inc({ source: hit.source });
+          getLog().info({ url: safeLog(targetUrl), tokens: result.tokens, cache: hit.source }, 'cache hit');
+        } else {
+          cacheMissesTotal.inc();
+          getLog().info({ url: safeLog(targetUrl), stream: true }, 'request');
+          const pool = enableBrowser ? browserPool : null;
+          result = withFetchedAt(await convertFn(targetUrl, pool, { ...options, onEvent: send }));
+          await setCachedResult(cacheKey, result, getTtlForTier(result.tier));
+          recordConversion(result);
+        }
+
+        await send('result', conversionJson(result, options.format));
+      } catch (err) {
+        getLog().error({ url: safeLog(targetUrl), err: err.message }, 'conversion failed');
+        await send('error', { error: sanitizeError(err.message), status: errorStatus(err), url: sanitizeUrl(targetUrl) });
+      }
+    });
+  }
+
   // ─── Middleware ───────────────────────────────────────────────────
   app.use('*', cors());
   app.use('*', compress());
@@ -191,11 +621,13 @@ export function createApp(deps = {}) {
     const redisOk = getRedisFn()?.status === 'ready';
     const browserOk = enableBrowser ? browserPool?.isReady() : undefined;
     const proxyStats = getProxyPool().getStats();
+    const ruleStats = getDomainRules().getStats();
     return c.json({
       status: 'ok',
       redis: redisOk,
       ...(browserOk !== undefined && { browser: browserOk }),
       ...(proxyStats.total > 0 && { proxy: proxyStats }),
+      ...(ruleStats.total > 0 && { rules: ruleStats }),
     });
   });
 
@@ -313,13 +745,11 @@ export function createApp(deps = {}) {
         return c.json({ error: 'Each url must be a string' }, 400);
       }
     }
+    const optionsError = checkConvertOptions(options, enableBrowser);
+    if (optionsError) return c.json({ error: optionsError.error }, optionsError.status);
 
     const pool = enableBrowser ? browserPool : null;
-    const convertOpts = {
-      mode: options?.mode,
-      links: options?.links,
-      maxTokens: options?.max_tokens ? parseInt(String(options.max_tokens), 10) : undefined,
-    };
+    const convertOpts = toConvertOptions(options);
 
     const validatedUrls = [];
     for (let i = 0; i < urls.length; i++) {
@@ -338,40 +768,70 @@ export function createApp(deps = {}) {
 
     const PER_URL_TIMEOUT = 60_000;
     const results = new Array(urls.length);
-    let nextIdx = 0;
-    const workers = [];
-
-    for (const v of validatedUrls) {
-      if (v.error) results[v.i] = { url: v.url, error: v.error };
-    }
-
-    const validItems = validatedUrls.filter(v => !v.error);
-
-    for (let w = 0; w < Math.min(BATCH_CONCURRENCY, validItems.length); w++) {
-      workers.push((async () => {
-        while (nextIdx < validItems.length) {
-          const idx = nextIdx++;
-          if (idx >= validItems.length) break;
-          const { i, url: targetUrl } = validItems[idx];
-          try {
-            const result = await Promise.race([
-              convertFn(targetUrl, pool, convertOpts),
-              new Promise((_, reject) => setTimeout(() => reject(new Error('Conversion timeout')), PER_URL_TIMEOUT)),
-            ]);
-            const q = result.quality || { score: 0, grade: 'F' };
-            results[i] = {
-              url: targetUrl, title: result.title, content: result.markdown,
-              tokens: result.tokens, tier: result.tier, quality: q, time_ms: result.totalMs,
-            };
-          } catch (err) {
-            results[i] = { url: targetUrl, error: sanitizeError(err.message) };
+
+    /** Convert every valid URL with bounded concurrency; onResult fires as each entry settles */
+    async function runBatch(onResult) {
+      const settle = (i, entry) => {
+        results[i] = entry;
+        onResult?.(i, entry);
+      };
+
+      for (const v of validatedUrls) {
+        if (v.error) settle(v.i, { url: v.url, error: v.error });
+      }
+
+      const validItems = validatedUrls.filter(v => !v.error);
+      let nextIdx = 0;
+      const workers = [];
+
+      for (let w = 0; w < Math.min(BATCH_CONCURRENCY, validItems.length); w++) {
+        workers.push((async () => {
+          while (nextIdx < validItems.length) {
+            const idx = nextIdx++;
+            if (idx >= validItems.length) break;
+            const { i, url: targetUrl } = validItems[idx];
+            try {
+              const result = await Promise.race([
+                convertFn(targetUrl, pool, convertOpts),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Conversion timeout')), PER_URL_TIMEOUT)),
+              ]);
+              const q = result.quality || { score: 0, grade: 'F' };
+              settle(i, {
+                url: targetUrl, title: result.title, content: result.markdown,
+                tokens: result.tokens, tokenizer: result.tokenizer || DEFAULT_TOKENIZER, tier: result.tier, quality: q, time_ms: result.totalMs,
+                ...(result.metadata && { metadata: result.metadata }),
+                ...formatFields(result, convertOpts.format),
+                ...(result.candidates && { candidates: result.candidates }),
+                ...(result.debug && { debug: result.debug }),
+              });
+            } catch (err) {
+              settle(i, { url: targetUrl, error: sanitizeError(err.message) });
+            }
           }
-        }
-      })());
+        })());
+      }
+
+      await Promise.all(workers);
+      return results.reduce((sum, r) => sum + (r.tokens || 0), 0);
+    }
+
+    // NDJSON: one line per URL in completion order (with its request index), then a summary line
+    if ((c.req.header('accept') || '').includes('application/x-ndjson')) {
+      c.header('content-type', 'application/x-ndjson; charset=utf-8');
+      c.header('x-accel-buffering', 'no');
+      return stream(c, async (s) => {
+        let writes = Promise.resolve();
+        const writeLine = (obj) => {
+          writes = writes.then(() => s.write(`${JSON.stringify(obj)}\n`)).catch(() => {});
+          return writes;
+        };
+        const totalTokens = await runBatch((i, entry) => writeLine({ type: 'result', index: i, ...entry }));
+        const failed = results.filter((r) => r.error).length;
+        await writeLine({ type: 'summary', total: urls.length, failed, total_tokens: totalTokens });
+      });
     }
 
-    await Promise.all(workers);
-    const totalTokens = results.reduce((sum, r) => sum + (r.tokens || 0), 0);
+    const totalTokens = await runBatch();
     return c.json({ results, total: urls.length, total_tokens: totalTokens });
   });
 
@@ -416,32 +876,13 @@ export function createApp(deps = {}) {
     }
 
     if (callbackUrl) {
-      try {
-        const u = new URL(callbackUrl);
-        if (u.protocol !== 'https:') {
-          return c.json({ error: 'callback_url must use https' }, 400);
-        }
-        const host = u.hostname.toLowerCase();
-        if (host === 'localhost' || host === '[::1]' || host === '' || host.startsWith('[')) {
-          return c.json({ error: 'callback_url cannot target private addresses' }, 400);
-        }
-        const parts = host.split('.').map(Number);
-        if (parts.length === 4 && parts.every((n) => n >= 0 && n <= 255)) {
-          const [a, b] = parts;
-          if (a === 0 || a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) ||
-              (a === 192 && b === 168) || (a === 169 && b === 254) || (a === 100 && b >= 64 && b <= 127)) {
-            return c.json({ error: 'callback_url cannot target private addresses' }, 400);
-          }
-        }
-        const METADATA_HOSTS = ['metadata.google.internal', 'metadata.goog', 'instance-data.ec2.internal'];
-        if (METADATA_HOSTS.includes(host.replace(/\.$/, ''))) {
-          return c.json({ error: 'callback_url cannot target metadata services' }, 400);
-        }
-      } catch {
-        return c.json({ error: 'Invalid callback_url' }, 400);
-      }
+      const callbackError = validateCallbackUrl(callbackUrl);
+      if (callbackError) return c.json({ error: callbackError }, 400);
     }
 
+    const optionsError = checkConvertOptions(options, enableBrowser);
+    if (optionsError) return c.json({ error: optionsError.error }, optionsError.status);
+
     const job = await createJobFn(validUrl, options || {}, callbackUrl);
     const log = getLog();
     const reqCtx = { reqId: c.get('requestId'), ip: getClientIp(c) };
@@ -451,7 +892,7 @@ export function createApp(deps = {}) {
     withRequestContext(reqCtx, async () => {
       try {
         const pool = enableBrowser ? browserPool : null;
-        const result = await convertFn(validUrl, pool, options || {});
+        const result = await convertFn(validUrl, pool, toConvertOptions(options));
         await completeJobFn(job.id, result);
         asyncJobsTotal.inc({ status: 'completed' });
         log.info({ jobId: job.id, tokens: result.tokens, tier: result.tier }, 'async job completed');
@@ -465,6 +906,375 @@ export function createApp(deps = {}) {
     return c.json({ job_id: job.id, status: 'processing', poll_url: `/job/${job.id}` }, 202);
   });
 
+  // POST /crawl — async same-origin crawl from a seed URL
+  const CRAWL_RATE_LIMIT = 2;
+
+  app.post('/crawl', async (c) => {
+    const ip = getClientIp(c);
+    const rl = await checkRateLimitFn(`rl:crawl:${ip}`, CRAWL_RATE_LIMIT, 60);
+    c.header('x-ratelimit-limit', String(CRAWL_RATE_LIMIT));
+    c.header('x-ratelimit-remaining', String(rl.remaining));
+    c.header('x-ratelimit-reset', String(Math.ceil(Date.now() / 1000) + 60));
+
+    if (!rl.allowed) {
+      rateLimitRejectionsTotal.inc({ route: '/crawl' });
+      return c.json({ error: 'Rate limited: max 2 crawl requests per minute' }, 429);
+    }
+
+    if (getRedisFn()?.status !== 'ready') {
+      return c.json({ error: 'Crawling unavailable (Redis required)' }, 503);
+    }
+
+    let body;
+    try { body = await c.req.json(); } catch {
+      return c.json({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { url: seedUrl, include, exclude, options, callback_url: callbackUrl } = body || {};
+    if (!seedUrl || typeof seedUrl !== 'string') {
+      return c.json({ error: 'Required: url (string)' }, 400);
+    }
+
+    const validUrl = seedUrl.startsWith('http') ? seedUrl : `https://${seedUrl}`;
+    try {
+      const u = new URL(validUrl);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        return c.json({ error: 'Only http/https URLs are supported' }, 400);
+      }
+    } catch {
+      return c.json({ error: 'Invalid URL' }, 400);
+    }
+
+    const optionsError = checkConvertOptions(options, enableBrowser);
+    if (optionsError) return c.json({ error: optionsError.error }, optionsError.status);
+
+    if (body.sitemap != null && typeof body.sitemap !== 'boolean') {
+      return c.json({ error: 'sitemap must be a boolean' }, 400);
+    }
+
+    for (const [name, list] of [['include', include], ['exclude', exclude]]) {
+      if (list != null && (!Array.isArray(list) || list.length > 20 || list.some((p) => typeof p !== 'string'))) {
+        return c.json({ error: `${name} must be an array of up to 20 path patterns` }, 400);
+      }
+    }
+
+    if (callbackUrl) {
+      const callbackError = validateCallbackUrl(callbackUrl);
+      if (callbackError) return c.json({ error: callbackError }, 400);
+    }
+
+    // Limits are clamped by the crawler itself
+    const crawlOpts = {
+      maxDepth: body.max_depth, maxPages: body.max_pages, concurrency: body.concurrency,
+      include: include || [], exclude: exclude || [], sitemap: body.sitemap === true,
+    };
+    const convertOpts = toConvertOptions(options);
+
+    const job = await createJobFn(validUrl, { type: 'crawl', ...crawlOpts, ...convertOpts }, callbackUrl);
+    const log = getLog();
+    const reqCtx = { reqId: c.get('requestId'), ip };
+    asyncJobsTotal.inc({ status: 'created' });
+    log.info({ jobId: job.id, url: validUrl, ...crawlOpts }, 'crawl job created');
+
+    withRequestContext(reqCtx, async () => {
+      try {
+        const pool = enableBrowser ? browserPool : null;
+        const result = await crawlFn(validUrl, {
+          ...crawlOpts,
+          convert: (pageUrl) => convertFn(pageUrl, pool, convertOpts),
+          onProgress: (progress) => updateJobProgressFn(job.id, progress),
+        });
+        await completeJobRawFn(job.id, result);
+        asyncJobsTotal.inc({ status: 'completed' });
+        log.info({ jobId: job.id, pages: result.total, tokens: result.total_tokens }, 'crawl job completed');
+      } catch (err) {
+        try { await failJobFn(job.id, sanitizeError(err.message)); } catch {}
+        asyncJobsTotal.inc({ status: 'failed' });
+        log.error({ jobId: job.id, err: err.message }, 'crawl job failed');
+      }
+    }).catch((err) => log.error({ jobId: job.id, err: err.message }, 'crawl job unhandled error'));
+
+    return c.json({ job_id: job.id, status: 'processing', poll_url: `/job/${job.id}` }, 202);
+  });
+
+  // POST /convert — caller-supplied HTML (no fetch), or a URL with body options such as actions
+  const CONVERT_RATE_LIMIT = 30;
+  const CONVERT_MAX_BODY = 5 * 1024 * 1024;
+
+  /** URL mode of POST /convert: the main pipeline with options that do not fit in a query string */
+  async function convertUrlBody(c, rawUrl, options) {
+    const targetUrl = rawUrl.startsWith('http') ? rawUrl : `https://${rawUrl}`;
+    try {
+      const u = new URL(targetUrl);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        return c.json({ error: 'Only http/https URLs are supported' }, 400);
+      }
+    } catch {
+      return c.json({ error: 'Invalid URL' }, 400);
+    }
+
+    const optionsError = checkConvertOptions(options, enableBrowser);
+    if (optionsError) return c.json({ error: optionsError.error }, optionsError.status);
+
+    const convertOpts = toConvertOptions(options);
+    try {
+      const { result, hit } = await convertCached(targetUrl, convertOpts);
+      return sendConversion(c, result, hit, options?.format);
+    } catch (err) {
+      getLog().error({ url: safeLog(targetUrl), err: err.message }, 'conversion failed');
+      return c.json({ error: sanitizeError(err.message), url: sanitizeUrl(targetUrl) }, errorStatus(err));
+    }
+  }
+
+  /** Run the URL pipeline through the result cache; shared by POST /convert and POST /chunk */
+  async function convertCached(targetUrl, convertOpts) {
+    const cacheKey = urlCacheKey(targetUrl, convertOpts);
+    const hit = await getCachedResult(cacheKey);
+    if (hit) {
+      cacheHitsTotal.inc({ source: hit.source });
+      getLog().info({ url: safeLog(targetUrl), tokens: hit.result.tokens, cache: hit.source }, 'cache hit');
+      return { result: hit.result, hit: true };
+    }
+    cacheMissesTotal.inc();
+    getLog().info({ url: safeLog(targetUrl), actions: convertOpts.actions?.length || 0 }, 'request');
+    const pool = enableBrowser ? browserPool : null;
+    const result = withFetchedAt(await convertFn(targetUrl, pool, convertOpts));
+    await setCachedResult(cacheKey, result, getTtlForTier(result.tier));
+    recordConversion(result);
+    return { result, hit: false };
+  }
+
+  app.post('/convert', async (c) => {
+    const ip = getClientIp(c);
+    const rl = await checkRateLimitFn(`rl:convert:${ip}`, CONVERT_RATE_LIMIT, 60);
+    c.header('x-ratelimit-limit', String(CONVERT_RATE_LIMIT));
+    c.header('x-ratelimit-remaining', String(rl.remaining));
+    c.header('x-ratelimit-reset', String(Math.ceil(Date.now() / 1000) + 60));
+
+    if (!rl.allowed) {
+      rateLimitRejectionsTotal.inc({ route: '/convert' });
+      return c.json({ error: 'Rate limited: max 30 convert requests per minute' }, 429);
+    }
+
+    const contentLength = parseInt(c.req.header('content-length') || '0', 10);
+    if (contentLength > CONVERT_MAX_BODY) {
+      return c.json({ error: 'Request body too large (max 5MB)' }, 413);
+    }
+
+    let body;
+    try { body = await c.req.json(); } catch {
+      return c.json({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { html, url: baseUrl, options } = body || {};
+    if (html == null && typeof baseUrl === 'string') {
+      return convertUrlBody(c, baseUrl, options);
+    }
+    if (typeof html !== 'string' || !html.trim()) {
+      return c.json({ error: 'Required: html (string) or url (string)' }, 400);
+    }
+    if (options?.actions != null) {
+      return c.json({ error: 'actions need a url to render; they cannot run on supplied html' }, 400);
+    }
+    const optionsError = checkExtractionOptions(options) || checkFormat(options?.format) || checkTokenizer(options?.tokenizer);
+    if (optionsError) return c.json({ error: optionsError }, 400);
+    if (baseUrl != null) {
+      if (typeof baseUrl !== 'string') {
+        return c.json({ error: 'url must be a string' }, 400);
+      }
+      try {
+        const u = new URL(baseUrl);
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+          return c.json({ error: 'Only http/https URLs are supported' }, 400);
+        }
+      } catch {
+        return c.json({ error: 'Invalid URL' }, 400);
+      }
+    }
+
+    const convertOpts = toConvertOptions(options);
+
+    try {
+      const optionsSuffix = [convertOpts.mode, convertOpts.links, convertOpts.maxTokens, convertOpts.candidates, htmlSuffix(convertOpts)]
+        .filter(Boolean).join('|')
+        + selectorSuffix(convertOpts) + tokenizerSuffix(convertOpts);
+      const cacheKey = convertOpts.debug ? null : `cache:html:${hashKey(`${baseUrl || ''}|${optionsSuffix}|${html}`)}`;
+      const hit = await getCachedResult(cacheKey);
+      let result;
+
+      if (hit) {
+        result = hit.result;
+        cacheHitsTotal.inc({ source: hit.source });
+        getLog().info({ url: safeLog(baseUrl || '-'), tokens: result.tokens, cache: hit.source }, 'cache hit');
+      } else {
+        cacheMissesTotal.inc();
+        getLog().info({ url: safeLog(baseUrl || '-'), htmlKB: Math.round(html.length / 1024) }, 'convert html');
+        result = withFetchedAt(await convertHtmlFn(html, baseUrl || '', convertOpts));
+        await setCachedResult(cacheKey, result, getTtlForTier(result.tier));
+        recordConversion(result);
+      }
+
+      return sendConversion(c, result, !!hit, options?.format);
+    } catch (err) {
+      getLog().error({ url: safeLog(baseUrl || '-'), err: err.message }, 'html conversion failed');
+      return c.json({ error: sanitizeError(err.message) }, errorStatus(err));
+    }
+  });
+
+  // POST /convert/file — multipart document upload (PDF, Office, OpenDocument, RTF, EPUB, CSV, images)
+  const FILE_RATE_LIMIT = 10;
+  const FILE_MAX_BYTES = 5 * 1024 * 1024;
+
+  app.post('/convert/file', async (c) => {
+    const ip = getClientIp(c);
+    const rl = await checkRateLimitFn(`rl:convert-file:${ip}`, FILE_RATE_LIMIT, 60);
+    c.header('x-ratelimit-limit', String(FILE_RATE_LIMIT));
+    c.header('x-ratelimit-remaining', String(rl.remaining));
+    c.header('x-ratelimit-reset', String(Math.ceil(Date.now() / 1000) + 60));
+
+    if (!rl.allowed) {
+      rateLimitRejectionsTotal.inc({ route: '/convert/file' });
+      return c.json({ error: 'Rate limited: max 10 file conversions per minute' }, 429);
+    }
+
+    // Multipart framing adds a little on top of the file itself
+    const contentLength = parseInt(c.req.header('content-length') || '0', 10);
+    if (contentLength > FILE_MAX_BYTES + 64 * 1024) {
+      return c.json({ error: 'Request body too large (max 5MB)' }, 413);
+    }
+
+    if (!(c.req.header('content-type') || '').includes('multipart/form-data')) {
+      return c.json({ error: 'Expected multipart/form-data with a file field' }, 400);
+    }
+
+    let form;
+    try { form = await c.req.parseBody(); } catch {
+      return c.json({ error: 'Invalid multipart body' }, 400);
+    }
+
+    const file = form.file;
+    if (!file || typeof file === 'string') {
+      return c.json({ error: 'Required: file (multipart file field)' }, 400);
+    }
+    if (file.size > FILE_MAX_BYTES) {
+      return c.json({ error: 'File too large (max 5MB)' }, 413);
+    }
+
+    const pageOnly = PAGE_ONLY_OPTIONS.find((name) => form[name] != null);
+    if (pageOnly) return c.json({ error: `${pageOnly} does not apply to file uploads` }, 400);
+    const formatError = checkFormat(form.format) || checkTokenizer(form.tokenizer) || checkPages(form.pages);
+    if (formatError) return c.json({ error: formatError }, 400);
+
+    const filename = safeLog(file.name || '');
+    // Multipart fields are strings, so debug arrives as 'true'
+    const convertOpts = { ...toConvertOptions(form), debug: form.debug === 'true' || undefined };
+
+    try {
+      const buffer = Buffer.from(await file.arrayBuffer());
+      const optionsSuffix = [convertOpts.mode, convertOpts.links, convertOpts.maxTokens, htmlSuffix(convertOpts)].filter(Boolean).join('|')
+        + tokenizerSuffix(convertOpts) + pagesSuffix(convertOpts);
+      const cacheKey = convertOpts.debug ? null : `cache:file:${hashKey(Buffer.concat([Buffer.from(`${optionsSuffix}|`), buffer]))}`;
+      const hit = await getCachedResult(cacheKey);
+      let result;
+
+      if (hit) {
+        result = hit.result;
+        cacheHitsTotal.inc({ source: hit.source });
+        getLog().info({ file: filename, tokens: result.tokens, cache: hit.source }, 'cache hit');
+      } else {
+        cacheMissesTotal.inc();
+        getLog().info({ file: filename, kb: Math.round(buffer.length / 1024) }, 'convert file');
+        result = withFetchedAt(await convertFileFn(buffer, { filename: file.name || '', mimeType: file.type || '' }, convertOpts));
+        await setCachedResult(cacheKey, result, getTtlForTier(result.tier));
+        recordConversion(result);
+      }
+
+      return sendConversion(c, result, !!hit, form.format);
+    } catch (err) {
+      getLog().error({ file: filename, err: err.message }, 'file conversion failed');
+      return c.json({ error: sanitizeError(err.message) }, errorStatus(err));
+    }
+  });
+
+  // POST /chunk — heading-aware chunks of a converted URL, or of supplied markdown, for RAG
+  const CHUNK_RATE_LIMIT = 30;
+  /** Supplied markdown is tokenized several times over while chunking, so it gets less room than the body */
+  const CHUNK_MARKDOWN_MAX = 1024 * 1024;
+
+  app.post('/chunk', async (c) => {
+    const ip = getClientIp(c);
+    const rl = await checkRateLimitFn(`rl:chunk:${ip}`, CHUNK_RATE_LIMIT, 60);
+    c.header('x-ratelimit-limit', String(CHUNK_RATE_LIMIT));
+    c.header('x-ratelimit-remaining', String(rl.remaining));
+    c.header('x-ratelimit-reset', String(Math.ceil(Date.now() / 1000) + 60));
+
+    if (!rl.allowed) {
+      rateLimitRejectionsTotal.inc({ route: '/chunk' });
+      return c.json({ error: 'Rate limited: max 30 chunk requests per minute' }, 429);
+    }
+
+    const contentLength = parseInt(c.req.header('content-length') || '0', 10);
+    if (contentLength > CONVERT_MAX_BODY) {
+      return c.json({ error: 'Request body too large (max 5MB)' }, 413);
+    }
+
+    let body;
+    try { body = await c.req.json(); } catch {
+      return c.json({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { url: rawUrl, markdown, options, target_tokens, overlap_tokens, tokenizer } = body || {};
+    const sizeError = validateChunkOptions({ target_tokens, overlap_tokens }) || checkTokenizer(tokenizer);
+    if (sizeError) return c.json({ error: sizeError }, 400);
+    const chunkOpts = { targetTokens: target_tokens, overlapTokens: overlap_tokens, tokenizer };
+
+    if (markdown != null) {
+      if (typeof markdown !== 'string' || !markdown.trim()) {
+        return c.json({ error: 'markdown must be a non-empty string' }, 400);
+      }
+      if (markdown.length > CHUNK_MARKDOWN_MAX) {
+        return c.json({ error: 'markdown too large (max 1MB)' }, 413);
+      }
+      if (rawUrl != null && typeof rawUrl !== 'string') {
+        return c.json({ error: 'url must be a string' }, 400);
+      }
+      const chunks = chunkMarkdown(markdown, { ...chunkOpts, url: rawUrl ?? null });
+      return c.json({ url: rawUrl ?? null, tokens: countTokens(markdown, tokenizer), tokenizer: tokenizer || DEFAULT_TOKENIZER, chunks });
+    }
+
+    if (typeof rawUrl !== 'string' || !rawUrl.trim()) {
+      return c.json({ error: 'Required: url (string) or markdown (string)' }, 400);
+    }
+    const targetUrl = rawUrl.startsWith('http') ? rawUrl : `https://${rawUrl}`;
+    try {
+      const u = new URL(targetUrl);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        return c.json({ error: 'Only http/https URLs are supported' }, 400);
+      }
+    } catch {
+      return c.json({ error: 'Invalid URL' }, 400);
+    }
+
+    const optionsError = checkConvertOptions(options, enableBrowser);
+    if (optionsError) return c.json({ error: optionsError.error }, optionsError.status);
+
+    try {
+      // Sizes are counted with one tokenizer throughout: the body's, else the conversion option's
+      const convertOpts = toConvertOptions(tokenizer ? { ...options, tokenizer } : options);
+      const { result, hit } = await convertCached(targetUrl, convertOpts);
+      const url = result.url || targetUrl;
+      const chunks = chunkMarkdown(result.markdown, { ...chunkOpts, tokenizer: convertOpts.tokenizer, url });
+      c.header('x-cache', hit ? 'hit' : 'miss');
+      c.header('x-conversion-tier', result.tier);
+      return c.json({
+        url, title: result.title, tokens: result.tokens, tokenizer: result.tokenizer || DEFAULT_TOKENIZER, tier: result.tier, chunks,
+      });
+    } catch (err) {
+      getLog().error({ url: safeLog(targetUrl), err: err.message }, 'chunk conversion failed');
+      return c.json({ error: sanitizeError(err.message), url: sanitizeUrl(targetUrl) }, errorStatus(err));
+    }
+  });
+
   // GET /job/:id
   app.get('/job/:id', async (c) => {
     const id = c.req.param('id');
@@ -497,6 +1307,214 @@ export function createApp(deps = {}) {
     return c.body(await register.metrics());
   });
 
+  // GET /map/:url — link discovery
+  const MAP_RATE_LIMIT = 30;
+
+  app.get('/map/*', async (c) => {
+    const ip = getClientIp(c);
+    const rl = await checkRateLimitFn(`rl:map:${ip}`, MAP_RATE_LIMIT, 60);
+    c.header('x-ratelimit-limit', String(MAP_RATE_LIMIT));
+    c.header('x-ratelimit-remaining', String(rl.remaining));
+    c.header('x-ratelimit-reset', String(Math.ceil(Date.now() / 1000) + 60));
+
+    if (!rl.allowed) {
+      rateLimitRejectionsTotal.inc({ route: '/map' });
+      return c.json({ error: 'Rate limited: max 30 map requests per minute' }, 429);
+    }
+
+    let targetUrl = targetUrlFrom(c, '/map', MAP_PARAMS);
+    if (!targetUrl) return c.json({ error: 'Required: URL in path or ?url=' }, 400);
+    if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
+      targetUrl = 'https://' + targetUrl;
+    }
+    try { new URL(targetUrl); } catch {
+      return c.json({ error: 'Invalid URL' }, 400);
+    }
+
+    const prefix = c.req.query('prefix') || '';
+    const excludeRegions = (c.req.query('exclude_regions') || '').split(',').map((r) => r.trim()).filter(Boolean);
+    const unknownRegion = excludeRegions.find((r) => !MAP_REGIONS.has(r));
+    if (unknownRegion) {
+      return c.json({ error: `Unknown region: ${unknownRegion} (use nav, header, footer, aside)` }, 400);
+    }
+    if (prefix && !prefix.startsWith('/')) {
+      return c.json({ error: 'prefix must be a path starting with /' }, 400);
+    }
+
+    try {
+      const cacheKey = `cache:map:${hashKey(`${normalizeCacheKey(targetUrl)}|${prefix}|${excludeRegions.sort().join(',')}`)}`;
+      const hit = await getCachedResult(cacheKey);
+      let result;
+
+      if (hit) {
+        result = hit.result;
+        cacheHitsTotal.inc({ source: hit.source });
+      } else {
+        cacheMissesTotal.inc();
+        getLog().info({ url: safeLog(targetUrl) }, 'map request');
+        const pool = enableBrowser ? browserPool : null;
+        result = await mapFn(targetUrl, pool, { prefix, excludeRegions });
+        await setCachedResult(cacheKey, result, getTtlForTier(result.tier));
+      }
+
+      c.header('x-conversion-tier', result.tier);
+      c.header('x-cache', hit ? 'hit' : 'miss');
+      return c.json({
+        url: result.url, title: result.title, tier: result.tier,
+        total: result.total, internal: result.internal, external: result.external,
+        links: result.links, time_ms: result.totalMs,
+      });
+    } catch (err) {
+      getLog().error({ url: safeLog(targetUrl), err: err.message }, 'map failed');
+      return c.json({ error: sanitizeError(err.message), url: sanitizeUrl(targetUrl) }, errorStatus(err));
+    }
+  });
+
+  // GET /screenshot/:url and GET /pdf/:url — browser-tier captures
+  const CAPTURE_RATE_LIMIT = 10;
+  const CAPTURE_TTL = 600;
+
+  // Captures run to megabytes, so they stay out of memCache: their own cache is bounded
+  // by bytes, oldest evicted first, and only small ones go to Redis (as base64)
+  const captureCache = new Map();
+  let captureCacheBytes = 0;
+
+  function dropCapture(key) {
+    captureCacheBytes -= captureCache.get(key).buffer.length;
+    captureCache.delete(key);
+  }
+
+  async function getCachedCapture(cacheKey) {
+    const redisResult = await getCacheFn(cacheKey);
+    if (redisResult) {
+      const { data, contentType, totalMs } = redisResult;
+      return { capture: { buffer: Buffer.from(data, 'base64'), contentType, totalMs }, source: 'redis' };
+    }
+    const entry = captureCache.get(cacheKey);
+    if (!entry) return null;
+    if (Date.now() - entry.ts > CAPTURE_TTL * 1000) {
+      dropCapture(cacheKey);
+      return null;
+    }
+    return { capture: entry, source: 'memory' };
+  }
+
+  async function setCachedCapture(cacheKey, { buffer, contentType, totalMs }) {
+    if (buffer.length <= CAPTURE_REDIS_MAX) {
+      await setCacheFn(cacheKey, { data: buffer.toString('base64'), contentType, totalMs }, CAPTURE_TTL);
+    }
+    if (buffer.length > CAPTURE_CACHE_BYTES) return;
+    if (captureCache.has(cacheKey)) dropCapture(cacheKey);
+    while (captureCacheBytes + buffer.length > CAPTURE_CACHE_BYTES) dropCapture(captureCache.keys().next().value);
+    captureCache.set(cacheKey, { buffer, contentType, totalMs, ts: Date.now() });
+    captureCacheBytes += buffer.length;
+  }
+
+  /**
+   * Shared handler for binary captures: rate limit, target URL, browser check,
+   * then serve from the capture cache or render.
+   */
+  async function handleCapture(c, { route, params, parseOpts, captureFn, extension }) {
+    const ip = getClientIp(c);
+    const rl = await checkRateLimitFn(`rl:${route}:${ip}`, CAPTURE_RATE_LIMIT, 60);
+    c.header('x-ratelimit-limit', String(CAPTURE_RATE_LIMIT));
+    c.header('x-ratelimit-remaining', String(rl.remaining));
+    c.header('x-ratelimit-reset', String(Math.ceil(Date.now() / 1000) + 60));
+
+    if (!rl.allowed) {
+      rateLimitRejectionsTotal.inc({ route: `/${route}` });
+      return c.json({ error: `Rate limited: max ${CAPTURE_RATE_LIMIT} ${route} requests per minute` }, 429);
+    }
+
+    let targetUrl = targetUrlFrom(c, `/${route}`, params);
+    if (!targetUrl) return c.json({ error: 'Required: URL in path or ?url=' }, 400);
+    if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
+      targetUrl = 'https://' + targetUrl;
+    }
+    let hostname;
+    try { hostname = new URL(targetUrl).hostname; } catch {
+      return c.json({ error: 'Invalid URL' }, 400);
+    }
+
+    const opts = parseOpts(c);
+    if (opts.error) return c.json({ error: opts.error }, 400);
+
+    if (!enableBrowser || !browserPool) {
+      return c.json({ error: 'Browser tier unavailable' }, 503);
+    }
+
+    try {
+      const cacheKey = `cache:${route}:${hashKey(`${normalizeCacheKey(targetUrl)}|${JSON.stringify(opts)}`)}`;
+      const hit = await getCachedCapture(cacheKey);
+      let capture;
+
+      if (hit) {
+        capture = hit.capture;
+        cacheHitsTotal.inc({ source: hit.source });
+      } else {
+        cacheMissesTotal.inc();
+        getLog().info({ url: safeLog(targetUrl), ...opts }, `${route} request`);
+        capture = await captureFn(browserPool, targetUrl, opts);
+        await setCachedCapture(cacheKey, capture);
+      }
+
+      c.header('content-type', capture.contentType);
+      c.header('content-disposition', `inline; filename="${hostname}.${extension(opts)}"`);
+      c.header('x-conversion-time', String(capture.totalMs));
+      c.header('x-cache', hit ? 'hit' : 'miss');
+      c.header('cache-control', `public, max-age=${CAPTURE_TTL}`);
+      return c.body(capture.buffer);
+    } catch (err) {
+      getLog().error({ url: safeLog(targetUrl), err: err.message }, `${route} failed`);
+      return c.json({ error: sanitizeError(err.message), url: sanitizeUrl(targetUrl) }, errorStatus(err));
+    }
+  }
+
+  /** Parse an optional integer query param within [min, max]; undefined when absent */
+  function intParam(c, name, min, max) {
+    const raw = c.req.query(name);
+    if (raw == null || raw === '') return undefined;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) return NaN;
+    return n;
+  }
+
+  app.get('/screenshot/*', (c) => handleCapture(c, {
+    route: 'screenshot',
+    params: SCREENSHOT_PARAMS,
+    extension: (opts) => (opts.format === 'jpeg' ? 'jpg' : 'png'),
+    captureFn: screenshotFn,
+    parseOpts: (ctx) => {
+      const format = (ctx.req.query('format') || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+      if (format !== 'png' && format !== 'jpeg') return { error: 'format must be png or jpeg' };
+      const width = intParam(ctx, 'width', 320, 1920);
+      const height = intParam(ctx, 'height', 240, 2160);
+      const quality = intParam(ctx, 'quality', 1, 100);
+      if ([width, height, quality].some(Number.isNaN)) {
+        return { error: 'width must be 320-1920, height 240-2160, quality 1-100' };
+      }
+      return {
+        format,
+        fullPage: ctx.req.query('full_page') === 'true',
+        width: width ?? 1280,
+        height: height ?? 720,
+        ...(format === 'jpeg' && { quality: quality ?? 80 }),
+      };
+    },
+  }));
+
+  app.get('/pdf/*', (c) => handleCapture(c, {
+    route: 'pdf',
+    params: PDF_PARAMS,
+    extension: () => 'pdf',
+    captureFn: pdfFn,
+    parseOpts: (ctx) => {
+      const paper = { a4: 'A4', letter: 'Letter' }[(ctx.req.query('paper') || 'a4').toLowerCase()];
+      if (!paper) return { error: 'paper must be a4 or letter' };
+      return { paper, landscape: ctx.req.query('landscape') === 'true' };
+    },
+  }));
+
   // GET /* — main conversion endpoint
   const MAIN_RATE_LIMIT = 60;
 
@@ -517,44 +1535,40 @@ export function createApp(deps = {}) {
     const apiLinks = c.req.query('links') || undefined;
     const apiMaxTokens = parseInt(c.req.query('max_tokens') || '0', 10) || undefined;
 
-    let targetUrl = c.req.path.slice(1);
-
-    const targetParams = new URLSearchParams();
-    const rawUrl = new URL(c.req.url);
-    for (const [key, value] of rawUrl.searchParams) {
-      if (!API_PARAMS.has(key)) {
-        targetParams.append(key, value);
-      }
-    }
-
-    if (!targetUrl || targetUrl === '') {
-      targetUrl = c.req.query('url') || '';
-    } else {
-      const qs = targetParams.toString();
-      if (qs) targetUrl += (targetUrl.includes('?') ? '&' : '?') + qs;
-    }
-
-    try { targetUrl = decodeURIComponent(targetUrl); } catch {}
-
-    // Restore protocol double-slash if collapsed by HTTP path normalization
-    // e.g. "https:/example.com" → "https://example.com"
-    targetUrl = targetUrl.replace(/^(https?):\/(?!\/)/, '$1://');
+    let targetUrl = targetUrlFrom(c);
 
     if (!targetUrl) {
       return c.json({
         name: 'md.succ.ai',
         description: 'URL to Markdown API — with fit mode, citations, YouTube transcripts, RSS/Atom feeds, batch conversion, async+webhooks, and LLM extraction',
-        usage: 'GET /https://example.com or GET /?url=https://example.com',
+        usage: 'GET /https://example.com or GET /?url=https://example.com — with /https://..., only mode, links and max_tokens are read from the query; the rest belongs to the target URL',
         params: {
           mode: 'fit — pruned markdown optimized for LLMs (30-50% fewer tokens)',
           links: 'citations — numbered references with footer instead of inline links',
-          max_tokens: 'truncate fit_markdown to N tokens',
+          max_tokens: 'fit fit_markdown into N tokens: best sections kept whole, omitted headings outlined',
+          tokenizer: 'o200k_base (default) | cl100k_base | chars (characters / 4) — used for token counts and max_tokens',
+          pages: 'PDF page selection, e.g. 1-5,10 — only those pages are converted; JSON adds per-page markdown and tokens',
+          wait_for: 'CSS selector to wait for in the browser tier before capture',
+          wait_until: 'load | domcontentloaded | networkidle — browser navigation wait',
+          timeout_ms: 'browser navigation/wait timeout (1000-60000, default 15000)',
+          include_selector: 'CSS selector — convert exactly the matching elements, skipping heuristic extraction',
+          exclude_selector: 'CSS selector — remove matching elements before extraction',
+          candidates: 'all — run every extraction pass, score each and keep the best (JSON lists all candidates)',
+          format: 'frontmatter — YAML front matter header | plain — no header | text — plain text | html — extracted article HTML | ast — mdast JSON tree (also via Accept: text/plain, text/html, application/mdast+json)',
+          debug: 'true — JSON responses include per-pass extraction diagnostics and escalation decisions (uncached)',
         },
         endpoints: {
           'GET /': 'Convert URL to markdown',
           'POST /extract': 'Extract structured data via LLM (body: {url, schema})',
           'POST /batch': 'Batch convert URLs (body: {urls, options?})',
           'POST /async': 'Async conversion with optional webhook (body: {url, options?, callback_url?})',
+          'POST /crawl': 'Async same-origin crawl (body: {url, max_depth?, max_pages?, include?, exclude?, concurrency?, options?, callback_url?})',
+          'POST /convert': 'Convert supplied HTML (body: {html, url?, options?}) or a URL with body options such as actions (body: {url, options})',
+          'POST /convert/file': 'Convert uploaded PDF/DOCX/PPTX/XLSX/CSV/ODT/ODS/ODP/RTF/EPUB/image (multipart: file, mode?, links?, max_tokens?, tokenizer?, pages?, format?, debug?)',
+          'POST /chunk': 'Heading-aware chunks for RAG (body: {url, options?, target_tokens?, overlap_tokens?, tokenizer?} or {markdown, url?, ...})',
+          'GET /map/:url': 'List links on a page (query: prefix?, exclude_regions?)',
+          'GET /screenshot/:url': 'PNG/JPEG screenshot via browser (query: format?, full_page?, width?, height?, quality?)',
+          'GET /pdf/:url': 'Render page to PDF via browser (query: paper?, landscape?)',
           'GET /job/:id': 'Poll async job status',
           'GET /health': 'Health check',
           'GET /openapi.json': 'OpenAPI 3.1 spec',
@@ -562,6 +1576,7 @@ export function createApp(deps = {}) {
         },
         headers: {
           'x-markdown-tokens': 'Token count in response',
+          'x-tokenizer': 'Tokenizer used for x-markdown-tokens and max_tokens',
           'x-conversion-tier': 'fetch | browser | baas:provider | youtube',
           'x-conversion-time': 'Total conversion time in ms',
           'x-ratelimit-remaining': 'Requests remaining in current window',
@@ -579,9 +1594,26 @@ export function createApp(deps = {}) {
       return c.json({ error: 'Invalid URL' }, 400);
     }
 
+    const urlForm = c.req.path === '/';
+    const query = Object.fromEntries(URL_FORM_PARAMS.map((name) => [name, urlForm ? c.req.query(name) : undefined]));
+    const optionsError = checkConvertOptions(query, enableBrowser);
+    if (optionsError) return c.json({ error: optionsError.error }, optionsError.status);
+
+    // format= wins over a format picked by the Accept header
+    const format = query.format || formatFromAccept(c.req.header('accept')) || undefined;
+
     try {
-      const optionsSuffix = [apiMode, apiLinks, apiMaxTokens].filter(Boolean).join('|');
-      const cacheKey = `cache:${hashKey(normalizeCacheKey(targetUrl) + '|' + optionsSuffix)}`;
+      const options = {
+        links: apiLinks, mode: apiMode, maxTokens: apiMaxTokens, ...toRenderOptions(query), ...toSelectorOptions(query),
+        candidates: query.candidates, format, tokenizer: query.tokenizer, pages: toPages(query.pages),
+        debug: query.debug === 'true' || undefined,
+      };
+      const cacheKey = urlCacheKey(targetUrl, options);
+
+      if ((c.req.header('accept') || '').includes('text/event-stream')) {
+        return streamConversion(c, targetUrl, cacheKey, options);
+      }
+
       const hit = await getCachedResult(cacheKey);
       const isCacheHit = !!hit;
       let result;
@@ -594,76 +1626,18 @@ export function createApp(deps = {}) {
         cacheMissesTotal.inc();
         getLog().info({ url: safeLog(targetUrl) }, 'request');
         const pool = enableBrowser ? browserPool : null;
-        const options = { links: apiLinks, mode: apiMode, maxTokens: apiMaxTokens };
-        result = await convertFn(targetUrl, pool, options);
+        result = withFetchedAt(await convertFn(targetUrl, pool, options));
 
         const ttl = getTtlForTier(result.tier);
         await setCachedResult(cacheKey, result, ttl);
 
-        const q = result.quality || { score: 0, grade: 'F' };
-        conversionTierTotal.inc({ tier: result.tier });
-        conversionTokens.observe({ tier: result.tier }, result.tokens);
-        conversionQuality.observe({ tier: result.tier }, q.score);
-        getLog().info({ tier: result.tier, tokens: result.tokens, ms: result.totalMs, grade: q.grade, score: q.score, method: result.method || 'unknown' }, 'ok');
+        recordConversion(result);
       }
 
-      const q = result.quality || { score: 0, grade: 'F' };
-      const ttl = getTtlForTier(result.tier);
-      const accept = c.req.header('accept') || '';
-
-      c.header('x-markdown-tokens', String(result.tokens));
-      c.header('x-conversion-tier', result.tier);
-      c.header('x-conversion-time', String(result.totalMs));
-      c.header('x-readability', result.readability ? 'true' : 'false');
-      c.header('x-extraction-method', result.method || 'unknown');
-      c.header('x-quality-score', String(q.score));
-      c.header('x-quality-grade', q.grade);
-      c.header('x-cache', isCacheHit ? 'hit' : 'miss');
-      c.header('vary', 'accept, accept-encoding');
-      c.header('cache-control', `public, max-age=${ttl}`);
-
-      const etag = `W/"${hashKey(result.markdown)}"`;
-      c.header('etag', etag);
-
-      const ifNoneMatch = c.req.header('if-none-match');
-      if (ifNoneMatch === etag) {
-        return c.body(null, 304);
-      }
-
-      if (accept.includes('application/json')) {
-        const json = {
-          title: result.title, url: result.url, content: result.markdown,
-          excerpt: result.excerpt, byline: result.byline, siteName: result.siteName,
-          tokens: result.tokens, tier: result.tier, readability: result.readability,
-          method: result.method || 'unknown', quality: q, time_ms: result.totalMs,
-        };
-        if (result.fit_markdown) { json.fit_markdown = result.fit_markdown; json.fit_tokens = result.fit_tokens; }
-        if (result.escalation?.length) { json.escalation = result.escalation; }
-        return c.json(json);
-      }
-
-      c.header('content-type', 'text/markdown; charset=utf-8');
-      const header = [
-        `Title: ${result.title}`,
-        `URL Source: ${result.url}`,
-        result.byline ? `Author: ${result.byline}` : '',
-        result.excerpt ? `Description: ${result.excerpt}` : '',
-        '',
-        'Markdown Content:',
-      ].filter(Boolean).join('\n');
-
-      return c.body(`${header}\n${result.markdown}`);
+      return sendConversion(c, result, isCacheHit, format);
     } catch (err) {
       getLog().error({ url: safeLog(targetUrl), err: err.message }, 'conversion failed');
-      const upstreamMatch = err.message?.match?.(/HTTP[_ ](\d{3})/);
-      const status = upstreamMatch ? parseInt(upstreamMatch[1], 10)
-        : err.message?.includes('Blocked URL') ? 403
-        : err.message?.includes('too large') ? 413
-        : err.message?.includes('Unsupported content type') ? 415
-        : err.message?.includes('Too many redirects') ? 502
-        : err.message?.includes('pool exhausted') ? 503
-        : 500;
-      return c.json({ error: sanitizeError(err.message), url: sanitizeUrl(targetUrl) }, status);
+      return c.json({ error: sanitizeError(err.message), url: sanitizeUrl(targetUrl) }, errorStatus(err));
     }
   });
 
@@ -0,0 +1,191 @@
+/**
+ * Semantic chunking of converted markdown for RAG pipelines.
+ *
+ * Chunks follow the heading structure (splitSections, shared with pruneMarkdown):
+ * a section starts a new chunk unless it fits in the current one, so small sibling
+ * sections are packed together and large ones are split. Code blocks and tables are
+ * atomic — a chunk may exceed the target rather than cut one. Oversized paragraphs
+ * and lists are split by line, then sentence, then word. Consecutive chunks cut from
+ * the same section repeat up to `overlapTokens` of trailing blocks.
+ *
+ * Every chunk is an exact slice of the input: content === markdown.slice(start, end).
+ */
+import { countTokens, splitSections, FENCE_RE } from './markdown.mjs';
+
+export const CHUNK_LIMITS = {
+  minTargetTokens: 64,
+  maxTargetTokens: 8192,
+  defaultTargetTokens: 512,
+  defaultOverlapTokens: 50,
+};
+
+/**
+ * Validate /chunk sizing options (snake_case, as sent by clients). Returns an error message or null.
+ * @param {{target_tokens?: unknown, overlap_tokens?: unknown}} opts
+ */
+export function validateChunkOptions({ target_tokens: target, overlap_tokens: overlap } = {}) {
+  const { minTargetTokens, maxTargetTokens, defaultTargetTokens } = CHUNK_LIMITS;
+  if (target != null && (!Number.isInteger(target) || target < minTargetTokens || target > maxTargetTokens)) {
+    return `target_tokens must be an integer ${minTargetTokens}-${maxTargetTokens}`;
+  }
+  const max = Math.floor((target ?? defaultTargetTokens) / 2);
+  if (overlap != null && (!Number.isInteger(overlap) || overlap < 0 || overlap > max)) {
+    return `overlap_tokens must be an integer 0-${max} (at most half of target_tokens)`;
+  }
+  return null;
+}
+
+/** [start, end) spans of text between matches of re (global), offset by base */
+function splitSpans(text, base, re) {
+  const spans = [];
+  let from = 0;
+  for (const m of text.matchAll(re)) {
+    if (m.index > from) spans.push({ start: base + from, end: base + m.index });
+    from = m.index + m[0].length;
+  }
+  if (from < text.length) spans.push({ start: base + from, end: base + text.length });
+  return spans;
+}
+
+/** Separators for splitting an oversized text block, coarsest first */
+const SPLITTERS = [/\n+/g, /(?<=[.!?])\s+/g, /\s+/g];
+
+/** Cut an oversized text span into pieces of at most target tokens where possible */
+function splitText(markdown, span, target, count, level = 0) {
+  const tokens = count(markdown.slice(span.start, span.end));
+  if (tokens <= target || level >= SPLITTERS.length) return [{ ...span, tokens, kind: 'text' }];
+
+  const parts = splitSpans(markdown.slice(span.start, span.end), span.start, SPLITTERS[level])
+    .flatMap((part) => splitText(markdown, part, target, count, level + 1));
+  // Greedily re-join neighbouring parts while they fit. Summing the parts and the separator
+  // bounds the joined count from above, so the join is only re-tokenized when that sum
+  // passes the target — re-counting every candidate join is quadratic on long paragraphs.
+  const pieces = [];
+  for (const part of parts) {
+    const last = pieces.at(-1);
+    let joined = last ? last.tokens + count(markdown.slice(last.end, part.start)) + part.tokens : Infinity;
+    if (joined > target && last) joined = count(markdown.slice(last.start, part.end));
+    if (joined <= target) {
+      last.end = part.end;
+      last.tokens = joined;
+    } else {
+      pieces.push(part);
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Atomic blocks of one section: its heading line, code fences, tables, and
+ * blank-line-separated text blocks (split further when over target).
+ */
+function sectionPieces(markdown, section, target, count) {
+  const blocks = [];
+  let offset = section.start;
+  let open = null;
+  const lineEnd = (line) => offset + line.length;
+
+  section.lines.forEach((line, i) => {
+    const fenceMatch = line.match(FENCE_RE);
+    const last = blocks.at(-1);
+    if (open) {
+      open.end = lineEnd(line);
+      if (fenceMatch && fenceMatch[1][0] === open.fence[0] && fenceMatch[1].length >= open.fence.length) open = null;
+    } else if (i === 0 && section.headingLevel) {
+      blocks.push({ kind: 'heading', start: offset, end: lineEnd(line) });
+    } else if (fenceMatch) {
+      open = { kind: 'code', fence: fenceMatch[1], start: offset, end: lineEnd(line) };
+      blocks.push(open);
+    } else if (!line.trim()) {
+      blocks.push({ kind: 'blank' });
+    } else {
+      const kind = line.trimStart().startsWith('|') ? 'table' : 'text';
+      if (last?.kind === kind) last.end = lineEnd(line);
+      else blocks.push({ kind, start: offset, end: lineEnd(line) });
+    }
+    offset += line.length + 1;
+  });
+
+  // Leave room for the heading so the section's first chunk also fits
+  const heading = blocks[0]?.kind === 'heading' ? count(`${section.lines[0]}\n\n`) : 0;
+  return blocks.filter((b) => b.kind !== 'blank').flatMap(({ kind, start, end }) => (kind === 'text'
+    ? splitText(markdown, { start, end }, target - heading, count)
+    : [{ kind, start, end, tokens: count(markdown.slice(start, end)) }]));
+}
+
+/** Longest common prefix of heading paths */
+function commonPath(paths) {
+  return paths.reduce((prefix, path) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === path[i]) i++;
+    return prefix.slice(0, i);
+  });
+}
+
+/**
+ * Split markdown into heading-aware chunks.
+ * @param {string} markdown
+ * @param {{targetTokens?: number, overlapTokens?: number, tokenizer?: string, url?: string|null}} [opts]
+ * @returns {{index: number, content: string, tokens: number, start: number, end: number, heading_path: string[], url: string|null}[]}
+ */
+export function chunkMarkdown(markdown, opts = {}) {
+  const target = opts.targetTokens ?? CHUNK_LIMITS.defaultTargetTokens;
+  const overlap = opts.overlapTokens ?? CHUNK_LIMITS.defaultOverlapTokens;
+  const count = (text) => countTokens(text, opts.tokenizer);
+  const chunks = [];
+  let current = [];
+
+  /** Tokens of the chunk that would span from the first piece to `end` (separators included) */
+  const spanTokens = (pieces, end) => (pieces.length ? count(markdown.slice(pieces[0].start, end)) : 0);
+  const hasContent = (pieces) => pieces.some((p) => p.kind !== 'heading');
+  /** Emit the current chunk; trailing headings carry over to open the next one */
+  const emit = () => {
+    let cut = current.length;
+    while (cut > 0 && current[cut - 1].kind === 'heading') cut--;
+    const pieces = current.slice(0, cut);
+    current = current.slice(cut);
+    if (!pieces.length) return;
+    const { start } = pieces[0];
+    const { end } = pieces.at(-1);
+    const content = markdown.slice(start, end);
+    chunks.push({
+      index: chunks.length, content, tokens: count(content), start, end,
+      heading_path: commonPath(pieces.map((p) => p.path)), url: opts.url ?? null,
+    });
+  };
+  /** Trailing pieces of the current section to repeat at the start of the next chunk */
+  const overlapTail = (section) => {
+    const tail = [];
+    for (let i = current.length - 1; i >= 0; i--) {
+      const piece = current[i];
+      if (piece.section !== section || piece.kind === 'heading') break;
+      if (spanTokens([piece], current.at(-1).end) > overlap) break;
+      tail.unshift(piece);
+    }
+    return tail;
+  };
+
+  const path = [];
+  splitSections(markdown).forEach((section, s) => {
+    if (section.headingLevel) {
+      while (path.length && path.at(-1).level >= section.headingLevel) path.pop();
+      path.push({ level: section.headingLevel, heading: section.heading.trim() });
+    }
+    const headingPath = path.map((h) => h.heading);
+    const pieces = sectionPieces(markdown, section, target, count).map((p) => ({ ...p, section: s, path: headingPath }));
+    if (!pieces.length) return;
+
+    // Start the section in a fresh chunk unless all of it fits in the current one
+    if (hasContent(current) && spanTokens(current, pieces.at(-1).end) > target) emit();
+    for (const piece of pieces) {
+      if (hasContent(current) && spanTokens(current, piece.end) > target) {
+        const tail = overlapTail(s);
+        emit();
+        if (spanTokens(tail, piece.end) <= target) current = [...current, ...tail];
+      }
+      current.push(piece);
+    }
+  });
+  emit();
+  return chunks;
+}
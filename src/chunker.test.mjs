@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkMarkdown, validateChunkOptions } from './chunker.mjs';
+import { countTokens } from './markdown.mjs';
+
+const sentences = (n, topic = 'topic') => Array.from({ length: n }, (_, i) => `Sentence ${i} covers the ${topic} in some detail.`).join(' ');
+
+describe('chunkMarkdown', () => {
+  it('returns content slices with offsets, token counts and the source url', () => {
+    const md = `# Guide\n\n${sentences(30)}\n\n## Usage\n\n${sentences(30, 'usage')}`;
+    const chunks = chunkMarkdown(md, { targetTokens: 100, overlapTokens: 0, url: 'https://example.com/guide' });
+    assert.ok(chunks.length > 2);
+    chunks.forEach((chunk, i) => {
+      assert.equal(chunk.index, i);
+      assert.equal(chunk.content, md.slice(chunk.start, chunk.end));
+      assert.equal(chunk.tokens, countTokens(chunk.content));
+      assert.ok(chunk.tokens <= 100, `chunk ${i} has ${chunk.tokens} tokens`);
+      assert.equal(chunk.url, 'https://example.com/guide');
+    });
+  });
+
+  it('records the heading path and starts sections in a new chunk when they do not fit', () => {
+    const md = `# Guide\n\n${sentences(8)}\n\n## Install\n\n### Linux\n\n${sentences(8, 'linux')}\n\n## Usage\n\n${sentences(8, 'usage')}`;
+    const chunks = chunkMarkdown(md, { targetTokens: 120, overlapTokens: 0 });
+    assert.deepEqual(chunks.map((c) => c.heading_path), [['Guide'], ['Guide', 'Install'], ['Guide', 'Usage']]);
+    assert.ok(chunks[1].content.startsWith('## Install\n\n### Linux'));
+    assert.equal(chunks[0].url, null);
+  });
+
+  it('packs small sibling sections together under their common heading path', () => {
+    const md = '# API\n\n## get\n\nReads a value.\n\n## set\n\nWrites a value.';
+    const chunks = chunkMarkdown(md, { targetTokens: 512 });
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].content, md);
+    assert.deepEqual(chunks[0].heading_path, ['API']);
+  });
+
+  it('never splits code blocks or tables', () => {
+    const code = `\`\`\`js\n${Array.from({ length: 40 }, (_, i) => `const value${i} = compute(${i}); // # not a heading`).join('\n')}\n\n// blank line above\n\`\`\``;
+    const table = `| name | value |\n|---|---|\n${Array.from({ length: 30 }, (_, i) => `| row ${i} | ${i * 2} |`).join('\n')}`;
+    const md = `# Code\n\n${sentences(3)}\n\n${code}\n\n## Data\n\n${table}\n\n${sentences(3)}`;
+    const chunks = chunkMarkdown(md, { targetTokens: 100, overlapTokens: 0 });
+    assert.equal(chunks.filter((c) => c.content.includes('```js')).length, 1);
+    assert.ok(chunks.some((c) => c.content.includes(code)));
+    assert.ok(chunks.some((c) => c.content.includes(table)));
+    assert.ok(chunks.every((c) => c.heading_path.length > 0 && !c.heading_path.includes('not a heading')));
+  });
+
+  it('repeats trailing blocks of the same section as overlap', () => {
+    const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} explains one more step of the process.`);
+    const md = `# Steps\n\n${paragraphs.join('\n\n')}`;
+    const chunks = chunkMarkdown(md, { targetTokens: 64, overlapTokens: 20 });
+    assert.ok(chunks.length > 1);
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i].start < chunks[i - 1].end, `chunk ${i} does not overlap the previous one`);
+    }
+    const noOverlap = chunkMarkdown(md, { targetTokens: 64, overlapTokens: 0 });
+    for (let i = 1; i < noOverlap.length; i++) assert.ok(noOverlap[i].start >= noOverlap[i - 1].end);
+  });
+
+  it('splits oversized paragraphs by sentence', () => {
+    const md = sentences(60);
+    const chunks = chunkMarkdown(md, { targetTokens: 80, overlapTokens: 0 });
+    assert.ok(chunks.length > 3);
+    assert.ok(chunks.every((c) => /\.$/.test(c.content) && c.tokens <= 80));
+    assert.deepEqual(chunks[0].heading_path, []);
+  });
+
+  it('returns no chunks for empty input', () => {
+    assert.deepEqual(chunkMarkdown(''), []);
+    assert.deepEqual(chunkMarkdown('# Only a heading'), []);
+  });
+});
+
+describe('validateChunkOptions', () => {
+  it('accepts defaults and valid sizes', () => {
+    assert.equal(validateChunkOptions({}), null);
+    assert.equal(validateChunkOptions({ target_tokens: 256, overlap_tokens: 128 }), null);
+  });
+
+  it('rejects out-of-range sizes', () => {
+    assert.match(validateChunkOptions({ target_tokens: 10 }), /target_tokens must be an integer 64-8192/);
+    assert.match(validateChunkOptions({ target_tokens: '512' }), /target_tokens/);
+    assert.match(validateChunkOptions({ target_tokens: 256, overlap_tokens: 200 }), /overlap_tokens must be an integer 0-128/);
+    assert.match(validateChunkOptions({ overlap_tokens: -1 }), /overlap_tokens/);
+  });
+});
@@ -7,20 +7,31 @@
  *   markdown.mjs   — Turndown, quality scoring, token counting, cleanup
  *   documents.mjs  — PDF, DOCX, XLSX/CSV conversion
  *   youtube.mjs    — YouTube transcript extraction
+ *   sitemap.mjs    — sitemap / sitemap index listing
+ *   links.mjs      — link discovery for /map
+ *   actions.mjs    — scripted browser actions (click, scroll, type, ...)
+ *   rules.mjs      — per-domain extraction rules (RULES_FILE)
  */
 import { parseHTML } from 'linkedom';
 import Ajv from 'ajv';
 import { resolve4, resolve6 } from 'node:dns/promises';
+import { gunzipSync } from 'node:zlib';
 import { fetchWithBaaS, hasBaaSProviders } from './baas.mjs';
-import { extractContent, ERROR_PATTERNS, cleanHTML } from './extractor.mjs';
+import { extractContent, extractMetadata, ERROR_PATTERNS, cleanHTML, removeSelector } from './extractor.mjs';
 import {
   turndown, countTokens, scoreMarkdown, normalizeSpacing,
-  cleanMarkdown, resolveUrls, convertToCitations, pruneMarkdown, cleanLLMOutput,
+  cleanMarkdown, resolveUrls, convertToCitations, pruneMarkdown, cleanLLMOutput, DEFAULT_TOKENIZER,
 } from './markdown.mjs';
-import { DOCUMENT_FORMATS, detectFormatByExtension, convertDocument } from './documents.mjs';
+import {
+  DOCUMENT_FORMATS, detectFormatByExtension, detectFormatByFilename, detectFormatByMagic, convertDocument, documentTier,
+} from './documents.mjs';
 import { tryYouTube } from './youtube.mjs';
 import { getLog } from './logger.mjs';
 import { isFeedContentType, maybeFeedContentType, looksLikeFeed, parseFeed } from './feed.mjs';
+import { looksLikeSitemap, isGzip, parseSitemap, sitemapToMarkdown } from './sitemap.mjs';
+import { extractPageLinks } from './links.mjs';
+import { runActions } from './actions.mjs';
+import { getDomainRules } from './rules.mjs';
 import { getProxyPool } from './proxy-pool.mjs';
 import { getRandomUA } from './ua-pool.mjs';
 import { proxyRequestsTotal, proxyPoolHealthy } from './metrics.mjs';
@@ -29,6 +40,7 @@ import { proxyRequestsTotal, proxyPoolHealthy } from './metrics.mjs';
 
 const MAX_RESPONSE_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_REDIRECTS = 5;
+const GZIP_MIME_TYPES = new Set(['application/gzip', 'application/x-gzip']);
 
 const METADATA_HOSTNAMES = [
   'metadata.google.internal',
@@ -201,7 +213,7 @@ export async function fetchHTML(url) {
 
 /**
  * Internal: perform fetch with optional proxy and UA rotation.
- * @returns {Promise<{html?: string, raw?: string, feed?: string, buffer?: Buffer, status: number, statusText?: string}>}
+ * @returns {Promise<{html?: string, raw?: string, feed?: string, sitemap?: string, buffer?: Buffer, status: number, statusText?: string}>}
  */
 async function _fetchWithProxy(url, proxy) {
   let currentUrl = url;
@@ -249,6 +261,32 @@ async function _fetchWithProxy(url, proxy) {
       return { feed: xml, status: res.status };
     }
 
+    // Gzipped sitemap (sitemap.xml.gz) — only sitemaps are accepted as gzip payloads
+    const pathName = new URL(currentUrl).pathname.toLowerCase();
+    if (GZIP_MIME_TYPES.has(mimeType)
+        || (mimeType === 'application/octet-stream' && pathName.endsWith('.gz'))) {
+      const cl = parseInt(res.headers.get('content-length') || '0', 10);
+      if (cl > MAX_RESPONSE_SIZE) {
+        res.body?.cancel?.();
+        throw new Error(`Page too large: ${(cl / 1024 / 1024).toFixed(1)}MB`);
+      }
+      const buffer = Buffer.from(await res.arrayBuffer());
+      // fetch() already decoded it if the server also sent Content-Encoding: gzip
+      let xml = buffer.toString('utf8');
+      if (isGzip(buffer)) {
+        try {
+          xml = gunzipSync(buffer, { maxOutputLength: MAX_RESPONSE_SIZE }).toString('utf8');
+        } catch (e) {
+          if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('Page too large: sitemap exceeds 5MB uncompressed');
+          throw new Error('Invalid gzip data');
+        }
+      }
+      if (!looksLikeSitemap(xml)) {
+        throw new Error(`Unsupported content type: ${mimeType || 'application/gzip'}`);
+      }
+      return { sitemap: xml, status: res.status };
+    }
+
     const docFormat = DOCUMENT_FORMATS[mimeType]
       || (mimeType === 'application/octet-stream' ? detectFormatByExtension(currentUrl) : null);
 
@@ -287,6 +325,11 @@ async function _fetchWithProxy(url, proxy) {
       throw new Error(`Page too large: ${(raw.length / 1024 / 1024).toFixed(1)}MB`);
     }
 
+    // Sitemap / sitemap index — checked before XML falls through to the raw or HTML path
+    if (maybeFeedContentType(mimeType) && looksLikeSitemap(raw)) {
+      return { sitemap: raw, status: res.status };
+    }
+
     // Raw text/plain and application/json — return as-is (not HTML)
     if (mimeType === 'application/json' || mimeType === 'text/plain'
         || mimeType === 'text/csv' || mimeType === 'text/xml') {
@@ -312,42 +355,64 @@ async function _fetchWithProxy(url, proxy) {
 }
 
 /**
- * Fetch HTML via Patchright headless browser
+ * Open a pooled browser page, navigate to url and run fn(page) on the rendered result.
+ * Validates the URL (SSRF), always closes the context and releases the pool slot.
+ * @param {object} browserPool
+ * @param {string} url
+ * @param {(page: object) => Promise<any>} fn
+ * @param {{viewport?: {width: number, height: number}, waitUntil?: string, waitFor?: string, timeoutMs?: number}} [opts]
+ *   waitUntil replaces the networkidle → domcontentloaded fallback with a single strategy;
+ *   waitFor replaces the body-length heuristic with a visible-selector wait; timeoutMs bounds both
  */
-async function fetchWithBrowser(browserPool, url) {
+async function withBrowserPage(browserPool, url, fn, opts = {}) {
   if (isBlockedUrl(url)) throw new Error('Blocked URL: private or internal address');
   await resolveAndValidate(new URL(url).hostname);
 
   const page = await browserPool.newPage();
   let success = false;
   try {
+    if (opts.viewport) await page.setViewportSize(opts.viewport);
+    const timeout = opts.timeoutMs ?? 15000;
     let navigated = false;
     let usedNetworkIdle = false;
-    try {
-      await page.goto(url, { waitUntil: 'networkidle', timeout: 15000 });
-      navigated = true;
-      usedNetworkIdle = true;
-    } catch {
+    if (opts.waitUntil) {
+      try {
+        await page.goto(url, { waitUntil: opts.waitUntil, timeout });
+        navigated = true;
+        usedNetworkIdle = opts.waitUntil === 'networkidle';
+      } catch {
+        // Caller chose the strategy — no fallback
+      }
+    } else {
       try {
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+        await page.goto(url, { waitUntil: 'networkidle', timeout });
         navigated = true;
+        usedNetworkIdle = true;
       } catch {
-        // Both navigation strategies failed
+        try {
+          await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+          navigated = true;
+        } catch {
+          // Both navigation strategies failed
+        }
       }
     }
     if (!navigated) throw new Error('Browser navigation failed');
-    // Wait for meaningful body content — longer timeout for domcontentloaded
-    // since page may still be rendering; networkidle already waited for quiescence
-    await page.waitForFunction(
-      () => (document.body?.innerText?.length ?? 0) > 200,
-      { timeout: usedNetworkIdle ? 2000 : 8000 },
-    ).catch(() => {});
-    const html = await page.content();
-    if (html.length > MAX_RESPONSE_SIZE) {
-      throw new Error(`Page too large: ${(html.length / 1024 / 1024).toFixed(1)}MB`);
+    if (opts.waitFor) {
+      await page.waitForSelector(opts.waitFor, { state: 'visible', timeout }).catch(() => {
+        throw new Error(`wait_for selector not visible after ${timeout}ms`);
+      });
+    } else {
+      // Wait for meaningful body content — longer timeout for domcontentloaded
+      // since page may still be rendering; networkidle already waited for quiescence
+      await page.waitForFunction(
+        () => (document.body?.innerText?.length ?? 0) > 200,
+        { timeout: usedNetworkIdle ? 2000 : 8000 },
+      ).catch(() => {});
     }
+    const value = await fn(page);
     success = true;
-    return html;
+    return value;
   } finally {
     const ctx = page.context();
     await page.close();
@@ -356,14 +421,109 @@ async function fetchWithBrowser(browserPool, url) {
   }
 }
 
+/**
+ * Fetch HTML via Patchright headless browser, optionally running scripted actions first.
+ * opts.waitUntil / waitFor / timeoutMs are passed through to withBrowserPage.
+ */
+async function fetchWithBrowser(browserPool, url, opts = {}) {
+  const { actions, ...renderOpts } = opts;
+  return withBrowserPage(browserPool, url, async (page) => {
+    if (actions?.length) await runActions(page, actions);
+    const html = await page.content();
+    if (html.length > MAX_RESPONSE_SIZE) {
+      throw new Error(`Page too large: ${(html.length / 1024 / 1024).toFixed(1)}MB`);
+    }
+    return html;
+  }, renderOpts);
+}
+
+// ─── Browser capture ──────────────────────────────────────────────────
+
+const MAX_CAPTURE_SIZE = 10 * 1024 * 1024; // 10MB
+
+function checkCaptureSize(buffer) {
+  if (buffer.length > MAX_CAPTURE_SIZE) {
+    throw new Error(`Capture too large: ${(buffer.length / 1024 / 1024).toFixed(1)}MB`);
+  }
+  return buffer;
+}
+
+/**
+ * Render a page in the browser tier and capture a screenshot.
+ * @param {object} browserPool
+ * @param {string} url
+ * @param {{format?: 'png'|'jpeg', fullPage?: boolean, width?: number, height?: number, quality?: number}} [opts]
+ * @returns {Promise<{buffer: Buffer, contentType: string, totalMs: number}>}
+ */
+export async function captureScreenshot(browserPool, url, opts = {}) {
+  const t0 = performance.now();
+  const { format = 'png', fullPage = false, width = 1280, height = 720, quality = 80 } = opts;
+  const buffer = await withBrowserPage(browserPool, url, async (page) => checkCaptureSize(await page.screenshot({
+    type: format,
+    fullPage,
+    ...(format === 'jpeg' && { quality }),
+  })), { viewport: { width, height } });
+  const totalMs = Math.round(performance.now() - t0);
+  getLog().info({ format, fullPage, bytes: buffer.length, ms: totalMs }, 'screenshot captured');
+  return { buffer, contentType: `image/${format}`, totalMs };
+}
+
+/**
+ * Render a page in the browser tier and print it to PDF (print media, backgrounds on).
+ * @param {object} browserPool
+ * @param {string} url
+ * @param {{paper?: 'A4'|'Letter', landscape?: boolean}} [opts]
+ * @returns {Promise<{buffer: Buffer, contentType: string, totalMs: number}>}
+ */
+export async function renderPdf(browserPool, url, opts = {}) {
+  const t0 = performance.now();
+  const { paper = 'A4', landscape = false } = opts;
+  const buffer = await withBrowserPage(browserPool, url, async (page) => checkCaptureSize(await page.pdf({
+    format: paper,
+    landscape,
+    printBackground: true,
+  })));
+  const totalMs = Math.round(performance.now() - t0);
+  getLog().info({ paper, landscape, bytes: buffer.length, ms: totalMs }, 'pdf rendered');
+  return { buffer, contentType: 'application/pdf', totalMs };
+}
+
 // ─── HTML → Markdown ──────────────────────────────────────────────────
 
 /**
- * Parse HTML with multi-pass extraction + Turndown + quality scoring
+ * Parse HTML with multi-pass extraction + Turndown + quality scoring.
+ * opts.includeSelector / opts.excludeSelector target the extraction, together with
+ * the domain rule for url, if any (see extractContent).
+ * opts.candidates === 'all' runs every extraction pass, converts and scores each result,
+ * and keeps the highest-scoring one; the result then lists them all in `candidates`.
+ * Document metadata (dates, language, canonical URL, ...) comes from the full page, not the extract.
+ * opts.keepHtml keeps the extracted HTML (before Turndown) as `contentHtml`, for format=html.
  */
-async function htmlToMarkdown(html, url) {
-  const extracted = await extractContent(html, url);
+async function htmlToMarkdown(html, url, opts = {}) {
+  const { candidates: candidatesMode, keepHtml, ...extractOpts } = opts;
+  const rule = getDomainRules().match(url);
+  if (candidatesMode !== 'all') {
+    const extracted = await extractContent(html, url, { ...extractOpts, rule });
+    return {
+      ...extractedToMarkdown(extracted, url, keepHtml), htmlLength: html.length, metadata: extractMetadata(html, url),
+    };
+  }
 
+  const extractedAll = [];
+  await extractContent(html, url, { ...extractOpts, rule, candidates: extractedAll });
+  const converted = extractedAll.map((extracted) => extractedToMarkdown(extracted, url, keepHtml));
+  // Highest score wins; ties go to the earlier pass
+  const best = converted.reduce((a, b) => (b.quality.score > a.quality.score ? b : a));
+  return {
+    ...best,
+    htmlLength: html.length,
+    metadata: extractMetadata(html, url),
+    candidates: converted.map((c) => ({ method: c.method, tokens: c.tokens, quality: c.quality, selected: c === best })),
+  };
+}
+
+/** Turndown + URL resolution + token count and quality score for one extraction result */
+function extractedToMarkdown(extracted, url, keepHtml = false) {
   let markdown;
   if (extracted.prebuiltMarkdown) {
     markdown = cleanMarkdown(extracted.prebuiltMarkdown);
@@ -393,9 +553,9 @@ async function htmlToMarkdown(html, url) {
     excerpt: extracted.excerpt,
     byline: extracted.byline,
     siteName: extracted.siteName,
-    htmlLength: html.length,
     method: extracted.method,
     quality,
+    ...(keepHtml && { contentHtml: extracted.contentHtml }),
   };
 }
 
@@ -650,9 +810,151 @@ export async function extractSchema(markdown, url, schema) {
 
 // ─── Main pipeline ────────────────────────────────────────────────────
 
+/**
+ * Post-processing shared by URL and raw HTML conversion: citations and fit_markdown
+ */
+function postProcess(result, options = {}) {
+  const tokenizer = options.tokenizer || DEFAULT_TOKENIZER;
+  if (options.links === 'citations') {
+    const markdown = convertToCitations(result.markdown);
+    result = { ...result, markdown, tokens: countTokens(markdown, tokenizer) };
+  } else if (tokenizer !== DEFAULT_TOKENIZER) {
+    // Tiers count with the default tokenizer while scoring; report in the requested one
+    result = { ...result, tokens: countTokens(result.markdown, tokenizer) };
+  }
+  if (result.pages && tokenizer !== DEFAULT_TOKENIZER) {
+    result = { ...result, pages: result.pages.map((page) => ({ ...page, tokens: countTokens(page.markdown, tokenizer) })) };
+  }
+
+  const fit = pruneMarkdown(result.markdown, options.maxTokens, tokenizer);
+  const fitTokens = countTokens(fit, tokenizer);
+
+  if (options.mode === 'fit') {
+    result = { ...result, markdown: fit, tokens: fitTokens };
+  }
+
+  return { ...result, fit_markdown: fit, fit_tokens: fitTokens, tokenizer };
+}
+
+/** Pick the htmlToMarkdown options (selectors, candidates mode, keeping HTML for format=html) out of convert() options */
+function extractionOptions(options) {
+  return {
+    includeSelector: options.includeSelector, excludeSelector: options.excludeSelector,
+    candidates: options.candidates, keepHtml: options.format === 'html',
+  };
+}
+
+/**
+ * Convert caller-supplied HTML without fetching: multi-pass extraction → turndown → post-processing.
+ * baseUrl is optional and only used to resolve relative links.
+ */
+export async function convertHTML(html, baseUrl = '', options = {}) {
+  const t0 = performance.now();
+  if (html.length > MAX_RESPONSE_SIZE) {
+    throw new Error(`Page too large: ${(html.length / 1024 / 1024).toFixed(1)}MB`);
+  }
+
+  const trace = options.debug ? { tier: 'html', html_length: html.length } : undefined;
+  const result = postProcess(await htmlToMarkdown(html, baseUrl || undefined, { ...extractionOptions(options), trace }), options);
+  const totalMs = Math.round(performance.now() - t0);
+
+  return {
+    ...result, url: baseUrl || null, tier: 'html', totalMs,
+    ...(trace && { debug: { rule: getDomainRules().match(baseUrl)?.match ?? null, extraction: [trace] } }),
+  };
+}
+
+/**
+ * Convert an uploaded document buffer. Format is detected from MIME type,
+ * then file name extension, then magic bytes.
+ */
+export async function convertFile(buffer, { filename = '', mimeType = '' } = {}, options = {}) {
+  const t0 = performance.now();
+  if (!buffer?.length) throw new Error('Document is empty');
+  if (buffer.length > MAX_RESPONSE_SIZE) {
+    throw new Error(`Document too large: ${(buffer.length / 1024 / 1024).toFixed(1)}MB`);
+  }
+
+  const mime = mimeType.split(';')[0].trim().toLowerCase();
+  const format = DOCUMENT_FORMATS[mime] || detectFormatByFilename(filename) || detectFormatByMagic(buffer);
+  if (!format) throw new Error(`Unsupported content type: ${mime || 'unknown'}`);
+
+  let result;
+  try {
+    result = await convertDocument(buffer, format, { pages: options.pages });
+  } catch (e) {
+    throw new Error(`Document conversion failed: ${e.message}`);
+  }
+
+  result = postProcess(result, options);
+  const tier = documentTier(format, result);
+  const totalMs = Math.round(performance.now() - t0);
+  getLog().info({ format, tokens: result.tokens, ms: totalMs, grade: result.quality.grade, score: result.quality.score }, 'uploaded document converted');
+
+  return { ...result, url: null, tier, totalMs };
+}
+
+/**
+ * Link discovery: list a page's links without converting it.
+ * Uses the fetch tier, then the browser tier when fetch fails or the static HTML
+ * has no links (client-rendered navigation). Non-HTML responses are rejected.
+ * @param {string} url
+ * @param {object|null} browserPool
+ * @param {{prefix?: string, excludeRegions?: string[]}} [options] - Passed to extractPageLinks
+ */
+export async function mapUrl(url, browserPool = null, options = {}) {
+  const t0 = performance.now();
+  let tier = 'fetch';
+  let page = null;
+  let fetchError = '';
+
+  try {
+    const fetched = await fetchHTML(url);
+    if (fetched.html == null) {
+      throw new Error('Unsupported content type: link discovery needs an HTML page');
+    }
+    page = extractPageLinks(fetched.html, url, options);
+  } catch (e) {
+    if (/^(Unsupported content type|Blocked URL)/.test(e.message)) throw e;
+    fetchError = e.cause?.message || e.cause?.code || e.message;
+    getLog().error({ url, err: fetchError }, 'map fetch error');
+  }
+
+  const httpClientError = /^HTTP_4\d\d$/.test(fetchError);
+  if (browserPool && !httpClientError && !page?.links.length) {
+    try {
+      const html = await fetchWithBrowser(browserPool, url);
+      page = extractPageLinks(html, url, options);
+      tier = 'browser';
+    } catch (e) {
+      getLog().error({ url, err: e.message }, 'map browser failed');
+      if (!page) throw new Error(`All fetch methods failed. Fetch: ${fetchError}. Browser: ${e.message}`);
+    }
+  }
+
+  if (!page) throw new Error(`Fetch failed: ${fetchError}`);
+
+  const internal = page.links.filter((l) => l.type === 'internal').length;
+  const totalMs = Math.round(performance.now() - t0);
+  getLog().info({ links: page.links.length, tier, ms: totalMs }, 'links mapped');
+
+  return {
+    title: page.title, url, tier, links: page.links,
+    total: page.links.length, internal, external: page.links.length - internal, totalMs,
+  };
+}
+
 /**
  * Full conversion pipeline: fetch → multi-pass extraction → turndown → tokens → quality
  * With Patchright browser fallback for SPA sites
+ *
+ * options.onEvent(event, data), if given, receives progress as it happens:
+ * `tier` ({tier, status: start|done|empty|failed, ms?, error?}) and
+ * `escalation` ({message}) — the same steps recorded in the escalation array.
+ *
+ * options.actions, options.waitFor and options.waitUntil ask for a specific rendered
+ * state, so they go straight to the browser tier; options.timeoutMs bounds its navigation.
+ * options.pages ("1-5,10") limits PDF documents to those pages; other content ignores it.
  */
 export async function convert(url, browserPool = null, options = {}) {
   const t0 = performance.now();
@@ -666,86 +968,113 @@ export async function convert(url, browserPool = null, options = {}) {
     getLog().error({ err: ytErr.message }, 'tryYouTube threw unexpectedly');
   }
   if (ytResult) {
-    let { markdown } = ytResult;
-    if (options.links === 'citations') markdown = convertToCitations(markdown);
-    const fit = pruneMarkdown(markdown, options.maxTokens);
+    const result = postProcess(ytResult, options);
     const totalMs = Math.round(performance.now() - t0);
-    return {
-      ...ytResult,
-      markdown: options.mode === 'fit' ? fit : markdown,
-      fit_markdown: fit,
-      fit_tokens: countTokens(fit),
-      url,
-      tier: 'youtube',
-      totalMs,
-    };
+    return { ...result, url, tier: 'youtube', totalMs };
   }
 
+  // Scripted actions and render waits only make sense in the browser: skip plain fetch and go straight there
+  const actions = options.actions?.length ? options.actions : null;
+  const browserOnly = !!(actions || options.waitFor || options.waitUntil);
+  if (browserOnly && !browserPool) {
+    throw new Error('Browser tier unavailable: actions and render waits require the browser');
+  }
+  // Domain rule: its waits fill in what the request left unset; force_browser skips fetch when possible
+  const rule = getDomainRules().match(url);
+  const renderOpts = {
+    waitFor: options.waitFor ?? rule?.waitFor,
+    waitUntil: options.waitUntil ?? rule?.waitUntil,
+    timeoutMs: options.timeoutMs ?? rule?.timeoutMs,
+  };
+  const ruleForcesBrowser = !!(rule?.forceBrowser && browserPool);
+  const skipFetch = options.skipFetch || browserOnly || ruleForcesBrowser;
+
   // Tier 1: plain fetch (skippable for browser-only retry)
   let html;
-  let fetchFailed = options.skipFetch || false;
-  let fetchError = options.skipFetch ? 'skipped' : '';
+  let fetchFailed = skipFetch;
+  let fetchError = skipFetch ? 'skipped' : '';
   let httpErrorStatus = 0;
   let result;
   const escalation = [];
 
-  if (!options.skipFetch) try {
-    const fetched = await fetchHTML(url);
+  // debug=true: per-pass extraction traces for every tier that parsed HTML, plus the escalation decisions
+  const debug = options.debug ? { rule: rule?.match ?? null, extraction: [], decisions: {} } : null;
+  const traceFor = (tierName, source) => {
+    if (!debug) return undefined;
+    const trace = { tier: tierName, html_length: source.length };
+    debug.extraction.push(trace);
+    return trace;
+  };
+
+  // Progress events for streaming clients (SSE): tier start/finish plus each escalation step
+  const emit = (event, data) => {
+    try { options.onEvent?.(event, data); } catch { /* listener errors never break conversion */ }
+  };
+  const escalate = (message) => {
+    escalation.push(message);
+    emit('escalation', { message });
+  };
+  /** Run one tier, emitting `tier` start and done/failed events around it */
+  const runTier = async (name, fn) => {
+    const s0 = performance.now();
+    emit('tier', { tier: name, status: 'start' });
+    try {
+      const value = await fn();
+      emit('tier', { tier: name, status: value ? 'done' : 'empty', ms: Math.round(performance.now() - s0) });
+      return value;
+    } catch (e) {
+      emit('tier', { tier: name, status: 'failed', error: e.message, ms: Math.round(performance.now() - s0) });
+      throw e;
+    }
+  };
+
+  if (!skipFetch) try {
+    const fetched = await runTier('fetch', () => fetchHTML(url));
 
     // RSS/Atom feed path — parse and return early
     if (fetched.feed) {
       const feedData = await parseFeed(fetched.feed, url);
-      let markdown = feedData.markdown;
-      if (options.links === 'citations') markdown = convertToCitations(markdown);
-      const fit = pruneMarkdown(markdown, options.maxTokens);
-      const tokens = countTokens(options.mode === 'fit' ? fit : markdown);
+      result = postProcess({
+        title: feedData.title, markdown: feedData.markdown, tokens: countTokens(feedData.markdown),
+        method: 'rss-parser', readability: false, quality: { score: 0.9, grade: 'A' },
+      }, options);
       const totalMs = Math.round(performance.now() - t0);
-      getLog().info({ items: feedData.itemCount, tokens, ms: totalMs }, 'feed converted');
-      return {
-        title: feedData.title,
-        markdown: options.mode === 'fit' ? fit : markdown,
-        fit_markdown: fit,
-        fit_tokens: countTokens(fit),
-        tokens,
-        url,
-        tier: 'feed',
-        method: 'rss-parser',
-        readability: false,
-        quality: { score: 0.9, grade: 'A' },
-        totalMs,
-      };
+      getLog().info({ items: feedData.itemCount, tokens: result.tokens, ms: totalMs }, 'feed converted');
+      return { ...result, url, tier: 'feed', totalMs };
+    }
+
+    // Sitemap path — URL listing with lastmod/priority
+    if (fetched.sitemap) {
+      const sitemap = parseSitemap(fetched.sitemap);
+      const { markdown, title } = sitemapToMarkdown(sitemap, url);
+      result = postProcess({
+        title, markdown, tokens: countTokens(markdown), sitemap,
+        method: 'sitemap', readability: false, quality: { score: 0.9, grade: 'A' },
+      }, options);
+      const totalMs = Math.round(performance.now() - t0);
+      getLog().info({ type: sitemap.type, entries: sitemap.entries.length, tokens: result.tokens, ms: totalMs }, 'sitemap converted');
+      return { ...result, url, tier: 'sitemap', totalMs };
     }
 
     // Raw text path (JSON, plain text, CSV, XML) — wrap in code block
     if (fetched.raw != null) {
       const lang = fetched.lang || '';
-      let markdown = `\`\`\`${lang}\n${fetched.raw}\n\`\`\``;
-      if (options.links === 'citations') markdown = convertToCitations(markdown);
-      const fit = pruneMarkdown(markdown, options.maxTokens);
-      const tokens = countTokens(options.mode === 'fit' ? fit : markdown);
-      const totalMs = Math.round(performance.now() - t0);
+      const markdown = `\`\`\`${lang}\n${fetched.raw}\n\`\`\``;
       const pathName = new URL(url).pathname.split('/').pop() || '';
-      getLog().info({ lang, tokens, ms: totalMs }, 'raw text converted');
-      return {
-        title: pathName,
-        markdown: options.mode === 'fit' ? fit : markdown,
-        fit_markdown: fit,
-        fit_tokens: countTokens(fit),
-        tokens,
-        url,
-        tier: 'fetch',
-        method: 'raw-text',
-        readability: false,
-        quality: { score: 0.9, grade: 'A' },
-        totalMs,
-      };
-    }
-
-    // Document format path (PDF, DOCX, XLSX, CSV) — convert and return early
+      result = postProcess({
+        title: pathName, markdown, tokens: countTokens(markdown),
+        method: 'raw-text', readability: false, quality: { score: 0.9, grade: 'A' },
+      }, options);
+      const totalMs = Math.round(performance.now() - t0);
+      getLog().info({ lang, tokens: result.tokens, ms: totalMs }, 'raw text converted');
+      return { ...result, url, tier: 'fetch', totalMs };
+    }
+
+    // Document format path (PDF, Office, OpenDocument, RTF, EPUB, CSV, images) — convert and return early
     if (fetched.buffer) {
       try {
-        result = await convertDocument(fetched.buffer, fetched.format);
-        tier = `document:${fetched.format}`;
+        result = postProcess(await convertDocument(fetched.buffer, fetched.format, { pages: options.pages }), options);
+        tier = documentTier(fetched.format, result);
         const totalMs = Math.round(performance.now() - t0);
         getLog().info({ format: fetched.format, tokens: result.tokens, ms: totalMs, grade: result.quality.grade, score: result.quality.score }, 'document converted');
         return { ...result, url, tier, totalMs };
@@ -763,10 +1092,19 @@ export async function convert(url, browserPool = null, options = {}) {
     getLog().error({ url, err: fetchError }, 'fetch error');
   }
 
+  if (debug) {
+    debug.decisions.fetch = skipFetch
+      ? { ran: false, reason: options.skipFetch ? 'browser retry' : browserOnly ? 'actions or render waits' : 'domain rule forces browser' }
+      : { ran: true, ok: !fetchFailed, ...(fetchFailed && { error: fetchError }) };
+  }
+
+  const extractOpts = extractionOptions(options);
+  let includeMissed = false;
   if (!fetchFailed) {
     try {
-      result = await htmlToMarkdown(html, url);
+      result = await htmlToMarkdown(html, url, { ...extractOpts, trace: traceFor('fetch', html) });
     } catch (e) {
+      includeMissed = e.message.includes('include_selector');
       getLog().error({ url, err: e.message }, 'htmlToMarkdown failed');
     }
   }
@@ -774,20 +1112,36 @@ export async function convert(url, browserPool = null, options = {}) {
   // Tier 2: Patchright browser fallback if fetch failed or extraction quality is low
   const goodExtraction = result?.readability || ['readability-cleaned', 'article-extractor', 'defuddle'].includes(result?.method);
   const challengeTitle = result?.title && ERROR_PATTERNS.some((p) => result.title.toLowerCase().includes(p));
-  let cfPoisoned = challengeTitle && !options.skipFetch && !options.forceBrowser;
+  let cfPoisoned = challengeTitle && !skipFetch && !options.forceBrowser;
   const httpClientError = httpErrorStatus >= 400 && httpErrorStatus < 500;
   const needsBrowser = !cfPoisoned && !httpClientError && (fetchFailed || challengeTitle || options.forceBrowser ||
     (!goodExtraction && (result?.quality?.score ?? 0) < 0.6));
+  if (debug) {
+    debug.decisions.browser = {
+      needed: needsBrowser, available: !!browserPool,
+      ...(!needsBrowser && {
+        reason: cfPoisoned ? 'challenge page on plain fetch (left to BaaS)'
+          : httpClientError ? `upstream HTTP ${httpErrorStatus}`
+          : `quality ${(result?.quality?.score ?? 0).toFixed(2)} via ${result?.method || 'unknown'} is good enough`,
+      }),
+    };
+  }
   if (browserPool && needsBrowser) {
-    if (fetchFailed) escalation.push(`fetch failed (${fetchError})`);
-    else if (challengeTitle) escalation.push(`challenge page detected: "${result.title}"`);
-    else if (options.forceBrowser) escalation.push('forced browser retry');
-    else escalation.push(`low quality ${result?.quality?.score?.toFixed(2)} via ${result?.method || 'unknown'}`);
+    if (actions) escalate(`running ${actions.length} browser action(s)`);
+    else if (options.waitFor) escalate(`waiting for selector ${options.waitFor}`);
+    else if (options.waitUntil) escalate(`rendering until ${options.waitUntil}`);
+    else if (ruleForcesBrowser) escalate(`domain rule ${rule.match} forces browser`);
+    else if (fetchFailed) escalate(`fetch failed (${fetchError})`);
+    else if (includeMissed) escalate('include_selector matched nothing in fetched HTML');
+    else if (challengeTitle) escalate(`challenge page detected: "${result.title}"`);
+    else if (options.forceBrowser) escalate('forced browser retry');
+    else escalate(`low quality ${result?.quality?.score?.toFixed(2)} via ${result?.method || 'unknown'}`);
+    if (debug) debug.decisions.browser.reason = escalation.at(-1);
 
     try {
       tier = 'browser';
-      html = await fetchWithBrowser(browserPool, url);
-      const browserResult = await htmlToMarkdown(html, url);
+      html = await runTier('browser', () => fetchWithBrowser(browserPool, url, { actions, ...renderOpts }));
+      const browserResult = await htmlToMarkdown(html, url, { ...extractOpts, trace: traceFor('browser', html) });
       if (!result || browserResult.quality.score > result.quality.score) {
         result = browserResult;
       } else if (options.forceBrowser) {
@@ -805,13 +1159,14 @@ export async function convert(url, browserPool = null, options = {}) {
               tokens: countTokens(rawMd),
               method: 'browser-raw',
               quality: scoreMarkdown(rawMd),
+              ...(options.format === 'html' && { contentHtml: main.innerHTML }),
             };
           }
         }
       }
     } catch (e) {
       getLog().error({ url, err: e.message }, 'browser failed');
-      escalation.push(`browser failed: ${e.message}`);
+      escalate(`browser failed: ${e.message}`);
       if (!result) {
         throw new Error(
           `All conversion methods failed. Fetch: ${fetchError || 'parse error'}. Browser: ${e.message}`,
@@ -826,115 +1181,107 @@ export async function convert(url, browserPool = null, options = {}) {
   }
 
   if (!result) {
-    throw new Error('Conversion produced no result');
+    throw new Error(includeMissed ? 'include_selector matched no elements' : 'Conversion produced no result');
   }
 
   // ── Tier 2.5 + 3: LLM and BaaS extraction ────────────────────
   // When both are needed, race them in parallel (saves 30-45s vs sequential)
   const currentScore = result?.quality?.score ?? 0;
-  const needsLLM = html && currentScore < 0.6;
+  // The LLM sees raw HTML and cannot honour include_selector; exclusions are applied before it
+  const needsLLM = html && currentScore < 0.6 && !options.includeSelector;
+  const llmHtml = needsLLM && options.excludeSelector ? removeSelector(html, options.excludeSelector) : html;
   const needsBaaS = hasBaaSProviders() &&
-    (cfPoisoned || currentScore < 0.4) && !options.skipBaaS;
+    (cfPoisoned || currentScore < 0.4) && !options.skipBaaS && !browserOnly;
+  if (debug) {
+    debug.decisions.llm = { needed: !!needsLLM, score: currentScore, configured: !!NANOGPT_API_KEY };
+    debug.decisions.baas = { needed: needsBaaS, configured: hasBaaSProviders(), cf_challenge: !!cfPoisoned };
+  }
 
   if (needsLLM || needsBaaS) {
     const candidates = [];
 
     if (needsLLM && needsBaaS) {
-      escalation.push(`quality ${currentScore.toFixed(2)} → racing LLM + BaaS`);
+      escalate(`quality ${currentScore.toFixed(2)} → racing LLM + BaaS`);
 
       const [llmSettled, baasSettled] = await Promise.allSettled([
-        tryLLMExtraction(html, url),
-        (async () => {
+        runTier('llm', () => tryLLMExtraction(llmHtml, url)),
+        runTier('baas', async () => {
           const baasResult = await fetchWithBaaS(url);
           if (!baasResult) return null;
-          const md = await htmlToMarkdown(baasResult.html, url);
+          const md = await htmlToMarkdown(baasResult.html, url, { ...extractOpts, trace: traceFor(`baas:${baasResult.provider}`, baasResult.html) });
           return { ...md, _provider: baasResult.provider };
-        })(),
+        }),
       ]);
 
       if (llmSettled.status === 'fulfilled' && llmSettled.value) {
         candidates.push({ result: llmSettled.value, tier: 'llm' });
       } else if (llmSettled.status === 'rejected') {
-        escalation.push(`LLM failed: ${llmSettled.reason?.message}`);
+        escalate(`LLM failed: ${llmSettled.reason?.message}`);
         getLog().error({ err: llmSettled.reason?.message }, 'LLM extraction failed');
       } else {
-        escalation.push('LLM extraction returned null');
+        escalate('LLM extraction returned null');
       }
 
       if (baasSettled.status === 'fulfilled' && baasSettled.value) {
         const { _provider, ...md } = baasSettled.value;
         candidates.push({ result: md, tier: `baas:${_provider}` });
       } else if (baasSettled.status === 'rejected') {
-        escalation.push(`BaaS failed: ${baasSettled.reason?.message}`);
+        escalate(`BaaS failed: ${baasSettled.reason?.message}`);
         getLog().error({ err: baasSettled.reason?.message }, 'BaaS failed');
       } else {
-        escalation.push('BaaS returned no result');
+        escalate('BaaS returned no result');
       }
 
     } else if (needsLLM) {
-      escalation.push(`low quality ${currentScore.toFixed(2)} via ${result?.method || 'unknown'} → trying LLM`);
+      escalate(`low quality ${currentScore.toFixed(2)} via ${result?.method || 'unknown'} → trying LLM`);
       try {
-        const llmResult = await tryLLMExtraction(html, url);
+        const llmResult = await runTier('llm', () => tryLLMExtraction(llmHtml, url));
         if (llmResult) candidates.push({ result: llmResult, tier: 'llm' });
-        else escalation.push('LLM extraction returned null');
+        else escalate('LLM extraction returned null');
       } catch (e) {
-        escalation.push(`LLM failed: ${e.message}`);
+        escalate(`LLM failed: ${e.message}`);
         getLog().error({ err: e.message }, 'LLM extraction failed');
       }
 
     } else if (needsBaaS) {
-      if (cfPoisoned) escalation.push('CF challenge → trying BaaS');
-      else escalation.push(`quality ${currentScore.toFixed(2)} → trying BaaS`);
+      if (cfPoisoned) escalate('CF challenge → trying BaaS');
+      else escalate(`quality ${currentScore.toFixed(2)} → trying BaaS`);
       try {
-        const baasResult = await fetchWithBaaS(url);
+        const baasResult = await runTier('baas', () => fetchWithBaaS(url));
         if (baasResult) {
-          const md = await htmlToMarkdown(baasResult.html, url);
+          const md = await htmlToMarkdown(baasResult.html, url, { ...extractOpts, trace: traceFor(`baas:${baasResult.provider}`, baasResult.html) });
           candidates.push({ result: md, tier: `baas:${baasResult.provider}` });
         }
       } catch (e) {
-        escalation.push(`BaaS failed: ${e.message}`);
+        escalate(`BaaS failed: ${e.message}`);
         getLog().error({ err: e.message }, 'BaaS failed');
       }
     }
 
     for (const c of candidates) {
       if (c.result.quality.score > (result?.quality?.score ?? 0)) {
-        result = c.result;
+        // The LLM returns markdown only: keep the page metadata from the HTML extraction
+        result = { ...c.result, metadata: c.result.metadata ?? result?.metadata };
         tier = c.tier;
         if (tier.startsWith('baas:')) cfPoisoned = false;
       }
     }
 
     if (candidates.length > 0 && tier !== 'llm' && !tier.startsWith('baas:')) {
-      escalation.push('LLM/BaaS did not improve quality');
+      escalate('LLM/BaaS did not improve quality');
     }
   }
 
-  // Post-processing: citations and fit_markdown
-  let { markdown } = result;
-  if (options.links === 'citations') {
-    markdown = convertToCitations(markdown);
-    result = { ...result, markdown };
-    result.tokens = countTokens(markdown);
-  }
-
-  const fit = pruneMarkdown(result.markdown, options.maxTokens);
-  const fitTokens = countTokens(fit);
-
-  if (options.mode === 'fit') {
-    result = { ...result, markdown: fit, tokens: fitTokens };
-  }
-
+  result = postProcess(result, options);
   const totalMs = Math.round(performance.now() - t0);
 
   return {
     ...result,
-    fit_markdown: fit,
-    fit_tokens: fitTokens,
     url,
     tier,
     totalMs,
     ...(cfPoisoned && { cfChallenge: true }),
     ...(escalation.length > 0 && { escalation }),
+    ...(debug && { debug }),
   };
 }
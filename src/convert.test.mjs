@@ -1,10 +1,14 @@
 /**
- * Unit tests for convert.mjs — fetchHTML with mocked globalThis.fetch.
+ * Unit tests for convert.mjs — fetchHTML with mocked globalThis.fetch, convertHTML on inline HTML.
  * DNS resolution uses real resolver (public hostnames) or is skipped (IP addresses).
  */
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { fetchHTML, isBlockedUrl } from './convert.mjs';
+import { gzipSync } from 'node:zlib';
+import {
+  fetchHTML, isBlockedUrl, convertHTML, mapUrl, convert, captureScreenshot, renderPdf,
+} from './convert.mjs';
+import { DomainRules, _resetDomainRules } from './rules.mjs';
 
 // ─── Helpers ──────────────────────────────────────────────────────
 function mockResponse(body, opts = {}) {
@@ -74,14 +78,23 @@ describe('fetchHTML', () => {
 
   it('throws for unsupported content type', async () => {
     globalThis.fetch = mock.fn(async () => mockResponse('binary', {
-      headers: { 'content-type': 'image/png' },
+      headers: { 'content-type': 'application/zip' },
     }));
     await assert.rejects(
-      () => fetchHTML('https://example.com/image.png'),
+      () => fetchHTML('https://example.com/archive.zip'),
       { message: /Unsupported content type/ },
     );
   });
 
+  it('returns images as document buffers for OCR', async () => {
+    globalThis.fetch = mock.fn(async () => mockResponse('binary', {
+      headers: { 'content-type': 'image/png' },
+    }));
+    const result = await fetchHTML('https://example.com/scan.png');
+    assert.equal(result.format, 'image');
+    assert.equal(result.buffer.toString(), 'binary');
+  });
+
   it('detects RSS feed by content-type', async () => {
     const feedXml = '<?xml version="1.0"?><rss><channel><title>Test</title></channel></rss>';
     globalThis.fetch = mock.fn(async () => mockResponse(feedXml, {
@@ -92,6 +105,37 @@ describe('fetchHTML', () => {
     assert.ok(result.feed.includes('<rss'));
   });
 
+  it('detects a sitemap served as XML', async () => {
+    const xml = '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/a</loc></url></urlset>';
+    globalThis.fetch = mock.fn(async () => mockResponse(xml, {
+      headers: { 'content-type': 'application/xml' },
+    }));
+    const result = await fetchHTML('https://example.com/sitemap.xml');
+    assert.ok(result.sitemap.includes('<urlset'));
+  });
+
+  it('decompresses gzipped sitemaps', async () => {
+    const gz = gzipSync('<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>');
+    globalThis.fetch = mock.fn(async () => ({
+      ...mockResponse('', { headers: { 'content-type': 'application/x-gzip' } }),
+      arrayBuffer: async () => gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length),
+    }));
+    const result = await fetchHTML('https://example.com/sitemap.xml.gz');
+    assert.ok(result.sitemap.includes('<sitemapindex'));
+  });
+
+  it('rejects gzip payloads that are not sitemaps', async () => {
+    const gz = gzipSync('not a sitemap');
+    globalThis.fetch = mock.fn(async () => ({
+      ...mockResponse('', { headers: { 'content-type': 'application/gzip' } }),
+      arrayBuffer: async () => gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length),
+    }));
+    await assert.rejects(
+      () => fetchHTML('https://example.com/archive.gz'),
+      { message: /Unsupported content type/ },
+    );
+  });
+
   it('follows redirects and returns final content', async () => {
     let callCount = 0;
     globalThis.fetch = mock.fn(async () => {
@@ -164,3 +208,369 @@ describe('isBlockedUrl (integration)', () => {
     assert.equal(isBlockedUrl('https://example.com'), false);
   });
 });
+
+describe('convertHTML', () => {
+  const ARTICLE = `<html><head><title>Supplied Page</title></head><body>
+    <nav><a href="/home">Home</a></nav>
+    <article>
+      <h1>Supplied Page</h1>
+      <p>${'This paragraph was supplied by the caller rather than fetched from the network. '.repeat(6)}</p>
+      <p>See <a href="/docs/intro">the introduction</a> for more details about the topic.</p>
+    </article>
+  </body></html>`;
+
+  it('converts supplied HTML without fetching', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mock.fn(async () => { throw new Error('should not fetch'); });
+    try {
+      const result = await convertHTML(ARTICLE, 'https://example.com/post');
+      assert.equal(globalThis.fetch.mock.callCount(), 0);
+      assert.equal(result.tier, 'html');
+      assert.equal(result.url, 'https://example.com/post');
+      assert.ok(result.markdown.includes('supplied by the caller'));
+      assert.ok(result.tokens > 0);
+      assert.ok(result.quality.grade);
+      assert.ok(result.fit_markdown);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('resolves relative links against the base URL', async () => {
+    const result = await convertHTML(ARTICLE, 'https://example.com/post');
+    assert.ok(result.markdown.includes('(https://example.com/docs/intro)'));
+  });
+
+  it('applies citations option', async () => {
+    const result = await convertHTML(ARTICLE, 'https://example.com/post', { links: 'citations' });
+    assert.ok(result.markdown.includes('References:'));
+  });
+
+  it('counts tokens and budgets max_tokens with the requested tokenizer', async () => {
+    const byDefault = await convertHTML(ARTICLE, 'https://example.com/post');
+    const byChars = await convertHTML(ARTICLE, 'https://example.com/post', { tokenizer: 'chars' });
+    assert.equal(byDefault.tokenizer, 'o200k_base');
+    assert.equal(byChars.tokenizer, 'chars');
+    assert.equal(byChars.tokens, Math.ceil(byChars.markdown.length / 4));
+    assert.equal(byChars.fit_tokens, Math.ceil(byChars.fit_markdown.length / 4));
+  });
+
+  it('works without a base URL', async () => {
+    const result = await convertHTML(ARTICLE);
+    assert.equal(result.url, null);
+    assert.ok(result.markdown.includes('supplied by the caller'));
+  });
+
+  it('converts exactly the elements matching include_selector', async () => {
+    const html = `<html><head><title>Docs</title></head><body>
+      <article><p>${'Long article body that the heuristics would normally pick. '.repeat(6)}</p></article>
+      <div class="faq"><h2>Question one</h2><div class="faq"><p>Nested answer</p></div></div>
+      <div class="faq"><h2>Question two</h2></div>
+    </body></html>`;
+    const result = await convertHTML(html, '', { includeSelector: '.faq' });
+    assert.equal(result.method, 'css-include');
+    assert.ok(result.markdown.includes('Question one'));
+    assert.ok(result.markdown.includes('Question two'));
+    assert.equal(result.markdown.match(/Nested answer/g).length, 1);
+    assert.ok(!result.markdown.includes('Long article body'));
+  });
+
+  it('removes exclude_selector matches before extraction', async () => {
+    const html = ARTICLE.replace('<p>See', '<p class="promo">Subscribe to our newsletter today</p><p>See');
+    const result = await convertHTML(html, '', { excludeSelector: '.promo, a[href="/docs/intro"]' });
+    assert.ok(!result.markdown.includes('Subscribe'));
+    assert.ok(!result.markdown.includes('the introduction'));
+    assert.ok(result.markdown.includes('supplied by the caller'));
+  });
+
+  it('returns per-pass diagnostics with debug', async () => {
+    const result = await convertHTML(ARTICLE, 'https://example.com/post', { debug: true });
+    const [trace] = result.debug.extraction;
+    assert.equal(trace.tier, 'html');
+    assert.equal(trace.html_length, ARTICLE.length);
+    assert.ok(trace.raw_text_length > 0);
+    assert.equal(trace.passes.length, 9);
+    const accepted = trace.passes.find((p) => p.status === 'accepted');
+    assert.equal(accepted.pass, result.method);
+    assert.ok(accepted.text_length > 0);
+    assert.ok(accepted.preview.length <= 120);
+    assert.equal(typeof accepted.ratio, 'number');
+    assert.ok(trace.passes.slice(trace.passes.indexOf(accepted) + 1).every((p) => p.status === 'not-run'));
+  });
+
+  it('scores every pass and keeps the best with candidates=all', async () => {
+    const result = await convertHTML(ARTICLE, 'https://example.com/post', { candidates: 'all' });
+    assert.ok(result.candidates.length > 1);
+    for (const c of result.candidates) {
+      assert.ok(c.method);
+      assert.ok(c.tokens > 0);
+      assert.ok(c.quality.grade);
+    }
+    const selected = result.candidates.filter((c) => c.selected);
+    assert.equal(selected.length, 1);
+    assert.equal(selected[0].method, result.method);
+    assert.equal(selected[0].quality.score, Math.max(...result.candidates.map((c) => c.quality.score)));
+  });
+
+  it('keeps include_selector as the only candidate', async () => {
+    const result = await convertHTML(ARTICLE, '', { candidates: 'all', includeSelector: 'article' });
+    assert.deepEqual(result.candidates.map((c) => [c.method, c.selected]), [['css-include', true]]);
+  });
+
+  it('omits candidates by default', async () => {
+    const result = await convertHTML(ARTICLE);
+    assert.equal(result.candidates, undefined);
+  });
+
+  it('returns page metadata from JSON-LD, meta tags and links', async () => {
+    const html = ARTICLE.replace('<html><head>', `<html lang="en_GB"><head>
+      <link rel="canonical" href="/post?ref=canonical">
+      <link rel="icon" href="/static/icon.png">
+      <meta property="article:published_time" content="2024-03-01T09:30:00+01:00">
+      <meta property="article:tag" content="javascript"><meta property="article:tag" content="node">
+      <meta name="keywords" content="html, markdown">
+      <meta name="author" content="Meta Author">
+      <script type="application/ld+json">{"@graph": [{"@type": "BlogPosting", "author": [{"@type": "Person", "name": "Ada"}, "Grace"], "dateModified": "2024-04-02"}]}</script>`);
+    const result = await convertHTML(html, 'https://example.com/post');
+    assert.deepEqual(result.metadata, {
+      language: 'en-GB',
+      canonical_url: 'https://example.com/post?ref=canonical',
+      published_time: '2024-03-01T08:30:00.000Z',
+      modified_time: '2024-04-02T00:00:00.000Z',
+      authors: ['Ada', 'Grace'],
+      keywords: ['html', 'markdown'],
+      tags: ['javascript', 'node'],
+      favicon: 'https://example.com/static/icon.png',
+    });
+  });
+
+  it('returns empty metadata fields when the page has none', async () => {
+    const { metadata } = await convertHTML(ARTICLE);
+    assert.equal(metadata.language, null);
+    assert.equal(metadata.published_time, null);
+    assert.equal(metadata.favicon, null);
+    assert.deepEqual(metadata.authors, []);
+  });
+
+  it('keeps the extracted HTML before Turndown with format=html', async () => {
+    const result = await convertHTML(ARTICLE, 'https://example.com/post', { format: 'html' });
+    assert.ok(result.contentHtml.includes('supplied by the caller'));
+    assert.ok(result.contentHtml.includes('<p>'));
+    assert.ok(!result.contentHtml.includes('<nav>'));
+    assert.equal((await convertHTML(ARTICLE)).contentHtml, undefined);
+  });
+
+  it('omits diagnostics without debug', async () => {
+    const result = await convertHTML(ARTICLE);
+    assert.equal(result.debug, undefined);
+  });
+
+  it('rejects include_selector that matches nothing', async () => {
+    await assert.rejects(() => convertHTML(ARTICLE, '', { includeSelector: '#missing' }), {
+      message: 'include_selector matched no elements',
+    });
+  });
+});
+
+// ─── mapUrl ───────────────────────────────────────────────────────────
+
+describe('mapUrl', () => {
+  let originalFetch;
+  beforeEach(() => { originalFetch = globalThis.fetch; });
+  afterEach(() => { globalThis.fetch = originalFetch; });
+
+  it('lists links from the fetched page with counts', async () => {
+    globalThis.fetch = mock.fn(async () => mockResponse(
+      '<html><body><nav><a href="/a">A</a></nav><p><a href="https://other.example/">O</a></p></body></html>',
+      { headers: { 'content-type': 'text/html' } },
+    ));
+    const result = await mapUrl('http://93.184.216.34/', null, { excludeRegions: [] });
+    assert.equal(result.tier, 'fetch');
+    assert.equal(result.total, 2);
+    assert.equal(result.internal, 1);
+    assert.equal(result.external, 1);
+    assert.equal(result.links[0].url, 'http://93.184.216.34/a');
+  });
+
+  it('rejects non-HTML responses', async () => {
+    globalThis.fetch = mock.fn(async () => mockResponse('{"a":1}', {
+      headers: { 'content-type': 'application/json' },
+    }));
+    await assert.rejects(() => mapUrl('http://93.184.216.34/data.json'), { message: /Unsupported content type/ });
+  });
+});
+
+// ─── convert progress events ──────────────────────────────────────────
+
+describe('convert onEvent', () => {
+  let originalFetch;
+  beforeEach(() => { originalFetch = globalThis.fetch; });
+  afterEach(() => { globalThis.fetch = originalFetch; });
+
+  it('reports tier start and failure as they happen', async () => {
+    globalThis.fetch = mock.fn(async () => mockResponse('', { status: 404, statusText: 'Not Found' }));
+    const events = [];
+    await assert.rejects(() => convert('http://93.184.216.34/missing', null, {
+      onEvent: (event, data) => events.push({ event, ...data }),
+    }));
+    assert.deepEqual(events.map((e) => [e.event, e.tier, e.status]), [
+      ['tier', 'fetch', 'start'],
+      ['tier', 'fetch', 'failed'],
+    ]);
+    assert.ok(events[1].error.includes('404'));
+  });
+
+  it('records escalation decisions with debug', async () => {
+    globalThis.fetch = mock.fn(async () => mockResponse(`<html><head><title>Post</title></head><body><article>
+      <p>${'A well-formed article body with plenty of readable text for extraction. '.repeat(8)}</p>
+      </article></body></html>`, { headers: { 'content-type': 'text/html' } }));
+    const result = await convert('http://93.184.216.34/post', null, { debug: true });
+    assert.deepEqual(result.debug.decisions.fetch, { ran: true, ok: true });
+    assert.equal(result.debug.decisions.browser.available, false);
+    assert.equal(typeof result.debug.decisions.browser.needed, 'boolean');
+    assert.equal(typeof result.debug.decisions.llm.needed, 'boolean');
+    assert.equal(result.debug.extraction[0].tier, 'fetch');
+    assert.ok(result.debug.extraction[0].passes.some((p) => p.status === 'accepted'));
+  });
+
+  it('ignores listener errors', async () => {
+    globalThis.fetch = mock.fn(async () => mockResponse('{"ok":true}', {
+      headers: { 'content-type': 'application/json' },
+    }));
+    const result = await convert('http://93.184.216.34/data.json', null, {
+      onEvent: () => { throw new Error('listener broke'); },
+    });
+    assert.equal(result.method, 'raw-text');
+  });
+});
+
+// ─── Browser capture ──────────────────────────────────────────────────
+
+/** Fake BrowserPool whose page records calls and returns canned bytes */
+function fakeBrowserPool() {
+  const calls = [];
+  const page = {
+    setViewportSize: async (v) => calls.push(['viewport', v]),
+    goto: async (url, opts) => calls.push(['goto', url, opts]),
+    waitForFunction: async () => {},
+    waitForSelector: async (selector, opts) => calls.push(['waitForSelector', selector, opts]),
+    content: async () => '<html><head><title>Rendered</title></head><body><article><h1>Rendered</h1>'
+      + '<p>Content that only appears once the client-side app has finished rendering the page.</p></article></body></html>',
+    screenshot: async (opts) => { calls.push(['screenshot', opts]); return Buffer.from('img'); },
+    pdf: async (opts) => { calls.push(['pdf', opts]); return Buffer.from('%PDF'); },
+    close: async () => {},
+    context: () => ({ close: async () => {} }),
+  };
+  const pool = {
+    released: 0,
+    newPage: async () => page,
+    release() { this.released++; },
+  };
+  return { pool, calls };
+}
+
+describe('captureScreenshot / renderPdf', () => {
+  it('sets the viewport and captures a JPEG with quality', async () => {
+    const { pool, calls } = fakeBrowserPool();
+    const shot = await captureScreenshot(pool, 'http://93.184.216.34/', {
+      format: 'jpeg', fullPage: true, width: 390, height: 844, quality: 60,
+    });
+    assert.equal(shot.contentType, 'image/jpeg');
+    assert.equal(shot.buffer.toString(), 'img');
+    assert.deepEqual(calls[0], ['viewport', { width: 390, height: 844 }]);
+    assert.deepEqual(calls.at(-1), ['screenshot', { type: 'jpeg', fullPage: true, quality: 60 }]);
+    assert.equal(pool.released, 1);
+  });
+
+  it('prints to PDF with paper size and orientation', async () => {
+    const { pool, calls } = fakeBrowserPool();
+    const pdf = await renderPdf(pool, 'http://93.184.216.34/', { paper: 'Letter', landscape: true });
+    assert.equal(pdf.contentType, 'application/pdf');
+    assert.deepEqual(calls.at(-1), ['pdf', { format: 'Letter', landscape: true, printBackground: true }]);
+  });
+
+  it('blocks private addresses before opening a page', async () => {
+    const { pool } = fakeBrowserPool();
+    await assert.rejects(() => captureScreenshot(pool, 'http://127.0.0.1/'), { message: /Blocked URL/ });
+    assert.equal(pool.released, 0);
+  });
+});
+
+describe('convert render waits', () => {
+  let originalFetch;
+  beforeEach(() => { originalFetch = globalThis.fetch; });
+  afterEach(() => { globalThis.fetch = originalFetch; });
+
+  it('skips plain fetch and waits for the selector in the browser', async () => {
+    globalThis.fetch = mock.fn(async () => { throw new Error('fetch should be skipped'); });
+    const { pool, calls } = fakeBrowserPool();
+    const result = await convert('http://93.184.216.34/app', pool, {
+      waitFor: '#app .loaded', waitUntil: 'load', timeoutMs: 20000,
+    });
+    assert.equal(result.tier, 'browser');
+    assert.equal(globalThis.fetch.mock.callCount(), 0);
+    assert.deepEqual(calls[0], ['goto', 'http://93.184.216.34/app', { waitUntil: 'load', timeout: 20000 }]);
+    assert.deepEqual(calls[1], ['waitForSelector', '#app .loaded', { state: 'visible', timeout: 20000 }]);
+    assert.ok(result.escalation.some((m) => m.includes('#app .loaded')));
+  });
+
+  it('requires a browser pool', async () => {
+    await assert.rejects(
+      () => convert('http://93.184.216.34/app', null, { waitUntil: 'networkidle' }),
+      { message: /Browser tier unavailable/ },
+    );
+  });
+});
+
+describe('domain rules', () => {
+  const PAGE = `<html><head><title>Widget Guide | Acme Docs</title></head><body>
+    <article><p>${'Generic article text that the heuristics would choose for this page. '.repeat(6)}</p></article>
+    <div class="doc-body"><h1 class="doc-title">Widget Guide</h1>
+      <p>${'The real documentation lives in this container on the Acme docs site. '.repeat(3)}</p>
+      <div class="feedback">Was this page helpful?</div>
+    </div>
+  </body></html>`;
+  afterEach(() => _resetDomainRules());
+
+  it('applies content, junk and title rules for the matching host', async () => {
+    _resetDomainRules(new DomainRules([{
+      match: '*.acme.test', content_selectors: ['.missing', '.doc-body'], junk_selectors: ['.feedback'],
+      title_strip: ' \\| Acme Docs$',
+    }]));
+    const result = await convertHTML(PAGE, 'https://docs.acme.test/widgets');
+    assert.equal(result.method, 'rule-selector');
+    assert.equal(result.title, 'Widget Guide');
+    assert.ok(result.markdown.includes('real documentation'));
+    assert.ok(!result.markdown.includes('Generic article text'));
+    assert.ok(!result.markdown.includes('Was this page helpful'));
+  });
+
+  it('takes the title from title_selector', async () => {
+    _resetDomainRules(new DomainRules([{ match: 'docs.acme.test', title_selector: 'h1.doc-title' }]));
+    const result = await convertHTML(PAGE.replace('>Widget Guide</h1>', '>Widgets</h1>'), 'https://docs.acme.test/');
+    assert.equal(result.title, 'Widgets');
+  });
+
+  it('leaves other hosts alone', async () => {
+    _resetDomainRules(new DomainRules([{ match: 'docs.acme.test', content_selectors: ['.doc-body'] }]));
+    const result = await convertHTML(PAGE, 'https://other.test/');
+    assert.notEqual(result.method, 'rule-selector');
+    assert.equal(result.title, 'Widget Guide | Acme Docs');
+  });
+
+  it('forces the browser tier and supplies its wait conditions', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mock.fn(async () => { throw new Error('fetch should be skipped'); });
+    _resetDomainRules(new DomainRules([{ match: '93.184.216.34', force_browser: true, wait_for: '.ready' }]));
+    try {
+      const { pool, calls } = fakeBrowserPool();
+      const result = await convert('http://93.184.216.34/app', pool);
+      assert.equal(result.tier, 'browser');
+      assert.equal(globalThis.fetch.mock.callCount(), 0);
+      assert.deepEqual(calls[1], ['waitForSelector', '.ready', { state: 'visible', timeout: 15000 }]);
+      assert.ok(result.escalation.some((m) => m.includes('domain rule 93.184.216.34')));
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Same-origin site crawler — breadth-first over links found in converted markdown.
+ * In sitemap mode the URL list comes from a sitemap (or sitemap index) instead.
+ *
+ * Each page goes through the injected convert function (the full fetch → browser
+ * → LLM → BaaS pipeline in production). Every discovered link is checked with
+ * isBlockedUrl + resolveAndValidate before it is converted.
+ */
+import { fetchHTML, isBlockedUrl, resolveAndValidate } from './convert.mjs';
+import { parseSitemap } from './sitemap.mjs';
+import { getLog } from './logger.mjs';
+import { DEFAULT_TOKENIZER } from './markdown.mjs';
+import { globToRegExp } from './glob.mjs';
+
+export const CRAWL_LIMITS = {
+  maxDepth: { default: 2, max: 5 },
+  maxPages: { default: 20, max: 100 },
+  concurrency: { default: 3, max: 5 },
+};
+
+const PER_PAGE_TIMEOUT = 60_000;
+const MAX_CHILD_SITEMAPS = 10;
+
+/** Clamp an optional integer option into [min, limit.max], falling back to limit.default */
+function clampLimit(value, limit, min = 1) {
+  if (value == null) return limit.default;
+  const n = parseInt(String(value), 10);
+  if (!Number.isFinite(n) || n < min) return limit.default;
+  return Math.min(n, limit.max);
+}
+
+// Links to these are never HTML pages worth following
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|ico|bmp|css|js|mjs|map|woff2?|ttf|eot|zip|gz|tgz|rar|7z|mp3|mp4|webm|mov|avi|dmg|exe|iso)$/i;
+
+/**
+ * Extract absolute http(s) links from markdown — inline `[text](url)` links
+ * and citation-style `[n]: url` references. Images are skipped.
+ */
+export function extractLinks(markdown, baseUrl) {
+  const links = [];
+  const inline = /(?<!!)\[[^\]]*\]\(([^)\s]{1,2048})(?:\s+"[^"]*")?\)/g;
+  const refs = /^\[\d+\]:\s+(\S{1,2048})$/gm;
+  for (const re of [inline, refs]) {
+    for (const m of markdown.matchAll(re)) {
+      try {
+        const u = new URL(m[1], baseUrl);
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') continue;
+        u.hash = '';
+        links.push(u.href);
+      } catch { /* not a URL */ }
+    }
+  }
+  return links;
+}
+
+/**
+ * Collect page URLs from a sitemap. A sitemap index is expanded one level
+ * (up to MAX_CHILD_SITEMAPS children); nested indexes are ignored per the protocol.
+ * @param {string} sitemapUrl
+ * @param {number} limit - Stop after this many URLs
+ * @returns {Promise<string[]>}
+ */
+export async function loadSitemapUrls(sitemapUrl, limit) {
+  const fetched = await fetchHTML(sitemapUrl);
+  if (!fetched.sitemap) throw new Error('Not a sitemap');
+  const root = parseSitemap(fetched.sitemap);
+  if (root.type === 'urlset') return root.entries.slice(0, limit).map((e) => e.url);
+
+  const urls = [];
+  for (const child of root.entries.slice(0, MAX_CHILD_SITEMAPS)) {
+    if (urls.length >= limit) break;
+    try {
+      const res = await fetchHTML(child.url);
+      if (!res.sitemap) continue;
+      const sitemap = parseSitemap(res.sitemap);
+      if (sitemap.type !== 'urlset') continue;
+      urls.push(...sitemap.entries.slice(0, limit - urls.length).map((e) => e.url));
+    } catch (err) {
+      getLog().warn({ sitemap: child.url, err: err.message }, 'child sitemap failed');
+    }
+  }
+  return urls;
+}
+
+/**
+ * Crawl a site section starting from seedUrl. Numeric limits are clamped to CRAWL_LIMITS.
+ * @param {string} seedUrl
+ * @param {object} opts
+ * @param {(url: string) => Promise<object>} opts.convert - Converts one URL (convert() result shape)
+ * @param {number} [opts.maxDepth] - Link hops from the seed (seed is depth 0; 0 = seed only)
+ * @param {number} [opts.maxPages] - Max pages converted
+ * @param {string[]} [opts.include] - Path globs a link must match (any)
+ * @param {string[]} [opts.exclude] - Path globs a link must not match
+ * @param {number} [opts.concurrency] - Parallel conversions
+ * @param {boolean} [opts.sitemap] - Treat seedUrl as a sitemap: convert its URLs (any host), follow no links
+ * @param {(progress: object) => Promise<void>|void} [opts.onProgress] - Called after each page, in order
+ * @returns {Promise<{pages: object[], total: number, total_tokens: number, discovered: number}>}
+ */
+export async function crawl(seedUrl, opts) {
+  const { convert, include = [], exclude = [], onProgress = null, sitemap = false } = opts;
+  const maxDepth = sitemap ? 0 : clampLimit(opts.maxDepth, CRAWL_LIMITS.maxDepth, 0);
+  const maxPages = clampLimit(opts.maxPages, CRAWL_LIMITS.maxPages);
+  const concurrency = clampLimit(opts.concurrency, CRAWL_LIMITS.concurrency);
+
+  const origin = new URL(seedUrl).origin;
+  const includeRes = include.map(globToRegExp);
+  const excludeRes = exclude.map(globToRegExp);
+
+  const seen = new Set();
+  const queue = [];
+  const pages = [];
+  let failed = 0;
+  let active = 0;
+
+  const accepts = (href) => {
+    const u = new URL(href);
+    if (!sitemap && u.origin !== origin) return false;
+    if (ASSET_EXTENSIONS.test(u.pathname)) return false;
+    if (isBlockedUrl(href)) return false;
+    if (includeRes.length && !includeRes.some((re) => re.test(u.pathname))) return false;
+    if (excludeRes.some((re) => re.test(u.pathname))) return false;
+    return true;
+  };
+
+  const enqueue = (href, depth) => {
+    if (seen.has(href) || seen.size >= maxPages) return;
+    seen.add(href);
+    queue.push({ url: href, depth });
+  };
+
+  // Progress writes are chained so they land in order and never after the final result
+  let reporting = Promise.resolve();
+  const report = () => {
+    if (!onProgress) return;
+    const progress = { completed: pages.length, failed, queued: queue.length, discovered: seen.size };
+    reporting = reporting.then(() => onProgress(progress)).catch(() => {});
+  };
+
+  if (sitemap) {
+    // Read past maxPages so include/exclude filtering still leaves enough pages
+    for (const link of await loadSitemapUrls(seedUrl, CRAWL_LIMITS.maxPages.max * 10)) {
+      try {
+        const u = new URL(link);
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') continue;
+        u.hash = '';
+        if (accepts(u.href)) enqueue(u.href, 0);
+      } catch { /* malformed link */ }
+    }
+  } else {
+    const seed = new URL(seedUrl);
+    seed.hash = '';
+    enqueue(seed.href, 0);
+  }
+
+  async function visit({ url, depth }) {
+    const t0 = performance.now();
+    let timer;
+    try {
+      await resolveAndValidate(new URL(url).hostname);
+      const result = await Promise.race([
+        convert(url),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Conversion timeout')), PER_PAGE_TIMEOUT);
+        }),
+      ]);
+      pages.push({
+        url, depth, title: result.title, content: result.markdown,
+        tokens: result.tokens, tokenizer: result.tokenizer || DEFAULT_TOKENIZER, tier: result.tier,
+        quality: result.quality || { score: 0, grade: 'F' }, time_ms: result.totalMs,
+        ...(result.metadata && { metadata: result.metadata }),
+      });
+
+      if (depth < maxDepth) {
+        for (const link of extractLinks(result.markdown || '', url)) {
+          try {
+            if (accepts(link)) enqueue(link, depth + 1);
+          } catch { /* malformed link */ }
+        }
+      }
+    } catch (err) {
+      failed++;
+      pages.push({ url, depth, error: err.message, time_ms: Math.round(performance.now() - t0) });
+    } finally {
+      clearTimeout(timer);
+    }
+    report();
+  }
+
+  // Workers pull from the shared queue; a worker that finds it empty waits
+  // while others are still active, since they may enqueue more links.
+  async function worker() {
+    for (;;) {
+      const next = queue.shift();
+      if (next) {
+        active++;
+        try { await visit(next); } finally { active--; }
+        continue;
+      }
+      if (active === 0) return;
+      await new Promise((r) => setTimeout(r, 50));
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  await reporting;
+
+  const totalTokens = pages.reduce((sum, p) => sum + (p.tokens || 0), 0);
+  getLog().info({ seed: seedUrl, pages: pages.length, failed, tokens: totalTokens }, 'crawl finished');
+
+  return { pages, total: pages.length, total_tokens: totalTokens, discovered: seen.size };
+}
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for crawler.mjs — convert is injected, so no network is used.
+ * Seed URLs use a public IP literal (skips DNS in resolveAndValidate).
+ */
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawl, extractLinks } from './crawler.mjs';
+import { globToRegExp } from './glob.mjs';
+
+const ORIGIN = 'http://93.184.216.34';
+
+/** Build a fake convert() over a map of path → markdown */
+function fakeSite(pages) {
+  const calls = [];
+  const convert = async (url) => {
+    calls.push(url);
+    const path = new URL(url).pathname;
+    if (!(path in pages)) throw new Error('Fetch failed: HTTP_404');
+    return { title: path, markdown: pages[path], tokens: 10, tier: 'fetch', quality: { score: 0.9, grade: 'A' }, totalMs: 1 };
+  };
+  return { convert, calls };
+}
+
+// ─── extractLinks ───────────────────────────────────────────────────────
+
+describe('extractLinks', () => {
+  it('extracts inline links, resolves relative ones and drops fragments', () => {
+    const links = extractLinks('[A](/a) and [B](https://x.com/b#frag) and [C](c "title")', `${ORIGIN}/docs/`);
+    assert.deepEqual(links, [`${ORIGIN}/a`, 'https://x.com/b', `${ORIGIN}/docs/c`]);
+  });
+
+  it('extracts citation references and skips images and non-http links', () => {
+    const md = '![img](/pic.png) [mail](mailto:a@b.c)\n\nReferences:\n[1]: https://x.com/ref';
+    assert.deepEqual(extractLinks(md, ORIGIN), ['https://x.com/ref']);
+  });
+});
+
+// ─── globToRegExp ───────────────────────────────────────────────────────
+
+describe('globToRegExp', () => {
+  it('treats patterns without wildcards as prefixes', () => {
+    assert.ok(globToRegExp('/docs').test('/docs/intro'));
+    assert.ok(!globToRegExp('/docs').test('/blog/docs'));
+  });
+
+  it('matches * within a segment and ** across segments', () => {
+    assert.ok(globToRegExp('/docs/*').test('/docs/intro'));
+    assert.ok(!globToRegExp('/docs/*').test('/docs/a/b'));
+    assert.ok(globToRegExp('/docs/**').test('/docs/a/b'));
+  });
+
+  it('matches * across hostname labels', () => {
+    assert.ok(globToRegExp('*.example.com').test('a.b.example.com'));
+    assert.ok(!globToRegExp('*.example.com').test('example.com'));
+    assert.ok(!globToRegExp('shop-*.example.org').test('shop-a.example.org.evil.com'));
+  });
+});
+
+// ─── crawl ──────────────────────────────────────────────────────────────
+
+describe('crawl', () => {
+  it('follows same-origin links breadth-first within depth', async () => {
+    const { convert, calls } = fakeSite({
+      '/': '[A](/a) [B](/b) [Ext](https://other.example/x)',
+      '/a': '[C](/c)',
+      '/b': '[A again](/a)',
+      '/c': '[D](/d)',
+      '/d': 'leaf',
+    });
+    const result = await crawl(`${ORIGIN}/`, { convert, maxDepth: 2 });
+    assert.deepEqual(calls.map((u) => new URL(u).pathname).sort(), ['/', '/a', '/b', '/c']);
+    assert.equal(result.total, 4);
+    assert.equal(result.total_tokens, 40);
+    assert.equal(result.pages.find((p) => p.url === `${ORIGIN}/c`).depth, 2);
+  });
+
+  it('stops at maxPages', async () => {
+    const { convert, calls } = fakeSite({ '/': '[1](/1) [2](/2) [3](/3) [4](/4)', '/1': '', '/2': '', '/3': '', '/4': '' });
+    const result = await crawl(`${ORIGIN}/`, { convert, maxPages: 3 });
+    assert.equal(calls.length, 3);
+    assert.equal(result.total, 3);
+  });
+
+  it('applies include and exclude path patterns', async () => {
+    const { convert, calls } = fakeSite({
+      '/docs/': '[Intro](/docs/intro) [Old](/docs/old/x) [Blog](/blog/post)',
+      '/docs/intro': '',
+    });
+    await crawl(`${ORIGIN}/docs/`, { convert, include: ['/docs'], exclude: ['/docs/old/**'] });
+    assert.deepEqual(calls.map((u) => new URL(u).pathname).sort(), ['/docs/', '/docs/intro']);
+  });
+
+  it('skips links to private addresses and assets', async () => {
+    const { convert, calls } = fakeSite({ '/': '[Private](http://127.0.0.1/admin) [Zip](/file.zip) [Ok](/ok)', '/ok': '' });
+    await crawl(`${ORIGIN}/`, { convert });
+    assert.deepEqual(calls.map((u) => new URL(u).pathname).sort(), ['/', '/ok']);
+  });
+
+  it('records failed pages and keeps going', async () => {
+    const { convert } = fakeSite({ '/': '[Missing](/missing) [Ok](/ok)', '/ok': '' });
+    const result = await crawl(`${ORIGIN}/`, { convert });
+    const missing = result.pages.find((p) => p.url.endsWith('/missing'));
+    assert.ok(missing.error.includes('404'));
+    assert.equal(result.total, 3);
+  });
+
+  it('reports progress in order, ending with the final counts', async () => {
+    const { convert } = fakeSite({ '/': '[A](/a) [B](/b)', '/a': '', '/b': '' });
+    const progress = [];
+    await crawl(`${ORIGIN}/`, { convert, concurrency: 2, onProgress: async (p) => { progress.push(p); } });
+    assert.equal(progress.length, 3);
+    assert.deepEqual(progress.map((p) => p.completed), [1, 2, 3]);
+    assert.equal(progress.at(-1).queued, 0);
+  });
+
+  it('crawls only the seed with maxDepth 0', async () => {
+    const { convert, calls } = fakeSite({ '/': '[A](/a)', '/a': '' });
+    await crawl(`${ORIGIN}/`, { convert, maxDepth: 0 });
+    assert.equal(calls.length, 1);
+  });
+});
+
+// ─── crawl (sitemap mode) ───────────────────────────────────────────────
+
+describe('crawl with sitemap', () => {
+  const originalFetch = globalThis.fetch;
+  afterEach(() => { globalThis.fetch = originalFetch; });
+
+  /** Serve XML documents by path from a mocked fetch */
+  function serveXml(docs) {
+    globalThis.fetch = mock.fn(async (url) => {
+      const body = docs[new URL(url).pathname];
+      const headers = new Map([['content-type', body ? 'application/xml' : 'text/html']]);
+      return {
+        status: body ? 200 : 404, statusText: body ? 'OK' : 'Not Found',
+        headers: { get: (k) => headers.get(k.toLowerCase()) || null },
+        text: async () => body || '',
+        body: { cancel: () => {} },
+      };
+    });
+  }
+
+  const urlset = (...paths) => `<urlset>${paths.map((p) => `<url><loc>${ORIGIN}${p}</loc></url>`).join('')}</urlset>`;
+
+  it('converts the listed URLs without following links', async () => {
+    serveXml({ '/sitemap.xml': urlset('/a', '/b') });
+    const { convert, calls } = fakeSite({ '/a': '[C](/c)', '/b': '' });
+    const result = await crawl(`${ORIGIN}/sitemap.xml`, { convert, sitemap: true, maxDepth: 3 });
+    assert.deepEqual(calls.map((u) => new URL(u).pathname).sort(), ['/a', '/b']);
+    assert.equal(result.total, 2);
+  });
+
+  it('expands a sitemap index and applies filters and maxPages', async () => {
+    serveXml({
+      '/index.xml': `<sitemapindex><sitemap><loc>${ORIGIN}/s1.xml</loc></sitemap><sitemap><loc>${ORIGIN}/s2.xml</loc></sitemap></sitemapindex>`,
+      '/s1.xml': urlset('/docs/1', '/blog/1'),
+      '/s2.xml': urlset('/docs/2', '/docs/3'),
+    });
+    const { convert, calls } = fakeSite({ '/docs/1': '', '/docs/2': '', '/docs/3': '' });
+    await crawl(`${ORIGIN}/index.xml`, { convert, sitemap: true, include: ['/docs'], maxPages: 2 });
+    assert.deepEqual(calls.map((u) => new URL(u).pathname).sort(), ['/docs/1', '/docs/2']);
+  });
+
+  it('fails when the URL is not a sitemap', async () => {
+    serveXml({});
+    await assert.rejects(
+      () => crawl(`${ORIGIN}/page`, { convert: async () => ({}), sitemap: true }),
+      { message: /HTTP 404/ },
+    );
+  });
+});
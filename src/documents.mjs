@@ -1,66 +1,209 @@
 /**
- * Document format conversion: PDF, DOCX, XLSX/XLS, CSV → Markdown.
+ * Document format conversion: PDF (layout analysis in pdf.mjs), DOCX, PPTX (pptx.mjs),
+ * ODT/ODP (opendocument.mjs), RTF (rtf.mjs), EPUB (epub.mjs), XLSX/XLS/ODS, CSV → Markdown.
+ * Scanned PDFs and images (PNG, JPEG, WebP) go through local OCR (ocr.mjs).
  */
 import { parseHTML } from 'linkedom';
-import { extractText as extractPdfText } from 'unpdf';
 import mammoth from 'mammoth';
 import * as XLSX from 'xlsx';
-import { turndown, normalizeSpacing, cleanMarkdown, countTokens, scoreMarkdown } from './markdown.mjs';
+import { turndown, normalizeSpacing, cleanMarkdown, countTokens, scoreMarkdown, qualityGrade } from './markdown.mjs';
+import { readPdf, pdfLayoutToMarkdown, parsePageRanges } from './pdf.mjs';
+import { ocrAvailable, ocrImage, ocrPdf } from './ocr.mjs';
+import { pptxToMarkdown } from './pptx.mjs';
+import { odtToMarkdown, odpToMarkdown } from './opendocument.mjs';
+import { rtfToMarkdown } from './rtf.mjs';
+import { epubToMarkdown } from './epub.mjs';
+import { checkPackageSize } from './xml.mjs';
 
 export const DOCUMENT_FORMATS = {
   'application/pdf': 'pdf',
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
   'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
   'application/vnd.ms-excel': 'xlsx',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf',
+  'application/epub+zip': 'epub',
   'text/csv': 'csv',
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/webp': 'image',
 };
 
 export function detectFormatByExtension(url) {
   try {
-    const pathname = new URL(url).pathname.toLowerCase();
-    if (pathname.endsWith('.pdf')) return 'pdf';
-    if (pathname.endsWith('.docx')) return 'docx';
-    if (pathname.endsWith('.xlsx') || pathname.endsWith('.xls')) return 'xlsx';
-    if (pathname.endsWith('.csv')) return 'csv';
+    return detectFormatByFilename(new URL(url).pathname);
   } catch { /* ignore */ }
   return null;
 }
 
+/** Detect document format from a file name or path extension */
+export function detectFormatByFilename(name) {
+  const lower = String(name || '').toLowerCase();
+  if (lower.endsWith('.pdf')) return 'pdf';
+  if (lower.endsWith('.docx')) return 'docx';
+  if (lower.endsWith('.pptx')) return 'pptx';
+  if (lower.endsWith('.xlsx') || lower.endsWith('.xls')) return 'xlsx';
+  if (lower.endsWith('.csv')) return 'csv';
+  if (/\.(odt|ods|odp|rtf|epub)$/.test(lower)) return lower.slice(lower.lastIndexOf('.') + 1);
+  if (/\.(png|jpe?g|webp)$/.test(lower)) return 'image';
+  return null;
+}
+
+const ZIP_SCAN_BYTES = 64 * 1024;
+/** Media types that OpenDocument and EPUB files store uncompressed as their first entry, "mimetype" */
+const PACKAGE_MIMETYPES = [
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'application/epub+zip',
+];
+
+/**
+ * Detect document format from leading magic bytes.
+ * OOXML files are ZIP containers — told apart by their entry names, which are stored
+ * uncompressed in local headers (start) and the central directory (end). OpenDocument
+ * and EPUB packages name their type in a leading "mimetype" entry.
+ */
+export function detectFormatByMagic(buffer) {
+  if (!buffer || buffer.length < 8) return null;
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+
+  // Images for OCR: PNG signature, JPEG SOI marker, WebP RIFF container
+  const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  if (PNG.every((b, i) => buffer[i] === b)) return 'image';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image';
+
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    const names = buffer.subarray(0, ZIP_SCAN_BYTES).toString('latin1')
+      + buffer.subarray(Math.max(0, buffer.length - ZIP_SCAN_BYTES)).toString('latin1');
+    if (names.includes('word/document.xml')) return 'docx';
+    if (names.includes('xl/workbook.xml')) return 'xlsx';
+    if (names.includes('ppt/presentation.xml')) return 'pptx';
+    const head = buffer.subarray(0, 128).toString('latin1');
+    const mimetype = PACKAGE_MIMETYPES.find((type) => head.includes(`mimetype${type}`));
+    if (mimetype) return DOCUMENT_FORMATS[mimetype];
+    if (names.includes('META-INF/container.xml')) return 'epub';
+    return null;
+  }
+
+  // OLE2 compound file — legacy .xls (SheetJS reads it; .doc is not supported and fails in parsing)
+  const OLE2 = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+  if (OLE2.every((b, i) => buffer[i] === b)) return 'xlsx';
+
+  return null;
+}
+
 const MAX_SHEET_ROWS = 1000;
 
-async function pdfToMarkdown(buffer) {
-  const pdfPromise = extractPdfText(new Uint8Array(buffer));
+/** Layout output shorter than this means the PDF has no usable text layer */
+const MIN_PDF_TEXT = 20;
+/** OCR'd text is less reliable than a text layer: its quality score is scaled down by this */
+const OCR_QUALITY_FACTOR = 0.75;
+
+/**
+ * Quality of OCR output: the markdown score, scaled by OCR_QUALITY_FACTOR and by the
+ * engine's mean confidence.
+ */
+function ocrQuality(markdown, confidence) {
+  const score = Math.round(scoreMarkdown(markdown).score * OCR_QUALITY_FACTOR * Math.min(confidence / 100, 1) * 100) / 100;
+  return { score, grade: qualityGrade(score) };
+}
+
+/**
+ * PDF → markdown. With a page selection only those pages are read, and the result
+ * carries per-page markdown and token counts (`pages`) next to the document's page count.
+ * PDFs without a text layer (scans) fall back to OCR when it is available.
+ * @param {Buffer} buffer
+ * @param {{pages?: string}} [options] - Page selection such as "1-5,10"
+ */
+async function pdfToMarkdown(buffer, options = {}) {
+  const ranges = options.pages ? parsePageRanges(options.pages) : null;
+  if (options.pages && !ranges) throw new Error(`Invalid page selection: ${options.pages}`);
+
   let timer;
   const timeout = new Promise((_, reject) => {
     timer = setTimeout(() => reject(new Error('PDF extraction timed out')), 30000);
   });
-  let text, totalPages;
+  let pages, info, totalPages;
   try {
-    ({ text, totalPages } = await Promise.race([pdfPromise, timeout]));
+    ({ pages, info, totalPages } = await Promise.race([readPdf(buffer, { pages: ranges }), timeout]));
   } finally {
     clearTimeout(timer);
   }
-  const joined = Array.isArray(text) ? text.join('\n') : (text ?? '');
-  const trimmed = joined.trim();
-  if (!trimmed || trimmed.length < 20) {
+
+  if (!pages.length) {
+    throw new Error(`Requested pages not in document (${totalPages} pages)`);
+  }
+
+  const layout = pdfLayoutToMarkdown(pages, info, { pageMarkers: totalPages > 1 });
+  if (layout.markdown.length >= MIN_PDF_TEXT) {
+    return pdfResult(buffer, layout, { info, ranges, totalPages, method: 'pdf', quality: scoreMarkdown(layout.markdown) });
+  }
+
+  if (!(await ocrAvailable())) {
     throw new Error('PDF contains no extractable text (possibly scanned/image-based)');
   }
+  const ocr = await ocrPdf(buffer, ranges);
+  const ocrLayout = pdfLayoutToMarkdown(ocr.pages, info, { pageMarkers: totalPages > 1 });
+  if (ocrLayout.markdown.length < MIN_PDF_TEXT) {
+    throw new Error('PDF contains no extractable text (no text layer, and OCR found none)');
+  }
+  if (ocr.skipped) {
+    ocrLayout.markdown += `\n\n*... OCR stopped after ${ocr.pages.length} pages, ${ocr.skipped} more not converted*`;
+  }
+  return pdfResult(buffer, ocrLayout, {
+    info, ranges, totalPages, method: 'ocr', quality: ocrQuality(ocrLayout.markdown, ocr.confidence),
+  });
+}
 
-  const markdown = `**Pages:** ${totalPages}\n\n---\n\n${trimmed}`;
-  const tokens = countTokens(markdown);
-  const quality = scoreMarkdown(markdown);
+/** Conversion result for a PDF laid out by pdfLayoutToMarkdown, from its text layer or OCR */
+function pdfResult(buffer, { markdown, title, pages }, { info, ranges, totalPages, method, quality }) {
+  return {
+    title: title || 'PDF Document',
+    markdown,
+    tokens: countTokens(markdown),
+    readability: false,
+    excerpt: typeof info.Subject === 'string' ? info.Subject.trim() : '',
+    byline: typeof info.Author === 'string' ? info.Author.trim() : '',
+    siteName: '',
+    htmlLength: buffer.length,
+    method,
+    quality,
+    ...(ranges && {
+      totalPages,
+      pages: pages.map((part) => ({ ...part, tokens: countTokens(part.markdown) })),
+    }),
+  };
+}
+
+/** Image (PNG, JPEG, WebP) → markdown via OCR */
+async function imageToMarkdown(buffer) {
+  if (!(await ocrAvailable())) {
+    throw new Error('Unsupported content type: images need OCR, which is not available on this server');
+  }
+  const { page, confidence } = await ocrImage(buffer);
+  const { markdown, title } = pdfLayoutToMarkdown([page]);
+  if (!markdown) {
+    throw new Error('Image contains no recognizable text');
+  }
 
   return {
-    title: 'PDF Document',
+    title: title || 'Image',
     markdown,
-    tokens,
+    tokens: countTokens(markdown),
     readability: false,
     excerpt: '',
     byline: '',
     siteName: '',
     htmlLength: buffer.length,
-    method: 'pdf',
-    quality,
+    method: 'ocr',
+    quality: ocrQuality(markdown, confidence),
   };
 }
 
@@ -95,12 +238,63 @@ async function docxToMarkdown(buffer) {
   };
 }
 
+/** Conversion result for a document converted straight to markdown by its own reader */
+function documentResult(buffer, method, { markdown, title, byline = '' }) {
+  return {
+    title,
+    markdown,
+    tokens: countTokens(markdown),
+    readability: false,
+    excerpt: '',
+    byline,
+    siteName: '',
+    htmlLength: buffer.length,
+    method,
+    quality: scoreMarkdown(markdown),
+  };
+}
+
+/** PPTX or ODP → markdown, one section per slide */
+async function presentationToMarkdown(buffer, format) {
+  const { markdown, title } = format === 'odp' ? await odpToMarkdown(buffer) : await pptxToMarkdown(buffer);
+  if (!markdown) {
+    throw new Error(`${format.toUpperCase()} contains no extractable content`);
+  }
+  return documentResult(buffer, format, { markdown, title: title || 'Presentation' });
+}
+
+async function odtDocumentToMarkdown(buffer) {
+  const { markdown, title } = await odtToMarkdown(buffer);
+  if (!markdown) {
+    throw new Error('ODT contains no extractable content');
+  }
+  return documentResult(buffer, 'odt', { markdown, title: title || 'Document' });
+}
+
+function rtfDocumentToMarkdown(buffer) {
+  const { markdown, title, author } = rtfToMarkdown(buffer);
+  if (!markdown) {
+    throw new Error('RTF contains no extractable content');
+  }
+  return documentResult(buffer, 'rtf', { markdown, title: title || 'Document', byline: author });
+}
+
+async function ebookToMarkdown(buffer) {
+  const { markdown, title, author } = await epubToMarkdown(buffer);
+  if (!markdown) {
+    throw new Error('EPUB contains no extractable content');
+  }
+  return documentResult(buffer, 'epub', { markdown, title: title || 'Book', byline: author });
+}
+
 function spreadsheetToMarkdown(buffer, format) {
   const opts = {
     type: 'buffer',
     sheetRows: MAX_SHEET_ROWS + 1,
     ...(format === 'csv' ? { raw: true } : {}),
   };
+  // SheetJS inflates XLSX and ODS packages whole
+  if (format !== 'csv') checkPackageSize(buffer);
   const workbook = XLSX.read(buffer, opts);
   const parts = [];
 
@@ -157,21 +351,49 @@ function spreadsheetToMarkdown(buffer, format) {
     byline: '',
     siteName: '',
     htmlLength: buffer.length,
-    method: format === 'csv' ? 'csv' : 'xlsx',
+    method: format,
     quality,
   };
 }
 
-export async function convertDocument(buffer, format) {
+/**
+ * Convert a document buffer of a detected format.
+ * @param {Buffer} buffer
+ * @param {string} format - Value from DOCUMENT_FORMATS
+ * @param {{pages?: string}} [options] - pages selects PDF pages ("1-5,10"); other formats ignore it
+ */
+export async function convertDocument(buffer, format, options = {}) {
   switch (format) {
     case 'pdf':
-      return pdfToMarkdown(buffer);
+      return pdfToMarkdown(buffer, options);
     case 'docx':
       return docxToMarkdown(buffer);
+    case 'pptx':
+    case 'odp':
+      return presentationToMarkdown(buffer, format);
+    case 'odt':
+      return odtDocumentToMarkdown(buffer);
+    case 'rtf':
+      return rtfDocumentToMarkdown(buffer);
+    case 'epub':
+      return ebookToMarkdown(buffer);
     case 'xlsx':
+    case 'ods':
     case 'csv':
       return spreadsheetToMarkdown(buffer, format);
+    case 'image':
+      return imageToMarkdown(buffer);
     default:
       throw new Error(`Unsupported document format: ${format}`);
   }
 }
+
+/**
+ * Conversion tier for a converted document: `document:<format>`, with an `-ocr` suffix
+ * when the text came from OCR (scanned PDFs, images).
+ * @param {string} format
+ * @param {{method?: string}} result
+ */
+export function documentTier(format, result) {
+  return `document:${format}${result.method === 'ocr' ? '-ocr' : ''}`;
+}
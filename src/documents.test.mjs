@@ -0,0 +1,223 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormatByExtension, detectFormatByFilename, detectFormatByMagic, documentTier } from './documents.mjs';
+import { convertFile } from './convert.mjs';
+import { MAX_PACKAGE_BYTES } from './xml.mjs';
+import { buildPdf, buildPptx, buildOdf, buildEpub } from './test-helpers.mjs';
+
+// ─── Format detection ──────────────────────────────────────────────────
+
+describe('detectFormatByFilename', () => {
+  it('detects known extensions case-insensitively', () => {
+    assert.equal(detectFormatByFilename('Report.PDF'), 'pdf');
+    assert.equal(detectFormatByFilename('memo.docx'), 'docx');
+    assert.equal(detectFormatByFilename('Deck.PPTX'), 'pptx');
+    assert.equal(detectFormatByFilename('data.xls'), 'xlsx');
+    assert.equal(detectFormatByFilename('data.csv'), 'csv');
+    assert.equal(detectFormatByFilename('scan.JPG'), 'image');
+    assert.equal(detectFormatByFilename('photo.jpeg'), 'image');
+    assert.equal(detectFormatByFilename('page.png'), 'image');
+    assert.equal(detectFormatByFilename('page.webp'), 'image');
+    assert.equal(detectFormatByFilename('notes.ODT'), 'odt');
+    assert.equal(detectFormatByFilename('budget.ods'), 'ods');
+    assert.equal(detectFormatByFilename('talk.odp'), 'odp');
+    assert.equal(detectFormatByFilename('letter.rtf'), 'rtf');
+    assert.equal(detectFormatByFilename('novel.epub'), 'epub');
+  });
+
+  it('returns null for unknown or missing names', () => {
+    assert.equal(detectFormatByFilename('archive.zip'), null);
+    assert.equal(detectFormatByFilename(''), null);
+    assert.equal(detectFormatByFilename(undefined), null);
+  });
+});
+
+describe('detectFormatByExtension', () => {
+  it('uses the URL pathname, ignoring query string', () => {
+    assert.equal(detectFormatByExtension('https://example.com/files/a.pdf?dl=1'), 'pdf');
+    assert.equal(detectFormatByExtension('https://example.com/?f=a.pdf'), null);
+    assert.equal(detectFormatByExtension('https://example.com/talks/deck.pptx'), 'pptx');
+    assert.equal(detectFormatByExtension('https://example.com/books/novel.epub?download'), 'epub');
+  });
+});
+
+describe('detectFormatByMagic', () => {
+  const zipWith = (entry) => Buffer.concat([
+    Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(26), Buffer.from(entry), Buffer.alloc(32),
+  ]);
+
+  it('detects PDF header', () => {
+    assert.equal(detectFormatByMagic(Buffer.from('%PDF-1.7\n%âãÏÓ')), 'pdf');
+  });
+
+  it('tells DOCX, XLSX and PPTX zip containers apart', () => {
+    assert.equal(detectFormatByMagic(zipWith('word/document.xml')), 'docx');
+    assert.equal(detectFormatByMagic(zipWith('xl/workbook.xml')), 'xlsx');
+    assert.equal(detectFormatByMagic(zipWith('ppt/presentation.xml')), 'pptx');
+    assert.equal(detectFormatByMagic(zipWith('random/file.txt')), null);
+  });
+
+  it('reads the mimetype entry of OpenDocument and EPUB packages', () => {
+    assert.equal(detectFormatByMagic(zipWith('mimetypeapplication/vnd.oasis.opendocument.text')), 'odt');
+    assert.equal(detectFormatByMagic(zipWith('mimetypeapplication/vnd.oasis.opendocument.spreadsheet')), 'ods');
+    assert.equal(detectFormatByMagic(zipWith('mimetypeapplication/vnd.oasis.opendocument.presentation')), 'odp');
+    assert.equal(detectFormatByMagic(zipWith('mimetypeapplication/epub+zip')), 'epub');
+    assert.equal(detectFormatByMagic(zipWith('META-INF/container.xml')), 'epub');
+  });
+
+  it('detects RTF header', () => {
+    assert.equal(detectFormatByMagic(Buffer.from('{\\rtf1\\ansi Hello}')), 'rtf');
+  });
+
+  it('detects legacy OLE2 spreadsheets', () => {
+    const ole = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0]);
+    assert.equal(detectFormatByMagic(ole), 'xlsx');
+  });
+
+  it('detects PNG, JPEG and WebP images', () => {
+    assert.equal(detectFormatByMagic(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13])), 'image');
+    assert.equal(detectFormatByMagic(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46])), 'image');
+    assert.equal(detectFormatByMagic(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1')), 'image');
+    assert.equal(detectFormatByMagic(Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'latin1')), null);
+  });
+
+  it('returns null for plain text and short buffers', () => {
+    assert.equal(detectFormatByMagic(Buffer.from('hello, world, csv')), null);
+    assert.equal(detectFormatByMagic(Buffer.from('%PD')), null);
+  });
+});
+
+describe('documentTier', () => {
+  it('marks OCR results with an -ocr suffix', () => {
+    assert.equal(documentTier('pdf', { method: 'pdf' }), 'document:pdf');
+    assert.equal(documentTier('pdf', { method: 'ocr' }), 'document:pdf-ocr');
+    assert.equal(documentTier('image', { method: 'ocr' }), 'document:image-ocr');
+  });
+});
+
+// ─── Uploaded file conversion ──────────────────────────────────────────
+
+describe('convertFile', () => {
+  const csv = Buffer.from('name,score\nalice,10\nbob,7\n');
+
+  it('converts by file name when MIME type is generic', async () => {
+    const result = await convertFile(csv, { filename: 'scores.csv', mimeType: 'application/octet-stream' });
+    assert.equal(result.tier, 'document:csv');
+    assert.equal(result.url, null);
+    assert.ok(result.markdown.includes('| name | score |'));
+    assert.ok(result.fit_markdown);
+  });
+
+  it('prefers MIME type over file name', async () => {
+    const result = await convertFile(csv, { filename: 'scores.bin', mimeType: 'text/csv; charset=utf-8' });
+    assert.equal(result.tier, 'document:csv');
+  });
+
+  it('converts a PDF with structure and document metadata', async () => {
+    const pdf = buildPdf([[
+      ['Release Notes', 72, 700, 22],
+      ['This release improves PDF conversion across the board.', 72, 660, 11],
+    ]], { title: 'Release Notes 2.0', author: 'Docs Team' });
+    const result = await convertFile(pdf, { filename: 'notes.pdf' });
+    assert.equal(result.tier, 'document:pdf');
+    assert.equal(result.title, 'Release Notes 2.0');
+    assert.equal(result.byline, 'Docs Team');
+    assert.equal(result.markdown, '# Release Notes\n\nThis release improves PDF conversion across the board.');
+  });
+
+  it('rejects PDFs without a text layer', async () => {
+    await assert.rejects(
+      () => convertFile(buildPdf([[]]), { filename: 'scan.pdf' }),
+      { message: /no extractable text/ },
+    );
+  });
+
+  it('converts selected PDF pages with per-page output', async () => {
+    const chapters = ['Origins', 'Growth', 'Decline', 'Revival'];
+    const pdf = buildPdf(chapters.map((name) => [[name, 72, 700, 18], [`The ${name.toLowerCase()} chapter, on a page of its own.`, 72, 660, 11]]));
+    const result = await convertFile(pdf, { filename: 'book.pdf' }, { pages: '2,4', tokenizer: 'chars' });
+    assert.equal(result.totalPages, 4);
+    assert.deepEqual(result.pages.map((p) => p.page), [2, 4]);
+    assert.equal(result.pages[0].markdown, '# Growth\n\nThe growth chapter, on a page of its own.');
+    assert.equal(result.pages[0].tokens, Math.ceil(result.pages[0].markdown.length / 4));
+    assert.ok(result.markdown.startsWith('<!-- page 2 -->\n\n# Growth'));
+    assert.ok(result.markdown.includes('<!-- page 4 -->\n\n# Revival'));
+    assert.ok(!result.markdown.includes('Decline'));
+  });
+
+  it('rejects a page selection outside the PDF', async () => {
+    const pdf = buildPdf([[['Only one page of text in this document.', 72, 700, 11]]]);
+    await assert.rejects(
+      () => convertFile(pdf, { filename: 'a.pdf' }, { pages: '5-9' }),
+      { message: /Requested pages not in document \(1 pages\)/ },
+    );
+  });
+
+  it('converts a PPTX upload by MIME type', async () => {
+    const shapes = '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Title"/><p:cNvSpPr/><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>'
+      + '<p:txBody><a:p><a:r><a:t>Roadmap</a:t></a:r></a:p></p:txBody></p:sp>';
+    const pptx = await buildPptx([{ shapes }]);
+    const result = await convertFile(pptx, {
+      filename: 'upload.bin', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    });
+    assert.equal(result.tier, 'document:pptx');
+    assert.equal(result.method, 'pptx');
+    assert.equal(result.title, 'Roadmap');
+    assert.equal(result.markdown, '## Roadmap');
+  });
+
+  it('converts an ODT upload by file name', async () => {
+    const odt = await buildOdf('text', '<text:h text:outline-level="1">Minutes</text:h><text:p>Attendees agreed.</text:p>');
+    const result = await convertFile(odt, { filename: 'minutes.odt' });
+    assert.equal(result.tier, 'document:odt');
+    assert.equal(result.title, 'Minutes');
+    assert.equal(result.markdown, '# Minutes\n\nAttendees agreed.');
+  });
+
+  it('converts an ODS upload through the spreadsheet table renderer', async () => {
+    const cell = (v) => `<table:table-cell office:value-type="string"><text:p>${v}</text:p></table:table-cell>`;
+    const ods = await buildOdf('spreadsheet', `<table:table table:name="Stock"><table:table-row>${cell('Item')}${cell('Qty')}</table:table-row>`
+      + `<table:table-row>${cell('Apple')}${cell('3')}</table:table-row></table:table>`);
+    const result = await convertFile(ods, { filename: 'upload.bin' });
+    assert.equal(result.tier, 'document:ods');
+    assert.equal(result.method, 'ods');
+    assert.equal(result.title, 'Stock');
+    assert.equal(result.markdown, '| Item | Qty |\n| --- | --- |\n| Apple | 3 |');
+  });
+
+  it('rejects an ODS whose entries unpack past the package limit before SheetJS reads it', async () => {
+    const ods = await buildOdf('spreadsheet', '<table:table table:name="Big"/>');
+    const dir = ods.indexOf('content.xml', ods.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]))) - 46;
+    ods.writeUInt32LE(MAX_PACKAGE_BYTES + 1, dir + 24);
+    await assert.rejects(convertFile(ods, { filename: 'big.ods' }), /too large/);
+  });
+
+  it('converts an RTF upload by MIME type', async () => {
+    const rtf = Buffer.from('{\\rtf1\\ansi{\\info{\\title Letter}{\\author Sam}}\\pard Dear reader,\\par}', 'latin1');
+    const result = await convertFile(rtf, { filename: 'file', mimeType: 'text/rtf' });
+    assert.equal(result.tier, 'document:rtf');
+    assert.equal(result.title, 'Letter');
+    assert.equal(result.byline, 'Sam');
+    assert.equal(result.markdown, 'Dear reader,');
+  });
+
+  it('converts an EPUB upload with its table of contents', async () => {
+    const epub = await buildEpub(['<h1>Chapter 1</h1><p>Once upon a time.</p>'], { title: 'Tales', author: 'Kim', toc: 'nav', entries: [['Chapter 1', 0]] });
+    const result = await convertFile(epub, { filename: 'tales.epub' });
+    assert.equal(result.tier, 'document:epub');
+    assert.equal(result.title, 'Tales');
+    assert.equal(result.byline, 'Kim');
+    assert.equal(result.markdown, '# Tales\n\n## Contents\n\n- Chapter 1\n\n## Chapter 1\n\nOnce upon a time.');
+  });
+
+  it('rejects undetectable formats as unsupported content type', async () => {
+    await assert.rejects(
+      () => convertFile(Buffer.from('just some bytes here'), { filename: 'x.bin' }),
+      { message: /Unsupported content type/ },
+    );
+  });
+
+  it('rejects empty files', async () => {
+    await assert.rejects(() => convertFile(Buffer.alloc(0), { filename: 'a.csv' }), { message: /empty/ });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * EPUB → Markdown.
+ *
+ * The package document (OPF, found through META-INF/container.xml) gives the metadata,
+ * the manifest and the spine — the reading order of the chapter files. The table of
+ * contents comes from the EPUB 3 navigation document, or the EPUB 2 NCX, or else the
+ * chapters' own headings. Output is the book title, a "Contents" list, then each spine
+ * chapter converted with Turndown and its headings shifted so the chapter title is `##`.
+ * Links and images pointing inside the package are reduced to their text.
+ */
+import { parseHTML } from 'linkedom';
+import { turndown, normalizeSpacing, FENCE_RE } from './markdown.mjs';
+import { loadPackage, readXml, readText, children, child } from './xml.mjs';
+
+/** Spine documents converted per book */
+const MAX_CHAPTERS = 500;
+/** Table of contents entries listed */
+const MAX_TOC_ENTRIES = 500;
+
+// ─── Package ──────────────────────────────────────────────────────────
+
+/** Resolve an href from a package file against that file's folder, without its fragment */
+function packagePath(base, href) {
+  try {
+    return decodeURIComponent(new URL(href, `epub:/${base}`).pathname.slice(1));
+  } catch {
+    return null;
+  }
+}
+
+/** Package document: metadata, manifest items by id, and the spine */
+async function readPackage(zip) {
+  const container = await readXml(zip, 'META-INF/container.xml');
+  const opfPath = container?.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+  const opf = opfPath && await readXml(zip, opfPath);
+  if (!opf) throw new Error('Not an EPUB file (missing package document)');
+
+  const manifest = new Map();
+  for (const item of opf.getElementsByTagName('item')) {
+    manifest.set(item.getAttribute('id'), {
+      path: packagePath(opfPath, item.getAttribute('href') || ''),
+      type: item.getAttribute('media-type') || '',
+      properties: (item.getAttribute('properties') || '').split(/\s+/),
+    });
+  }
+  const spineEl = opf.getElementsByTagName('spine')[0];
+  const spine = spineEl ? children(spineEl, 'itemref')
+    .filter((ref) => ref.getAttribute('linear') !== 'no')
+    .map((ref) => manifest.get(ref.getAttribute('idref')))
+    .filter((item) => item?.path && /html/.test(item.type)) : [];
+
+  const meta = (name) => opf.getElementsByTagName(name)[0]?.textContent.replace(/\s+/g, ' ').trim() || '';
+  return {
+    title: meta('dc:title'),
+    author: meta('dc:creator'),
+    manifest,
+    spine,
+    ncx: spineEl && manifest.get(spineEl.getAttribute('toc')),
+  };
+}
+
+// ─── Table of contents ────────────────────────────────────────────────
+
+/** TOC entries ({label, path, depth}) of an EPUB 3 navigation document's toc nav */
+async function navEntries(zip, item) {
+  const html = await readText(zip, item.path);
+  if (!html) return [];
+  const { document } = parseHTML(html);
+  const nav = [...document.querySelectorAll('nav')]
+    .find((el) => (el.getAttribute('epub:type') || '').split(/\s+/).includes('toc'));
+  const entries = [];
+  const walk = (ol, depth) => {
+    for (const li of ol?.children || []) {
+      if (li.tagName !== 'LI') continue;
+      const label = [...li.children].find((el) => el.tagName === 'A' || el.tagName === 'SPAN');
+      const text = label?.textContent.replace(/\s+/g, ' ').trim();
+      if (text) entries.push({ label: text, path: packagePath(item.path, label.getAttribute('href') || ''), depth });
+      walk([...li.children].find((el) => el.tagName === 'OL'), depth + 1);
+    }
+  };
+  walk(nav && [...nav.children].find((el) => el.tagName === 'OL'), 0);
+  return entries;
+}
+
+/** TOC entries of an EPUB 2 NCX navMap */
+async function ncxEntries(zip, item) {
+  const ncx = await readXml(zip, item.path);
+  const navMap = ncx?.getElementsByTagName('navMap')[0];
+  const entries = [];
+  const walk = (el, depth) => {
+    for (const point of children(el, 'navPoint')) {
+      const text = point.getElementsByTagName('text')[0]?.textContent.replace(/\s+/g, ' ').trim();
+      const src = child(point, 'content')?.getAttribute('src') || '';
+      if (text) entries.push({ label: text, path: packagePath(item.path, src), depth });
+      walk(point, depth + 1);
+    }
+  };
+  if (navMap) walk(navMap, 0);
+  return entries;
+}
+
+// ─── Chapters ─────────────────────────────────────────────────────────
+
+/** Shift ATX headings (outside code fences) so the highest one becomes `##` */
+function shiftHeadings(markdown) {
+  const lines = markdown.split('\n');
+  const headings = [];
+  let fence = null;
+  lines.forEach((line, i) => {
+    const m = line.match(FENCE_RE);
+    if (fence) {
+      if (m && m[1][0] === fence[0] && m[1].length >= fence.length) fence = null;
+    } else if (m) {
+      fence = m[1];
+    } else if (/^#{1,6} /.test(line)) {
+      headings.push(i);
+    }
+  });
+  if (!headings.length) return { markdown, hasHeading: false };
+  const top = Math.min(...headings.map((i) => lines[i].indexOf(' ')));
+  for (const i of headings) {
+    const level = Math.min(lines[i].indexOf(' ') - top + 2, 6);
+    lines[i] = '#'.repeat(level) + lines[i].slice(lines[i].indexOf(' '));
+  }
+  return { markdown: lines.join('\n'), hasHeading: true };
+}
+
+/** Chapter XHTML → markdown; links into the package keep only their text, images are dropped */
+function chapterMarkdown(html) {
+  const { document } = parseHTML(html);
+  const body = document.querySelector('body');
+  if (!body) return '';
+  for (const img of body.querySelectorAll('img, svg, image')) img.remove();
+  for (const a of body.querySelectorAll('a[href]')) {
+    if (!/^(https?:|mailto:)/i.test(a.getAttribute('href'))) a.removeAttribute('href');
+  }
+  normalizeSpacing(document);
+  return turndown.turndown(body.innerHTML).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────
+
+/**
+ * Convert an EPUB book to markdown: title, table of contents, then one `##` section per chapter.
+ * @param {Buffer} buffer
+ * @returns {Promise<{markdown: string, title: string|null, author: string, chapters: number}>}
+ */
+export async function epubToMarkdown(buffer) {
+  const zip = await loadPackage(buffer);
+  const { title, author, manifest, spine, ncx } = await readPackage(zip);
+  const navItem = [...manifest.values()].find((item) => item.properties.includes('nav'));
+  let toc = navItem ? await navEntries(zip, navItem) : [];
+  if (!toc.length && ncx) toc = await ncxEntries(zip, ncx);
+
+  const sections = [];
+  const chapterTitles = [];
+  // The navigation document may be in the spine too; its list is already the contents
+  const chapters = spine.filter((item) => item !== navItem);
+  for (const item of chapters.slice(0, MAX_CHAPTERS)) {
+    const html = await readText(zip, item.path);
+    const converted = html ? chapterMarkdown(html) : '';
+    if (!converted) continue;
+    const { markdown, hasHeading } = shiftHeadings(converted);
+    const label = toc.find((entry) => entry.path === item.path)?.label;
+    if (hasHeading) {
+      sections.push(markdown);
+      chapterTitles.push(markdown.match(/^## (.+)$/m)?.[1]);
+    } else {
+      // A chapter without headings is titled by its TOC entry, if it has one
+      sections.push(label ? `## ${label}\n\n${markdown}` : markdown);
+      chapterTitles.push(label);
+    }
+  }
+  if (chapters.length > MAX_CHAPTERS) {
+    sections.push(`*... truncated at ${MAX_CHAPTERS} chapters*`);
+  }
+
+  // Contents from the book's own navigation, else from the chapter titles in spine order
+  if (!toc.length) toc = chapterTitles.filter(Boolean).map((label) => ({ label, depth: 0 }));
+  const contents = toc.slice(0, MAX_TOC_ENTRIES)
+    .map((entry) => `${'  '.repeat(Math.min(entry.depth, 8))}- ${entry.label}`);
+  if (toc.length > MAX_TOC_ENTRIES) contents.push(`- *... ${toc.length - MAX_TOC_ENTRIES} more*`);
+
+  const parts = [
+    ...(title ? [`# ${title}`] : []),
+    ...(contents.length ? [`## Contents\n\n${contents.join('\n')}`] : []),
+    ...sections,
+  ];
+  return {
+    markdown: sections.length ? parts.join('\n\n') : '',
+    title: title || chapterTitles.find(Boolean) || null,
+    author,
+    chapters: chapters.length,
+  };
+}
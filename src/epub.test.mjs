@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { epubToMarkdown } from './epub.mjs';
+import { buildEpub } from './test-helpers.mjs';
+
+describe('epubToMarkdown', () => {
+  it('writes the title, a contents list from the nav document and chapters in spine order', async () => {
+    const epub = await buildEpub([
+      '<h1>The Harbour</h1><p>It was a <em>grey</em> morning.</p><h2>Arrival</h2><p>The ferry was late.</p>',
+      '<p>A chapter without a heading.</p>',
+    ], {
+      title: 'Sea Stories', author: 'A. Writer', toc: 'nav',
+      entries: [['The Harbour', 0], ['Arrival', 0, 1], ['Interlude', 1]],
+    });
+    const { markdown, title, author, chapters } = await epubToMarkdown(epub);
+    assert.equal(title, 'Sea Stories');
+    assert.equal(author, 'A. Writer');
+    assert.equal(chapters, 2);
+    assert.equal(markdown, '# Sea Stories\n\n## Contents\n\n- The Harbour\n  - Arrival\n- Interlude\n\n'
+      + '## The Harbour\n\nIt was a _grey_ morning.\n\n### Arrival\n\nThe ferry was late.\n\n'
+      + '## Interlude\n\nA chapter without a heading.');
+  });
+
+  it('reads the EPUB 2 NCX and shifts chapter headings under the book', async () => {
+    const epub = await buildEpub([
+      '<h3>Part One</h3><p>Opening.</p><h4>Scene</h4><p>Detail.</p>',
+      '<h2>Part Two</h2><p>Closing.</p>',
+    ], { title: 'Novella', toc: 'ncx', entries: [['Part One', 0], ['Part Two', 1]] });
+    const { markdown } = await epubToMarkdown(epub);
+    assert.equal(markdown, '# Novella\n\n## Contents\n\n- Part One\n- Part Two\n\n'
+      + '## Part One\n\nOpening.\n\n### Scene\n\nDetail.\n\n## Part Two\n\nClosing.');
+  });
+
+  it('builds the contents from chapter headings when the book has no navigation', async () => {
+    const epub = await buildEpub(['<h1>Alpha</h1><p>First.</p>', '<h1>Beta</h1><p>Second.</p>']);
+    const { markdown, title } = await epubToMarkdown(epub);
+    assert.equal(title, 'Alpha');
+    assert.equal(markdown, '## Contents\n\n- Alpha\n- Beta\n\n## Alpha\n\nFirst.\n\n## Beta\n\nSecond.');
+  });
+
+  it('reduces links and images inside the package to text', async () => {
+    const epub = await buildEpub([
+      '<h1>Notes</h1><p>See <a href="ch2.xhtml#n1">note 1</a> and <a href="https://example.com/">the site</a>.</p>'
+      + '<p><img src="../images/map.png" alt="A map of the island"/></p>',
+    ], { title: 'Guide' });
+    const { markdown } = await epubToMarkdown(epub);
+    assert.equal(markdown, '# Guide\n\n## Contents\n\n- Notes\n\n## Notes\n\nSee note 1 and [the site](https://example.com/).');
+  });
+
+  it('rejects zips without a package document', async () => {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    await assert.rejects(() => epubToMarkdown(buffer), /Not an EPUB file/);
+  });
+});
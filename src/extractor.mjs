@@ -1,6 +1,10 @@
 /**
  * Multi-pass HTML content extraction.
  * 9 extraction passes from best to worst quality, with ratio validation.
+ * Callers can target extraction with CSS selectors: exclude_selector strips
+ * elements before any pass, include_selector replaces the passes entirely.
+ * A per-domain rule (rules.mjs) adds junk/content selectors, a preferred pass
+ * and title overrides on top of the same pipeline.
  */
 import { Readability } from '@mozilla/readability';
 import { parseHTML } from 'linkedom';
@@ -156,8 +160,81 @@ export function cleanHTML(document) {
   return document;
 }
 
+// ─── Caller selectors ────────────────────────────────────────────────
+
+const MAX_SELECTOR_LENGTH = 500;
+
+/**
+ * Check a caller-supplied CSS selector (or comma-separated list) against the parser.
+ * Returns an error message, or null if usable.
+ */
+export function checkSelector(selector, name) {
+  if (typeof selector !== 'string' || !selector.trim() || selector.length > MAX_SELECTOR_LENGTH) {
+    return `${name} must be a CSS selector of up to ${MAX_SELECTOR_LENGTH} characters`;
+  }
+  try {
+    parseHTML('<html><body></body></html>').document.querySelectorAll(selector);
+  } catch {
+    return `${name} is not a valid CSS selector`;
+  }
+  return null;
+}
+
+/** Remove every element matching selector; returns the re-serialized HTML */
+export function removeSelector(html, selector) {
+  const { document } = parseHTML(html);
+  for (const el of document.querySelectorAll(selector)) el.remove();
+  return document.documentElement.outerHTML;
+}
+
+/**
+ * Elements matching selector in document order, minus script/style.
+ * Matches nested inside another match are skipped so content is not repeated.
+ */
+function selectRoots(document, selector) {
+  const matched = [...document.querySelectorAll(selector)];
+  const roots = matched.filter((el) => !matched.some((other) => other !== el && other.contains(el)));
+  for (const root of roots) {
+    for (const el of root.querySelectorAll('script, style, noscript')) el.remove();
+  }
+  return roots;
+}
+
+/** Convert exactly the elements matching selector, in document order */
+function extractIncluded(html, selector) {
+  const { document } = parseHTML(html);
+  const roots = selectRoots(document, selector);
+  if (!roots.length) throw new Error('include_selector matched no elements');
+  return {
+    contentHtml: roots.map((el) => el.outerHTML).join('\n'),
+    title: document.title || '',
+    excerpt: '',
+    byline: '',
+    siteName: '',
+    method: 'css-include',
+  };
+}
+
 // ─── Extraction passes ───────────────────────────────────────────────
 
+/** Domain-rule content selectors: the first selector whose matches hold usable text wins */
+function tryRuleSelectors(html, selectors) {
+  const { document } = parseHTML(html);
+  for (const selector of selectors) {
+    const roots = selectRoots(document, selector);
+    if (!roots.length || !isUsableText(roots.map((el) => el.textContent).join('\n'), 50)) continue;
+    return {
+      contentHtml: roots.map((el) => el.outerHTML).join('\n'),
+      title: document.title || '',
+      excerpt: '',
+      byline: '',
+      siteName: '',
+      method: 'rule-selector',
+    };
+  }
+  return null;
+}
+
 function tryReadability(html, url) {
   const { document } = parseHTML(html);
   const article = new Readability(document, { url }).parse();
@@ -244,61 +321,74 @@ function tryCssSelectors(cleanedHtml, url) {
   return null;
 }
 
-function trySchemaOrg(html) {
-  const { document } = parseHTML(html);
-  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-  for (const script of scripts) {
+const SCHEMA_CONTENT_TYPES = [
+  'Article', 'NewsArticle', 'BlogPosting', 'WebPage',
+  'VideoObject', 'Product', 'Recipe', 'Review',
+];
+
+/** JSON-LD items on a page, @graph expanded; invalid blocks are skipped */
+function jsonLdItems(document) {
+  const items = [];
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
     try {
       let data = JSON.parse(script.textContent);
       if (data['@graph']) data = data['@graph'];
-      const items = Array.isArray(data) ? data : [data];
-
-      for (const item of items) {
-        const type = item['@type'] || '';
-        const types = Array.isArray(type) ? type : [type];
-        const isContent = types.some((t) =>
-          ['Article', 'NewsArticle', 'BlogPosting', 'WebPage',
-           'VideoObject', 'Product', 'Recipe', 'Review'].includes(t),
-        );
-        if (!isContent) continue;
-
-        const parts = [];
-        const title = item.headline || item.name || '';
-        if (title) parts.push(`# ${title}`);
-        if (item.description) parts.push(item.description);
-        if (item.articleBody) parts.push(item.articleBody);
-
-        if (types.includes('VideoObject')) {
-          if (item.uploadDate) parts.push(`**Published:** ${item.uploadDate}`);
-          if (item.duration) parts.push(`**Duration:** ${item.duration}`);
-          if (item.author?.name) parts.push(`**Author:** ${item.author.name}`);
-        }
-
-        const markdown = parts.join('\n\n');
-        if (isUsableText(markdown, 100)) {
-          return {
-            contentHtml: `<div>${parts.map((p) => `<p>${p}</p>`).join('')}</div>`,
-            title: title,
-            excerpt: item.description || '',
-            byline: item.author?.name || '',
-            siteName: item.publisher?.name || '',
-            method: 'schema-org',
-            prebuiltMarkdown: markdown,
-          };
-        }
-      }
+      items.push(...(Array.isArray(data) ? data : [data]));
     } catch { /* invalid JSON-LD, skip */ }
   }
+  return items.filter((item) => item && typeof item === 'object');
+}
+
+/** @type of a JSON-LD item as an array */
+function schemaTypes(item) {
+  const type = item['@type'] || '';
+  return Array.isArray(type) ? type : [type];
+}
+
+/** Content of a <meta property=name> or <meta name=name> tag, '' if absent */
+function metaContent(document, name) {
+  const el = document.querySelector(`meta[property="${name}"]`) ||
+             document.querySelector(`meta[name="${name}"]`);
+  return el?.getAttribute('content') || '';
+}
+
+function trySchemaOrg(html) {
+  const { document } = parseHTML(html);
+  for (const item of jsonLdItems(document)) {
+    const types = schemaTypes(item);
+    if (!types.some((t) => SCHEMA_CONTENT_TYPES.includes(t))) continue;
+
+    const parts = [];
+    const title = item.headline || item.name || '';
+    if (title) parts.push(`# ${title}`);
+    if (item.description) parts.push(item.description);
+    if (item.articleBody) parts.push(item.articleBody);
+
+    if (types.includes('VideoObject')) {
+      if (item.uploadDate) parts.push(`**Published:** ${item.uploadDate}`);
+      if (item.duration) parts.push(`**Duration:** ${item.duration}`);
+      if (item.author?.name) parts.push(`**Author:** ${item.author.name}`);
+    }
+
+    const markdown = parts.join('\n\n');
+    if (isUsableText(markdown, 100)) {
+      return {
+        contentHtml: `<div>${parts.map((p) => `<p>${p}</p>`).join('')}</div>`,
+        title: title,
+        excerpt: item.description || '',
+        byline: item.author?.name || '',
+        siteName: item.publisher?.name || '',
+        method: 'schema-org',
+        prebuiltMarkdown: markdown,
+      };
+    }
+  }
   return null;
 }
 
 function tryOpenGraph(html) {
   const { document } = parseHTML(html);
-  const meta = (name) => {
-    const el = document.querySelector(`meta[property="${name}"]`) ||
-               document.querySelector(`meta[name="${name}"]`);
-    return el?.getAttribute('content') || '';
-  };
+  const meta = (name) => metaContent(document, name);
 
   const title = meta('og:title') || meta('twitter:title') || document.title || '';
   const description = meta('og:description') || meta('twitter:description') || meta('description') || '';
@@ -381,14 +471,172 @@ function tryCleanedBody(cleanedHtml) {
   };
 }
 
+// ─── Page metadata ────────────────────────────────────────────────────
+
+/** ISO 8601 timestamp for a date string, null if it does not parse */
+function isoDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/** Trimmed, non-empty, de-duplicated strings */
+function uniqueStrings(values) {
+  return [...new Set(values.filter((v) => typeof v === 'string').map((v) => v.trim()).filter(Boolean))];
+}
+
+/** Author names from a JSON-LD author value: a string, a Person/Organization, or an array of them */
+function schemaAuthors(author) {
+  if (!author) return [];
+  if (Array.isArray(author)) return author.flatMap(schemaAuthors);
+  return [typeof author === 'string' ? author : author.name];
+}
+
+/** JSON-LD keywords: an array or a comma-separated string */
+function schemaKeywords(keywords) {
+  if (Array.isArray(keywords)) return keywords;
+  return typeof keywords === 'string' ? keywords.split(',') : [];
+}
+
+/**
+ * Document-level metadata for filtering and indexing: language, canonical URL,
+ * publish/modify dates (ISO 8601), authors, keywords, tags and favicon.
+ * JSON-LD (first content item) wins over OpenGraph/article meta tags, which win over
+ * plain <meta> tags. Every field is always present: null or [] when not found.
+ * Relative URLs resolve against url; without one, only absolute URLs are kept.
+ * @param {string} html
+ * @param {string} [url]
+ */
+export function extractMetadata(html, url) {
+  const { document } = parseHTML(html);
+  const meta = (name) => metaContent(document, name).trim();
+  const metaAll = (name) => [...document.querySelectorAll(`meta[property="${name}"], meta[name="${name}"]`)]
+    .map((el) => el.getAttribute('content'));
+  const absolute = (href) => {
+    if (!href?.trim()) return null;
+    try { return new URL(href.trim(), url || undefined).href; } catch { return null; }
+  };
+  const ld = jsonLdItems(document).find((item) => schemaTypes(item).some((t) => SCHEMA_CONTENT_TYPES.includes(t))) || {};
+
+  const language = document.documentElement?.getAttribute('lang') ||
+    document.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content') ||
+    (typeof ld.inLanguage === 'string' ? ld.inLanguage : '') || meta('og:locale');
+
+  // article:author is often a profile URL; only names are useful here
+  const metaAuthors = metaAll('article:author').filter((a) => a && !/^https?:\/\//i.test(a.trim()));
+  const authors = uniqueStrings(schemaAuthors(ld.author));
+
+  const icon = document.querySelector('link[rel~="icon" i]') || document.querySelector('link[rel="apple-touch-icon" i]');
+  let favicon = absolute(icon?.getAttribute('href'));
+  if (!favicon && /^https?:/i.test(url || '')) favicon = absolute('/favicon.ico');
+
+  return {
+    language: language.trim().split(/[,\s]/)[0].replace(/_/g, '-') || null,
+    canonical_url: absolute(document.querySelector('link[rel="canonical" i]')?.getAttribute('href')) || absolute(meta('og:url')),
+    published_time: isoDate(ld.datePublished) || isoDate(meta('article:published_time')) || isoDate(meta('date')),
+    modified_time: isoDate(ld.dateModified) || isoDate(meta('article:modified_time')) || isoDate(meta('og:updated_time')),
+    authors: authors.length ? authors : uniqueStrings(metaAuthors.length ? metaAuthors : [meta('author')]),
+    keywords: uniqueStrings(ld.keywords ? schemaKeywords(ld.keywords) : meta('keywords').split(',')),
+    tags: uniqueStrings(metaAll('article:tag')),
+    favicon,
+  };
+}
+
 // ─── Main extraction pipeline ─────────────────────────────────────────
 
+/** Pass names in default order — also the values a domain rule's preferred_pass may take */
+export const PASS_NAMES = [
+  'readability', 'defuddle', 'article-extractor', 'readability-cleaned', 'css-selector',
+  'schema-org', 'open-graph', 'text-density', 'cleaned-body',
+];
+
+/** Apply a domain rule's title_selector / title_strip to an extraction result */
+function applyTitleRule(result, html, rule) {
+  let title = result.title;
+  if (rule.titleSelector) {
+    const { document } = parseHTML(html);
+    const text = document.querySelector(rule.titleSelector)?.textContent?.trim();
+    if (text) title = text;
+  }
+  if (rule.titleStrip && title) title = title.replace(rule.titleStrip, '').trim();
+  return title === result.title ? result : { ...result, title };
+}
+
+const PREVIEW_LENGTH = 120;
+
+/** Text length and a one-line preview of an extraction result, for diagnostics */
+function describeExtracted(result) {
+  const { document } = parseHTML(`<html><body>${result.contentHtml}</body></html>`);
+  const trimmed = document.body?.textContent?.trim() || '';
+  return { textLength: trimmed.length, preview: trimmed.replace(/\s+/g, ' ').slice(0, PREVIEW_LENGTH) };
+}
+
+/**
+ * Extract the main content of a page.
+ * Request selectors and the domain rule are applied around the multi-pass heuristics:
+ * exclusions and rule junk first, then include_selector (no heuristics), rule
+ * content selectors, and finally the passes (rule's preferred pass first).
+ *
+ * opts.trace, if given, is filled with per-pass diagnostics: `raw_text_length` and
+ * `passes` — one {pass, status, text_length?, ratio?, reason?, preview?} per pass,
+ * status being accepted | rejected | empty | error | not-run.
+ *
+ * opts.candidates, if given, switches to all-candidates mode: every pass runs instead of
+ * stopping at the first that passes the ratio check, and each usable result is pushed
+ * onto the array for the caller to score. The return value is still the default pick.
+ * @param {string} html
+ * @param {string} [url]
+ * @param {{includeSelector?: string, excludeSelector?: string, rule?: object, trace?: object, candidates?: object[]}} [opts]
+ */
+export async function extractContent(html, url, opts = {}) {
+  const { rule, trace, candidates } = opts;
+  const exclude = [opts.excludeSelector, ...(rule?.junkSelectors || [])].filter(Boolean);
+  if (exclude.length) html = removeSelector(html, exclude.join(', '));
+  if (trace) {
+    trace.passes = [];
+    if (exclude.length) trace.excluded = exclude;
+  }
+
+  let result;
+  if (opts.includeSelector) {
+    result = extractIncluded(html, opts.includeSelector);
+  } else if (rule?.contentSelectors.length) {
+    result = tryRuleSelectors(html, rule.contentSelectors);
+    if (trace) {
+      trace.passes.push(result
+        ? { pass: 'rule-selector', status: 'accepted', ...tracedText(result) }
+        : { pass: 'rule-selector', status: 'empty', reason: 'no content selector matched usable text' });
+    }
+  }
+  if (result) {
+    // include_selector and rule selectors skip the heuristics: their result is the only candidate
+    candidates?.push(result);
+    if (trace) {
+      if (result.method === 'css-include') trace.passes.push({ pass: 'css-include', status: 'accepted', ...tracedText(result) });
+      for (const pass of PASS_NAMES) trace.passes.push({ pass, status: 'not-run' });
+    }
+  } else {
+    result = await extractWithPasses(html, url, rule?.preferredPass, trace, candidates);
+  }
+
+  if (rule && candidates) candidates.forEach((c, i) => { candidates[i] = applyTitleRule(c, html, rule); });
+  return rule ? applyTitleRule(result, html, rule) : result;
+}
+
+/** describeExtracted() in the snake_case shape used by trace entries */
+function tracedText(result) {
+  const { textLength, preview } = describeExtracted(result);
+  return { text_length: textLength, preview };
+}
+
 /**
  * Multi-pass extraction: try methods from best to worst.
  * Quality ratio check: if extracted text is < 15% of raw text, skip to next pass
  * (catches over-aggressive Readability stripping).
+ * With a candidates array every pass runs and every non-empty result is collected,
+ * ratio-rejected ones included; the first accepted result is still returned.
  */
-export async function extractContent(html, url) {
+async function extractWithPasses(html, url, preferredPass, trace, candidates) {
   // Compute raw text length once for ratio check.
   // Strip script/style first — their textContent inflates rawTextLen
   // on SPA pages (CSS variables, JS bundles count as "text" otherwise).
@@ -397,6 +645,7 @@ export async function extractContent(html, url) {
     for (const el of rawDoc.querySelectorAll(tag)) el.remove();
   }
   const rawTextLen = rawDoc.body?.textContent?.trim().length || 0;
+  if (trace) trace.raw_text_length = rawTextLen;
 
   // Pre-build cleaned HTML once — passes 4/5/8/9 all need parseHTML + cleanHTML
   // on the same input. Building it once saves 3 redundant parseHTML + cleanHTML cycles.
@@ -404,22 +653,34 @@ export async function extractContent(html, url) {
   cleanHTML(cleanedDoc);
   const cleanedHtml = cleanedDoc.documentElement.outerHTML;
 
-  const passes = [
-    () => tryReadability(html, url),
-    () => tryDefuddle(html, url),
-    () => tryArticleExtractor(html, url),
-    () => tryReadabilityCleaned(cleanedHtml, url),
-    () => tryCssSelectors(cleanedHtml, url),
-    () => trySchemaOrg(html),                       // needs raw — reads <script type=ld+json>
-    () => tryOpenGraph(html),                        // needs raw — reads <meta> tags
-    () => tryTextDensity(cleanedHtml),
-    () => tryCleanedBody(cleanedHtml),
-  ];
-
-  for (const pass of passes) {
+  const passes = {
+    'readability': () => tryReadability(html, url),
+    'defuddle': () => tryDefuddle(html, url),
+    'article-extractor': () => tryArticleExtractor(html, url),
+    'readability-cleaned': () => tryReadabilityCleaned(cleanedHtml, url),
+    'css-selector': () => tryCssSelectors(cleanedHtml, url),
+    'schema-org': () => trySchemaOrg(html),        // needs raw — reads <script type=ld+json>
+    'open-graph': () => tryOpenGraph(html),        // needs raw — reads <meta> tags
+    'text-density': () => tryTextDensity(cleanedHtml),
+    'cleaned-body': () => tryCleanedBody(cleanedHtml),
+  };
+  const order = preferredPass ? [preferredPass, ...PASS_NAMES.filter((n) => n !== preferredPass)] : PASS_NAMES;
+
+  let accepted = null;
+  for (let i = 0; i < order.length; i++) {
+    const name = order[i];
     try {
-      const result = await pass();
-      if (!result) continue;
+      const result = await passes[name]();
+      if (!result) {
+        trace?.passes.push({ pass: name, status: 'empty', reason: 'no usable content' });
+        continue;
+      }
+      candidates?.push(result);
+      const described = trace ? describeExtracted(result) : null;
+      const entry = trace && {
+        pass: name, text_length: described.textLength,
+        ratio: rawTextLen ? Number((described.textLength / rawTextLen).toFixed(3)) : null, preview: described.preview,
+      };
 
       // Quality ratio check: skip if extracted content is suspiciously small.
       // Exception: if extractor found >= 1000 chars, it's real content even on
@@ -430,19 +691,31 @@ export async function extractContent(html, url) {
         const ratio = extTextLen / rawTextLen;
         if (ratio < 0.15 && extTextLen < 1000) {
           getLog().info({ method: result.method, ratio: `${(ratio * 100).toFixed(1)}%` }, 'extraction ratio too low, trying next pass');
+          trace?.passes.push({ ...entry, status: 'rejected', reason: 'ratio below 15% of page text (and under 1000 chars)' });
           continue;
         }
       }
 
+      trace?.passes.push({ ...entry, status: 'accepted' });
+      if (candidates) {
+        accepted ??= result;
+        continue;
+      }
+      if (trace) {
+        for (const rest of order.slice(i + 1)) trace.passes.push({ pass: rest, status: 'not-run' });
+      }
       return result;
-    } catch {
+    } catch (e) {
       // pass failed, try next
+      trace?.passes.push({ pass: name, status: 'error', reason: e.message });
     }
   }
+  if (accepted) return accepted;
 
   // Absolute fallback: raw body
   const { document } = parseHTML(html);
-  return {
+  trace?.passes.push({ pass: 'raw-body', status: 'accepted', reason: 'every pass failed' });
+  const rawBody = {
     contentHtml: document.body?.innerHTML || html,
     title: document.title || '',
     excerpt: '',
@@ -450,4 +723,6 @@ export async function extractContent(html, url) {
     siteName: '',
     method: 'raw-body',
   };
+  candidates?.push(rawBody);
+  return rawBody;
 }
@@ -0,0 +1,198 @@
+/**
+ * Alternative output formats derived from a conversion result:
+ *   text — markdown stripped to readable plain text, blocks separated by blank lines
+ *   html — the extracted article HTML (sanitized), or the markdown rendered to HTML
+ *   ast  — an mdast tree (https://github.com/syntax-tree/mdast) with GFM tables,
+ *          strikethrough and task lists, without source positions
+ */
+import { parseHTML } from 'linkedom';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { gfm } from 'micromark-extension-gfm';
+
+// ─── AST ──────────────────────────────────────────────────────────────
+
+function stripPositions(node) {
+  delete node.position;
+  node.children?.forEach(stripPositions);
+  return node;
+}
+
+/**
+ * Parse markdown into an mdast root.
+ * @param {string} markdown
+ * @returns {object}
+ */
+export function markdownToAst(markdown) {
+  return stripPositions(fromMarkdown(markdown, { extensions: [gfm()], mdastExtensions: [gfmFromMarkdown()] }));
+}
+
+// ─── Plain text ───────────────────────────────────────────────────────
+
+/** Text of a phrasing node: link and emphasis markup dropped, images reduced to alt text */
+function inlineText(node) {
+  switch (node.type) {
+    case 'text':
+    case 'inlineCode':
+      return node.value;
+    case 'break':
+      return '\n';
+    case 'image':
+    case 'imageReference':
+      return node.alt || '';
+    case 'html':
+    case 'footnoteReference':
+      return '';
+    default:
+      return (node.children || []).map(inlineText).join('');
+  }
+}
+
+function blockText(node) {
+  switch (node.type) {
+    case 'paragraph':
+    case 'heading':
+      return inlineText(node).trim();
+    case 'code':
+      return node.value;
+    case 'blockquote':
+      return blocksText(node.children);
+    case 'list':
+      return node.children.map((item, i) => {
+        const marker = node.ordered ? `${(node.start ?? 1) + i}. ` : '- ';
+        const box = item.checked == null ? '' : item.checked ? '[x] ' : '[ ] ';
+        const body = box + item.children.map(blockText).filter(Boolean).join('\n');
+        return marker + body.replace(/\n/g, `\n${' '.repeat(marker.length)}`);
+      }).join('\n');
+    case 'table':
+      return node.children.map((row) => row.children.map((cell) => inlineText(cell).trim()).join('\t')).join('\n');
+    default:
+      // thematicBreak, html, definition, footnoteDefinition
+      return '';
+  }
+}
+
+function blocksText(nodes) {
+  return nodes.map(blockText).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Markdown → readable plain text: paragraphs separated by blank lines, list markers
+ * kept, table cells tab-separated, inline markup and raw HTML dropped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToText(markdown) {
+  return blocksText(markdownToAst(markdown).children);
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/** Link/image target if it is safe to emit: http(s), mailto, fragment or relative */
+function safeUrl(url) {
+  const trimmed = String(url || '').trim();
+  return /^([a-z][a-z0-9+.-]*):/i.test(trimmed) && !/^(https?|mailto):/i.test(trimmed) ? '' : trimmed;
+}
+
+function nodeHtml(node, tight = false) {
+  const children = (list = node.children || []) => list.map((child) => nodeHtml(child, tight)).join('');
+  switch (node.type) {
+    case 'root':
+      return node.children.map((child) => nodeHtml(child)).join('\n');
+    case 'paragraph':
+      return tight ? children() : `<p>${children()}</p>`;
+    case 'heading':
+      return `<h${node.depth}>${children()}</h${node.depth}>`;
+    case 'text':
+      return escapeHtml(node.value);
+    case 'emphasis':
+      return `<em>${children()}</em>`;
+    case 'strong':
+      return `<strong>${children()}</strong>`;
+    case 'delete':
+      return `<del>${children()}</del>`;
+    case 'inlineCode':
+      return `<code>${escapeHtml(node.value)}</code>`;
+    case 'break':
+      return '<br>';
+    case 'code':
+      return `<pre><code${node.lang ? ` class="language-${escapeHtml(node.lang)}"` : ''}>${escapeHtml(node.value)}</code></pre>`;
+    case 'link':
+      return `<a href="${escapeHtml(safeUrl(node.url))}">${children()}</a>`;
+    case 'image':
+      return `<img src="${escapeHtml(safeUrl(node.url))}" alt="${escapeHtml(node.alt || '')}">`;
+    case 'blockquote':
+      return `<blockquote>${node.children.map((child) => nodeHtml(child)).join('')}</blockquote>`;
+    case 'thematicBreak':
+      return '<hr>';
+    case 'list': {
+      const tag = node.ordered ? 'ol' : 'ul';
+      const start = node.ordered && node.start != null && node.start !== 1 ? ` start="${node.start}"` : '';
+      return `<${tag}${start}>${node.children.map((item) => nodeHtml(item, !node.spread)).join('')}</${tag}>`;
+    }
+    case 'listItem': {
+      const box = node.checked == null ? '' : `<input type="checkbox" disabled${node.checked ? ' checked' : ''}> `;
+      return `<li>${box}${node.children.map((child) => nodeHtml(child, tight)).join(tight ? '\n' : '')}</li>`;
+    }
+    case 'table': {
+      const [head, ...body] = node.children;
+      const row = (r, tag) => `<tr>${r.children.map((cell) => `<${tag}>${nodeHtml({ ...cell, type: 'cells' })}</${tag}>`).join('')}</tr>`;
+      return `<table><thead>${row(head, 'th')}</thead>${body.length ? `<tbody>${body.map((r) => row(r, 'td')).join('')}</tbody>` : ''}</table>`;
+    }
+    case 'html':
+      // Raw HTML in converted markdown comes from the page: show it, never run it
+      return escapeHtml(node.value);
+    case 'definition':
+    case 'footnoteDefinition':
+      return '';
+    default:
+      return children();
+  }
+}
+
+/**
+ * Render markdown as an HTML fragment. Used for results that have no extracted HTML
+ * (documents, feeds, YouTube, LLM output). Raw HTML in the markdown is escaped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown) {
+  return nodeHtml(markdownToAst(markdown));
+}
+
+const UNSAFE_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'base', 'svg', 'math',
+];
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+
+/**
+ * Make extracted page HTML safe to serve: active elements, event handlers, inline
+ * styles and non-http(s) URLs are removed; relative URLs resolve against baseUrl.
+ * @param {string} html
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+export function sanitizeHtml(html, baseUrl) {
+  const { document } = parseHTML(`<html><body>${html}</body></html>`);
+  for (const el of document.querySelectorAll(UNSAFE_ELEMENTS.join(', '))) el.remove();
+  for (const el of document.querySelectorAll('*')) {
+    for (const { name, value } of [...el.attributes]) {
+      const attr = name.toLowerCase();
+      if (attr.startsWith('on') || attr === 'style' || attr === 'srcset') {
+        el.removeAttribute(name);
+      } else if (URL_ATTRIBUTES.includes(attr)) {
+        let resolved = null;
+        try { resolved = new URL(value.trim(), baseUrl || undefined).href; } catch { /* relative without base */ }
+        if (resolved && !/^(https?|mailto):/i.test(resolved)) el.removeAttribute(name);
+        else if (resolved) el.setAttribute(name, resolved);
+        else if (/^[a-z][a-z0-9+.-]*:/i.test(value.trim())) el.removeAttribute(name);
+      }
+    }
+  }
+  return document.body.innerHTML.trim();
+}
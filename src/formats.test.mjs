@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToText, markdownToAst, markdownToHtml, sanitizeHtml } from './formats.mjs';
+
+const MARKDOWN = `# Guide
+
+Read the [intro](https://example.com/intro) **first**.
+
+- one
+- two
+
+1. alpha
+2. beta
+
+| Name | Value |
+|------|-------|
+| a    | 1     |
+
+\`\`\`js
+const x = 1 < 2;
+\`\`\`
+
+<div onclick="x()">raw</div>`;
+
+describe('markdownToText', () => {
+  it('keeps paragraph breaks and list markers, drops markup', () => {
+    assert.equal(markdownToText(MARKDOWN), [
+      'Guide',
+      'Read the intro first.',
+      '- one\n- two',
+      '1. alpha\n2. beta',
+      'Name\tValue\na\t1',
+      'const x = 1 < 2;',
+    ].join('\n\n'));
+  });
+
+  it('indents continuation lines and marks tasks', () => {
+    assert.equal(markdownToText('- [x] done\n- [ ] todo\n  later'), '- [x] done\n- [ ] todo\n  later');
+  });
+});
+
+describe('markdownToAst', () => {
+  it('returns an mdast root with GFM nodes and no positions', () => {
+    const ast = markdownToAst(MARKDOWN);
+    assert.equal(ast.type, 'root');
+    assert.deepEqual(ast.children.map((n) => n.type), ['heading', 'paragraph', 'list', 'list', 'table', 'code', 'html']);
+    assert.equal(ast.children[0].depth, 1);
+    assert.equal(ast.children[1].children[1].url, 'https://example.com/intro');
+    assert.equal(ast.children[5].lang, 'js');
+    assert.ok(!JSON.stringify(ast).includes('"position"'));
+  });
+});
+
+describe('markdownToHtml', () => {
+  it('renders block structure and escapes raw HTML', () => {
+    const html = markdownToHtml(MARKDOWN);
+    assert.ok(html.includes('<h1>Guide</h1>'));
+    assert.ok(html.includes('<a href="https://example.com/intro">intro</a> <strong>first</strong>'));
+    assert.ok(html.includes('<ul><li>one</li><li>two</li></ul>'));
+    assert.ok(html.includes('<thead><tr><th>Name</th><th>Value</th></tr></thead>'));
+    assert.ok(html.includes('const x = 1 &lt; 2;'));
+    assert.ok(html.includes('&lt;div onclick=&quot;x()&quot;&gt;'));
+  });
+
+  it('drops unsafe link targets', () => {
+    assert.equal(markdownToHtml('[x](javascript:alert(1))'), '<p><a href="">x</a></p>');
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('removes active content and resolves relative URLs', () => {
+    const html = sanitizeHtml(
+      '<p onclick="steal()" style="color:red">Hi <a href="/docs">docs</a> <a href="javascript:alert(1)">bad</a></p>'
+      + '<script>alert(1)</script><iframe src="https://evil.test"></iframe><img src="logo.png" srcset="a 2x">',
+      'https://example.com/blog/post',
+    );
+    assert.equal(html, '<p>Hi <a href="https://example.com/docs">docs</a> <a>bad</a></p><img src="https://example.com/blog/logo.png">');
+  });
+
+  it('keeps relative URLs without a base', () => {
+    assert.equal(sanitizeHtml('<a href="/docs">docs</a>'), '<a href="/docs">docs</a>');
+  });
+});
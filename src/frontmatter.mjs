@@ -0,0 +1,54 @@
+/**
+ * YAML front matter for markdown responses (format=frontmatter).
+ *
+ * Emits a small, safe subset of YAML: every string is double-quoted with
+ * escapes, numbers and booleans are plain, arrays are block sequences and
+ * nested objects block mappings. Fields that are null, undefined, '' or []
+ * are left out.
+ */
+
+/** Characters YAML double-quoted scalars cannot carry raw, on top of what JSON escapes */
+const YAML_UNSAFE = /[\u007f-\u009f\u2028\u2029\ufeff]/g;
+
+/** Double-quoted YAML scalar (JSON string syntax is a subset of YAML double-quoted style) */
+function quote(value) {
+  return JSON.stringify(value).replace(YAML_UNSAFE, (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function scalar(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : quote(String(value));
+  if (typeof value === 'boolean') return String(value);
+  return quote(String(value));
+}
+
+/** YAML lines for one key/value pair at the given indent */
+function entryLines(key, value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    return [`${pad}${key}:`, ...value.map((item) => `${pad}  - ${scalar(item)}`)];
+  }
+  if (typeof value === 'object') {
+    return [`${pad}${key}:`, ...mappingLines(value, indent + 2)];
+  }
+  return [`${pad}${key}: ${scalar(value)}`];
+}
+
+function mappingLines(fields, indent) {
+  return Object.entries(fields)
+    .filter(([, value]) => !isEmpty(value))
+    .flatMap(([key, value]) => entryLines(key, value, indent));
+}
+
+/**
+ * Render fields as a front matter block, including the `---` fences and a trailing newline.
+ * Keys must be plain identifiers; they are written as-is.
+ * @param {Record<string, unknown>} fields
+ * @returns {string}
+ */
+export function toFrontMatter(fields) {
+  return ['---', ...mappingLines(fields, 0), '---', ''].join('\n');
+}
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toFrontMatter } from './frontmatter.mjs';
+
+describe('toFrontMatter', () => {
+  it('renders scalars, lists and nested mappings between fences', () => {
+    assert.equal(toFrontMatter({
+      title: 'Hello', tokens: 42, draft: false, tags: ['a', 'b'], quality: { score: 0.85, grade: 'A' },
+    }), [
+      '---',
+      'title: "Hello"',
+      'tokens: 42',
+      'draft: false',
+      'tags:',
+      '  - "a"',
+      '  - "b"',
+      'quality:',
+      '  score: 0.85',
+      '  grade: "A"',
+      '---',
+      '',
+    ].join('\n'));
+  });
+
+  it('escapes quotes, newlines, YAML indicators and unsafe code points', () => {
+    const yaml = toFrontMatter({ title: 'Say "hi": #1\nnext', note: '- [x] & *ref', odd: 'a\u0085b c' });
+    assert.ok(yaml.includes('title: "Say \\"hi\\": #1\\nnext"'));
+    assert.ok(yaml.includes('note: "- [x] & *ref"'));
+    assert.ok(yaml.includes('odd: "a\\u0085b\\u2028c"'));
+    assert.equal(yaml.split('\n').length, 6);
+  });
+
+  it('leaves out empty fields', () => {
+    assert.equal(toFrontMatter({ title: 'T', url: null, language: undefined, byline: '', tags: [] }), '---\ntitle: "T"\n---\n');
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Glob patterns shared by crawl include/exclude paths and extraction-rule hostnames.
+ */
+
+/**
+ * Convert a glob to a RegExp: `**` matches across `/` segments, `*` within one (so in a
+ * hostname, which has no `/`, `*` matches across labels). Patterns without a wildcard
+ * match as a prefix.
+ * @param {string} glob
+ */
+export function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  if (!glob.includes('*')) return new RegExp(`^${escaped}`);
+  const source = escaped
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${source}$`);
+}
@@ -9,6 +9,7 @@ import { getCache, setCache } from './redis.mjs';
 import { getLog } from './logger.mjs';
 import { webhookDeliveriesTotal } from './metrics.mjs';
 import { isBlockedUrl, resolveAndValidate } from './convert.mjs';
+import { DEFAULT_TOKENIZER } from './markdown.mjs';
 
 const JOB_TTL = 3600; // 1 hour
 const WEBHOOK_RETRIES = 3;
@@ -16,8 +17,8 @@ const WEBHOOK_BACKOFF = [1000, 5000, 25000]; // 1s, 5s, 25s
 
 /**
  * Create a new async job.
- * @param {string} url - Target URL to convert
- * @param {object} options - Conversion options (mode, links, max_tokens)
+ * @param {string} url - Target URL to convert (seed URL for crawl jobs)
+ * @param {object} options - Conversion options (mode, links, max_tokens; crawl limits for crawl jobs)
  * @param {string} [callbackUrl] - Webhook URL for result delivery
  * @returns {Promise<{id: string, status: string}>}
  */
@@ -52,10 +53,14 @@ export async function completeJob(id, result) {
     url: result.url,
     content: result.markdown,
     tokens: result.tokens,
+    tokenizer: result.tokenizer || DEFAULT_TOKENIZER,
     tier: result.tier,
     quality: q,
     time_ms: result.totalMs,
     method: result.method || 'unknown',
+    ...(result.metadata && { metadata: result.metadata }),
+    ...(result.candidates && { candidates: result.candidates }),
+    ...(result.debug && { debug: result.debug }),
   };
   job.completedAt = Date.now();
   await setCache(`job:${id}`, job, JOB_TTL);
@@ -65,6 +70,33 @@ export async function completeJob(id, result) {
   }
 }
 
+/**
+ * Mark job as completed with an already-shaped result payload
+ * (multi-page jobs such as crawls), and deliver webhook if configured.
+ */
+export async function completeJobRaw(id, payload) {
+  const job = await getCache(`job:${id}`);
+  if (!job) return;
+
+  job.status = 'completed';
+  job.result = payload;
+  job.completedAt = Date.now();
+  await setCache(`job:${id}`, job, JOB_TTL);
+
+  if (job.callbackUrl) {
+    deliverWebhook(job).catch(() => {});
+  }
+}
+
+/** Record progress on a running job (no-op once the job has finished) */
+export async function updateJobProgress(id, progress) {
+  const job = await getCache(`job:${id}`);
+  if (!job || job.status !== 'processing') return;
+
+  job.progress = progress;
+  await setCache(`job:${id}`, job, JOB_TTL);
+}
+
 /** Mark job as failed and deliver webhook if configured */
 export async function failJob(id, error) {
   const job = await getCache(`job:${id}`);
@@ -0,0 +1,85 @@
+/**
+ * Link discovery — lists the links on a page without extracting its content.
+ *
+ * Links are absolutized with resolveHref (same rules as resolveUrls), deduplicated
+ * by URL without fragment, and tagged with the page region they sit in. Regions
+ * mirror the nav/header/footer/aside blocks that cleanHTML strips before extraction.
+ */
+import { parseHTML } from 'linkedom';
+import { resolveHref } from './markdown.mjs';
+
+/** Region name → selector; first match wins, so nav inside a header counts as nav */
+export const LINK_REGIONS = {
+  nav: 'nav, [role="navigation"]',
+  header: 'header, [role="banner"]',
+  footer: 'footer, [role="contentinfo"]',
+  aside: 'aside, [role="complementary"]',
+};
+
+function regionOf(el) {
+  for (const [name, selector] of Object.entries(LINK_REGIONS)) {
+    try {
+      if (el.closest(selector)) return name;
+    } catch { /* selector not supported by linkedom */ }
+  }
+  return 'content';
+}
+
+function anchorText(el) {
+  const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+  if (text) return text;
+  return (el.getAttribute('aria-label') || el.getAttribute('title')
+    || el.querySelector?.('img[alt]')?.getAttribute('alt') || '').trim();
+}
+
+/**
+ * List the links in an HTML page.
+ * @param {string} html
+ * @param {string} pageUrl - Used to resolve relative links (a `<base href>` takes precedence)
+ * @param {object} [opts]
+ * @param {string} [opts.prefix] - Keep only internal links whose path starts with this
+ * @param {string[]} [opts.excludeRegions] - Drop links inside these regions (nav, header, footer, aside)
+ * @returns {{ title: string, links: Array<{url: string, text: string, type: 'internal'|'external', region: string}> }}
+ */
+export function extractPageLinks(html, pageUrl, opts = {}) {
+  const { prefix = '', excludeRegions = [] } = opts;
+  const { document } = parseHTML(html);
+
+  let base = pageUrl;
+  const baseHref = document.querySelector('base[href]')?.getAttribute('href');
+  if (baseHref) base = resolveHref(baseHref, pageUrl) || pageUrl;
+  const host = new URL(pageUrl).hostname;
+
+  const byUrl = new Map();
+  for (const el of document.querySelectorAll('a[href]')) {
+    const resolved = resolveHref(el.getAttribute('href') || '', base);
+    if (!resolved) continue;
+
+    let u;
+    try { u = new URL(resolved); } catch { continue; }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') continue;
+    u.hash = '';
+
+    // The same URL often appears in several regions (nav + body); remember each
+    const region = regionOf(el);
+    const existing = byUrl.get(u.href);
+    if (existing) {
+      if (!existing.text) existing.text = anchorText(el);
+      if (!existing.regions.includes(region)) existing.regions.push(region);
+      continue;
+    }
+
+    const type = u.hostname === host ? 'internal' : 'external';
+    byUrl.set(u.href, { url: u.href, text: anchorText(el), type, regions: [region], path: u.pathname });
+  }
+
+  const links = [];
+  for (const { url, text, type, regions, path } of byUrl.values()) {
+    const region = regions.find((r) => !excludeRegions.includes(r));
+    if (!region) continue;
+    if (prefix && (type !== 'internal' || !path.startsWith(prefix))) continue;
+    links.push({ url, text, type, region });
+  }
+
+  return { title: document.querySelector('title')?.textContent?.trim() || '', links };
+}
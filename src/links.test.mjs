@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPageLinks } from './links.mjs';
+
+const PAGE = `<html><head><title> Docs Home </title></head><body>
+  <header><nav><a href="/">Home</a><a href="/docs/">Docs</a></nav></header>
+  <main>
+    <a href="/docs/intro#setup">Intro</a>
+    <a href="docs/guide">Guide</a>
+    <a href="/docs/intro">Intro again</a>
+    <a href="https://github.com/acme/repo"><img src="gh.png" alt="GitHub"></a>
+    <a href="#top">Top</a><a href="mailto:hi@example.com">Mail</a><a href="javascript:void(0)">JS</a>
+  </main>
+  <footer><a href="/privacy">Privacy</a><a href="/docs/">Docs</a></footer>
+</body></html>`;
+
+const BASE = 'https://example.com/';
+
+describe('extractPageLinks', () => {
+  it('absolutizes, deduplicates and skips non-navigational links', () => {
+    const { title, links } = extractPageLinks(PAGE, BASE);
+    assert.equal(title, 'Docs Home');
+    assert.deepEqual(links.map((l) => l.url), [
+      'https://example.com/', 'https://example.com/docs/', 'https://example.com/docs/intro',
+      'https://example.com/docs/guide', 'https://github.com/acme/repo', 'https://example.com/privacy',
+    ]);
+  });
+
+  it('classifies internal/external links and keeps anchor text', () => {
+    const { links } = extractPageLinks(PAGE, BASE);
+    const gh = links.find((l) => l.url.startsWith('https://github.com'));
+    assert.equal(gh.type, 'external');
+    assert.equal(gh.text, 'GitHub');
+    assert.equal(links.find((l) => l.url.endsWith('/intro')).text, 'Intro');
+    assert.equal(links.find((l) => l.url.endsWith('/guide')).type, 'internal');
+  });
+
+  it('tags regions and drops excluded ones', () => {
+    const all = extractPageLinks(PAGE, BASE).links;
+    assert.equal(all.find((l) => l.url === 'https://example.com/').region, 'nav');
+    assert.equal(all.find((l) => l.url.endsWith('/privacy')).region, 'footer');
+
+    const { links } = extractPageLinks(PAGE, BASE, { excludeRegions: ['nav', 'footer'] });
+    assert.ok(!links.some((l) => l.url === 'https://example.com/'));
+    assert.ok(!links.some((l) => l.url.endsWith('/privacy')));
+  });
+
+  it('keeps a link excluded in one region when it also appears in another', () => {
+    const html = '<nav><a href="/a">A</a></nav><main><a href="/a">A</a></main>';
+    const { links } = extractPageLinks(html, BASE, { excludeRegions: ['nav'] });
+    assert.deepEqual(links.map((l) => [l.url, l.region]), [['https://example.com/a', 'content']]);
+  });
+
+  it('filters internal links by path prefix', () => {
+    const { links } = extractPageLinks(PAGE, BASE, { prefix: '/docs/' });
+    assert.deepEqual(links.map((l) => l.url), [
+      'https://example.com/docs/', 'https://example.com/docs/intro', 'https://example.com/docs/guide',
+    ]);
+  });
+
+  it('resolves against <base href>', () => {
+    const html = '<html><head><base href="https://cdn.example.com/v2/"></head><body><a href="page">P</a></body></html>';
+    const { links } = extractPageLinks(html, BASE);
+    assert.equal(links[0].url, 'https://cdn.example.com/v2/page');
+    assert.equal(links[0].type, 'external');
+  });
+});
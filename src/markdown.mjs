@@ -3,7 +3,8 @@
  * token counting, markdown cleanup, URL resolution, pruning.
  */
 import TurndownService from 'turndown';
-import { encode } from 'gpt-tokenizer';
+import { encode as encodeO200k } from 'gpt-tokenizer/encoding/o200k_base';
+import { encode as encodeCl100k } from 'gpt-tokenizer/encoding/cl100k_base';
 import { BOILERPLATE_PATTERNS, ERROR_PATTERNS, FRAMEWORK_PAYLOAD_PATTERNS } from './extractor.mjs';
 
 // ─── Turndown instance ───────────────────────────────────────────────
@@ -98,8 +99,32 @@ turndown.addRule('removeImages', {
 
 // ─── Token counting ──────────────────────────────────────────────────
 
-export function countTokens(text) {
-  if (text.length > 500_000) {
+/**
+ * Tokenizers for token counts and max_tokens budgets (`tokenizer` option):
+ *   o200k_base  — GPT-4o / o-series BPE (default)
+ *   cl100k_base — GPT-4 / GPT-3.5 BPE
+ *   chars       — characters / 4, for models without a local tokenizer
+ * BPE encodings fall back to characters / 4 above 500K characters.
+ */
+const TOKENIZER_ENCODERS = {
+  o200k_base: encodeO200k,
+  cl100k_base: encodeCl100k,
+  chars: null,
+};
+
+export const TOKENIZERS = Object.keys(TOKENIZER_ENCODERS);
+export const DEFAULT_TOKENIZER = 'o200k_base';
+
+/**
+ * Count tokens with the given tokenizer.
+ * @param {string} text
+ * @param {string} [tokenizer] - one of TOKENIZERS (default o200k_base)
+ * @returns {number}
+ */
+export function countTokens(text, tokenizer = DEFAULT_TOKENIZER) {
+  const encode = TOKENIZER_ENCODERS[tokenizer ?? DEFAULT_TOKENIZER];
+  if (encode === undefined) throw new Error(`Unknown tokenizer: ${tokenizer}`);
+  if (!encode || text.length > 500_000) {
     return Math.ceil(text.length / 4);
   }
   return encode(text).length;
@@ -146,14 +171,16 @@ export function scoreMarkdown(markdown) {
 
   const clamped = Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
 
-  let grade;
-  if (clamped >= 0.8) grade = 'A';
-  else if (clamped >= 0.6) grade = 'B';
-  else if (clamped >= 0.4) grade = 'C';
-  else if (clamped >= 0.2) grade = 'D';
-  else grade = 'F';
+  return { score: clamped, grade: qualityGrade(clamped) };
+}
 
-  return { score: clamped, grade };
+/** Letter grade for a 0-1 quality score */
+export function qualityGrade(score) {
+  if (score >= 0.8) return 'A';
+  if (score >= 0.6) return 'B';
+  if (score >= 0.4) return 'C';
+  if (score >= 0.2) return 'D';
+  return 'F';
 }
 
 // ─── HTML pre-processing ─────────────────────────────────────────────
@@ -232,6 +259,21 @@ export function normalizeSpacing(document) {
 
 // ─── Markdown post-processing ────────────────────────────────────────
 
+/**
+ * Resolve a single link target against a base URL. Absolute http(s) targets are
+ * returned as-is; fragment, data:, mailto:, tel: and javascript: targets give null.
+ */
+export function resolveHref(href, base) {
+  const trimmed = href.trim();
+  if (/^(data:|#|mailto:|tel:|javascript:)/i.test(trimmed)) return null;
+  if (/^https?:\/\//i.test(trimmed)) return trimmed;
+  try {
+    return new URL(trimmed, base).href;
+  } catch {
+    return null;
+  }
+}
+
 export function resolveUrls(markdown, baseUrl) {
   if (!baseUrl) return markdown;
   // Skip extremely large inputs to prevent ReDoS (content already bounded by MAX_RESPONSE_SIZE)
@@ -244,18 +286,30 @@ export function resolveUrls(markdown, baseUrl) {
   }
   // Use bounded quantifier {1,2048} to prevent catastrophic backtracking
   return markdown.replace(/(!?\[[^\]]*\])\(([^)]{1,2048})\)/g, (match, prefix, href) => {
-    const trimmed = href.trim();
-    if (/^(data:|#|mailto:|tel:|javascript:)/i.test(trimmed)) return match;
-    if (/^https?:\/\//i.test(trimmed)) return match;
-    try {
-      const resolved = new URL(trimmed, base).href;
-      return `${prefix}(${resolved})`;
-    } catch {
-      return match;
-    }
+    const resolved = resolveHref(href, base);
+    if (!resolved || resolved === href.trim()) return match;
+    return `${prefix}(${resolved})`;
   });
 }
 
+/** Escape text that markdown would otherwise read as a heading, quote or list marker */
+export function escapeLineStart(text) {
+  return text.replace(/^([#>]|[-*+](?=\s)|\d+[.)](?=\s))/, '\\$1');
+}
+
+/**
+ * Wrap text in bold/italic markers, keeping its surrounding whitespace outside them.
+ * @param {string} text
+ * @param {{bold?: boolean, italic?: boolean}|null|undefined} style
+ */
+export function emphasize(text, style) {
+  const [, lead, inner, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!style || !inner) return text;
+  let marked = style.italic ? `*${inner}*` : inner;
+  if (style.bold) marked = `**${marked}**`;
+  return lead + marked + trail;
+}
+
 export function cleanMarkdown(markdown) {
   return markdown
     .replace(/\[]\([^)]*\)/g, '')
@@ -350,13 +404,29 @@ export function convertToCitations(markdown) {
   return `${body.trim()}\n\nReferences:\n${refs}`;
 }
 
-export function pruneMarkdown(markdown, maxTokens) {
-  const lines = markdown.split('\n');
-  const sections = [];
-  let current = { heading: '', lines: [], headingLevel: 0 };
+/** Opening/closing code fence: ``` or ~~~ (3+), up to 3 spaces of indent */
+export const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
 
-  for (const line of lines) {
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)/);
+/**
+ * Split markdown into heading sections. `#` lines inside code fences are not headings.
+ * Each section carries its heading text and level (0 for the preamble), its lines,
+ * and character offsets [start, end) into the markdown.
+ * @param {string} markdown
+ * @returns {{heading: string, headingLevel: number, lines: string[], start: number, end: number}[]}
+ */
+export function splitSections(markdown) {
+  const sections = [];
+  let current = { heading: '', lines: [], headingLevel: 0, start: 0, end: 0 };
+  let fence = null;
+  let offset = 0;
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(FENCE_RE);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+    }
+    const headingMatch = !fence && !fenceMatch && line.match(/^(#{1,6})\s+(.+)/);
     if (headingMatch) {
       if (current.lines.length > 0 || current.heading) {
         sections.push(current);
@@ -365,14 +435,34 @@ export function pruneMarkdown(markdown, maxTokens) {
         heading: headingMatch[2],
         lines: [line],
         headingLevel: headingMatch[1].length,
+        start: offset,
+        end: offset + line.length,
       };
     } else {
       current.lines.push(line);
+      current.end = offset + line.length;
     }
+    offset += line.length + 1;
   }
   if (current.lines.length > 0 || current.heading) {
     sections.push(current);
   }
+  return sections;
+}
+
+/**
+ * Prune boilerplate sections, then fit the rest into maxTokens (if given) without
+ * cutting through the structure. Sections are ranked by score and kept whole, in
+ * document order, while they fit; the best-ranked section that does not fit is cut
+ * at a block boundary (never inside a code fence or table) when room is left.
+ * Omitted headings are listed in a short outline at the end.
+ * @param {string} markdown
+ * @param {number} [maxTokens]
+ * @param {string} [tokenizer]
+ * @returns {string}
+ */
+export function pruneMarkdown(markdown, maxTokens, tokenizer = DEFAULT_TOKENIZER) {
+  const sections = splitSections(markdown);
 
   const BOILERPLATE_HEADINGS = /^(cookie|privacy|terms|disclaimer|advertisement|related|popular|trending|sidebar|footer|nav|menu|sign.?up|log.?in|subscribe|newsletter|share|social|comment|copyright)/i;
 
@@ -393,23 +483,140 @@ export function pruneMarkdown(markdown, maxTokens) {
     return { ...section, score };
   });
 
-  const kept = scored.filter((s) => s.score > 0.15);
-  let result = kept.map((s) => s.lines.join('\n')).join('\n');
+  let kept = scored.filter((s) => s.score > 0.15);
+  const result = kept.map((s) => s.lines.join('\n')).join('\n');
 
   if (result.length < markdown.length * 0.2) {
-    return markdown.trim();
+    // Pruning removed too much: keep everything, but still honor the budget
+    if (!(maxTokens > 0) || countTokens(markdown, tokenizer) <= maxTokens) return markdown.trim();
+    kept = scored;
+  } else if (!(maxTokens > 0) || countTokens(result, tokenizer) <= maxTokens) {
+    return result.trim();
   }
 
-  if (maxTokens && maxTokens > 0) {
-    const tokens = countTokens(result);
-    if (tokens > maxTokens) {
-      const ratio = result.length / tokens;
-      const maxChars = Math.floor(maxTokens * ratio * 0.95);
-      result = result.slice(0, maxChars).replace(/\n[^\n]*$/, '') + '\n\n*[truncated]*';
+  return budgetSections(kept, maxTokens, tokenizer);
+}
+
+/** Outline entries shown before collapsing the rest into "…and N more" */
+const OUTLINE_MAX_ENTRIES = 15;
+
+/** Short list of omitted sections, each as its heading path ("Install › Linux") */
+function omittedOutline(sections) {
+  if (!sections.length) return '';
+  const lines = sections.slice(0, OUTLINE_MAX_ENTRIES).map((s) => `- ${s.path.join(' › ') || '(introduction)'}`);
+  if (sections.length > OUTLINE_MAX_ENTRIES) lines.push(`- …and ${sections.length - OUTLINE_MAX_ENTRIES} more`);
+  return `*[Omitted sections]*\n${lines.join('\n')}`;
+}
+
+/** Attach each section's heading path (its own heading and those of its ancestors) */
+function withHeadingPaths(sections) {
+  const stack = [];
+  return sections.map((section) => {
+    if (section.headingLevel) {
+      while (stack.length && stack.at(-1).level >= section.headingLevel) stack.pop();
+      stack.push({ level: section.headingLevel, heading: section.heading.trim() });
+    }
+    return { ...section, path: section.headingLevel ? stack.map((h) => h.heading) : [] };
+  });
+}
+
+/**
+ * Blank-line separated blocks of a section. Code fences (blank lines included) and
+ * tables stay whole and are marked atomic.
+ */
+function sectionBlocks(lines) {
+  const blocks = [];
+  let block = null;
+  let fence = null;
+  for (const line of lines) {
+    const fenceMatch = line.match(FENCE_RE);
+    if (fence) {
+      block.lines.push(line);
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+    } else if (!line.trim()) {
+      block = null;
+    } else {
+      if (fenceMatch) fence = fenceMatch[1];
+      const atomic = !!fenceMatch || line.trimStart().startsWith('|');
+      if (!block || fenceMatch) {
+        block = { lines: [line], atomic };
+        blocks.push(block);
+      } else {
+        block.lines.push(line);
+        block.atomic ||= atomic;
+      }
+    }
+  }
+  return blocks.map((b) => ({ text: b.lines.join('\n'), atomic: b.atomic }));
+}
+
+/**
+ * Longest run of whole blocks (and, for the first block that does not fit, whole
+ * sentences) within budget tokens. Returns '' when not even the first piece fits.
+ */
+function truncateSection(section, budget, tokenizer) {
+  const parts = [];
+  let used = 0;
+  for (const block of sectionBlocks(section.lines)) {
+    const tokens = countTokens(block.text, tokenizer) + 1;
+    if (used + tokens <= budget) {
+      parts.push(block.text);
+      used += tokens;
+      continue;
+    }
+    if (!block.atomic) {
+      let partial = '';
+      for (const sentence of block.text.split(/(?<=[.!?:])[ \t]+|\n/)) {
+        const next = partial ? `${partial} ${sentence}` : sentence;
+        if (used + countTokens(next, tokenizer) + 1 > budget) break;
+        partial = next;
+      }
+      if (partial) parts.push(partial);
     }
+    break;
+  }
+  // A heading alone says nothing: only keep it with some of the content
+  if (parts.length === 1 && section.headingLevel) return '';
+  return parts.join('\n\n');
+}
+
+/**
+ * Keep the highest-scoring sections that fit in maxTokens, in document order, plus an
+ * outline of the rest. Section costs are summed (separators make the real count differ
+ * by a token or two), so the marker and outline are budgeted with a small margin.
+ */
+function budgetSections(kept, maxTokens, tokenizer) {
+  const sections = withHeadingPaths(kept);
+  const cost = sections.map((s) => countTokens(s.lines.join('\n'), tokenizer) + 1);
+  const ranked = sections.map((_, i) => i).sort((a, b) => sections[b].score - sections[a].score || a - b);
+  const chosen = new Set();
+  const outlineCost = () => countTokens(omittedOutline(sections.filter((_, i) => !chosen.has(i))), tokenizer) + 2;
+  let used = 0;
+
+  for (const i of ranked) {
+    chosen.add(i);
+    if (used + cost[i] + outlineCost() <= maxTokens) used += cost[i];
+    else chosen.delete(i);
+  }
+
+  // Fill the remaining room with the start of the best-ranked section left out
+  const truncatedMarker = '*[truncated]*';
+  let partial = null;
+  const next = ranked.find((i) => !chosen.has(i));
+  if (next !== undefined) {
+    chosen.add(next);
+    const room = maxTokens - used - outlineCost() - countTokens(truncatedMarker, tokenizer) - 2;
+    const text = room > 0 ? truncateSection(sections[next], room, tokenizer) : '';
+    if (text) partial = { index: next, text: `${text}\n\n${truncatedMarker}` };
+    else chosen.delete(next);
   }
 
-  return result.trim();
+  const body = sections
+    .map((s, i) => (partial?.index === i ? partial.text : chosen.has(i) ? s.lines.join('\n').trim() : null))
+    .filter(Boolean)
+    .join('\n\n');
+  const outline = omittedOutline(sections.filter((_, i) => !chosen.has(i)));
+  return [body, outline].filter(Boolean).join('\n\n').trim();
 }
 
 /**
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { countTokens, scoreMarkdown, cleanMarkdown, convertToCitations, resolveUrls, pruneMarkdown, cleanLLMOutput } from './markdown.mjs';
+import { countTokens, TOKENIZERS, DEFAULT_TOKENIZER, scoreMarkdown, cleanMarkdown, convertToCitations, resolveUrls, pruneMarkdown, splitSections, cleanLLMOutput } from './markdown.mjs';
 
 // ─── countTokens ────────────────────────────────────────────────────────
 
@@ -29,6 +29,19 @@ describe('countTokens', () => {
     // Should use exact encoding, not char/4 estimate
     assert.notEqual(result, Math.ceil(text.length / 4));
   });
+
+  it('counts with the requested tokenizer', () => {
+    const text = 'Tokenizers disagree about punctuation, emoji 🙂 and non-English text: привет мир.';
+    assert.equal(countTokens(text, 'chars'), Math.ceil(text.length / 4));
+    assert.ok(countTokens(text, 'cl100k_base') > 0);
+    assert.notEqual(countTokens(text, 'cl100k_base'), countTokens(text, 'o200k_base'));
+    assert.equal(countTokens(text), countTokens(text, DEFAULT_TOKENIZER));
+    assert.deepEqual(TOKENIZERS, ['o200k_base', 'cl100k_base', 'chars']);
+  });
+
+  it('throws on an unknown tokenizer', () => {
+    assert.throws(() => countTokens('text', 'p50k'), /Unknown tokenizer: p50k/);
+  });
 });
 
 // ─── scoreMarkdown ──────────────────────────────────────────────────────
@@ -426,6 +439,39 @@ Important information continues here with additional details and proper length.`
     assert.ok(tokens <= 60, `Expected tokens <= 60, got ${tokens}`); // Allow some margin
   });
 
+  it('keeps whole sections in document order within maxTokens and outlines the rest', () => {
+    const para = (topic, n) => Array.from({ length: n }, (_, i) => `${topic} sentence ${i} explains the idea in enough detail.`).join(' ');
+    const input = [
+      '# Guide', para('Intro', 4),
+      '## Install', para('Install', 4), '```bash\nnpm install thing\n\n# not a heading\nthing --init\n```',
+      '## Usage', '```\n' + 'line of console output\n'.repeat(200) + '```',
+      '## FAQ', para('FAQ', 4), '| q | a |\n|---|---|\n| why | because |',
+    ].join('\n\n');
+    const result = pruneMarkdown(input, 250);
+    assert.ok(countTokens(result) <= 250, `got ${countTokens(result)} tokens`);
+    assert.ok(result.includes('```bash\nnpm install thing\n\n# not a heading\nthing --init\n```'));
+    assert.ok(result.includes('| q | a |\n|---|---|\n| why | because |'));
+    assert.ok(result.indexOf('## Install') < result.indexOf('## FAQ'));
+    assert.ok(!result.includes('## Usage'));
+    assert.ok(result.endsWith('*[Omitted sections]*\n- Guide › Usage'));
+  });
+
+  it('cuts the best remaining section at a block boundary when room is left', () => {
+    const code = '```js\n' + 'const x = 1;\n'.repeat(40) + '```';
+    const input = `# Intro\n\n${'Short intro paragraph with a handful of words. '.repeat(3)}\n\n${code}\n\nAfter the code.`;
+    const result = pruneMarkdown(input, 80);
+    assert.ok(result.includes('*[truncated]*'));
+    assert.ok(!result.includes('```'), 'a code block that does not fit is dropped, not cut');
+    assert.ok(countTokens(result) <= 80);
+  });
+
+  it('budgets maxTokens with the given tokenizer', () => {
+    const input = '# Article\n\n' + 'Very long content with many words. '.repeat(200);
+    const result = pruneMarkdown(input, 50, 'chars');
+    assert.ok(result.includes('*[truncated]*'));
+    assert.ok(countTokens(result, 'chars') <= 60);
+  });
+
   it('returns original if pruning removes too much (< 20% remaining)', () => {
     const input = `# Cookie Policy
 
@@ -515,6 +561,16 @@ Critical information continues.`;
   });
 });
 
+describe('splitSections', () => {
+  it('splits on headings with offsets, ignoring # lines inside code fences', () => {
+    const md = 'Intro\n\n# One\n\n```sh\n# comment\n```\n\n## Two\n\nText';
+    const sections = splitSections(md);
+    assert.deepEqual(sections.map((s) => [s.heading, s.headingLevel]), [['', 0], ['One', 1], ['Two', 2]]);
+    assert.equal(md.slice(sections[1].start, sections[1].end), '# One\n\n```sh\n# comment\n```\n');
+    assert.equal(md.slice(sections[2].start, sections[2].end), '## Two\n\nText');
+  });
+});
+
 // ─── cleanLLMOutput ─────────────────────────────────────────────────────
 
 describe('cleanLLMOutput', () => {
@@ -0,0 +1,227 @@
+/**
+ * Local OCR for scanned PDFs and images — tesseract.js on the CPU, no external service.
+ *
+ * Recognized words keep their boxes, so OCR output goes through the same layout
+ * analysis as a PDF text layer (pdf.mjs): line heights stand in for font sizes, which
+ * is enough to find headings, paragraphs, lists and tables.
+ *
+ * tesseract.js and @napi-rs/canvas (page rendering) are optional dependencies, loaded
+ * on first use. Language data is only ever read from OCR_LANG_PATH (the Docker image
+ * bundles it) — never downloaded. Without the packages, without the traineddata files
+ * or with ENABLE_OCR=false, OCR is reported unavailable.
+ * One worker is shared and jobs run one at a time: rendering and recognition are
+ * CPU-bound, so parallel jobs would only slow each other down (and hold a full-page
+ * canvas each). A PDF page is rendered inside its job. At most OCR_MAX_QUEUE jobs wait for
+ * it — more are rejected at once (503) rather than queued past client timeouts — and
+ * every job has a deadline covering its wait; a job still running at its deadline
+ * has its worker terminated so no work continues for a client that has gone.
+ */
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { getDocumentProxy, renderPageAsImage } from 'unpdf';
+import { getLog } from './logger.mjs';
+
+const OCR_LANGS = process.env.OCR_LANGS || 'eng';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || '';
+/** Pages recognized per PDF — a scanned page takes seconds on a CPU */
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES || '10', 10);
+/** Jobs waiting for the worker, not counting the running one */
+const OCR_MAX_QUEUE = parseInt(process.env.OCR_MAX_QUEUE || '4', 10);
+/** Time budget for one PDF, queue wait included; pages after it runs out are skipped */
+const OCR_BUDGET_MS = 45000;
+/** Time budget for one image, queue wait included */
+const OCR_IMAGE_TIMEOUT_MS = 30000;
+/** PDF pages are rendered at 72 dpi × 3 ≈ 216 dpi, close to what Tesseract is trained on */
+const RENDER_SCALE = 3;
+/** Pixels per rendered page — A4 and Letter fit at RENDER_SCALE; larger pages are rendered smaller */
+const MAX_RENDER_PIXELS = 5_000_000;
+/** Words Tesseract is less sure of than this (0-100) are specks and smudges, not text */
+const MIN_WORD_CONFIDENCE = 30;
+/** Body-text line height in layout units, whatever the image resolution */
+const BODY_LINE_UNITS = 12;
+
+// ─── Engine ───────────────────────────────────────────────────────────
+
+let modulesPromise = null;
+let workerPromise = null;
+let queue = Promise.resolve();
+/** Jobs queued or running */
+let pending = 0;
+
+/** The optional engine modules, or null when OCR is disabled or not installed */
+function loadModules() {
+  modulesPromise ??= (async () => {
+    if (process.env.ENABLE_OCR === 'false') return null;
+    const missing = OCR_LANGS.split('+').map((lang) => `${lang}.traineddata`)
+      .filter((file) => !OCR_LANG_PATH || !existsSync(join(OCR_LANG_PATH, file)));
+    if (missing.length) {
+      getLog().warn({ langPath: OCR_LANG_PATH || null, missing }, 'OCR unavailable (language data not found in OCR_LANG_PATH)');
+      return null;
+    }
+    try {
+      const [tesseract, canvas] = await Promise.all([import('tesseract.js'), import('@napi-rs/canvas')]);
+      return { createWorker: tesseract.createWorker ?? tesseract.default.createWorker, canvas: canvas.default ?? canvas };
+    } catch (e) {
+      getLog().warn({ err: e.message }, 'OCR unavailable (tesseract.js / @napi-rs/canvas not installed)');
+      return null;
+    }
+  })();
+  return modulesPromise;
+}
+
+/**
+ * Whether OCR can run on this server.
+ * @returns {Promise<boolean>}
+ */
+export async function ocrAvailable() {
+  return !!(await loadModules());
+}
+
+async function getWorker() {
+  const modules = await loadModules();
+  if (!modules) throw new Error('OCR unavailable');
+  workerPromise ??= modules.createWorker(OCR_LANGS, 1, {
+    langPath: OCR_LANG_PATH, gzip: false, cacheMethod: 'none',
+  }).catch((e) => {
+    workerPromise = null;
+    throw e;
+  });
+  return workerPromise;
+}
+
+/**
+ * Produce an image and recognize it on the shared worker, after any job already queued.
+ * Rejects with "OCR queue full" when OCR_MAX_QUEUE jobs are already waiting, and with
+ * "OCR timed out" when the deadline passes, waiting, rendering or recognizing.
+ * @param {() => Buffer|Promise<Buffer>} getImage - Called when the job's turn comes
+ * @param {number} deadline - Epoch ms
+ */
+function recognize(getImage, deadline) {
+  if (pending > OCR_MAX_QUEUE) {
+    return Promise.reject(new Error('OCR queue full: too many documents waiting for OCR'));
+  }
+  pending++;
+  const job = queue.then(async () => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw new Error('OCR timed out waiting for the engine');
+    const worker = await getWorker();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('OCR timed out')), remaining);
+    });
+    let recognizing = false;
+    try {
+      const image = await Promise.race([getImage(), timeout]);
+      recognizing = true;
+      const { data } = await Promise.race([worker.recognize(image, {}, { blocks: true }), timeout]);
+      return data;
+    } catch (e) {
+      // Stop the recognition that is still running; the next job starts a fresh worker
+      if (recognizing && e.message === 'OCR timed out') {
+        workerPromise = null;
+        await worker.terminate().catch(() => {});
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }).finally(() => {
+    pending--;
+  });
+  queue = job.catch(() => {});
+  return job;
+}
+
+/**
+ * Render scale for a PDF page of width × height points: RENDER_SCALE, lowered so the
+ * image stays within MAX_RENDER_PIXELS.
+ * @param {number} width
+ * @param {number} height
+ */
+export function renderScale(width, height) {
+  return Math.min(RENDER_SCALE, Math.sqrt(MAX_RENDER_PIXELS / Math.max(width * height, 1)));
+}
+
+// ─── Layout ───────────────────────────────────────────────────────────
+
+/**
+ * Turn a Tesseract result into a page of positioned text items for pdfLayoutToMarkdown.
+ * Words on a line share its baseline and row height (the font size stand-in); y is
+ * flipped to point up as in PDFs, and coordinates are scaled so the median line is
+ * BODY_LINE_UNITS tall.
+ * @param {{blocks?: object[]}} data - Tesseract recognize() data with blocks
+ * @param {number} number - Page number
+ * @returns {{number: number, items: {str: string, x: number, y: number, width: number, fontSize: number}[]}}
+ */
+export function ocrPage(data, number) {
+  const lines = (data.blocks || []).flatMap((block) => block.paragraphs.flatMap((paragraph) => paragraph.lines));
+  const rowHeight = (line) => line.rowAttributes?.row_height || line.bbox.y1 - line.bbox.y0;
+  const heights = lines.map(rowHeight).filter((h) => h > 0).sort((a, b) => a - b);
+  const unit = (heights[Math.floor(heights.length / 2)] || BODY_LINE_UNITS) / BODY_LINE_UNITS;
+
+  const items = lines.flatMap((line) => line.words
+    .filter((word) => word.text.trim() && word.confidence >= MIN_WORD_CONFIDENCE)
+    .map((word) => ({
+      str: word.text,
+      x: word.bbox.x0 / unit,
+      y: -line.bbox.y1 / unit,
+      width: (word.bbox.x1 - word.bbox.x0) / unit,
+      fontSize: rowHeight(line) / unit,
+    })));
+  return { number, items };
+}
+
+// ─── Entry points ─────────────────────────────────────────────────────
+
+/**
+ * OCR an image (PNG, JPEG, WebP).
+ * @param {Buffer} buffer
+ * @returns {Promise<{page: {number: number, items: object[]}, confidence: number}>}
+ */
+export async function ocrImage(buffer) {
+  const data = await recognize(() => buffer, Date.now() + OCR_IMAGE_TIMEOUT_MS);
+  return { page: ocrPage(data, 1), confidence: data.confidence ?? 0 };
+}
+
+/**
+ * Render and OCR the pages of a PDF — the selected ones if ranges are given — up to
+ * OCR_MAX_PAGES and the time budget. Once some pages are read, running out of time or
+ * a full queue ends the document early instead of failing it.
+ * @param {Buffer} buffer
+ * @param {[number, number][]|null} [ranges] - Page ranges from parsePageRanges
+ * @returns {Promise<{pages: {number: number, items: object[]}[], skipped: number, confidence: number}>}
+ */
+export async function ocrPdf(buffer, ranges = null) {
+  const modules = await loadModules();
+  if (!modules) throw new Error('OCR unavailable');
+
+  const pdf = await getDocumentProxy(new Uint8Array(buffer), { verbosity: 0 });
+  const deadline = Date.now() + OCR_BUDGET_MS;
+  try {
+    const numbers = Array.from({ length: pdf.numPages }, (_, i) => i + 1)
+      .filter((n) => !ranges || ranges.some(([first, last]) => n >= first && n <= last));
+    const pages = [];
+    const confidences = [];
+    const render = async (number) => {
+      const { width, height } = (await pdf.getPage(number)).getViewport({ scale: 1 });
+      const scale = renderScale(width, height);
+      return Buffer.from(await renderPageAsImage(pdf, number, { canvasImport: async () => modules.canvas, scale }));
+    };
+    for (const number of numbers.slice(0, OCR_MAX_PAGES)) {
+      if (Date.now() > deadline) break;
+      let data;
+      try {
+        data = await recognize(() => render(number), deadline);
+      } catch (e) {
+        if (pages.length && /^OCR (timed out|queue full)/.test(e.message)) break;
+        throw e;
+      }
+      pages.push(ocrPage(data, number));
+      confidences.push(data.confidence ?? 0);
+    }
+    const confidence = confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : 0;
+    return { pages, skipped: numbers.length - pages.length, confidence };
+  } finally {
+    await pdf.destroy();
+  }
+}
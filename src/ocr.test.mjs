@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ocrPage, renderScale } from './ocr.mjs';
+import { pdfLayoutToMarkdown } from './pdf.mjs';
+
+/**
+ * Tesseract-shaped result: one block per line spec [text, x0, y0 (top, pixels, y down), rowHeight].
+ * Words are laid out left to right at 0.5 × rowHeight per character.
+ */
+function tesseractData(lineSpecs, { confidence = 95 } = {}) {
+  const lines = lineSpecs.map(([text, x0, y0, rowHeight]) => {
+    let x = x0;
+    const words = text.split(/( {3,}| )/).reduce((acc, part) => {
+      if (part.trim()) {
+        const width = part.length * rowHeight * 0.5;
+        acc.push({ text: part, confidence, bbox: { x0: x, y0, x1: x + width, y1: y0 + rowHeight } });
+        x += width;
+      } else {
+        x += part.length > 1 ? rowHeight * 4 : rowHeight * 0.3;
+      }
+      return acc;
+    }, []);
+    return { words, rowAttributes: { row_height: rowHeight }, bbox: { x0, y0, x1: x, y1: y0 + rowHeight } };
+  });
+  return { confidence, blocks: [{ paragraphs: [{ lines }] }] };
+}
+
+describe('ocrPage', () => {
+  it('maps words to items with y pointing up and line height as font size', () => {
+    const { number, items } = ocrPage(tesseractData([['Hello world', 100, 100, 40], ['Second line', 100, 150, 40]]), 3);
+    assert.equal(number, 3);
+    assert.deepEqual(items.map((i) => i.str), ['Hello', 'world', 'Second', 'line']);
+    assert.ok(items[0].y > items[2].y, 'first line is above the second');
+    assert.equal(items[0].y, items[1].y);
+    assert.equal(items[0].fontSize, 12);
+  });
+
+  it('drops low-confidence words', () => {
+    const data = tesseractData([['Real text', 10, 10, 30]]);
+    data.blocks[0].paragraphs[0].lines[0].words[1].confidence = 12;
+    assert.deepEqual(ocrPage(data, 1).items.map((i) => i.str), ['Real']);
+  });
+
+  it('feeds the PDF layout analysis: headings, paragraphs, lists and tables', () => {
+    const data = tesseractData([
+      ['Inspection Report', 100, 100, 80],
+      ['The site was visited on the morning of the', 100, 220, 40],
+      ['fifth and found in good order.', 100, 265, 40],
+      ['• Roof intact', 100, 360, 40],
+      ['• Gutters clear', 100, 405, 40],
+      ['Item   Status', 100, 500, 40],
+      ['Roof   Good', 100, 545, 40],
+      ['Drains   Fair', 100, 590, 40],
+    ]);
+    const { markdown, title } = pdfLayoutToMarkdown([ocrPage(data, 1)]);
+    assert.equal(title, 'Inspection Report');
+    assert.deepEqual(markdown.split('\n\n'), [
+      '# Inspection Report',
+      'The site was visited on the morning of the fifth and found in good order.',
+      '- Roof intact\n- Gutters clear',
+      '| Item | Status |\n| --- | --- |\n| Roof | Good |\n| Drains | Fair |',
+    ]);
+  });
+
+  it('handles an empty result', () => {
+    assert.deepEqual(ocrPage({ blocks: null }, 1), { number: 1, items: [] });
+  });
+});
+
+describe('renderScale', () => {
+  it('renders A4 and Letter pages at full scale and large pages within the pixel cap', () => {
+    assert.equal(renderScale(595, 842), 3);
+    assert.equal(renderScale(612, 792), 3);
+    const scale = renderScale(2384, 3370);
+    assert.ok(scale < 1);
+    assert.ok(2384 * 3370 * scale * scale <= 5_000_000 + 1);
+  });
+});
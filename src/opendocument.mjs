@@ -0,0 +1,278 @@
+/**
+ * OpenDocument text (ODT) and presentations (ODP) → Markdown.
+ *
+ * Both keep their content in content.xml: text:h headings (by outline level), text:p
+ * paragraphs, text:list lists and table:table tables, with bold/italic/lists styled
+ * through automatic styles (content.xml) and named styles (styles.xml). Footnotes
+ * become markdown footnotes. ODP pages are laid out like PPTX slides (pptx.mjs).
+ * Spreadsheets (ODS) are read by SheetJS in documents.mjs.
+ */
+import { escapeLineStart, emphasize } from './markdown.mjs';
+import { MAX_SLIDES, slideMarkdown } from './pptx.mjs';
+import { loadPackage, readXml, children, child } from './xml.mjs';
+
+/** Columns kept per table row — repeated empty cells can claim up to 1024 */
+const MAX_TABLE_COLUMNS = 64;
+/** Presentation placeholders that are slide furniture, not content */
+const SKIPPED_CLASSES = new Set(['page-number', 'footer', 'date-time', 'header']);
+
+// ─── Package ──────────────────────────────────────────────────────────
+
+/**
+ * Parse an OpenDocument package: content, the styles needed for inline formatting and
+ * list markers, and the title from meta.xml.
+ */
+async function readPackage(buffer) {
+  const zip = await loadPackage(buffer);
+  const content = await readXml(zip, 'content.xml');
+  if (!content) throw new Error('Not an OpenDocument file (missing content.xml)');
+  const styles = await readXml(zip, 'styles.xml');
+  const meta = await readXml(zip, 'meta.xml');
+
+  const ctx = { textStyles: new Map(), listStyles: new Map(), notes: [] };
+  for (const doc of [styles, content]) {
+    for (const style of doc?.getElementsByTagName('style:style') || []) {
+      const props = child(style, 'style:text-properties');
+      const bold = /^(bold|[6-9]00)$/.test(props?.getAttribute('fo:font-weight') || '');
+      const italic = /^(italic|oblique)$/.test(props?.getAttribute('fo:font-style') || '');
+      if (bold || italic) ctx.textStyles.set(style.getAttribute('style:name'), { bold, italic });
+    }
+    for (const style of doc?.getElementsByTagName('text:list-style') || []) {
+      const levels = new Map([...style.children].map((level) => [
+        parseInt(level.getAttribute('text:level'), 10),
+        level.tagName === 'text:list-level-style-number' ? 'number' : 'bullet',
+      ]));
+      ctx.listStyles.set(style.getAttribute('style:name'), levels);
+    }
+  }
+  const title = meta?.getElementsByTagName('dc:title')[0]?.textContent.trim() || null;
+  return { content, ctx, title };
+}
+
+// ─── Text ─────────────────────────────────────────────────────────────
+
+/** Inline markdown of a paragraph or heading: spans, links, footnote references */
+function inlineText(el, ctx) {
+  let text = '';
+  for (const node of el.childNodes) {
+    if (node.nodeType === 3) {
+      text += node.textContent;
+      continue;
+    }
+    if (node.nodeType !== 1) continue;
+    switch (node.tagName) {
+      case 'text:s':
+      case 'text:tab':
+      case 'text:line-break':
+        text += ' ';
+        break;
+      case 'text:span':
+        text += emphasize(inlineText(node, ctx), ctx.textStyles.get(node.getAttribute('text:style-name')));
+        break;
+      case 'text:a': {
+        const label = inlineText(node, ctx).trim();
+        const href = node.getAttribute('xlink:href') || '';
+        text += label && /^(https?|mailto):/i.test(href) ? `[${label}](${href})` : label;
+        break;
+      }
+      case 'text:note': {
+        const body = child(node, 'text:note-body');
+        const note = body ? blocksMarkdown(body, ctx).join(' ') : '';
+        if (note) {
+          ctx.notes.push(note);
+          text += `[^${ctx.notes.length}]`;
+        }
+        break;
+      }
+      default:
+        // Fields and metadata (text:date, text:page-number, text:meta, ...) hold their text;
+        // drawings and annotations are not part of the running text
+        if (node.tagName.startsWith('text:')) text += inlineText(node, ctx);
+    }
+  }
+  return text.replace(/\s+/g, ' ');
+}
+
+// ─── Blocks ───────────────────────────────────────────────────────────
+
+/** Markdown lines of a list; nested lists are indented one level deeper */
+function listLines(list, ctx, depth = 0, inheritedStyle = null) {
+  const style = list.getAttribute('text:style-name') || inheritedStyle;
+  const numbered = ctx.listStyles.get(style)?.get(depth + 1) === 'number';
+  const indent = '  '.repeat(Math.min(depth, 8));
+  const lines = [];
+  let count = 0;
+  for (const item of list.children) {
+    if (item.tagName !== 'text:list-item' && item.tagName !== 'text:list-header') continue;
+    let marked = false;
+    for (const el of item.children) {
+      if (el.tagName === 'text:list') {
+        lines.push(...listLines(el, ctx, depth + 1, style));
+      } else if (el.tagName === 'text:p' || el.tagName === 'text:h') {
+        const text = inlineText(el, ctx).trim();
+        if (!text) continue;
+        // Further paragraphs of an item continue it on their own line
+        if (marked) {
+          lines.push(`${indent}  ${text}`);
+        } else {
+          count += 1;
+          lines.push(`${indent}${numbered ? `${count}.` : '-'} ${text}`);
+          marked = true;
+        }
+      }
+    }
+  }
+  return lines;
+}
+
+/** Rows of a table, header rows and row groups included, as arrays of cell text */
+function tableRows(el, ctx) {
+  return [...el.children].flatMap((row) => {
+    if (row.tagName !== 'table:table-row') {
+      return /^table:table-(header-)?rows$|^table:table-row-group$/.test(row.tagName) ? tableRows(row, ctx) : [];
+    }
+    const cells = [];
+    for (const cell of row.children) {
+      if (cell.tagName !== 'table:table-cell' && cell.tagName !== 'table:covered-table-cell') continue;
+      // Cells covered by a merge stay as empty cells so the columns line up
+      const text = cell.tagName === 'table:table-cell' ? blocksMarkdown(cell, ctx).join(' ').replace(/\s+/g, ' ') : '';
+      const repeat = parseInt(cell.getAttribute('table:number-columns-repeated') || '1', 10) || 1;
+      for (let i = 0; i < repeat && cells.length < MAX_TABLE_COLUMNS; i++) cells.push(text.replace(/\|/g, '\\|'));
+    }
+    return [cells];
+  });
+}
+
+function tableMarkdown(table, ctx) {
+  const rows = tableRows(table, ctx);
+  const width = Math.max(0, ...rows.map((r) => r.findLastIndex(Boolean) + 1));
+  if (!width) return '';
+  const row = (r) => `| ${Array.from({ length: width }, (_, i) => r[i] ?? '').join(' | ')} |`;
+  return [row(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(row)].join('\n');
+}
+
+/** Markdown blocks of a body, text box, section or table cell, in document order */
+function blocksMarkdown(el, ctx) {
+  const blocks = [];
+  for (const node of el.children) {
+    switch (node.tagName) {
+      case 'text:h': {
+        const text = inlineText(node, ctx).trim();
+        const level = Math.min(Math.max(parseInt(node.getAttribute('text:outline-level') || '1', 10) || 1, 1), 6);
+        if (text) blocks.push(`${'#'.repeat(level)} ${text}`);
+        break;
+      }
+      case 'text:p': {
+        const text = inlineText(node, ctx).trim();
+        if (text) blocks.push(escapeLineStart(text));
+        // Text frames anchored in the paragraph
+        for (const box of node.getElementsByTagName('draw:text-box')) blocks.push(...blocksMarkdown(box, ctx));
+        break;
+      }
+      case 'text:list': {
+        const lines = listLines(node, ctx);
+        if (lines.length) blocks.push(lines.join('\n'));
+        break;
+      }
+      case 'table:table': {
+        const markdown = tableMarkdown(node, ctx);
+        if (markdown) blocks.push(markdown);
+        break;
+      }
+      case 'text:section':
+        blocks.push(...blocksMarkdown(node, ctx));
+        break;
+      default:
+        // Generated indexes (table of contents), declarations and forms are skipped
+    }
+  }
+  return blocks;
+}
+
+/** Footnote definitions collected while converting */
+function footnotes(ctx) {
+  return ctx.notes.map((note, i) => `[^${i + 1}]: ${note}`).join('\n');
+}
+
+// ─── Entry points ─────────────────────────────────────────────────────
+
+/**
+ * Convert an ODT file to markdown.
+ * @param {Buffer} buffer
+ * @returns {Promise<{markdown: string, title: string|null}>}
+ */
+export async function odtToMarkdown(buffer) {
+  const { content, ctx, title } = await readPackage(buffer);
+  const body = content.getElementsByTagName('office:text')[0];
+  if (!body) throw new Error('Not an OpenDocument text file (missing office:text)');
+  const blocks = blocksMarkdown(body, ctx);
+  if (ctx.notes.length) blocks.push(footnotes(ctx));
+  const markdown = blocks.join('\n\n');
+  return { markdown, title: title || markdown.match(/^#{1,6} (.+)$/m)?.[1] || null };
+}
+
+/** Shapes of a page in document order, groups flattened */
+function pageShapes(el) {
+  return [...el.children].flatMap((node) => (node.tagName === 'draw:g' ? pageShapes(node) : [node]));
+}
+
+/** Title text and content blocks of a presentation page */
+function readPage(page, ctx) {
+  let title = '';
+  const blocks = [];
+  for (const shape of pageShapes(page)) {
+    const cls = shape.getAttribute('presentation:class');
+    if (!shape.tagName.startsWith('draw:') || SKIPPED_CLASSES.has(cls)) continue;
+    const table = shape.tagName === 'draw:frame' && child(shape, 'table:table');
+    if (table) {
+      const markdown = tableMarkdown(table, ctx);
+      if (markdown) blocks.push(markdown);
+      continue;
+    }
+    // Placeholders keep their text in a text box; drawn shapes hold paragraphs directly
+    const box = shape.tagName === 'draw:frame' ? child(shape, 'draw:text-box') : shape;
+    if (!box) continue;
+    if (cls === 'title' && !title) {
+      title = children(box, 'text:p').map((p) => inlineText(p, ctx).trim()).filter(Boolean).join(' ');
+    } else {
+      blocks.push(...blocksMarkdown(box, ctx));
+    }
+  }
+  return { title, blocks };
+}
+
+/** Speaker notes of a page: the notes placeholder of its presentation:notes */
+function readNotes(page, ctx) {
+  const notes = child(page, 'presentation:notes');
+  if (!notes) return '';
+  return pageShapes(notes)
+    .filter((shape) => shape.getAttribute('presentation:class') === 'notes' && child(shape, 'draw:text-box'))
+    .flatMap((shape) => blocksMarkdown(child(shape, 'draw:text-box'), ctx))
+    .join('\n\n');
+}
+
+/**
+ * Convert an ODP file to markdown, one `##` section per page as for PPTX.
+ * @param {Buffer} buffer
+ * @returns {Promise<{markdown: string, title: string|null, slides: number}>}
+ */
+export async function odpToMarkdown(buffer) {
+  const { content, ctx, title } = await readPackage(buffer);
+  const body = content.getElementsByTagName('office:presentation')[0];
+  if (!body) throw new Error('Not an OpenDocument presentation (missing office:presentation)');
+  const pages = children(body, 'draw:page');
+  const sections = [];
+  let firstTitle = null;
+
+  for (const [i, page] of pages.slice(0, MAX_SLIDES).entries()) {
+    const slide = readPage(page, ctx);
+    const notes = readNotes(page, ctx);
+    firstTitle ??= slide.title || null;
+    if (slide.title || slide.blocks.length || notes) sections.push(slideMarkdown(i + 1, slide, notes));
+  }
+  if (pages.length > MAX_SLIDES) {
+    sections.push(`*... truncated at ${MAX_SLIDES} slides*`);
+  }
+  if (ctx.notes.length) sections.push(footnotes(ctx));
+  return { markdown: sections.join('\n\n'), title: title || firstTitle, slides: pages.length };
+}
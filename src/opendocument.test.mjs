@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { odtToMarkdown, odpToMarkdown } from './opendocument.mjs';
+import { buildOdf } from './test-helpers.mjs';
+
+const STYLES = '<style:style style:name="T1" style:family="text"><style:text-properties fo:font-weight="bold"/></style:style>'
+  + '<style:style style:name="T2" style:family="text"><style:text-properties fo:font-style="italic"/></style:style>'
+  + '<text:list-style style:name="L1"><text:list-level-style-number text:level="1"/>'
+  + '<text:list-level-style-bullet text:level="2"/></text:list-style>';
+
+/** A presentation frame of a placeholder class holding paragraphs */
+const frame = (cls, paragraphs) => `<draw:frame presentation:class="${cls}"><draw:text-box>${
+  paragraphs.map((p) => `<text:p>${p}</text:p>`).join('')}</draw:text-box></draw:frame>`;
+
+describe('odtToMarkdown', () => {
+  it('converts headings by outline level, paragraphs and inline formatting', async () => {
+    const odt = await buildOdf('text', '<text:sequence-decls/>'
+      + '<text:h text:outline-level="1">Annual Report</text:h>'
+      + '<text:p>Revenue was <text:span text:style-name="T1">up</text:span> and costs '
+      + '<text:span text:style-name="T2">flat </text:span>this year.</text:p>'
+      + '<text:h text:outline-level="2">Outlook</text:h>'
+      + '<text:p>See <text:a xlink:href="https://example.com/plan">the plan</text:a>'
+      + ' and <text:a xlink:href="#Outlook">this section</text:a>.</text:p>'
+      + '<text:p>- not a list</text:p><text:p/>', { styles: STYLES });
+    const { markdown, title } = await odtToMarkdown(odt);
+    assert.equal(title, 'Annual Report');
+    assert.equal(markdown, '# Annual Report\n\nRevenue was **up** and costs *flat* this year.\n\n## Outlook\n\n'
+      + 'See [the plan](https://example.com/plan) and this section.\n\n\\- not a list');
+  });
+
+  it('numbers and nests lists by their list style', async () => {
+    const odt = await buildOdf('text', '<text:list text:style-name="L1">'
+      + '<text:list-item><text:p>Plan</text:p><text:list>'
+      + '<text:list-item><text:p>Draft</text:p></text:list-item>'
+      + '<text:list-item><text:p>Review</text:p></text:list-item></text:list></text:list-item>'
+      + '<text:list-item><text:p>Ship</text:p><text:p>on Friday</text:p></text:list-item></text:list>'
+      + '<text:list><text:list-item><text:p>Unstyled</text:p></text:list-item></text:list>', { styles: STYLES });
+    const { markdown } = await odtToMarkdown(odt);
+    assert.equal(markdown, '1. Plan\n  - Draft\n  - Review\n2. Ship\n  on Friday\n\n- Unstyled');
+  });
+
+  it('renders tables with merged and repeated cells', async () => {
+    const cell = (text, attrs = '') => `<table:table-cell${attrs}><text:p>${text}</text:p></table:table-cell>`;
+    const odt = await buildOdf('text', '<table:table table:name="T"><table:table-column table:number-columns-repeated="3"/>'
+      + `<table:table-header-rows><table:table-row>${cell('Region')}${cell('Q1')}${cell('Q2 | Q3')}`
+      + '<table:table-cell table:number-columns-repeated="1000"/></table:table-row></table:table-header-rows>'
+      + `<table:table-row>${cell('EMEA', ' table:number-columns-spanned="2"')}<table:covered-table-cell/>${cell('12')}</table:table-row>`
+      + '</table:table>');
+    const { markdown } = await odtToMarkdown(odt);
+    assert.equal(markdown, '| Region | Q1 | Q2 \\| Q3 |\n| --- | --- | --- |\n| EMEA |  | 12 |');
+  });
+
+  it('turns footnotes into markdown footnotes and prefers the meta title', async () => {
+    const odt = await buildOdf('text', '<text:h text:outline-level="1">Heading</text:h>'
+      + '<text:p>Claim.<text:note text:id="ftn1" text:note-class="footnote"><text:note-citation>1</text:note-citation>'
+      + '<text:note-body><text:p>Source: survey.</text:p></text:note-body></text:note> More.</text:p>'
+      + '<text:table-of-content><text:index-body><text:p>Heading 1</text:p></text:index-body></text:table-of-content>',
+    { title: 'Field Study' });
+    const { markdown, title } = await odtToMarkdown(odt);
+    assert.equal(title, 'Field Study');
+    assert.equal(markdown, '# Heading\n\nClaim.[^1] More.\n\n[^1]: Source: survey.');
+  });
+
+  it('rejects packages that are not OpenDocument text', async () => {
+    const zip = new JSZip();
+    zip.file('readme.txt', 'hello');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    await assert.rejects(() => odtToMarkdown(buffer), /missing content.xml/);
+    await assert.rejects(() => odtToMarkdown(Buffer.from('not a zip')));
+  });
+});
+
+describe('odpToMarkdown', () => {
+  it('writes one section per page with outline bullets and speaker notes', async () => {
+    const odp = await buildOdf('presentation', '<draw:page draw:name="page1">'
+      + frame('title', ['Kickoff'])
+      + '<draw:frame presentation:class="outline"><draw:text-box><text:list><text:list-item><text:p>Goals</text:p>'
+      + '<text:list><text:list-item><text:p>Ship v2</text:p></text:list-item></text:list></text:list-item></text:list></draw:text-box></draw:frame>'
+      + frame('page-number', ['1'])
+      + `<presentation:notes><draw:page-thumbnail presentation:class="page"/>${frame('notes', ['Welcome everyone.', 'Keep it short.'])}</presentation:notes>`
+      + '</draw:page>'
+      + '<draw:page draw:name="page2"><draw:custom-shape><text:p>Free text</text:p></draw:custom-shape></draw:page>'
+      + '<draw:page draw:name="page3"/>');
+    const { markdown, title, slides } = await odpToMarkdown(odp);
+    assert.equal(slides, 3);
+    assert.equal(title, 'Kickoff');
+    assert.equal(markdown, '## Kickoff\n\n- Goals\n  - Ship v2\n\n'
+      + '> **Speaker notes**\n>\n> Welcome everyone.\n>\n> Keep it short.\n\n## Slide 2\n\nFree text');
+  });
+
+  it('converts tables in frames and shapes inside groups', async () => {
+    const odp = await buildOdf('presentation', '<draw:page>'
+      + frame('title', ['Numbers'])
+      + '<draw:frame><table:table><table:table-row><table:table-cell><text:p>Metric</text:p></table:table-cell>'
+      + '<table:table-cell><text:p>Value</text:p></table:table-cell></table:table-row><table:table-row>'
+      + '<table:table-cell><text:p>Users</text:p></table:table-cell><table:table-cell><text:p>40k</text:p></table:table-cell>'
+      + '</table:table-row></table:table></draw:frame>'
+      + '<draw:g><draw:rect><text:p>Grouped note</text:p></draw:rect></draw:g></draw:page>');
+    const { markdown } = await odpToMarkdown(odp);
+    assert.equal(markdown, '## Numbers\n\n| Metric | Value |\n| --- | --- |\n| Users | 40k |\n\nGrouped note');
+  });
+
+  it('rejects text documents', async () => {
+    const odt = await buildOdf('text', '<text:p>Just text</text:p>');
+    await assert.rejects(() => odpToMarkdown(odt), /missing office:presentation/);
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Layout-aware PDF → Markdown.
+ *
+ * Works from pdf.js text items (string, position, font size) rather than the flat
+ * page text:
+ *   - items on the same baseline form lines; wide horizontal gaps split a line into cells
+ *   - lines repeated at the top or bottom of most pages (running headers/footers) and
+ *     bare page numbers are dropped
+ *   - the most common font size is body text; larger sizes on short lines become
+ *     headings, ranked by size (largest = #)
+ *   - lines are re-joined into paragraphs (across line and page breaks, undoing
+ *     hyphenation), bullet/numbered lines into nested lists, and runs of lines with
+ *     the same number of cells into tables
+ *
+ * A page selection ("1-5,10") limits which pages are read at all. Multi-page
+ * documents get a `<!-- page N -->` marker before each page's content so the
+ * markdown can be cited by page.
+ */
+import { getDocumentProxy, getMeta } from 'unpdf';
+import { escapeLineStart } from './markdown.mjs';
+
+/** Bullet or enumerator at the start of a list line */
+const LIST_MARKER = /^(?:([•●○◦▪▫■□‣⁃∙·*–-])|(\d{1,3})[.)]|([a-z])[.)])\s+/;
+/** Lines that are only a page number: "12", "- 12 -", "Page 3", "3 of 40", "iv" (well-formed roman numerals up to 399) */
+const PAGE_NUMBER = /^(?:page\s+)?[-–—]?\s*(?:\d{1,4}|(?=[ivxlc])c{0,3}(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3}))\s*[-–—]?(?:\s*(?:of|\/)\s*\d{1,4})?$/i;
+/** Metadata titles that are generator defaults, not real titles */
+const JUNK_TITLE = /^(?:untitled|document\d*|microsoft (?:word|powerpoint|excel)\b.*|.*\.(?:docx?|pdf|indd|pptx?|tex|qxp))$/i;
+
+/** Heading sizes must be this much larger than body text */
+const HEADING_RATIO = 1.12;
+/** Heading lines longer than this are treated as large-print text instead */
+const HEADING_MAX_WORDS = 20;
+/** Distinct heading levels inferred from font sizes */
+const MAX_HEADING_LEVEL = 4;
+/** Page selection limits: highest page number and number of comma-separated parts */
+const MAX_PAGE_NUMBER = 100000;
+const MAX_PAGE_PARTS = 100;
+
+// ─── Page selection ───────────────────────────────────────────────────
+
+/**
+ * Parse a page selection such as "1-5,10" into sorted, merged [first, last] ranges.
+ * Returns null when the selection is malformed.
+ * @param {string} spec
+ * @returns {[number, number][]|null}
+ */
+export function parsePageRanges(spec) {
+  const parts = String(spec).split(',').map((part) => part.trim());
+  if (parts.length > MAX_PAGE_PARTS) return null;
+  const ranges = [];
+  for (const part of parts) {
+    const m = part.match(/^(\d{1,6})(?:\s*-\s*(\d{1,6}))?$/);
+    if (!m) return null;
+    const first = Number(m[1]);
+    const last = m[2] ? Number(m[2]) : first;
+    if (first < 1 || last < first || last > MAX_PAGE_NUMBER) return null;
+    ranges.push([first, last]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, [first, last]) => {
+    const prev = merged.at(-1);
+    if (prev && first <= prev[1] + 1) prev[1] = Math.max(prev[1], last);
+    else merged.push([first, last]);
+    return merged;
+  }, []);
+}
+
+/**
+ * Canonical text of parsed page ranges, e.g. [[1, 5], [10, 10]] → "1-5,10".
+ * @param {[number, number][]} ranges
+ * @returns {string}
+ */
+export function formatPageRanges(ranges) {
+  return ranges.map(([first, last]) => (first === last ? String(first) : `${first}-${last}`)).join(',');
+}
+
+// ─── Reading ──────────────────────────────────────────────────────────
+
+/**
+ * Load a PDF and read the text items of every page, or only of the selected pages.
+ * @param {Buffer|Uint8Array} buffer
+ * @param {{pages?: [number, number][]|null}} [opts] - Page ranges from parsePageRanges
+ * @returns {Promise<{totalPages: number, info: Record<string, any>, pages: {number: number, items: object[]}[]}>}
+ */
+export async function readPdf(buffer, { pages: ranges = null } = {}) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer), { verbosity: 0 });
+  try {
+    const { info } = await getMeta(pdf).catch(() => ({ info: {} }));
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      if (ranges && !ranges.some(([first, last]) => number >= first && number <= last)) continue;
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      pages.push({
+        number,
+        items: content.items.filter((item) => item.str?.trim()).map((item) => ({
+          str: item.str,
+          x: item.transform[4],
+          y: item.transform[5],
+          width: item.width,
+          fontSize: Math.hypot(item.transform[2], item.transform[3]),
+        })),
+      });
+    }
+    return { totalPages: pdf.numPages, info: info || {}, pages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// ─── Lines ────────────────────────────────────────────────────────────
+
+/** Join a line's items left to right; gaps wider than two em start a new cell */
+function buildLine(items, page) {
+  items.sort((a, b) => a.x - b.x);
+  const fontSize = dominantSize(items.map((i) => [i.fontSize, i.str.length]));
+  const cells = [];
+  let cell = null;
+  let prevEnd = null;
+  for (const item of items) {
+    const gap = prevEnd == null ? 0 : item.x - prevEnd;
+    if (!cell || gap > fontSize * 2) {
+      cell = { text: item.str.trim(), x: item.x };
+      cells.push(cell);
+    } else {
+      const needsSpace = gap > fontSize * 0.1 && !/\s$/.test(cell.text) && !/^\s/.test(item.str);
+      cell.text = (cell.text + (needsSpace ? ' ' : '') + item.str).replace(/\s+/g, ' ').trimStart();
+    }
+    prevEnd = Math.max(prevEnd ?? -Infinity, item.x + item.width);
+  }
+  for (const c of cells) c.text = c.text.trim();
+  return {
+    page, y: items[0].y, x: items[0].x, fontSize, cells,
+    text: cells.map((c) => c.text).join(' '),
+  };
+}
+
+/** Group a page's items into lines, top to bottom */
+function pageLines(page) {
+  const items = [...page.items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const groups = [];
+  for (const item of items) {
+    const last = groups.at(-1);
+    const tolerance = Math.max(last?.[0].fontSize ?? 0, item.fontSize) * 0.4;
+    if (last && Math.abs(last[0].y - item.y) <= tolerance) last.push(item);
+    else groups.push([item]);
+  }
+  return groups.map((group) => buildLine(group, page.number));
+}
+
+/** The font size carrying the most characters, rounded to half points */
+function dominantSize(sizes) {
+  const weight = new Map();
+  for (const [size, chars] of sizes) {
+    const key = Math.round(size * 2) / 2;
+    weight.set(key, (weight.get(key) || 0) + chars);
+  }
+  return [...weight].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]?.[0] ?? 0;
+}
+
+/** Numbers per line that get both an as-is and a page-relative variant in edgeKeys */
+const EDGE_KEY_NUMBERS = 4;
+
+/**
+ * Keys used to spot running headers and footers: the normalized line text with each
+ * number kept as-is or taken relative to the page number. "Page 3 of 40" on page 3
+ * and "Page 4 of 40" on page 4 share a key (also when printed numbers are offset from
+ * the PDF's); "Step 1" and "Step 2" on unrelated pages do not.
+ */
+function edgeKeys(line) {
+  const parts = line.text.toLowerCase().replace(/\s+/g, ' ').trim().split(/(\d+)/);
+  let keys = [''];
+  parts.forEach((part, i) => {
+    if (i % 2 === 0 || i > EDGE_KEY_NUMBERS * 2) {
+      keys = keys.map((key) => key + part);
+    } else {
+      keys = keys.flatMap((key) => [key + part, `${key}#${Number(part) - line.page}`]);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Drop running headers/footers (the same edge line on at least half of the pages,
+ * minimum two) and page numbers at the top or bottom of a page.
+ */
+function removePageFurniture(linesByPage) {
+  const EDGE_LINES = 2;
+  const edges = (lines) => [...lines.slice(0, EDGE_LINES), ...lines.slice(-EDGE_LINES)];
+  const pagesWithKey = new Map();
+  for (const lines of linesByPage) {
+    for (const key of new Set(edges(lines).flatMap(edgeKeys))) {
+      pagesWithKey.set(key, (pagesWithKey.get(key) || 0) + 1);
+    }
+  }
+  const minRepeats = Math.max(2, Math.ceil(linesByPage.length / 2));
+  return linesByPage.map((lines) => {
+    const edgeSet = new Set(edges(lines));
+    return lines.filter((line) => !edgeSet.has(line)
+      || (!PAGE_NUMBER.test(line.text.trim()) && edgeKeys(line).every((key) => (pagesWithKey.get(key) || 0) < minRepeats)));
+  });
+}
+
+// ─── Blocks ───────────────────────────────────────────────────────────
+
+/** Map heading font sizes to levels: sizes clearly above body text on short lines, largest first */
+function headingLevels(lines, bodySize) {
+  const sizes = new Set(lines
+    .filter((l) => l.fontSize >= bodySize * HEADING_RATIO && wordCount(l.text) <= HEADING_MAX_WORDS)
+    .map((l) => Math.round(l.fontSize * 2) / 2));
+  const ranked = [...sizes].sort((a, b) => b - a);
+  return new Map(ranked.map((size, i) => [size, Math.min(i + 1, MAX_HEADING_LEVEL)]));
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/** Does a paragraph line end a sentence (so a page break after it starts a new paragraph)? */
+function endsSentence(text) {
+  return /[.!?:;]["'”’)\]]*$/.test(text);
+}
+
+/** Append a line to paragraph text, undoing end-of-line hyphenation */
+function joinLine(text, next) {
+  if (/[a-zà-ÿ]-$/i.test(text) && /^[a-zà-ÿ]/.test(next)) return text.slice(0, -1) + next;
+  return `${text} ${next}`;
+}
+
+/**
+ * Turn ordered lines into heading / paragraph / list item / table blocks.
+ * Each block keeps the page it starts on.
+ */
+function buildBlocks(lines, bodySize, levels) {
+  const blocks = [];
+  let prev = null;
+
+  for (const line of lines) {
+    const current = blocks.at(-1);
+    const level = levels.get(Math.round(line.fontSize * 2) / 2);
+    const samePage = prev && prev.page === line.page;
+    const gap = samePage ? prev.y - line.y : Infinity;
+    const marker = line.text.match(LIST_MARKER);
+
+    if (level && wordCount(line.text) <= HEADING_MAX_WORDS) {
+      if (current?.type === 'heading' && current.level === level && gap <= line.fontSize * 1.6) {
+        current.text = joinLine(current.text, line.text);
+      } else {
+        blocks.push({ type: 'heading', level, text: line.text, page: line.page });
+      }
+    } else if (line.cells.length >= 2 && !marker) {
+      if (current?.type === 'table' && current.rows[0].length === line.cells.length && gap <= line.fontSize * 3) {
+        current.rows.push(line.cells.map((c) => c.text));
+      } else {
+        blocks.push({ type: 'table', rows: [line.cells.map((c) => c.text)], page: line.page });
+      }
+    } else if (marker) {
+      blocks.push({
+        type: 'item', x: line.x, ordered: !!marker[2], number: marker[2] ? Number(marker[2]) : null,
+        text: line.text.slice(marker[0].length).trim(), page: line.page,
+      });
+    } else if (current?.type === 'item' && line.x > current.x + 2 && gap <= line.fontSize * 1.9) {
+      current.text = joinLine(current.text, line.text);
+    } else if (current?.type === 'paragraph' && Math.abs(current.fontSize - line.fontSize) < 1
+      && (samePage ? gap <= line.fontSize * 1.9 : line.page === prev.page + 1 && !endsSentence(current.text))) {
+      current.text = joinLine(current.text, line.text);
+    } else {
+      blocks.push({ type: 'paragraph', text: line.text, fontSize: line.fontSize, page: line.page });
+    }
+    prev = line;
+  }
+
+  // A single aligned row is not a table
+  return blocks.map((b) => (b.type === 'table' && b.rows.length < 2
+    ? { type: 'paragraph', text: b.rows[0].join(' '), fontSize: bodySize, page: b.page }
+    : b));
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────
+
+function renderTable(rows) {
+  const width = Math.max(...rows.map((r) => r.length));
+  const cell = (text) => text.replace(/\|/g, '\\|');
+  const row = (r) => `| ${Array.from({ length: width }, (_, i) => cell(r[i] ?? '')).join(' | ')} |`;
+  return [row(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(row)].join('\n');
+}
+
+/** Render a run of list items, nesting by indentation */
+function renderList(items) {
+  const indents = [...new Set(items.map((i) => Math.round(i.x)))].sort((a, b) => a - b);
+  return items.map((item) => {
+    const depth = indents.findIndex((x) => Math.abs(x - item.x) <= 2);
+    const marker = item.ordered ? `${item.number ?? 1}.` : '-';
+    return `${'  '.repeat(Math.max(0, depth))}${marker} ${item.text}`;
+  }).join('\n');
+}
+
+/**
+ * Render blocks to markdown. Consecutive list items form one list.
+ * @param {object[]} blocks
+ * @returns {string}
+ */
+function renderBlocks(blocks) {
+  const parts = [];
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+    if (block.type === 'item') {
+      let j = i;
+      while (j + 1 < blocks.length && blocks[j + 1].type === 'item') j++;
+      parts.push(renderList(blocks.slice(i, j + 1)));
+      i = j;
+    } else if (block.type === 'heading') {
+      parts.push(`${'#'.repeat(block.level)} ${block.text}`);
+    } else if (block.type === 'table') {
+      parts.push(renderTable(block.rows));
+    } else {
+      parts.push(escapeLineStart(block.text));
+    }
+  }
+  return parts.join('\n\n');
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────
+
+/** Title from PDF metadata unless it is a generator default, else the first heading */
+function pickTitle(metaTitle, blocks) {
+  const title = typeof metaTitle === 'string' ? metaTitle.trim() : '';
+  if (title.length > 1 && !JUNK_TITLE.test(title)) return title;
+  return blocks.find((b) => b.type === 'heading')?.text || null;
+}
+
+/** Split blocks into runs by the page they start on */
+function blocksByPage(blocks) {
+  const runs = [];
+  for (const block of blocks) {
+    if (runs.at(-1)?.page === block.page) runs.at(-1).blocks.push(block);
+    else runs.push({ page: block.page, blocks: [block] });
+  }
+  return runs;
+}
+
+/**
+ * Convert read PDF pages (see readPdf) to structured markdown.
+ * A block that runs across a page break belongs to the page it starts on.
+ * @param {{number: number, items: object[]}[]} pages
+ * @param {{title?: string}} [info] - PDF document info (Title is used when meaningful)
+ * @param {{pageMarkers?: boolean}} [opts] - Put a `<!-- page N -->` line before each page's content
+ * @returns {{markdown: string, title: string|null, pages: {page: number, markdown: string}[]}}
+ */
+export function pdfLayoutToMarkdown(pages, info = {}, { pageMarkers = false } = {}) {
+  const linesByPage = removePageFurniture(pages.map(pageLines));
+  const lines = linesByPage.flat();
+  const bodySize = dominantSize(lines.map((l) => [l.fontSize, l.text.length]));
+  const blocks = buildBlocks(lines, bodySize, headingLevels(lines, bodySize));
+  const pageParts = blocksByPage(blocks).map((run) => ({ page: run.page, markdown: renderBlocks(run.blocks) }));
+  const markdown = pageParts
+    .map((part) => (pageMarkers ? `<!-- page ${part.page} -->\n\n${part.markdown}` : part.markdown))
+    .join('\n\n');
+  return { markdown, title: pickTitle(info.Title, blocks), pages: pageParts };
+}
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readPdf, pdfLayoutToMarkdown, parsePageRanges, formatPageRanges } from './pdf.mjs';
+import { buildPdf } from './test-helpers.mjs';
+
+/** Synthetic page of text items: [text, x, y, fontSize] */
+const page = (number, items) => ({
+  number,
+  items: items.map(([str, x, y, fontSize]) => ({ str, x, y, fontSize, width: str.length * fontSize * 0.5 })),
+});
+
+describe('pdfLayoutToMarkdown', () => {
+  it('infers heading levels from font sizes relative to body text', () => {
+    const { markdown, title } = pdfLayoutToMarkdown([page(1, [
+      ['Annual Report', 72, 700, 24],
+      ['Summary', 72, 660, 16],
+      ['Body text of the summary section, long enough to dominate.', 72, 630, 11],
+      ['Details', 72, 600, 16],
+      ['More body text in the details section of the report.', 72, 570, 11],
+    ])]);
+    assert.equal(markdown, [
+      '# Annual Report', '## Summary', 'Body text of the summary section, long enough to dominate.',
+      '## Details', 'More body text in the details section of the report.',
+    ].join('\n\n'));
+    assert.equal(title, 'Annual Report');
+  });
+
+  it('rebuilds paragraphs across line and page breaks and undoes hyphenation', () => {
+    const { markdown } = pdfLayoutToMarkdown([
+      page(1, [
+        ['Revenue grew thanks to new prod-', 72, 700, 11],
+        ['ucts and markets.', 72, 686, 11],
+        ['A new paragraph after a gap.', 72, 650, 11],
+        ['This sentence runs onto the', 72, 100, 11],
+      ]),
+      page(2, [['next page.', 72, 700, 11]]),
+    ]);
+    assert.deepEqual(markdown.split('\n\n'), [
+      'Revenue grew thanks to new products and markets.',
+      'A new paragraph after a gap.',
+      'This sentence runs onto the next page.',
+    ]);
+  });
+
+  it('removes running headers, footers and page numbers', () => {
+    const bodies = ['Opening remarks on the year.', 'Results by region and segment.', 'Outlook for the coming year.'];
+    const pages = bodies.map((body, i) => page(i + 1, [
+      ['ACME Corp Confidential', 72, 760, 9],
+      [body, 72, 700, 11],
+      [`Page ${i + 1} of 3`, 280, 30, 9],
+    ]));
+    const { markdown } = pdfLayoutToMarkdown(pages);
+    assert.ok(!markdown.includes('ACME'));
+    assert.ok(!markdown.includes('of 3'));
+    assert.deepEqual(markdown.split('\n\n'), bodies);
+  });
+
+  it('removes roman page numbers but keeps words made of roman letters', () => {
+    const pages = [['ix', 'Wording'], ['x', 'civil'], ['xi', 'ill']].map(([number, word], i) => page(i + 1, [
+      [`Preface text on page ${i + 1}.`, 72, 700, 11],
+      [word, 72, 60, 11],
+      [number, 280, 30, 9],
+    ]));
+    const { markdown } = pdfLayoutToMarkdown(pages);
+    for (const word of ['civil', 'ill']) assert.match(markdown, new RegExp(`\\b${word}\\b`), word);
+    assert.doesNotMatch(markdown, /\b(ix|x|xi)\b/);
+  });
+
+  it('matches running footers by page-relative numbers, not any number', () => {
+    const steps = ['Phase 1', 'Phase 3', 'Phase 8'];
+    const pages = steps.map((step, i) => page(i + 3, [
+      [step, 72, 700, 11],
+      [`Instructions for the ${['first', 'second', 'third'][i]} phase.`, 72, 680, 11],
+      [`Field Guide, 2nd edition — ${i + 1} / 40`, 72, 30, 9],
+    ]));
+    const { markdown } = pdfLayoutToMarkdown(pages);
+    assert.ok(!markdown.includes('Field Guide'));
+    for (const step of steps) assert.ok(markdown.includes(step), step);
+  });
+
+  it('detects lists with nesting and simple tables', () => {
+    const { markdown } = pdfLayoutToMarkdown([page(1, [
+      ['Key points of the year, as discussed below:', 72, 700, 11],
+      ['• First point', 72, 685, 11],
+      ['• Second point that wraps onto', 72, 670, 11],
+      ['a continuation line', 84, 656, 11],
+      ['– Nested detail', 90, 641, 11],
+      ['Region', 72, 600, 11], ['Revenue', 250, 600, 11],
+      ['North', 72, 586, 11], ['1,200', 250, 586, 11],
+      ['South', 72, 572, 11], ['900', 250, 572, 11],
+    ])]);
+    assert.ok(markdown.includes('- First point\n- Second point that wraps onto a continuation line\n  - Nested detail'));
+    assert.ok(markdown.includes('| Region | Revenue |\n| --- | --- |\n| North | 1,200 |\n| South | 900 |'));
+  });
+
+  it('prefers a meaningful metadata title and ignores generator defaults', () => {
+    const pages = [page(1, [['Heading', 72, 700, 18], ['Body text that is long enough to be the body.', 72, 660, 11]])];
+    assert.equal(pdfLayoutToMarkdown(pages, { Title: 'Quarterly Results' }).title, 'Quarterly Results');
+    assert.equal(pdfLayoutToMarkdown(pages, { Title: 'Microsoft Word - draft3.docx' }).title, 'Heading');
+  });
+});
+
+describe('pdfLayoutToMarkdown page output', () => {
+  const pages = [
+    page(2, [['Introduction', 72, 700, 16], ['The first page of the selection ends mid', 72, 660, 11]]),
+    page(3, [['sentence and carries on here.', 72, 700, 11]]),
+    page(7, [['A later page that does not continue', 72, 700, 11]]),
+    page(9, [['the text of page seven.', 72, 700, 11]]),
+  ];
+
+  it('returns per-page markdown, keeping a paragraph on the page it starts on', () => {
+    assert.deepEqual(pdfLayoutToMarkdown(pages).pages, [
+      { page: 2, markdown: '# Introduction\n\nThe first page of the selection ends mid sentence and carries on here.' },
+      { page: 7, markdown: 'A later page that does not continue' },
+      { page: 9, markdown: 'the text of page seven.' },
+    ]);
+  });
+
+  it('marks page boundaries when asked', () => {
+    const { markdown } = pdfLayoutToMarkdown(pages, {}, { pageMarkers: true });
+    assert.equal(markdown, [
+      '<!-- page 2 -->', '# Introduction', 'The first page of the selection ends mid sentence and carries on here.',
+      '<!-- page 7 -->', 'A later page that does not continue',
+      '<!-- page 9 -->', 'the text of page seven.',
+    ].join('\n\n'));
+    assert.ok(!pdfLayoutToMarkdown(pages).markdown.includes('<!--'));
+  });
+});
+
+describe('parsePageRanges', () => {
+  it('parses, sorts and merges pages and ranges', () => {
+    assert.deepEqual(parsePageRanges('1-5,10'), [[1, 5], [10, 10]]);
+    assert.deepEqual(parsePageRanges(' 10 , 3-4,1-2, 4 - 6'), [[1, 6], [10, 10]]);
+    assert.equal(formatPageRanges(parsePageRanges('10,2,1-1,3')), '1-3,10');
+  });
+
+  it('rejects malformed selections', () => {
+    for (const spec of ['', '0', '5-3', '1,,2', 'a-b', '1-', '-3', '1.5', '2000000']) {
+      assert.equal(parsePageRanges(spec), null, spec);
+    }
+  });
+});
+
+describe('readPdf', () => {
+  it('reads positioned text items and document info', async () => {
+    const pdf = buildPdf([[['Hello PDF', 72, 700, 20], ['Body line', 72, 660, 11]], [['Second page', 72, 700, 11]]], { title: 'Greeting' });
+    const { totalPages, info, pages } = await readPdf(pdf);
+    assert.equal(totalPages, 2);
+    assert.equal(info.Title, 'Greeting');
+    assert.deepEqual(pages.map((p) => p.number), [1, 2]);
+    const [hello] = pages[0].items;
+    assert.equal(hello.str, 'Hello PDF');
+    assert.equal(hello.x, 72);
+    assert.equal(hello.y, 700);
+    assert.equal(hello.fontSize, 20);
+  });
+
+  it('reads only the selected pages', async () => {
+    const pdf = buildPdf([1, 2, 3, 4].map((n) => [[`Page text ${n}`, 72, 700, 11]]));
+    const { totalPages, pages } = await readPdf(pdf, { pages: [[2, 2], [4, 9]] });
+    assert.equal(totalPages, 4);
+    assert.deepEqual(pages.map((p) => [p.number, p.items[0].str]), [[2, 'Page text 2'], [4, 'Page text 4']]);
+  });
+});
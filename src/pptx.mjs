@@ -0,0 +1,226 @@
+/**
+ * PowerPoint (PPTX) → Markdown.
+ *
+ * One section per slide, in presentation order: the title placeholder becomes a `##`
+ * heading (`## Slide N` when there is none), body text keeps its bullet levels, tables
+ * become markdown tables and speaker notes follow in a "Speaker notes" blockquote.
+ * Shapes are read in slide order with the title first; pictures and charts are skipped.
+ */
+import { escapeLineStart } from './markdown.mjs';
+import { loadPackage, readXml, children, child } from './xml.mjs';
+
+/** Slides converted per deck */
+export const MAX_SLIDES = 500;
+const NOTES_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide';
+const HYPERLINK_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink';
+/** Placeholder types that hold the slide title */
+const TITLE_TYPES = new Set(['title', 'ctrTitle']);
+/** Placeholders that are slide furniture, not content */
+const SKIPPED_TYPES = new Set(['dt', 'ftr', 'sldNum', 'sldImg', 'hdr']);
+
+// ─── Package ──────────────────────────────────────────────────────────
+
+/** Relationship id → {type, target} for a part, with targets resolved against the part's folder */
+async function readRels(zip, partPath) {
+  const dir = partPath.slice(0, partPath.lastIndexOf('/') + 1);
+  const doc = await readXml(zip, `${dir}_rels/${partPath.slice(dir.length)}.rels`);
+  const rels = new Map();
+  for (const rel of doc?.getElementsByTagName('Relationship') || []) {
+    const target = rel.getAttribute('Target') || '';
+    const external = rel.getAttribute('TargetMode') === 'External';
+    rels.set(rel.getAttribute('Id'), {
+      type: rel.getAttribute('Type'),
+      target: external ? target : resolvePath(dir, target),
+    });
+  }
+  return rels;
+}
+
+/** Resolve a relative part path ("../notesSlides/notesSlide1.xml") against a folder */
+function resolvePath(dir, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = dir.split('/').filter(Boolean);
+  for (const segment of target.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+}
+
+// ─── Text ─────────────────────────────────────────────────────────────
+
+/** Inline markdown of a DrawingML paragraph: runs, fields and line breaks, with hyperlinks */
+function paragraphText(p, rels) {
+  let text = '';
+  for (const node of p.children) {
+    if (node.tagName === 'a:br') {
+      text += ' ';
+    } else if (node.tagName === 'a:r' || node.tagName === 'a:fld') {
+      const runText = child(node, 'a:t')?.textContent || '';
+      const linkId = child(node, 'a:rPr') && child(child(node, 'a:rPr'), 'a:hlinkClick')?.getAttribute('r:id');
+      const link = linkId && rels.get(linkId);
+      text += link?.type === HYPERLINK_REL && /^(https?|mailto):/i.test(link.target) && runText.trim()
+        ? `[${runText.trim()}](${link.target})` : runText;
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Markdown for a text body. In content placeholders every paragraph is a bullet unless
+ * it opts out (buNone); in free text boxes only paragraphs with an explicit bullet are.
+ * Numbered bullets (buAutoNum) are counted per level.
+ */
+function textBodyMarkdown(txBody, rels, { bulleted }) {
+  const blocks = [];
+  const counters = [];
+  for (const p of children(txBody, 'a:p')) {
+    const text = paragraphText(p, rels);
+    if (!text) continue;
+    const pPr = child(p, 'a:pPr');
+    const level = Math.min(parseInt(pPr?.getAttribute('lvl') || '0', 10) || 0, 8);
+    const numbered = !!(pPr && child(pPr, 'a:buAutoNum'));
+    const isBullet = numbered || (pPr && child(pPr, 'a:buChar')) || (bulleted && !(pPr && child(pPr, 'a:buNone')));
+    if (!isBullet) {
+      counters.length = 0;
+      blocks.push({ text: escapeLineStart(text) });
+      continue;
+    }
+    counters.length = level + 1;
+    counters[level] = numbered ? (counters[level] || 0) + 1 : 0;
+    const marker = numbered ? `${counters[level]}.` : '-';
+    blocks.push({ item: true, text: `${'  '.repeat(level)}${marker} ${text}` });
+  }
+  // List items stay together; other paragraphs are separated by blank lines
+  return blocks.reduce((out, block, i) => {
+    if (!i) return block.text;
+    return out + (block.item && blocks[i - 1].item ? '\n' : '\n\n') + block.text;
+  }, '');
+}
+
+function tableMarkdown(tbl, rels) {
+  // Cells covered by a merge stay as empty cells so the columns line up
+  const rows = children(tbl, 'a:tr').map((tr) => children(tr, 'a:tc')
+    .map((tc) => {
+      const txBody = !tc.getAttribute('hMerge') && !tc.getAttribute('vMerge') && child(tc, 'a:txBody');
+      const text = txBody ? children(txBody, 'a:p').map((p) => paragraphText(p, rels)).filter(Boolean).join(' ') : '';
+      return text.replace(/\|/g, '\\|');
+    }));
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  if (!width || rows.every((r) => r.every((cell) => !cell))) return '';
+  const row = (r) => `| ${Array.from({ length: width }, (_, i) => r[i] ?? '').join(' | ')} |`;
+  return [row(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(row)].join('\n');
+}
+
+// ─── Slides ───────────────────────────────────────────────────────────
+
+/** Placeholder type of a shape ('' for a placeholder without one, null for a free shape) */
+function placeholderType(sp) {
+  const nvPr = sp.getElementsByTagName('p:nvPr')[0];
+  const ph = nvPr && child(nvPr, 'p:ph');
+  return ph ? ph.getAttribute('type') || '' : null;
+}
+
+/** Shapes of a shape tree in document order, group shapes flattened */
+function shapes(tree) {
+  return [...tree.children].flatMap((el) => (el.tagName === 'p:grpSp' ? shapes(el) : [el]));
+}
+
+/** Title text and content blocks (markdown) of a slide's shape tree */
+function readShapes(tree, rels) {
+  let title = '';
+  const blocks = [];
+  for (const el of shapes(tree)) {
+    if (el.tagName === 'p:sp') {
+      const type = placeholderType(el);
+      const txBody = child(el, 'p:txBody');
+      if (!txBody || SKIPPED_TYPES.has(type)) continue;
+      if (TITLE_TYPES.has(type) && !title) {
+        title = children(txBody, 'a:p').map((p) => paragraphText(p, rels)).filter(Boolean).join(' ');
+        continue;
+      }
+      // Body placeholders ('body', 'obj' or untyped) are bulleted by the layout
+      const bulleted = type === '' || type === 'body' || type === 'obj';
+      const markdown = textBodyMarkdown(txBody, rels, { bulleted });
+      if (markdown) blocks.push(markdown);
+    } else if (el.tagName === 'p:graphicFrame') {
+      for (const tbl of el.getElementsByTagName('a:tbl')) {
+        const markdown = tableMarkdown(tbl, rels);
+        if (markdown) blocks.push(markdown);
+      }
+    }
+  }
+  return { title, blocks };
+}
+
+/** Speaker notes of a slide: the body placeholder of its notes slide */
+async function readNotes(zip, slideRels) {
+  const notesRel = [...slideRels.values()].find((rel) => rel.type === NOTES_REL);
+  if (!notesRel) return '';
+  const doc = await readXml(zip, notesRel.target);
+  const tree = doc?.getElementsByTagName('p:spTree')[0];
+  if (!tree) return '';
+  const rels = await readRels(zip, notesRel.target);
+  return shapes(tree)
+    .filter((sp) => sp.tagName === 'p:sp' && placeholderType(sp) === 'body' && child(sp, 'p:txBody'))
+    .map((sp) => textBodyMarkdown(child(sp, 'p:txBody'), rels, { bulleted: false }))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/** Slide part paths in presentation order */
+async function slidePaths(zip) {
+  const presentation = await readXml(zip, 'ppt/presentation.xml');
+  if (!presentation) throw new Error('Not a PowerPoint file (missing ppt/presentation.xml)');
+  const rels = await readRels(zip, 'ppt/presentation.xml');
+  return [...presentation.getElementsByTagName('p:sldId')]
+    .map((sldId) => rels.get(sldId.getAttribute('r:id'))?.target)
+    .filter(Boolean);
+}
+
+/**
+ * Markdown section of one slide: its title (`## Slide N` without one), content blocks
+ * and speaker notes in a blockquote. Shared with ODP presentations.
+ * @param {number} number - Slide number
+ * @param {{title: string, blocks: string[]}} slide
+ * @param {string} notes - Speaker notes markdown, '' for none
+ */
+export function slideMarkdown(number, { title, blocks }, notes) {
+  const parts = [`## ${title || `Slide ${number}`}`, ...blocks];
+  if (notes) {
+    parts.push(`> **Speaker notes**\n>\n${notes.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────
+
+/**
+ * Convert a PPTX file to markdown, one `##` section per slide.
+ * @param {Buffer} buffer
+ * @returns {Promise<{markdown: string, title: string|null, slides: number}>}
+ */
+export async function pptxToMarkdown(buffer) {
+  const zip = await loadPackage(buffer);
+  const paths = await slidePaths(zip);
+  const sections = [];
+  let firstTitle = null;
+
+  for (const [i, path] of paths.slice(0, MAX_SLIDES).entries()) {
+    const doc = await readXml(zip, path);
+    const tree = doc?.getElementsByTagName('p:spTree')[0];
+    if (!tree) continue;
+    const rels = await readRels(zip, path);
+    const slide = readShapes(tree, rels);
+    const notes = await readNotes(zip, rels);
+    firstTitle ??= slide.title || null;
+    if (slide.title || slide.blocks.length || notes) sections.push(slideMarkdown(i + 1, slide, notes));
+  }
+  if (paths.length > MAX_SLIDES) {
+    sections.push(`*... truncated at ${MAX_SLIDES} slides*`);
+  }
+
+  const core = await readXml(zip, 'docProps/core.xml');
+  const coreTitle = core?.getElementsByTagName('dc:title')[0]?.textContent.trim();
+  return { markdown: sections.join('\n\n'), title: coreTitle || firstTitle, slides: paths.length };
+}
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { pptxToMarkdown } from './pptx.mjs';
+import { buildPptx } from './test-helpers.mjs';
+
+/** A text shape; type is the placeholder type ('' for an untyped content placeholder, null for a text box) */
+const shape = (type, paragraphs) => {
+  const ph = type == null ? '' : `<p:ph${type ? ` type="${type}"` : ''} idx="1"/>`;
+  return `<p:sp><p:nvSpPr><p:cNvPr id="2" name="Shape"/><p:cNvSpPr/><p:nvPr>${ph}</p:nvPr></p:nvSpPr>`
+    + `<p:spPr/><p:txBody><a:bodyPr/>${paragraphs.join('')}</p:txBody></p:sp>`;
+};
+/** A paragraph with an optional indent level and bullet element (a:buNone, a:buChar, a:buAutoNum) */
+const para = (text, { lvl, bullet } = {}) => {
+  const attrs = lvl ? ` lvl="${lvl}"` : '';
+  return `<a:p>${attrs || bullet ? `<a:pPr${attrs}>${bullet || ''}</a:pPr>` : ''}<a:r><a:rPr lang="en-US"/><a:t>${text}</a:t></a:r></a:p>`;
+};
+const table = (rows) => '<p:graphicFrame><a:graphic><a:graphicData><a:tbl>'
+  + rows.map((r) => `<a:tr>${r.map((c) => `<a:tc><a:txBody><a:p><a:r><a:t>${c}</a:t></a:r></a:p></a:txBody></a:tc>`).join('')}</a:tr>`).join('')
+  + '</a:tbl></a:graphicData></a:graphic></p:graphicFrame>';
+
+describe('pptxToMarkdown', () => {
+  it('writes one section per slide with the title as a heading', async () => {
+    const pptx = await buildPptx([
+      { shapes: shape('ctrTitle', [para('Quarterly Review')]) + shape('subTitle', [para('Q3 2026')]) },
+      { shapes: shape('title', [para('Agenda')]) + shape('', [para('Results'), para('Outlook')]) },
+    ]);
+    const { markdown, title, slides } = await pptxToMarkdown(pptx);
+    assert.equal(slides, 2);
+    assert.equal(title, 'Quarterly Review');
+    assert.equal(markdown, '## Quarterly Review\n\nQ3 2026\n\n## Agenda\n\n- Results\n- Outlook');
+  });
+
+  it('keeps the bullet hierarchy, numbering and bullet opt-outs', async () => {
+    const pptx = await buildPptx([{
+      shapes: shape('title', [para('Plan')]) + shape('body', [
+        para('Intro without bullet', { bullet: '<a:buNone/>' }),
+        para('Build'),
+        para('Backend', { lvl: 1 }),
+        para('Step one', { lvl: 2, bullet: '<a:buAutoNum type="arabicPeriod"/>' }),
+        para('Step two', { lvl: 2, bullet: '<a:buAutoNum type="arabicPeriod"/>' }),
+        para('Ship'),
+      ]),
+    }]);
+    const { markdown } = await pptxToMarkdown(pptx);
+    assert.equal(markdown, [
+      '## Plan',
+      'Intro without bullet',
+      '- Build\n  - Backend\n    1. Step one\n    2. Step two\n- Ship',
+    ].join('\n\n'));
+  });
+
+  it('treats text boxes as paragraphs unless they carry an explicit bullet', async () => {
+    const pptx = await buildPptx([{
+      shapes: shape(null, [para('# not a heading'), para('Point', { bullet: '<a:buChar char="•"/>' })]),
+    }]);
+    const { markdown } = await pptxToMarkdown(pptx);
+    assert.equal(markdown, '## Slide 1\n\n\\# not a heading\n\n- Point');
+  });
+
+  it('converts tables and hyperlinks', async () => {
+    const link = '<a:p><a:r><a:rPr><a:hlinkClick r:id="rId7"/></a:rPr><a:t>the docs</a:t></a:r></a:p>';
+    const pptx = await buildPptx([{
+      shapes: shape('title', [para('Numbers')]) + table([['Region', 'Revenue'], ['North', '1 | 2'], ['South', '900']])
+        + shape(null, [link]),
+      links: { rId7: 'https://example.com/docs' },
+    }]);
+    const { markdown } = await pptxToMarkdown(pptx);
+    assert.equal(markdown, [
+      '## Numbers',
+      '| Region | Revenue |\n| --- | --- |\n| North | 1 \\| 2 |\n| South | 900 |',
+      '[the docs](https://example.com/docs)',
+    ].join('\n\n'));
+  });
+
+  it('puts speaker notes in a marked block, without notes-page furniture', async () => {
+    const pptx = await buildPptx([{
+      shapes: shape('title', [para('Welcome')]),
+      notes: 'Thank the organizers.\nMention the survey.',
+    }], { title: 'Conference Talk' });
+    const { markdown, title } = await pptxToMarkdown(pptx);
+    assert.equal(title, 'Conference Talk');
+    assert.equal(markdown, '## Welcome\n\n> **Speaker notes**\n>\n> Thank the organizers.\n>\n> Mention the survey.');
+  });
+
+  it('rejects files that are not presentations', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<w:document/>');
+    await assert.rejects(
+      async () => pptxToMarkdown(await zip.generateAsync({ type: 'nodebuffer' })),
+      { message: /Not a PowerPoint file/ },
+    );
+  });
+});
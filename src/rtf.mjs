@@ -0,0 +1,363 @@
+/**
+ * RTF → Markdown.
+ *
+ * A single pass over the control words: paragraphs (\par) become blocks, outline levels
+ * (\outlinelevel, or heading styles from the stylesheet) become headings, list paragraphs
+ * (\ls / \ilvl with their \listtext marker) become nested lists, \intbl paragraphs are
+ * gathered into tables by \cell and \row, HYPERLINK fields become links and \footnote
+ * groups become markdown footnotes. Bold and italic runs are kept; fonts, colours,
+ * pictures, headers/footers and other destinations are skipped.
+ */
+import { escapeLineStart, emphasize } from './markdown.mjs';
+
+/** Destinations whose content is not document text */
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'generator',
+  'pict', 'object', 'shppict', 'nonshppict', 'themedata', 'colorschememapping', 'latentstyles',
+  'datastore', 'xmlnstbl', 'filetbl', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'annotation', 'atnid', 'atnauthor',
+]);
+/** Control words that stand for a character */
+const SYMBOLS = {
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  tab: ' ', line: ' ', emspace: ' ', enspace: ' ', qmspace: ' ',
+};
+/** Paragraph properties and table structure of the body text */
+const PARAGRAPH_WORDS = new Set(['pard', 's', 'ls', 'ilvl', 'intbl', 'outlinelevel', 'cell', 'row']);
+/** Windows code pages that TextDecoder knows by another name */
+const CODEPAGES = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh' };
+
+function decoderFor(codepage) {
+  try {
+    return new TextDecoder(CODEPAGES[codepage] || `windows-${codepage}`);
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+}
+
+/**
+ * Parse RTF into blocks of markdown.
+ * @param {string} src - RTF source, one char per byte (latin1)
+ */
+function parseRtf(src) {
+  const blocks = [];
+  const notes = [];
+  const info = { title: { text: '' }, author: { text: '' } };
+  /** Heading level by paragraph style number, from the stylesheet */
+  const styleLevels = new Map();
+  const discard = { text: '' };
+
+  let state = { bold: false, italic: false, hidden: false, skip: false, sink: null, uc: 1, field: null, onEnd: null };
+  const stack = [];
+  let decoder = decoderFor(1252);
+  let bytes = [];
+  let fallback = 0;
+  let starred = false;
+
+  // Paragraph properties (reset by \pard) and content of the current paragraph, cell and table
+  let pp = { outline: null, style: null, list: false, level: 0, intbl: false };
+  let runs = [];
+  let marker = null;
+  let cell = [];
+  let row = [];
+  let table = [];
+
+  const write = (text) => {
+    if (state.skip || state.hidden || !text) return;
+    if (state.sink) {
+      state.sink.text += text;
+    } else {
+      const last = runs.at(-1);
+      if (last && last.bold === state.bold && last.italic === state.italic) last.text += text;
+      else runs.push({ text, bold: state.bold, italic: state.italic });
+    }
+  };
+  const flushBytes = () => {
+    if (!bytes.length) return;
+    const text = decoder.decode(Uint8Array.from(bytes));
+    bytes = [];
+    write(text);
+  };
+  const runsText = () => {
+    const text = runs.map((run) => emphasize(run.text, run)).join('').replace(/\s+/g, ' ').trim();
+    runs = [];
+    return text;
+  };
+  const flushTable = () => {
+    if (row.length) table.push(row);
+    row = [];
+    const width = Math.max(0, ...table.map((r) => r.length));
+    if (width && table.some((r) => r.some(Boolean))) {
+      const line = (r) => `| ${Array.from({ length: width }, (_, i) => (r[i] ?? '').replace(/\|/g, '\\|')).join(' | ')} |`;
+      blocks.push({ text: [line(table[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...table.slice(1).map(line)].join('\n') });
+    }
+    table = [];
+  };
+  const endParagraph = () => {
+    if (state.sink) {
+      state.sink.text += ' ';
+      return;
+    }
+    const text = runsText();
+    if (pp.intbl) {
+      if (text) cell.push(text);
+      return;
+    }
+    if (table.length || row.length) flushTable();
+    const isItem = pp.list || marker !== null;
+    const numbered = marker !== null && /^\s*\(?[0-9a-z]{1,4}[.)]/i.test(marker);
+    marker = null;
+    if (!text) return;
+    const level = pp.outline ?? styleLevels.get(pp.style);
+    if (level != null && !isItem) {
+      blocks.push({ text: `${'#'.repeat(Math.min(level + 1, 6))} ${text}` });
+    } else if (isItem) {
+      blocks.push({ item: true, level: Math.min(pp.level, 8), numbered, text });
+    } else {
+      blocks.push({ text: escapeLineStart(text) });
+    }
+  };
+
+  /** Start a destination group: a capture sink, a skipped group, or a handler run when it closes */
+  const destination = (word, param) => {
+    switch (word) {
+      case 'info':
+        state.sink = discard;
+        return true;
+      case 'title':
+      case 'author':
+        state.sink = info[word];
+        return true;
+      case 'stylesheet':
+        state.sink = discard;
+        state.stylesheet = true;
+        return true;
+      case 'listtext':
+      case 'pntext': {
+        const capture = { text: '' };
+        state.sink = capture;
+        state.onEnd = () => { marker = capture.text; };
+        return true;
+      }
+      case 'footnote': {
+        const capture = { text: '' };
+        state.sink = capture;
+        state.onEnd = () => {
+          const note = capture.text.replace(/\s+/g, ' ').trim();
+          if (!note) return;
+          notes.push(note);
+          write(`[^${notes.length}]`);
+        };
+        return true;
+      }
+      case 'field': {
+        const field = { inst: { text: '' }, result: { text: '' } };
+        state.field = field;
+        state.onEnd = () => {
+          const url = field.inst.text.match(/HYPERLINK\s+"([^"]+)"/)?.[1];
+          const label = field.result.text.replace(/\s+/g, ' ').trim();
+          write(url && label && /^(https?|mailto):/i.test(url) ? `[${label}](${url})` : field.result.text);
+        };
+        return true;
+      }
+      case 'fldinst':
+      case 'fldrslt':
+        if (!state.field) return false;
+        state.sink = word === 'fldinst' ? state.field.inst : state.field.result;
+        return true;
+      case 's': {
+        // A style definition: "{\s1 ... \outlinelevel0 ... heading 1;}"
+        if (!state.stylesheet) return false;
+        const def = { outline: null, name: { text: '' } };
+        state.styleDef = def;
+        state.sink = def.name;
+        state.onEnd = () => {
+          const heading = def.name.text.match(/^\s*heading (\d)/i);
+          const level = def.outline ?? (heading ? parseInt(heading[1], 10) - 1 : null);
+          if (level != null) styleLevels.set(param, level);
+        };
+        return true;
+      }
+      default:
+        return false;
+    }
+  };
+
+  const controlWord = (word, param) => {
+    if (word === 'ansicpg') {
+      decoder = decoderFor(param);
+      return;
+    }
+    if (state.skip) return;
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      return;
+    }
+    if (destination(word, param)) return;
+    if (starred) {
+      // {\*\unknown ...} — an optional destination this reader does not know
+      state.skip = true;
+      return;
+    }
+    // List markers and footnotes restate paragraph properties that belong to the body
+    if (state.sink && !state.styleDef && PARAGRAPH_WORDS.has(word)) return;
+    if (word in SYMBOLS) {
+      write(SYMBOLS[word]);
+      return;
+    }
+    switch (word) {
+      case 'par':
+      case 'sect':
+      case 'page':
+        endParagraph();
+        break;
+      case 'pard':
+        pp = { outline: null, style: null, list: false, level: 0, intbl: false };
+        break;
+      case 'plain':
+        state.bold = false;
+        state.italic = false;
+        state.hidden = false;
+        break;
+      case 'b':
+        state.bold = param !== 0;
+        break;
+      case 'i':
+        state.italic = param !== 0;
+        break;
+      case 'v':
+        state.hidden = param !== 0;
+        break;
+      case 'uc':
+        state.uc = param ?? 1;
+        break;
+      case 'u':
+        write(String.fromCharCode(param < 0 ? param + 65536 : param));
+        fallback = state.uc;
+        break;
+      case 'outlinelevel':
+        if (state.styleDef) state.styleDef.outline = param;
+        else pp.outline = param;
+        break;
+      case 's':
+        pp.style = param;
+        break;
+      case 'ls':
+        pp.list = true;
+        break;
+      case 'ilvl':
+        pp.level = param ?? 0;
+        break;
+      case 'intbl':
+        pp.intbl = true;
+        break;
+      case 'cell':
+        cell.push(runsText());
+        row.push(cell.filter(Boolean).join(' '));
+        cell = [];
+        break;
+      case 'row':
+        table.push(row);
+        row = [];
+        break;
+      default:
+    }
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\\' && src[i + 1] === "'") {
+      const byte = parseInt(src.slice(i + 2, i + 4), 16);
+      i += 4;
+      if (fallback > 0) fallback--;
+      else if (!Number.isNaN(byte) && !state.skip) bytes.push(byte);
+      continue;
+    }
+    flushBytes();
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state, onEnd: null };
+      starred = false;
+      fallback = 0;
+      i++;
+    } else if (ch === '}') {
+      const ended = state;
+      state = stack.pop() || state;
+      ended.onEnd?.();
+      starred = false;
+      fallback = 0;
+      i++;
+    } else if (ch === '\\') {
+      const m = /^\\([a-z]{1,32})(-?\d{1,10})? ?/.exec(src.slice(i, i + 48));
+      if (!m) {
+        // Control symbol: escaped character, or \~ \- \_ \*
+        const symbol = src[i + 1];
+        i += 2;
+        if (symbol === '*') starred = true;
+        else if (symbol === '~') write(' ');
+        else if (symbol === '_') write('-');
+        else if (symbol === '\\' || symbol === '{' || symbol === '}') write(symbol);
+        else if (symbol === '\n' || symbol === '\r') endParagraph();
+        continue;
+      }
+      i += m[0].length;
+      const param = m[2] !== undefined ? parseInt(m[2], 10) : undefined;
+      if (m[1] === 'bin') {
+        i += Math.max(param || 0, 0);
+        continue;
+      }
+      fallback = 0;
+      controlWord(m[1], param);
+      starred = false;
+    } else {
+      i++;
+      if (ch === '\n' || ch === '\r') continue;
+      if (fallback > 0) {
+        fallback--;
+        continue;
+      }
+      write(ch === '\t' ? ' ' : ch);
+    }
+  }
+  flushBytes();
+  endParagraph();
+  if (table.length || row.length) flushTable();
+
+  return {
+    blocks, notes,
+    title: info.title.text.trim() || null,
+    author: info.author.text.trim(),
+  };
+}
+
+/** Join blocks: list items stay together, numbered per level; other blocks are separated by blank lines */
+function joinBlocks(blocks) {
+  const counters = [];
+  return blocks.reduce((out, block, i) => {
+    let text = block.text;
+    if (block.item) {
+      counters.length = block.level + 1;
+      counters[block.level] = block.numbered ? (counters[block.level] || 0) + 1 : 0;
+      text = `${'  '.repeat(block.level)}${block.numbered ? `${counters[block.level]}.` : '-'} ${text}`;
+    } else {
+      counters.length = 0;
+    }
+    if (!i) return text;
+    return out + (block.item && blocks[i - 1].item ? '\n' : '\n\n') + text;
+  }, '');
+}
+
+/**
+ * Convert an RTF document to markdown.
+ * @param {Buffer} buffer
+ * @returns {{markdown: string, title: string|null, author: string}}
+ */
+export function rtfToMarkdown(buffer) {
+  const src = buffer.toString('latin1');
+  if (!src.startsWith('{\\rtf')) throw new Error('Not an RTF file (missing {\\rtf header)');
+  const { blocks, notes, title, author } = parseRtf(src);
+  let markdown = joinBlocks(blocks);
+  if (notes.length) markdown += `\n\n${notes.map((note, i) => `[^${i + 1}]: ${note}`).join('\n')}`;
+  return { markdown: markdown.trim(), title: title || markdown.match(/^#{1,6} (.+)$/m)?.[1] || null, author };
+}
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rtfToMarkdown } from './rtf.mjs';
+
+/** An RTF document around body control words, with the usual header tables */
+const rtf = (body, header = '') => Buffer.from(String.raw`{\rtf1\ansi\ansicpg1252\deff0{\fonttbl{\f0 Times New Roman;}{\f1 Symbol;}}`
+  + String.raw`{\colortbl;\red0\green0\blue0;}${header}` + `\n${body}\n}`, 'latin1');
+
+describe('rtfToMarkdown', () => {
+  it('converts paragraphs with bold and italic runs', () => {
+    const { markdown } = rtfToMarkdown(rtf(String.raw`\pard This is {\b bold} and \i italic\i0  text.\par
+\pard Second paragraph\line continues.\par`));
+    assert.equal(markdown, 'This is **bold** and *italic* text.\n\nSecond paragraph continues.');
+  });
+
+  it('takes headings from outline levels and stylesheet heading styles', () => {
+    const header = String.raw`{\stylesheet{\s0 Normal;}{\s1\outlinelevel0 Title Style;}{\s2 heading 2;}{\*\cs10 Default Paragraph Font;}}`
+      + String.raw`{\info{\title Annual Report}{\author Jane Doe}{\creatim\yr2026\mo1}}`;
+    const { markdown, title, author } = rtfToMarkdown(rtf(String.raw`\pard\s1 Overview\par
+\pard\s2 Details\par
+\pard\outlinelevel2 Deep\par
+\pard\s0 Body\par`, header));
+    assert.equal(markdown, '# Overview\n\n## Details\n\n### Deep\n\nBody');
+    assert.equal(title, 'Annual Report');
+    assert.equal(author, 'Jane Doe');
+  });
+
+  it('decodes code page bytes and unicode escapes with their fallbacks', () => {
+    const { markdown } = rtfToMarkdown(rtf(String.raw`\pard Caf\'e9 \u8212? \uc2\u20013\'3f\'3f ok \{braces\} \\ \emdash\par`));
+    assert.equal(markdown, 'Café — 中 ok {braces} \\ —');
+  });
+
+  it('keeps list levels and numbering from list text markers', () => {
+    const { markdown } = rtfToMarkdown(rtf(String.raw`{\listtext\pard\plain\f1 \'b7\tab}\pard\ls1\ilvl0 First\par
+{\listtext\pard\plain\f1 \'b7\tab}\pard\ls1\ilvl1 Nested\par
+{\pntext 1.\tab}\pard\ls2 Step one\par
+{\pntext 2.\tab}\pard\ls2 Step two\par
+\pard After\par`));
+    assert.equal(markdown, '- First\n  - Nested\n1. Step one\n2. Step two\n\nAfter');
+  });
+
+  it('builds tables from cells and rows', () => {
+    const { markdown } = rtfToMarkdown(rtf(String.raw`\trowd\cellx2000\cellx4000\pard\intbl Name\cell Role | Team\cell\row
+\trowd\cellx2000\cellx4000\pard\intbl Ann\cell {\b Lead}\cell\row
+\pard Below\par`));
+    assert.equal(markdown, '| Name | Role \\| Team |\n| --- | --- |\n| Ann | **Lead** |\n\nBelow');
+  });
+
+  it('turns hyperlink fields into links and footnotes into markdown footnotes', () => {
+    const { markdown } = rtfToMarkdown(rtf(String.raw`\pard See {\field{\*\fldinst HYPERLINK "https://example.com/docs"}{\fldrslt the docs}}`
+      + String.raw` and {\field{\*\fldinst PAGE}{\fldrslt 3}}.{\super\chftn}{\footnote\pard\plain{\super\chftn} Checked in 2026.}\par`));
+    assert.equal(markdown, 'See [the docs](https://example.com/docs) and 3.[^1]\n\n[^1]: Checked in 2026.');
+  });
+
+  it('skips headers, pictures, hidden text and unknown optional destinations', () => {
+    const { markdown, title } = rtfToMarkdown(rtf(String.raw`{\header\pard Page header\par}{\pict\pngblip 89504e47}`
+      + String.raw`{\*\generator Writer}{\*\unknowndest secret}\pard Visible{\v  hidden} text.\par`));
+    assert.equal(markdown, 'Visible text.');
+    assert.equal(title, null);
+  });
+
+  it('rejects files without an RTF header', () => {
+    assert.throws(() => rtfToMarkdown(Buffer.from('plain text')), /Not an RTF file/);
+  });
+});
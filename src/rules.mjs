@@ -0,0 +1,169 @@
+/**
+ * Per-domain extraction rules — fix a site once in config instead of in code.
+ *
+ * Config: RULES_FILE=/path/to/rules.json, loaded once at startup.
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "match": "docs.example.com",          // hostname, or glob: "*.example.com", "docs.*"
+ *         "content_selectors": ["main .doc"],   // tried before the heuristic passes
+ *         "junk_selectors": [".feedback"],      // removed before any pass
+ *         "preferred_pass": "defuddle",         // moved to the front of the pass order
+ *         "force_browser": true,                // skip plain fetch when the browser is available
+ *         "wait_for": "#app .loaded",           // browser waits (request options take precedence)
+ *         "wait_until": "networkidle",
+ *         "timeout_ms": 20000,
+ *         "title_selector": "h1.page-title",    // title from the first matching element
+ *         "title_strip": " [|—-] Example Docs$" // regex removed from the title
+ *       }
+ *     ]
+ *   }
+ *
+ * Exact hostnames win over globs; among globs the first listed wins.
+ */
+import { readFileSync } from 'node:fs';
+import { checkSelector, PASS_NAMES } from './extractor.mjs';
+import { validateRenderWait } from './actions.mjs';
+import { globToRegExp } from './glob.mjs';
+
+const HOST_PATTERN = /^[a-z0-9*.-]+$/;
+
+/**
+ * Validate one raw rule from the config file. Returns an error message or null.
+ * @param {object} rule
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'rule must be an object';
+  if (typeof rule.match !== 'string' || !HOST_PATTERN.test(rule.match.toLowerCase())) {
+    return 'match must be a hostname or hostname glob';
+  }
+  for (const name of ['content_selectors', 'junk_selectors']) {
+    if (rule[name] == null) continue;
+    if (!Array.isArray(rule[name])) return `${name} must be an array of CSS selectors`;
+    for (const selector of rule[name]) {
+      const error = checkSelector(selector, name);
+      if (error) return error;
+    }
+  }
+  if (rule.preferred_pass != null && !PASS_NAMES.includes(rule.preferred_pass)) {
+    return `preferred_pass must be one of: ${PASS_NAMES.join(', ')}`;
+  }
+  if (rule.force_browser != null && typeof rule.force_browser !== 'boolean') return 'force_browser must be a boolean';
+  const waitError = validateRenderWait(rule);
+  if (waitError) return waitError;
+  if (rule.title_selector != null) {
+    const error = checkSelector(rule.title_selector, 'title_selector');
+    if (error) return error;
+  }
+  if (rule.title_strip != null) {
+    try { new RegExp(rule.title_strip); } catch { return 'title_strip must be a regular expression'; }
+  }
+  return null;
+}
+
+/** Convert a validated raw rule to the camelCase shape consumed by convert() and extractContent() */
+function normalizeRule(rule) {
+  return {
+    match: rule.match.toLowerCase(),
+    contentSelectors: rule.content_selectors || [],
+    junkSelectors: rule.junk_selectors || [],
+    preferredPass: rule.preferred_pass,
+    forceBrowser: rule.force_browser === true,
+    waitFor: rule.wait_for,
+    waitUntil: rule.wait_until,
+    timeoutMs: rule.timeout_ms != null ? Number(rule.timeout_ms) : undefined,
+    titleSelector: rule.title_selector,
+    titleStrip: rule.title_strip ? new RegExp(rule.title_strip) : undefined,
+  };
+}
+
+export class DomainRules {
+  /**
+   * @param {object[]} rules - raw rules as written in the config file
+   * @throws {Error} naming the first invalid rule
+   */
+  constructor(rules = []) {
+    this._exact = new Map();
+    this._globs = [];
+    rules.forEach((raw, i) => {
+      const error = validateRule(raw);
+      if (error) throw new Error(`Invalid extraction rule #${i} (${raw?.match ?? '?'}): ${error}`);
+      const rule = normalizeRule(raw);
+      if (rule.match.includes('*')) this._globs.push({ re: globToRegExp(rule.match), rule });
+      else if (!this._exact.has(rule.match)) this._exact.set(rule.match, rule);
+    });
+  }
+
+  /** Total loaded rules */
+  get size() {
+    return this._exact.size + this._globs.length;
+  }
+
+  /**
+   * Find the rule for a URL (or bare hostname).
+   * @param {string} url
+   * @returns {object|null}
+   */
+  match(url) {
+    if (!url || !this.size) return null;
+    let host;
+    try { host = new URL(url).hostname; } catch { host = String(url); }
+    host = host.toLowerCase().replace(/\.$/, '');
+    return this._exact.get(host) || this._globs.find((g) => g.re.test(host))?.rule || null;
+  }
+
+  /**
+   * Loaded rule patterns, for /health.
+   * @returns {{ total: number, matches: string[] }}
+   */
+  getStats() {
+    return {
+      total: this.size,
+      matches: [...this._exact.keys(), ...this._globs.map((g) => g.rule.match)],
+    };
+  }
+}
+
+/**
+ * Load raw rules from a JSON file: either `{ "rules": [...] }` or a bare array.
+ * A missing file means no rules.
+ * @param {string} filePath
+ * @returns {object[]}
+ */
+export function loadRulesFile(filePath) {
+  let text;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const parsed = JSON.parse(text);
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules)) throw new Error(`${filePath}: expected { "rules": [...] }`);
+  return rules;
+}
+
+/** Singleton instance */
+let _instance = null;
+
+/**
+ * Get the singleton DomainRules, loading RULES_FILE on first use.
+ * @returns {DomainRules}
+ */
+export function getDomainRules() {
+  if (!_instance) {
+    const rulesFile = process.env.RULES_FILE;
+    _instance = new DomainRules(rulesFile ? loadRulesFile(rulesFile) : []);
+  }
+  return _instance;
+}
+
+/**
+ * Reset the singleton (for tests).
+ * @param {DomainRules} [rules]
+ */
+export function _resetDomainRules(rules = null) {
+  _instance = rules;
+}
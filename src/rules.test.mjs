@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, mkdtempSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { DomainRules, validateRule, loadRulesFile } from './rules.mjs';
+
+describe('DomainRules', () => {
+  const rules = new DomainRules([
+    { match: '*.example.com', junk_selectors: ['.ad'] },
+    { match: 'docs.example.com', content_selectors: ['main .doc'], preferred_pass: 'defuddle' },
+    { match: 'shop-*.example.org', force_browser: true, wait_for: '#app', timeout_ms: 20000 },
+  ]);
+
+  it('prefers exact hostnames over globs', () => {
+    assert.deepEqual(rules.match('https://docs.example.com/guide').contentSelectors, ['main .doc']);
+    assert.deepEqual(rules.match('https://blog.example.com/').junkSelectors, ['.ad']);
+  });
+
+  it('matches globs case-insensitively and ignores the bare parent domain', () => {
+    const rule = rules.match('https://SHOP-EU.example.org/cart');
+    assert.equal(rule.forceBrowser, true);
+    assert.equal(rule.waitFor, '#app');
+    assert.equal(rule.timeoutMs, 20000);
+    assert.equal(rules.match('https://example.com/'), null);
+  });
+
+  it('reports loaded patterns', () => {
+    assert.deepEqual(rules.getStats(), {
+      total: 3, matches: ['docs.example.com', '*.example.com', 'shop-*.example.org'],
+    });
+  });
+
+  it('throws on the first invalid rule', () => {
+    assert.throws(() => new DomainRules([{ match: 'a.com' }, { match: 'b.com', preferred_pass: 'magic' }]), {
+      message: /rule #1 \(b\.com\): preferred_pass must be one of/,
+    });
+  });
+});
+
+describe('validateRule', () => {
+  it('accepts a full rule', () => {
+    assert.equal(validateRule({
+      match: 'news.example.com',
+      content_selectors: ['article .body'],
+      junk_selectors: ['.related, .share'],
+      preferred_pass: 'css-selector',
+      force_browser: false,
+      wait_until: 'networkidle',
+      title_selector: 'h1',
+      title_strip: ' \\| Example News$',
+    }), null);
+  });
+
+  it('rejects bad hosts, selectors and patterns', () => {
+    assert.match(validateRule({ match: 'https://a.com/' }), /match must be a hostname/);
+    assert.match(validateRule({ match: 'a.com', content_selectors: 'main' }), /content_selectors must be an array/);
+    assert.match(validateRule({ match: 'a.com', junk_selectors: ['div['] }), /not a valid CSS selector/);
+    assert.match(validateRule({ match: 'a.com', wait_until: 'idle' }), /wait_until/);
+    assert.match(validateRule({ match: 'a.com', title_strip: '(' }), /title_strip/);
+  });
+});
+
+describe('loadRulesFile', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'rules-'));
+
+  it('reads { rules: [...] } and bare arrays', () => {
+    const wrapped = join(dir, 'wrapped.json');
+    writeFileSync(wrapped, JSON.stringify({ rules: [{ match: 'a.com' }] }));
+    assert.deepEqual(loadRulesFile(wrapped), [{ match: 'a.com' }]);
+
+    const bare = join(dir, 'bare.json');
+    writeFileSync(bare, JSON.stringify([{ match: 'b.com' }]));
+    assert.deepEqual(loadRulesFile(bare), [{ match: 'b.com' }]);
+  });
+
+  it('returns no rules for a missing file', () => {
+    assert.deepEqual(loadRulesFile(join(dir, 'missing.json')), []);
+  });
+
+  it('rejects files without a rules array', () => {
+    const bad = join(dir, 'bad.json');
+    writeFileSync(bad, JSON.stringify({ match: 'a.com' }));
+    assert.throws(() => loadRulesFile(bad), /expected \{ "rules": \[\.\.\.\] \}/);
+  });
+});
@@ -9,17 +9,25 @@
  */
 import { serve } from '@hono/node-server';
 import { createApp } from './app.mjs';
-import { convert, extractSchema } from './convert.mjs';
+import {
+  convert, convertHTML, convertFile, mapUrl, captureScreenshot, renderPdf, extractSchema,
+} from './convert.mjs';
 import { BrowserPool, parseBrowserMode } from './browser-pool.mjs';
 import { getProxyPool } from './proxy-pool.mjs';
+import { getDomainRules } from './rules.mjs';
 import { initRedis, shutdownRedis, getRedis, checkRateLimit, getCache, setCache } from './redis.mjs';
 import { getLog } from './logger.mjs';
-import { createJob, getJob, completeJob, failJob } from './jobs.mjs';
+import {
+  createJob, getJob, completeJob, completeJobRaw, updateJobProgress, failJob,
+} from './jobs.mjs';
+import { crawl } from './crawler.mjs';
 
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const BROWSER_MODE = parseBrowserMode(process.env.ENABLE_BROWSER);
 const ENABLE_BROWSER = BROWSER_MODE !== 'off';
 const proxyPool = getProxyPool();
+// Load extraction rules up front so a broken RULES_FILE fails at startup, not mid-request
+const domainRules = getDomainRules();
 
 const browserPool = ENABLE_BROWSER
   ? new BrowserPool({
@@ -33,6 +41,8 @@ const app = createApp({
   browserPool,
   enableBrowser: ENABLE_BROWSER,
   convertFn: convert,
+  convertHtmlFn: convertHTML,
+  convertFileFn: convertFile,
   extractSchemaFn: extractSchema,
   checkRateLimitFn: checkRateLimit,
   getRedisFn: getRedis,
@@ -41,6 +51,12 @@ const app = createApp({
   createJobFn: createJob,
   getJobFn: getJob,
   completeJobFn: completeJob,
+  completeJobRawFn: completeJobRaw,
+  updateJobProgressFn: updateJobProgress,
+  crawlFn: crawl,
+  mapFn: mapUrl,
+  screenshotFn: captureScreenshot,
+  pdfFn: renderPdf,
   failJobFn: failJob,
 });
 
@@ -60,6 +76,7 @@ serve({ fetch: app.fetch, port: PORT }, () => {
   const log = getLog();
   log.info({ port: PORT }, 'listening');
   log.info({ browser: BROWSER_MODE }, 'browser mode');
+  if (domainRules.size) log.info({ rules: domainRules.size }, 'extraction rules loaded');
   log.info({ redis: getRedis()?.status === 'ready' ? 'connected' : 'unavailable' }, 'redis status');
 });
 
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { createTestApp, mockConvertResult, jsonPost } from './test-helpers.mjs';
+import { createTestApp, mockConvertResult, jsonPost, filePost, parseSSE } from './test-helpers.mjs';
+import { DomainRules, _resetDomainRules } from './rules.mjs';
 
 // ─── GET /health ────────────────────────────────────────────────────────
 
@@ -27,6 +28,23 @@ describe('GET /health', () => {
     const body = await res.json();
     assert.equal(body.redis, true);
   });
+
+  it('reports loaded extraction rules', async () => {
+    _resetDomainRules(new DomainRules([{ match: 'docs.example.com' }, { match: '*.example.org' }]));
+    try {
+      const res = await createTestApp().request('/health');
+      const body = await res.json();
+      assert.deepEqual(body.rules, { total: 2, matches: ['docs.example.com', '*.example.org'] });
+    } finally {
+      _resetDomainRules();
+    }
+  });
+
+  it('omits rules when none are loaded', async () => {
+    const res = await createTestApp().request('/health');
+    const body = await res.json();
+    assert.equal(body.rules, undefined);
+  });
 });
 
 // ─── GET / (root info) ──────────────────────────────────────────────────
@@ -133,6 +151,71 @@ describe('GET /<url> — conversion', () => {
     assert.equal(body.url, 'https://example.com');
   });
 
+  it('includes sitemap entries in JSON for sitemap URLs', async () => {
+    const sitemap = { type: 'urlset', entries: [{ url: 'https://example.com/a', lastmod: '2024-05-01', priority: 0.5, changefreq: null }] };
+    const app = createTestApp({
+      convertFn: async () => mockConvertResult({ tier: 'sitemap', method: 'sitemap', sitemap }),
+    });
+    const res = await app.request('/https://example.com/sitemap.xml', {
+      headers: { Accept: 'application/json' },
+    });
+    const body = await res.json();
+    assert.equal(body.tier, 'sitemap');
+    assert.deepEqual(body.sitemap, sitemap);
+  });
+
+  it('streams tier and escalation events then the result with Accept: text/event-stream', async () => {
+    const app = createTestApp({
+      convertFn: async (url, pool, opts) => {
+        opts.onEvent('tier', { tier: 'fetch', status: 'start' });
+        opts.onEvent('tier', { tier: 'fetch', status: 'failed', error: 'HTTP 503' });
+        opts.onEvent('escalation', { message: 'fetch failed (HTTP_503)' });
+        opts.onEvent('tier', { tier: 'browser', status: 'start' });
+        opts.onEvent('tier', { tier: 'browser', status: 'done' });
+        return mockConvertResult({ tier: 'browser', escalation: ['fetch failed (HTTP_503)'] });
+      },
+    });
+    const res = await app.request('/https://example.com', {
+      headers: { Accept: 'text/event-stream' },
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get('content-type').startsWith('text/event-stream'));
+    const events = parseSSE(await res.text());
+    assert.deepEqual(events.map((e) => e.event), ['start', 'tier', 'tier', 'escalation', 'tier', 'tier', 'result']);
+    assert.equal(events[3].data.message, 'fetch failed (HTTP_503)');
+    const result = events.at(-1).data;
+    assert.equal(result.tier, 'browser');
+    assert.equal(result.title, 'Test Page');
+    assert.deepEqual(result.escalation, ['fetch failed (HTTP_503)']);
+  });
+
+  it('streams an error event when conversion fails', async () => {
+    const app = createTestApp({
+      convertFn: async () => { throw new Error('Fetch failed: HTTP_404'); },
+    });
+    const res = await app.request('/https://example.com', {
+      headers: { Accept: 'text/event-stream' },
+    });
+    const events = parseSSE(await res.text());
+    assert.equal(events.at(-1).event, 'error');
+    assert.equal(events.at(-1).data.status, 404);
+  });
+
+  it('streams cached results without converting', async () => {
+    let calls = 0;
+    const app = createTestApp({
+      convertFn: async () => { calls++; return mockConvertResult(); },
+    });
+    await app.request('/https://example.com');
+    const res = await app.request('/https://example.com', {
+      headers: { Accept: 'text/event-stream' },
+    });
+    const events = parseSSE(await res.text());
+    assert.equal(calls, 1);
+    assert.equal(events[0].data.cache, 'hit');
+    assert.deepEqual(events.map((e) => e.event), ['start', 'result']);
+  });
+
   it('works with ?url= query param', async () => {
     let capturedUrl;
     const app = createTestApp({
@@ -245,6 +328,313 @@ describe('GET /<url> — conversion', () => {
     assert.equal(capturedOpts.mode, 'fit');
   });
 
+  it('leaves option-like query params of a path target on the target URL', async () => {
+    let captured;
+    const app = createTestApp({
+      convertFn: async (url, pool, opts) => { captured = { url, opts }; return mockConvertResult(); },
+    });
+    const res = await app.request('/https://example.com/list?format=json&pages=2&debug=1&mode=fit');
+    assert.equal(res.status, 200);
+    assert.equal(captured.url, 'https://example.com/list?format=json&pages=2&debug=1');
+    assert.equal(captured.opts.mode, 'fit');
+    assert.equal(captured.opts.format, undefined);
+    assert.equal(captured.opts.pages, undefined);
+    assert.equal(captured.opts.debug, undefined);
+    assert.ok(res.headers.get('content-type')?.includes('text/markdown'));
+  });
+
+  it('passes render-wait options to convert and keeps them out of the target URL', async () => {
+    let captured;
+    const app = createTestApp({
+      enableBrowser: true,
+      convertFn: async (url, pool, opts) => { captured = { url, opts }; return mockConvertResult(); },
+    });
+    await app.request('/?url=https%3A%2F%2Fexample.com%2Fapp%3Ftab%3D1&wait_for=%23root%20.ready&wait_until=load&timeout_ms=20000');
+    assert.equal(captured.url, 'https://example.com/app?tab=1');
+    assert.equal(captured.opts.waitFor, '#root .ready');
+    assert.equal(captured.opts.waitUntil, 'load');
+    assert.equal(captured.opts.timeoutMs, 20000);
+  });
+
+  it('caches render-wait variants separately', async () => {
+    const keys = [];
+    const app = createTestApp({
+      enableBrowser: true,
+      getCacheFn: async (key) => { keys.push(key); return null; },
+    });
+    await app.request('/https://example.com/app');
+    await app.request('/?url=https://example.com/app&wait_for=.ready');
+    assert.equal(keys.length, 2);
+    assert.notEqual(keys[0], keys[1]);
+  });
+
+  it('passes selector options to convert and caches them separately', async () => {
+    const keys = [];
+    let capturedOpts;
+    const app = createTestApp({
+      getCacheFn: async (key) => { keys.push(key); return null; },
+      convertFn: async (url, pool, opts) => { capturedOpts = opts; return mockConvertResult(); },
+    });
+    await app.request('/https://example.com/docs');
+    await app.request('/?url=https://example.com/docs&include_selector=.api-ref&exclude_selector=.ad');
+    assert.equal(capturedOpts.includeSelector, '.api-ref');
+    assert.equal(capturedOpts.excludeSelector, '.ad');
+    assert.notEqual(keys[0], keys[1]);
+  });
+
+  it('returns 400 for an invalid include_selector', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com&include_selector=div%5B');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.ok(body.error.includes('include_selector'));
+  });
+
+  it('passes tokenizer to convert, reports it and caches it separately', async () => {
+    const keys = [];
+    let capturedUrl, capturedOpts;
+    const app = createTestApp({
+      getCacheFn: async (key) => { keys.push(key); return null; },
+      convertFn: async (url, pool, opts) => {
+        capturedUrl = url; capturedOpts = opts;
+        return mockConvertResult({ tokenizer: opts.tokenizer });
+      },
+    });
+    const res = await app.request('/https://example.com/docs', { headers: { Accept: 'application/json' } });
+    assert.equal(res.headers.get('x-tokenizer'), 'o200k_base');
+    assert.equal((await res.json()).tokenizer, 'o200k_base');
+    const res2 = await app.request('/?url=https://example.com/docs&tokenizer=cl100k_base');
+    assert.equal(capturedUrl, 'https://example.com/docs');
+    assert.equal(capturedOpts.tokenizer, 'cl100k_base');
+    assert.equal(res2.headers.get('x-tokenizer'), 'cl100k_base');
+    assert.notEqual(keys[0], keys[1]);
+  });
+
+  it('returns 400 for an unknown tokenizer', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com&tokenizer=gpt2');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /tokenizer must be one of: o200k_base, cl100k_base, chars/);
+  });
+
+  it('passes a normalized page selection to convert and caches it separately', async () => {
+    const keys = [];
+    let capturedUrl, capturedOpts;
+    const app = createTestApp({
+      getCacheFn: async (key) => { keys.push(key); return null; },
+      convertFn: async (url, pool, opts) => { capturedUrl = url; capturedOpts = opts; return mockConvertResult(); },
+    });
+    await app.request('/https://example.com/report.pdf');
+    await app.request('/?url=https://example.com/report.pdf&pages=10,1-3,4-5');
+    assert.equal(capturedUrl, 'https://example.com/report.pdf');
+    assert.equal(capturedOpts.pages, '1-5,10');
+    assert.notEqual(keys[0], keys[1]);
+  });
+
+  it('returns per-page output in JSON for a page selection', async () => {
+    const pages = [{ page: 3, markdown: '# Three', tokens: 2 }];
+    const app = createTestApp({
+      convertFn: async () => mockConvertResult({ tier: 'document:pdf', totalPages: 12, pages }),
+    });
+    const res = await app.request('/?url=https://example.com/report.pdf&pages=3', { headers: { Accept: 'application/json' } });
+    const json = await res.json();
+    assert.equal(json.total_pages, 12);
+    assert.deepEqual(json.pages, pages);
+  });
+
+  it('returns 400 for a malformed page selection', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com/report.pdf&pages=5-2');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /pages must be page numbers and ranges/);
+  });
+
+  it('returns 422 when the page selection is outside the document', async () => {
+    const app = createTestApp({
+      convertFn: async () => { throw new Error('Document conversion failed: Requested pages not in document (4 pages)'); },
+    });
+    const res = await app.request('/?url=https://example.com/report.pdf&pages=9');
+    assert.equal(res.status, 422);
+  });
+
+  it('returns 422 when include_selector matches nothing', async () => {
+    const app = createTestApp({
+      convertFn: async () => { throw new Error('include_selector matched no elements'); },
+    });
+    const res = await app.request('/?url=https://example.com&include_selector=%23missing');
+    assert.equal(res.status, 422);
+  });
+
+  it('returns debug diagnostics in JSON and bypasses the cache', async () => {
+    let cacheReads = 0;
+    let cacheWrites = 0;
+    let capturedOpts;
+    const debug = { rule: null, extraction: [{ tier: 'fetch', passes: [] }], decisions: {} };
+    const app = createTestApp({
+      getCacheFn: async () => { cacheReads++; return mockConvertResult(); },
+      setCacheFn: async () => { cacheWrites++; },
+      convertFn: async (url, pool, opts) => { capturedOpts = opts; return mockConvertResult({ debug }); },
+    });
+    const res = await app.request('/?url=https://example.com&debug=true', { headers: { Accept: 'application/json' } });
+    const body = await res.json();
+    assert.equal(capturedOpts.debug, true);
+    assert.deepEqual(body.debug, debug);
+    assert.equal(res.headers.get('x-cache'), 'miss');
+    assert.equal(cacheReads, 0);
+    assert.equal(cacheWrites, 0);
+  });
+
+  it('passes candidates=all to convert and lists candidates in JSON', async () => {
+    let capturedOpts;
+    const candidates = [
+      { method: 'readability', tokens: 120, quality: { score: 0.7, grade: 'B' }, selected: false },
+      { method: 'defuddle', tokens: 140, quality: { score: 0.85, grade: 'A' }, selected: true },
+    ];
+    const app = createTestApp({
+      convertFn: async (url, pool, opts) => { capturedOpts = opts; return mockConvertResult({ candidates }); },
+    });
+    const res = await app.request('/?url=https://example.com&candidates=all', { headers: { Accept: 'application/json' } });
+    const body = await res.json();
+    assert.equal(capturedOpts.candidates, 'all');
+    assert.deepEqual(body.candidates, candidates);
+  });
+
+  it('returns 400 for an unknown candidates value', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com&candidates=best');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'candidates must be "all"');
+  });
+
+  it('includes page metadata in JSON', async () => {
+    const metadata = { language: 'en', canonical_url: 'https://example.com/', published_time: '2024-03-01T08:30:00.000Z', authors: ['Ada'] };
+    const app = createTestApp({ convertFn: async () => mockConvertResult({ metadata }) });
+    const res = await app.request('/https://example.com', { headers: { Accept: 'application/json' } });
+    assert.deepEqual((await res.json()).metadata, metadata);
+  });
+
+  it('emits YAML front matter with format=frontmatter', async () => {
+    const metadata = { language: 'en', published_time: '2024-03-01T08:30:00.000Z', authors: ['Ada'], tags: [], favicon: null };
+    const app = createTestApp({ convertFn: async () => mockConvertResult({ title: 'Say "hi"', metadata }) });
+    const res = await app.request('/?url=https://example.com&format=frontmatter');
+    assert.equal(res.status, 200);
+    const text = await res.text();
+    const [, yaml, body] = text.split('---\n');
+    assert.equal(text.indexOf('---\n'), 0);
+    assert.match(yaml, /^title: "Say \\"hi\\""\nurl: "https:\/\/example\.com"\nauthor: "Test Author"\ndescription: "Test excerpt"\ntokens: 42\ntier: "fetch"\nquality:\n  score: 0\.85\n  grade: "A"\nfetched_at: "\d{4}-\d\d-\d\dT[\d:.]+Z"\nlanguage: "en"\n/);
+    assert.ok(yaml.includes('authors:\n  - "Ada"\n'));
+    assert.ok(!yaml.includes('tags:'));
+    assert.ok(!text.includes('URL Source:'));
+    assert.ok(body.startsWith('# Test Page'));
+  });
+
+  it('keeps the original fetch time on cache hits', async () => {
+    const cache = new Map();
+    let conversions = 0;
+    const app = createTestApp({
+      getCacheFn: async (key) => cache.get(key) ?? null,
+      setCacheFn: async (key, value) => { cache.set(key, value); },
+      convertFn: async () => { conversions++; return mockConvertResult(); },
+    });
+    const first = await (await app.request('/?url=https://example.com&format=frontmatter')).text();
+    await new Promise((r) => setTimeout(r, 5));
+    const second = await (await app.request('/?url=https://example.com&format=frontmatter')).text();
+    assert.equal(conversions, 1);
+    assert.equal(second.match(/fetched_at: .*/)[0], first.match(/fetched_at: .*/)[0]);
+  });
+
+  it('emits markdown with no header with format=plain', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com&format=plain');
+    assert.equal(await res.text(), mockConvertResult().markdown);
+  });
+
+  it('accepts format in POST /convert options', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert', { html: '<p>hi</p>', options: { format: 'plain' } });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), mockConvertResult().markdown);
+  });
+
+  it('returns plain text with format=text or Accept: text/plain', async () => {
+    const app = createTestApp({ convertFn: async () => mockConvertResult({ markdown: '# Title\n\nSome **bold** [link](https://a.com).' }) });
+    for (const [path, accept] of [['/?url=https://example.com&format=text', '*/*'], ['/https://example.com', 'text/plain']]) {
+      const res = await app.request(path, { headers: { Accept: accept } });
+      assert.ok(res.headers.get('content-type').startsWith('text/plain'));
+      assert.equal(await res.text(), 'Title\n\nSome bold link.');
+    }
+  });
+
+  it('returns sanitized extracted HTML with format=html', async () => {
+    let capturedOpts;
+    const app = createTestApp({
+      convertFn: async (url, pool, opts) => {
+        capturedOpts = opts;
+        return mockConvertResult({ contentHtml: '<article><p onclick="x()">Body <a href="/more">more</a></p><script>x()</script></article>' });
+      },
+    });
+    const res = await app.request('/?url=https://example.com/post&format=html');
+    assert.equal(capturedOpts.format, 'html');
+    assert.ok(res.headers.get('content-type').startsWith('text/html'));
+    assert.match(res.headers.get('content-security-policy'), /sandbox/);
+    assert.equal(await res.text(), '<article><p>Body <a href="https://example.com/more">more</a></p></article>');
+  });
+
+  it('renders the markdown as HTML when the result has no extracted HTML', async () => {
+    const app = createTestApp();
+    const res = await app.request('/https://example.com', { headers: { Accept: 'text/html' } });
+    assert.match(await res.text(), /^<h1>Test Page<\/h1>\n<p>This is test content/);
+  });
+
+  it('keeps markdown for browser Accept headers', async () => {
+    const app = createTestApp();
+    const res = await app.request('/https://example.com', {
+      headers: { Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
+    });
+    assert.ok(res.headers.get('content-type').startsWith('text/markdown'));
+  });
+
+  it('returns an mdast tree with format=ast, and as a JSON field', async () => {
+    const app = createTestApp();
+    const res = await app.request('/https://example.com', { headers: { Accept: 'application/mdast+json' } });
+    const ast = await res.json();
+    assert.equal(ast.type, 'root');
+    assert.equal(ast.children[0].type, 'heading');
+
+    const json = await (await app.request('/?url=https://example.com&format=ast', { headers: { Accept: 'application/json' } })).json();
+    assert.ok(json.content.startsWith('# Test Page'));
+    assert.deepEqual(json.ast, ast);
+  });
+
+  it('caches format=html apart from other formats', async () => {
+    let conversions = 0;
+    const app = createTestApp({ convertFn: async () => { conversions++; return mockConvertResult(); } });
+    await app.request('/?url=https://example.com&format=html');
+    await app.request('/?url=https://example.com&format=text');
+    const res = await app.request('/https://example.com');
+    assert.equal(conversions, 2);
+    assert.equal(res.headers.get('x-cache'), 'hit');
+  });
+
+  it('returns 400 for an unknown format', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com&format=yaml');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /format must be one of/);
+  });
+
+  it('returns 400 for invalid wait_until', async () => {
+    const app = createTestApp({ enableBrowser: true });
+    const res = await app.request('/?url=https://example.com&wait_until=idle');
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 503 for wait_for when the browser tier is disabled', async () => {
+    const app = createTestApp();
+    const res = await app.request('/?url=https://example.com&wait_for=.ready');
+    assert.equal(res.status, 503);
+  });
+
   it('passes links option to convert', async () => {
     let capturedOpts;
     const app = createTestApp({
@@ -288,6 +678,41 @@ describe('POST /batch', () => {
     assert.ok(body.results[0].tokens);
   });
 
+  it('adds text, html or ast fields with options.format', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/batch', { urls: ['https://a.com'], options: { format: 'text' } });
+    const [entry] = (await res.json()).results;
+    assert.ok(entry.content.startsWith('# Test Page'));
+    assert.equal(entry.text, 'Test Page\n\nThis is test content with enough text to pass quality scoring.');
+  });
+
+  it('returns 400 for an unknown options.format', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/batch', { urls: ['https://a.com'], options: { format: 'pdf' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('streams NDJSON lines in completion order with Accept: application/x-ndjson', async () => {
+    const app = createTestApp({
+      convertFn: async (url) => {
+        if (url.includes('slow')) await new Promise((r) => setTimeout(r, 30));
+        return mockConvertResult({ url, tokens: 10 });
+      },
+    });
+    const res = await jsonPost(app, '/batch', {
+      urls: ['https://slow.example', 'https://fast.example', 'http://bad host'],
+    }, { Accept: 'application/x-ndjson' });
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get('content-type').startsWith('application/x-ndjson'));
+    const lines = (await res.text()).trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((l) => [l.type, l.index]), [
+      ['result', 2], ['result', 1], ['result', 0], ['summary', undefined],
+    ]);
+    assert.ok(lines[0].error);
+    assert.equal(lines[1].url, 'https://fast.example');
+    assert.deepEqual(lines.at(-1), { type: 'summary', total: 3, failed: 1, total_tokens: 20 });
+  });
+
   it('returns 400 for empty urls array', async () => {
     const app = createTestApp();
     const res = await jsonPost(app, '/batch', { urls: [] });
@@ -360,6 +785,28 @@ describe('POST /batch', () => {
     assert.equal(capturedOpts.links, 'citations');
   });
 
+  it('passes selector options to convert', async () => {
+    let capturedOpts;
+    const app = createTestApp({
+      convertFn: async (url, pool, opts) => { capturedOpts = opts; return mockConvertResult(); },
+    });
+    await jsonPost(app, '/batch', {
+      urls: ['https://a.com'],
+      options: { include_selector: 'main .content', exclude_selector: '.related' },
+    });
+    assert.equal(capturedOpts.includeSelector, 'main .content');
+    assert.equal(capturedOpts.excludeSelector, '.related');
+  });
+
+  it('returns 503 for actions when the browser tier is disabled', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/batch', {
+      urls: ['https://a.com'],
+      options: { actions: [{ type: 'wait_for_selector', selector: '.loaded' }] },
+    });
+    assert.equal(res.status, 503);
+  });
+
   it('returns 429 when rate limited', async () => {
     const app = createTestApp({
       checkRateLimitFn: async () => ({ allowed: false, remaining: 0 }),
@@ -390,6 +837,32 @@ describe('POST /async', () => {
     assert.equal(res.status, 400);
   });
 
+  it('passes validated actions to convert', async () => {
+    let captured;
+    const app = createTestApp({
+      enableBrowser: true,
+      getRedisFn: () => ({ status: 'ready' }),
+      convertFn: async (url, pool, opts) => { captured = opts; return mockConvertResult(); },
+    });
+    const actions = [{ type: 'scroll' }];
+    const res = await jsonPost(app, '/async', { url: 'https://example.com', options: { actions } });
+    assert.equal(res.status, 202);
+    await new Promise((r) => setTimeout(r, 10));
+    assert.deepEqual(captured.actions, actions);
+  });
+
+  it('returns 400 for an invalid exclude_selector', async () => {
+    const app = createTestApp({ getRedisFn: () => ({ status: 'ready' }) });
+    const res = await jsonPost(app, '/async', { url: 'https://example.com', options: { exclude_selector: 42 } });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 400 for invalid actions', async () => {
+    const app = createTestApp({ enableBrowser: true, getRedisFn: () => ({ status: 'ready' }) });
+    const res = await jsonPost(app, '/async', { url: 'https://example.com', options: { actions: 'click' } });
+    assert.equal(res.status, 400);
+  });
+
   it('returns 503 when Redis unavailable', async () => {
     const app = createTestApp({ getRedisFn: () => null });
     const res = await jsonPost(app, '/async', { url: 'https://example.com' });
@@ -467,8 +940,613 @@ describe('POST /async', () => {
   });
 });
 
+// ─── POST /crawl ────────────────────────────────────────────────────────
+
+describe('POST /crawl', () => {
+  const ready = () => ({ status: 'ready' });
+
+  it('returns 202 with job details', async () => {
+    const app = createTestApp({ getRedisFn: ready });
+    const res = await jsonPost(app, '/crawl', { url: 'https://example.com/docs/' });
+    assert.equal(res.status, 202);
+    const body = await res.json();
+    assert.equal(body.job_id, 'test-job-123');
+    assert.equal(body.poll_url, '/job/test-job-123');
+  });
+
+  it('runs the crawl in the background and completes the job with its result', async () => {
+    let crawlArgs;
+    let completed;
+    const progress = [];
+    const convertCalls = [];
+    const app = createTestApp({
+      getRedisFn: ready,
+      convertFn: async (url, pool, opts) => { convertCalls.push({ url, opts }); return mockConvertResult({ url }); },
+      crawlFn: async (seed, opts) => {
+        crawlArgs = { seed, opts };
+        await opts.convert(seed);
+        await opts.onProgress({ completed: 1 });
+        return { pages: [{ url: seed }], total: 1, total_tokens: 42, discovered: 1 };
+      },
+      updateJobProgressFn: async (id, p) => { progress.push({ id, p }); },
+      completeJobRawFn: async (id, result) => { completed = { id, result }; },
+    });
+    await jsonPost(app, '/crawl', {
+      url: 'https://example.com/docs/', max_depth: 3, max_pages: 10,
+      include: ['/docs/**'], exclude: ['/docs/old'], options: { mode: 'fit' },
+    });
+    await new Promise((r) => setTimeout(r, 20));
+    assert.equal(crawlArgs.seed, 'https://example.com/docs/');
+    assert.equal(crawlArgs.opts.maxDepth, 3);
+    assert.equal(crawlArgs.opts.maxPages, 10);
+    assert.deepEqual(crawlArgs.opts.include, ['/docs/**']);
+    assert.equal(convertCalls[0].opts.mode, 'fit');
+    assert.deepEqual(progress, [{ id: 'test-job-123', p: { completed: 1 } }]);
+    assert.equal(completed.id, 'test-job-123');
+    assert.equal(completed.result.total_tokens, 42);
+  });
+
+  it('fails the job when the crawl throws', async () => {
+    let failed;
+    const app = createTestApp({
+      getRedisFn: ready,
+      crawlFn: async () => { throw new Error('boom'); },
+      failJobFn: async (id, error) => { failed = { id, error }; },
+    });
+    await jsonPost(app, '/crawl', { url: 'https://example.com' });
+    await new Promise((r) => setTimeout(r, 20));
+    assert.equal(failed.error, 'boom');
+  });
+
+  it('returns 400 for missing url', async () => {
+    const app = createTestApp({ getRedisFn: ready });
+    const res = await jsonPost(app, '/crawl', {});
+    assert.equal(res.status, 400);
+  });
+
+  it('passes sitemap mode to the crawler', async () => {
+    let crawlOpts;
+    const app = createTestApp({
+      getRedisFn: ready,
+      crawlFn: async (seed, opts) => { crawlOpts = opts; return { pages: [], total: 0, total_tokens: 0, discovered: 0 }; },
+    });
+    await jsonPost(app, '/crawl', { url: 'https://example.com/sitemap.xml', sitemap: true });
+    await new Promise((r) => setTimeout(r, 20));
+    assert.equal(crawlOpts.sitemap, true);
+  });
+
+  it('returns 400 for non-boolean sitemap', async () => {
+    const app = createTestApp({ getRedisFn: ready });
+    const res = await jsonPost(app, '/crawl', { url: 'https://example.com', sitemap: 'yes' });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 400 for non-array include patterns', async () => {
+    const app = createTestApp({ getRedisFn: ready });
+    const res = await jsonPost(app, '/crawl', { url: 'https://example.com', include: '/docs' });
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects private callback URLs', async () => {
+    const app = createTestApp({ getRedisFn: ready });
+    const res = await jsonPost(app, '/crawl', { url: 'https://example.com', callback_url: 'https://10.0.0.1/hook' });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 503 when Redis unavailable', async () => {
+    const app = createTestApp({ getRedisFn: () => null });
+    const res = await jsonPost(app, '/crawl', { url: 'https://example.com' });
+    assert.equal(res.status, 503);
+  });
+
+  it('returns 429 when rate limited', async () => {
+    const app = createTestApp({
+      checkRateLimitFn: async () => ({ allowed: false, remaining: 0 }),
+    });
+    const res = await jsonPost(app, '/crawl', { url: 'https://example.com' });
+    assert.equal(res.status, 429);
+  });
+});
+
+// ─── POST /convert ──────────────────────────────────────────────────────
+
+describe('POST /convert', () => {
+  const html = '<html><head><title>Doc</title></head><body><article><p>Hello</p></article></body></html>';
+
+  it('returns markdown with conversion headers', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert', { html, url: 'https://example.com/page' });
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get('content-type')?.includes('text/markdown'));
+    assert.equal(res.headers.get('x-conversion-tier'), 'html');
+    assert.equal(res.headers.get('x-markdown-tokens'), '42');
+    assert.equal(res.headers.get('x-cache'), 'miss');
+    assert.ok(res.headers.get('etag')?.startsWith('W/"'));
+    const text = await res.text();
+    assert.ok(text.includes('Title: Test Page'));
+    assert.ok(text.includes('URL Source: https://example.com/page'));
+  });
+
+  it('returns JSON when Accept: application/json', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert', { html }, { Accept: 'application/json' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.title, 'Test Page');
+    assert.equal(body.tier, 'html');
+    assert.equal(body.url, null);
+    assert.ok(body.content);
+  });
+
+  it('passes html, base url and options to convertHtml', async () => {
+    let captured;
+    const app = createTestApp({
+      convertHtmlFn: async (h, url, opts) => { captured = { h, url, opts }; return mockConvertResult({ tier: 'html' }); },
+    });
+    await jsonPost(app, '/convert', {
+      html, url: 'https://example.com', options: { mode: 'fit', links: 'citations', max_tokens: 500 },
+    });
+    assert.equal(captured.h, html);
+    assert.equal(captured.url, 'https://example.com');
+    assert.equal(captured.opts.mode, 'fit');
+    assert.equal(captured.opts.links, 'citations');
+    assert.equal(captured.opts.maxTokens, 500);
+  });
+
+  it('serves repeated identical requests from cache', async () => {
+    let calls = 0;
+    const app = createTestApp({
+      convertHtmlFn: async () => { calls++; return mockConvertResult({ tier: 'html' }); },
+    });
+    await jsonPost(app, '/convert', { html });
+    const res = await jsonPost(app, '/convert', { html });
+    assert.equal(calls, 1);
+    assert.equal(res.headers.get('x-cache'), 'hit');
+  });
+
+  it('returns 400 for missing html and url', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert', { options: { mode: 'fit' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('fetches and converts url when html is absent', async () => {
+    let captured;
+    const app = createTestApp({
+      enableBrowser: true,
+      convertFn: async (url, pool, opts) => { captured = { url, opts }; return mockConvertResult({ url, tier: 'browser' }); },
+    });
+    const actions = [{ type: 'click', selector: 'button.more' }, { type: 'wait_ms', ms: 200 }];
+    const res = await jsonPost(app, '/convert', { url: 'example.com/feed', options: { actions, mode: 'fit' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-conversion-tier'), 'browser');
+    assert.equal(captured.url, 'https://example.com/feed');
+    assert.deepEqual(captured.opts.actions, actions);
+    assert.equal(captured.opts.mode, 'fit');
+  });
+
+  it('returns 400 for invalid actions', async () => {
+    const app = createTestApp({ enableBrowser: true });
+    const res = await jsonPost(app, '/convert', {
+      url: 'https://example.com', options: { actions: [{ type: 'click' }] },
+    });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.ok(body.error.includes('actions[0].selector'));
+  });
+
+  it('returns 400 for actions with supplied html', async () => {
+    const app = createTestApp({ enableBrowser: true });
+    const res = await jsonPost(app, '/convert', { html, options: { actions: [{ type: 'scroll' }] } });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 503 for actions when the browser tier is disabled', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert', {
+      url: 'https://example.com', options: { actions: [{ type: 'scroll' }] },
+    });
+    assert.equal(res.status, 503);
+  });
+
+  it('returns 400 for non-http base url', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert', { html, url: 'file:///etc/passwd' });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 429 when rate limited', async () => {
+    const app = createTestApp({
+      checkRateLimitFn: async () => ({ allowed: false, remaining: 0 }),
+    });
+    const res = await jsonPost(app, '/convert', { html });
+    assert.equal(res.status, 429);
+  });
+});
+
+// ─── POST /convert/file ─────────────────────────────────────────────────
+
+describe('POST /convert/file', () => {
+  const pdf = { name: 'report.pdf', type: 'application/pdf', content: '%PDF-1.7 fake' };
+
+  it('returns markdown with document tier headers', async () => {
+    const app = createTestApp();
+    const res = await filePost(app, '/convert/file', pdf);
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get('content-type')?.includes('text/markdown'));
+    assert.equal(res.headers.get('x-conversion-tier'), 'document:pdf');
+    assert.equal(res.headers.get('x-extraction-method'), 'pdf');
+  });
+
+  it('passes buffer, file metadata and options to convertFile', async () => {
+    let captured;
+    const app = createTestApp({
+      convertFileFn: async (buffer, meta, opts) => {
+        captured = { buffer, meta, opts };
+        return mockConvertResult({ url: null, tier: 'document:pdf' });
+      },
+    });
+    await filePost(app, '/convert/file', pdf, { mode: 'fit', max_tokens: 300 });
+    assert.ok(Buffer.isBuffer(captured.buffer));
+    assert.equal(captured.buffer.toString(), '%PDF-1.7 fake');
+    assert.equal(captured.meta.filename, 'report.pdf');
+    assert.equal(captured.meta.mimeType, 'application/pdf');
+    assert.equal(captured.opts.mode, 'fit');
+    assert.equal(captured.opts.maxTokens, 300);
+  });
+
+  it('passes the pages form field to convertFile and rejects malformed ones', async () => {
+    let captured;
+    const app = createTestApp({
+      convertFileFn: async (buffer, meta, opts) => { captured = opts; return mockConvertResult({ url: null, tier: 'document:pdf' }); },
+    });
+    await filePost(app, '/convert/file', pdf, { pages: '2-3, 7' });
+    assert.equal(captured.pages, '2-3,7');
+    const res = await filePost(app, '/convert/file', pdf, { pages: 'all' });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns JSON when Accept: application/json', async () => {
+    const app = createTestApp();
+    const form = new FormData();
+    form.append('file', new Blob(['%PDF-1.7'], { type: 'application/pdf' }), 'a.pdf');
+    const res = await app.request('/convert/file', {
+      method: 'POST', body: form, headers: { Accept: 'application/json' },
+    });
+    const body = await res.json();
+    assert.equal(body.tier, 'document:pdf');
+    assert.equal(body.url, null);
+  });
+
+  it('returns 415 for undetectable formats', async () => {
+    const app = createTestApp({
+      convertFileFn: async () => { throw new Error('Unsupported content type: application/zip'); },
+    });
+    const res = await filePost(app, '/convert/file', { name: 'a.zip', type: 'application/zip', content: 'x' });
+    assert.equal(res.status, 415);
+  });
+
+  it('returns 503 when OCR is saturated or out of time', async () => {
+    for (const message of ['OCR queue full: too many documents waiting for OCR', 'OCR timed out waiting for the engine']) {
+      const app = createTestApp({ convertFileFn: async () => { throw new Error(message); } });
+      const res = await filePost(app, '/convert/file', { name: 'scan.png', type: 'image/png', content: 'x' });
+      assert.equal(res.status, 503, message);
+    }
+  });
+
+  it('returns 400 without a file field', async () => {
+    const app = createTestApp();
+    const form = new FormData();
+    form.append('mode', 'fit');
+    const res = await app.request('/convert/file', { method: 'POST', body: form });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 400 for non-multipart body', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/convert/file', { file: 'x' });
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 429 when rate limited', async () => {
+    const app = createTestApp({
+      checkRateLimitFn: async () => ({ allowed: false, remaining: 0 }),
+    });
+    const res = await filePost(app, '/convert/file', pdf);
+    assert.equal(res.status, 429);
+  });
+
+  it('caches per output format, and bypasses the cache for debug', async () => {
+    const keys = [];
+    let cacheReads = 0;
+    const app = createTestApp({
+      getCacheFn: async () => { cacheReads++; return null; },
+      setCacheFn: async (key) => { keys.push(key); },
+    });
+    await filePost(app, '/convert/file', pdf);
+    await filePost(app, '/convert/file', pdf, { format: 'html' });
+    assert.equal(new Set(keys).size, 2);
+    assert.equal(cacheReads, 2);
+
+    const res = await filePost(app, '/convert/file', pdf, { debug: 'true' });
+    assert.equal(res.headers.get('x-cache'), 'miss');
+    assert.equal(cacheReads, 2);
+    assert.equal(keys.length, 2);
+  });
+
+  it('rejects web-page options that do not apply to uploads', async () => {
+    let calls = 0;
+    const app = createTestApp({ convertFileFn: async () => { calls++; return mockConvertResult({ url: null, tier: 'document:pdf' }); } });
+    for (const fields of [{ candidates: 'bogus' }, { include_selector: '###' }, { wait_for: '.ready' }, { timeout_ms: '5000' }]) {
+      const res = await filePost(app, '/convert/file', pdf, fields);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, /does not apply to file uploads/);
+    }
+    assert.equal(calls, 0);
+  });
+});
+
+// ─── POST /chunk ────────────────────────────────────────────────────────
+
+describe('POST /chunk', () => {
+  const longMarkdown = `# Guide\n\n${'Intro sentence with a few words. '.repeat(40)}\n\n## Usage\n\n${'Usage sentence with a few words. '.repeat(40)}`;
+
+  it('converts the url and returns heading-aware chunks', async () => {
+    let captured;
+    const app = createTestApp({
+      convertFn: async (url, pool, opts) => {
+        captured = { url, opts };
+        return mockConvertResult({ url, markdown: longMarkdown });
+      },
+    });
+    const res = await jsonPost(app, '/chunk', {
+      url: 'https://example.com/guide', options: { mode: 'fit' }, target_tokens: 128, overlap_tokens: 0,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(captured.url, 'https://example.com/guide');
+    assert.equal(captured.opts.mode, 'fit');
+    assert.equal(res.headers.get('x-cache'), 'miss');
+    const body = await res.json();
+    assert.equal(body.title, 'Test Page');
+    assert.equal(body.tier, 'fetch');
+    assert.ok(body.chunks.length > 2);
+    for (const chunk of body.chunks) {
+      assert.equal(chunk.url, 'https://example.com/guide');
+      assert.equal(chunk.content, longMarkdown.slice(chunk.start, chunk.end));
+      assert.ok(chunk.tokens <= 128);
+    }
+    assert.deepEqual(body.chunks.at(-1).heading_path, ['Guide', 'Usage']);
+  });
+
+  it('shares the conversion cache with the url pipeline', async () => {
+    let calls = 0;
+    const app = createTestApp({ convertFn: async () => { calls++; return mockConvertResult(); } });
+    await jsonPost(app, '/chunk', { url: 'https://example.com/cached' });
+    const res = await jsonPost(app, '/chunk', { url: 'https://example.com/cached', target_tokens: 256 });
+    assert.equal(calls, 1);
+    assert.equal(res.headers.get('x-cache'), 'hit');
+  });
+
+  it('chunks supplied markdown without fetching', async () => {
+    const app = createTestApp({ convertFn: async () => { throw new Error('should not fetch'); } });
+    const res = await jsonPost(app, '/chunk', { markdown: '# A\n\nOne.\n\n## B\n\nTwo.', url: 'https://example.com/doc' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.url, 'https://example.com/doc');
+    assert.equal(body.chunks.length, 1);
+    assert.deepEqual(body.chunks[0].heading_path, ['A']);
+    assert.equal(body.chunks[0].start, 0);
+  });
+
+  it('counts chunk sizes with the requested tokenizer', async () => {
+    const app = createTestApp();
+    const markdown = '# A\n\nOne two three four.';
+    const res = await jsonPost(app, '/chunk', { markdown, tokenizer: 'chars' });
+    const body = await res.json();
+    assert.equal(body.tokenizer, 'chars');
+    assert.equal(body.tokens, Math.ceil(markdown.length / 4));
+    assert.equal(body.chunks[0].tokens, Math.ceil(body.chunks[0].content.length / 4));
+    assert.equal((await jsonPost(app, '/chunk', { markdown, tokenizer: 'bpe' })).status, 400);
+  });
+
+  it('rejects missing input and bad sizes', async () => {
+    const app = createTestApp();
+    assert.equal((await jsonPost(app, '/chunk', {})).status, 400);
+    assert.equal((await jsonPost(app, '/chunk', { markdown: '  ' })).status, 400);
+    const res = await jsonPost(app, '/chunk', { markdown: '# A', target_tokens: 10 });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /target_tokens/);
+    assert.equal((await jsonPost(app, '/chunk', { url: 'http://bad host' })).status, 400);
+  });
+
+  it('returns 413 for supplied markdown over 1MB', async () => {
+    const app = createTestApp();
+    const res = await jsonPost(app, '/chunk', { markdown: 'word '.repeat(220_000) });
+    assert.equal(res.status, 413);
+    assert.match((await res.json()).error, /markdown too large/);
+  });
+});
+
 // ─── GET /job/:id ───────────────────────────────────────────────────────
 
+describe('GET /map/:url', () => {
+  it('returns the link list as JSON', async () => {
+    const app = createTestApp();
+    const res = await app.request('/map/https://example.com');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-conversion-tier'), 'fetch');
+    const body = await res.json();
+    assert.equal(body.url, 'https://example.com');
+    assert.equal(body.total, 2);
+    assert.equal(body.links[0].type, 'internal');
+  });
+
+  it('passes prefix and region filters and keeps target query params', async () => {
+    let captured;
+    const app = createTestApp({
+      mapFn: async (url, pool, opts) => { captured = { url, opts }; return { url, tier: 'fetch', links: [], total: 0 }; },
+    });
+    await app.request('/map/https://example.com/page?id=5&prefix=/docs&exclude_regions=nav,footer');
+    assert.equal(captured.url, 'https://example.com/page?id=5');
+    assert.equal(captured.opts.prefix, '/docs');
+    assert.deepEqual(captured.opts.excludeRegions, ['footer', 'nav']);
+  });
+
+  it('accepts ?url= form', async () => {
+    let capturedUrl;
+    const app = createTestApp({
+      mapFn: async (url) => { capturedUrl = url; return { url, tier: 'fetch', links: [], total: 0 }; },
+    });
+    const res = await app.request('/map/?url=https://example.com');
+    assert.equal(res.status, 200);
+    assert.equal(capturedUrl, 'https://example.com');
+  });
+
+  it('serves repeat requests from cache', async () => {
+    let calls = 0;
+    const app = createTestApp({
+      mapFn: async (url) => { calls++; return { url, tier: 'fetch', links: [], total: 0 }; },
+    });
+    await app.request('/map/https://example.com');
+    const res = await app.request('/map/https://example.com');
+    assert.equal(calls, 1);
+    assert.equal(res.headers.get('x-cache'), 'hit');
+  });
+
+  it('returns 400 for unknown regions', async () => {
+    const app = createTestApp();
+    const res = await app.request('/map/https://example.com?exclude_regions=menu');
+    assert.equal(res.status, 400);
+  });
+
+  it('maps upstream errors to status codes', async () => {
+    const app = createTestApp({
+      mapFn: async () => { throw new Error('Blocked URL: private or internal address'); },
+    });
+    const res = await app.request('/map/http://127.0.0.1');
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 429 when rate limited', async () => {
+    const app = createTestApp({
+      checkRateLimitFn: async () => ({ allowed: false, remaining: 0 }),
+    });
+    const res = await app.request('/map/https://example.com');
+    assert.equal(res.status, 429);
+  });
+});
+
+describe('GET /screenshot/:url and /pdf/:url', () => {
+  const withBrowser = (overrides = {}) => createTestApp({ enableBrowser: true, ...overrides });
+
+  it('returns a PNG screenshot with default viewport', async () => {
+    let captured;
+    const app = withBrowser({
+      screenshotFn: async (pool, url, opts) => {
+        captured = { url, opts };
+        return { buffer: Buffer.from('png-bytes'), contentType: 'image/png', totalMs: 10 };
+      },
+    });
+    const res = await app.request('/screenshot/https://example.com/page');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    assert.ok(res.headers.get('content-disposition').includes('example.com.png'));
+    assert.equal(Buffer.from(await res.arrayBuffer()).toString(), 'png-bytes');
+    assert.equal(captured.url, 'https://example.com/page');
+    assert.deepEqual(captured.opts, { format: 'png', fullPage: false, width: 1280, height: 720 });
+  });
+
+  it('passes JPEG, full-page and viewport options', async () => {
+    let captured;
+    const app = withBrowser({
+      screenshotFn: async (pool, url, opts) => {
+        captured = opts;
+        return { buffer: Buffer.from('jpg'), contentType: 'image/jpeg', totalMs: 10 };
+      },
+    });
+    const res = await app.request('/screenshot/https://example.com?format=jpg&full_page=true&width=390&height=844&quality=60');
+    assert.equal(res.headers.get('content-type'), 'image/jpeg');
+    assert.deepEqual(captured, { format: 'jpeg', fullPage: true, width: 390, height: 844, quality: 60 });
+  });
+
+  it('serves repeat captures from cache', async () => {
+    let calls = 0;
+    const app = withBrowser({
+      screenshotFn: async () => { calls++; return { buffer: Buffer.from('png'), contentType: 'image/png', totalMs: 10 }; },
+    });
+    await app.request('/screenshot/https://example.com');
+    const res = await app.request('/screenshot/https://example.com');
+    assert.equal(calls, 1);
+    assert.equal(res.headers.get('x-cache'), 'hit');
+    assert.equal(Buffer.from(await res.arrayBuffer()).toString(), 'png');
+  });
+
+  it('keeps large captures out of Redis and bounds the in-memory capture cache', async () => {
+    let calls = 0;
+    const redisKeys = [];
+    const app = withBrowser({
+      setCacheFn: async (key) => { redisKeys.push(key); },
+      pdfFn: async () => { calls++; return { buffer: Buffer.alloc(9 * 1024 * 1024), contentType: 'application/pdf', totalMs: 10 }; },
+    });
+    await app.request('/pdf/https://example.com/1');
+    const again = await app.request('/pdf/https://example.com/1');
+    assert.equal(again.headers.get('x-cache'), 'hit');
+    assert.equal(calls, 1);
+    assert.equal(redisKeys.length, 0);
+    // 32MB holds three 9MB captures: a fourth evicts the oldest
+    for (const page of [2, 3, 4]) await app.request(`/pdf/https://example.com/${page}`);
+    const evicted = await app.request('/pdf/https://example.com/1');
+    assert.equal(evicted.headers.get('x-cache'), 'miss');
+    assert.equal(calls, 5);
+  });
+
+  it('returns 400 for out-of-range viewport', async () => {
+    const app = withBrowser();
+    const res = await app.request('/screenshot/https://example.com?width=99999');
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 503 when the browser tier is disabled', async () => {
+    const app = createTestApp();
+    const res = await app.request('/screenshot/https://example.com');
+    assert.equal(res.status, 503);
+  });
+
+  it('maps blocked URLs to 403 and pool exhaustion to 503', async () => {
+    const blocked = withBrowser({
+      screenshotFn: async () => { throw new Error('Blocked URL: private or internal address'); },
+    });
+    assert.equal((await blocked.request('/screenshot/http://10.0.0.1')).status, 403);
+
+    const busy = withBrowser({
+      pdfFn: async () => { throw new Error('Browser pool exhausted: too many concurrent requests'); },
+    });
+    assert.equal((await busy.request('/pdf/https://example.com')).status, 503);
+  });
+
+  it('renders a PDF with paper and orientation options', async () => {
+    let captured;
+    const app = withBrowser({
+      pdfFn: async (pool, url, opts) => {
+        captured = opts;
+        return { buffer: Buffer.from('%PDF-1.7'), contentType: 'application/pdf', totalMs: 10 };
+      },
+    });
+    const res = await app.request('/pdf/https://example.com?paper=letter&landscape=true');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.deepEqual(captured, { paper: 'Letter', landscape: true });
+  });
+
+  it('returns 429 when rate limited', async () => {
+    const app = withBrowser({
+      checkRateLimitFn: async () => ({ allowed: false, remaining: 0 }),
+    });
+    const res = await app.request('/pdf/https://example.com');
+    assert.equal(res.status, 429);
+  });
+});
+
 describe('GET /job/:id', () => {
   it('returns job when found', async () => {
     const app = createTestApp({
@@ -0,0 +1,99 @@
+/**
+ * Sitemap parser — converts sitemaps.org `<urlset>` and `<sitemapindex>`
+ * documents to a Markdown listing plus structured entries.
+ *
+ * Gzipped sitemaps are decompressed by the fetch layer before they get here.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/** Everything before the root element: BOM, whitespace, XML declaration and other PIs, comments, DOCTYPE */
+const PROLOG = /^\uFEFF?(?:\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>)*/i;
+
+/** Check if XML content is a sitemap or sitemap index: its root element, after the prolog, is one */
+export function looksLikeSitemap(xml) {
+  const start = PROLOG.exec(xml)[0].length;
+  return /^<(?:[\w-]+:)?(?:urlset|sitemapindex)[\s>]/.test(xml.slice(start, start + 100));
+}
+
+/** Check for the gzip magic bytes (1f 8b) */
+export function isGzip(buffer) {
+  return buffer?.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (m, hex, dec, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (dec) return String.fromCodePoint(parseInt(dec, 10));
+      return ENTITIES[name] ?? m;
+    })
+    .trim();
+}
+
+function childText(block, tag) {
+  const m = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`));
+  return m ? decodeXmlText(m[1]) : null;
+}
+
+/**
+ * Parse a sitemap or sitemap index.
+ * Entries without a `<loc>` are skipped; missing optional fields are null.
+ * @param {string} xml
+ * @returns {{ type: 'urlset'|'sitemapindex', entries: Array<{url: string, lastmod: string|null, priority: number|null, changefreq: string|null}> }}
+ */
+export function parseSitemap(xml) {
+  const type = /<(?:[\w-]+:)?sitemapindex[\s>]/.test(xml) ? 'sitemapindex' : 'urlset';
+  const tag = type === 'sitemapindex' ? 'sitemap' : 'url';
+  const blockRe = new RegExp(`<(?:[\\w-]+:)?${tag}>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+
+  const entries = [];
+  for (const [, block] of xml.matchAll(blockRe)) {
+    const url = childText(block, 'loc');
+    if (!url) continue;
+    const priority = parseFloat(childText(block, 'priority'));
+    entries.push({
+      url,
+      lastmod: childText(block, 'lastmod'),
+      priority: Number.isFinite(priority) ? priority : null,
+      changefreq: childText(block, 'changefreq'),
+    });
+  }
+
+  return { type, entries };
+}
+
+/**
+ * Render a parsed sitemap as Markdown: heading, count, then one table row per entry.
+ * @param {{ type: string, entries: object[] }} sitemap
+ * @param {string} sourceUrl
+ * @returns {{ markdown: string, title: string }}
+ */
+export function sitemapToMarkdown(sitemap, sourceUrl) {
+  const isIndex = sitemap.type === 'sitemapindex';
+  const host = sourceUrl ? new URL(sourceUrl).hostname : '';
+  const title = `${isIndex ? 'Sitemap index' : 'Sitemap'}${host ? `: ${host}` : ''}`;
+  const noun = isIndex ? 'sitemaps' : 'URLs';
+
+  const lines = [`# ${title}`, '', `*${sitemap.entries.length} ${noun}*`, ''];
+  if (sitemap.entries.length) {
+    if (isIndex) {
+      lines.push('| Sitemap | Last modified |', '| --- | --- |');
+      for (const e of sitemap.entries) {
+        lines.push(`| ${cell(e.url)} | ${cell(e.lastmod)} |`);
+      }
+    } else {
+      lines.push('| URL | Last modified | Priority |', '| --- | --- | --- |');
+      for (const e of sitemap.entries) {
+        lines.push(`| ${cell(e.url)} | ${cell(e.lastmod)} | ${e.priority ?? ''} |`);
+      }
+    }
+  }
+
+  return { markdown: lines.join('\n'), title };
+}
+
+function cell(value) {
+  return (value || '').replace(/\|/g, '%7C').replace(/\s+/g, ' ');
+}
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { looksLikeSitemap, isGzip, parseSitemap, sitemapToMarkdown } from './sitemap.mjs';
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://example.com/docs?a=1&amp;b=2</loc>
+    <lastmod>2024-05-01</lastmod>
+    <changefreq>weekly</changefreq>
+    <priority>0.8</priority>
+  </url>
+  <url><loc><![CDATA[https://example.com/about]]></loc></url>
+  <url><lastmod>2024-01-01</lastmod></url>
+</urlset>`;
+
+const INDEX = `<?xml version="1.0"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-1.xml.gz</loc><lastmod>2024-06-01T10:00:00Z</lastmod></sitemap>
+</sitemapindex>`;
+
+// ─── Detection ──────────────────────────────────────────────────────────
+
+describe('looksLikeSitemap', () => {
+  it('detects urlset and sitemapindex roots', () => {
+    assert.equal(looksLikeSitemap(URLSET), true);
+    assert.equal(looksLikeSitemap(INDEX), true);
+  });
+
+  it('finds the root after a long prolog of comments and processing instructions', () => {
+    const prolog = '<?xml version="1.0" encoding="UTF-8"?>\n<?xml-stylesheet type="text/xsl" href="/sitemap.xsl"?>\n'
+      + `<!-- ${'generated by a sitemap plugin; '.repeat(60)} -->\n<!DOCTYPE urlset>\n`;
+    assert.ok(prolog.length > 1000);
+    assert.equal(looksLikeSitemap(prolog + URLSET.slice(URLSET.indexOf('<urlset'))), true);
+    assert.equal(looksLikeSitemap(`\uFEFF<!-- <urlset> -->\n<rss version="2.0"></rss>`), false);
+  });
+
+  it('returns false for feeds and HTML', () => {
+    assert.equal(looksLikeSitemap('<?xml version="1.0"?><rss version="2.0"></rss>'), false);
+    assert.equal(looksLikeSitemap('<html><body>urlset</body></html>'), false);
+  });
+});
+
+describe('isGzip', () => {
+  it('checks the gzip magic bytes', () => {
+    assert.equal(isGzip(gzipSync('x')), true);
+    assert.equal(isGzip(Buffer.from('<urlset>')), false);
+  });
+});
+
+// ─── parseSitemap ───────────────────────────────────────────────────────
+
+describe('parseSitemap', () => {
+  it('parses url entries with optional fields, entities and CDATA', () => {
+    const { type, entries } = parseSitemap(URLSET);
+    assert.equal(type, 'urlset');
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[0], {
+      url: 'https://example.com/docs?a=1&b=2', lastmod: '2024-05-01', priority: 0.8, changefreq: 'weekly',
+    });
+    assert.deepEqual(entries[1], { url: 'https://example.com/about', lastmod: null, priority: null, changefreq: null });
+  });
+
+  it('parses sitemap index entries', () => {
+    const { type, entries } = parseSitemap(INDEX);
+    assert.equal(type, 'sitemapindex');
+    assert.equal(entries[0].url, 'https://example.com/sitemap-1.xml.gz');
+    assert.equal(entries[0].lastmod, '2024-06-01T10:00:00Z');
+  });
+});
+
+// ─── sitemapToMarkdown ──────────────────────────────────────────────────
+
+describe('sitemapToMarkdown', () => {
+  it('renders a URL table with lastmod and priority', () => {
+    const { markdown, title } = sitemapToMarkdown(parseSitemap(URLSET), 'https://example.com/sitemap.xml');
+    assert.equal(title, 'Sitemap: example.com');
+    assert.ok(markdown.includes('*2 URLs*'));
+    assert.ok(markdown.includes('| https://example.com/docs?a=1&b=2 | 2024-05-01 | 0.8 |'));
+  });
+
+  it('labels sitemap indexes', () => {
+    const { markdown, title } = sitemapToMarkdown(parseSitemap(INDEX), 'https://example.com/sitemap.xml');
+    assert.equal(title, 'Sitemap index: example.com');
+    assert.ok(markdown.includes('| Sitemap | Last modified |'));
+  });
+});
@@ -4,6 +4,7 @@
  * createTestApp() returns a Hono app with all external deps mocked.
  * Tests use app.request() for in-process HTTP testing — no server, no port.
  */
+import JSZip from 'jszip';
 import { createApp } from './app.mjs';
 
 /** Default mock convert result — looks like a real successful conversion */
@@ -34,6 +35,15 @@ export function mockConvertResult(overrides = {}) {
  */
 export function createTestApp(overrides = {}) {
   const defaultConvert = async () => mockConvertResult();
+  const defaultConvertHtml = async (html, url) => mockConvertResult({ url: url || null, tier: 'html' });
+  const defaultConvertFile = async () => mockConvertResult({ url: null, tier: 'document:pdf', method: 'pdf' });
+  const defaultMap = async (url) => ({
+    title: 'Test Page', url, tier: 'fetch', totalMs: 80, total: 2, internal: 1, external: 1,
+    links: [
+      { url: 'https://example.com/docs', text: 'Docs', type: 'internal', region: 'content' },
+      { url: 'https://other.example/', text: 'Other', type: 'external', region: 'footer' },
+    ],
+  });
   const defaultExtractSchema = async () => ({
     data: { title: 'Extracted' },
     valid: true,
@@ -46,6 +56,8 @@ export function createTestApp(overrides = {}) {
     browserPool: { active: 0 },
     enableBrowser: false,
     convertFn: overrides.convertFn ?? defaultConvert,
+    convertHtmlFn: overrides.convertHtmlFn ?? defaultConvertHtml,
+    convertFileFn: overrides.convertFileFn ?? defaultConvertFile,
     extractSchemaFn: overrides.extractSchemaFn ?? defaultExtractSchema,
     checkRateLimitFn: overrides.checkRateLimitFn ?? (async () => ({ allowed: true, remaining: 59 })),
     getRedisFn: overrides.getRedisFn ?? (() => null),
@@ -54,6 +66,13 @@ export function createTestApp(overrides = {}) {
     createJobFn: overrides.createJobFn ?? (async (url) => ({ id: 'test-job-123', status: 'processing', url })),
     getJobFn: overrides.getJobFn ?? (async () => null),
     completeJobFn: overrides.completeJobFn ?? (async () => {}),
+    completeJobRawFn: overrides.completeJobRawFn ?? (async () => {}),
+    updateJobProgressFn: overrides.updateJobProgressFn ?? (async () => {}),
+    crawlFn: overrides.crawlFn ?? (async () => ({ pages: [], total: 0, total_tokens: 0, discovered: 0 })),
+    mapFn: overrides.mapFn ?? defaultMap,
+    screenshotFn: overrides.screenshotFn
+      ?? (async (pool, url, opts) => ({ buffer: Buffer.from('fake-image'), contentType: `image/${opts.format}`, totalMs: 900 })),
+    pdfFn: overrides.pdfFn ?? (async () => ({ buffer: Buffer.from('%PDF-1.7 fake'), contentType: 'application/pdf', totalMs: 1200 })),
     failJobFn: overrides.failJobFn ?? (async () => {}),
     ...overrides,
   });
@@ -67,3 +86,188 @@ export function jsonPost(app, path, body, headers = {}) {
     body: JSON.stringify(body),
   });
 }
+
+/** Helper: make a multipart POST request with a single file field plus optional text fields */
+export function filePost(app, path, { name, type, content }, fields = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: type || '' }), name);
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  return app.request(path, { method: 'POST', body: form });
+}
+
+/** Helper: parse a text/event-stream body into [{event, data}] with JSON-decoded data */
+export function parseSSE(text) {
+  return text.trim().split('\n\n').map((chunk) => {
+    const event = chunk.match(/^event: (.*)$/m)?.[1];
+    const data = chunk.split('\n').filter((l) => l.startsWith('data: ')).map((l) => l.slice(6)).join('\n');
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+/**
+ * Helper: build a minimal PDF. Each page is a list of [text, x, y, fontSize] items
+ * (PDF coordinates, origin bottom-left, 612x792 page) in Helvetica with WinAnsi encoding.
+ * @param {Array<Array<[string, number, number, number]>>} pages
+ * @param {{title?: string, author?: string}} [info]
+ * @returns {Buffer}
+ */
+export function buildPdf(pages, info = {}) {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null); // page tree, filled in once the page object numbers are known
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const escape = (text) => text.replace(/[\\()]/g, '\\$&').replace(/•/g, '\x95').replace(/–/g, '\x96');
+  const kids = pages.map((items) => {
+    const stream = items.map(([text, x, y, size]) => `BT /F1 ${size} Tf ${x} ${y} Td (${escape(text)}) Tj ET`).join('\n');
+    const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${content} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const infoEntries = [info.title && `/Title (${escape(info.title)})`, info.author && `/Author (${escape(info.author)})`].filter(Boolean);
+  const infoRef = infoEntries.length ? add(`<< ${infoEntries.join(' ')} >>`) : null;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${infoRef ? ` /Info ${infoRef} 0 R` : ''} >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+/**
+ * Helper: build a minimal PPTX package. Each slide gives the inner XML of its shape tree
+ * (p:sp / p:graphicFrame elements), optional speaker notes (one paragraph per line) and
+ * optional hyperlink targets by relationship id.
+ * @param {{shapes: string, notes?: string, links?: Record<string, string>}[]} slides
+ * @param {{title?: string}} [info]
+ * @returns {Promise<Buffer>}
+ */
+export async function buildPptx(slides, info = {}) {
+  const ns = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+    + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+  const relsNs = 'xmlns="http://schemas.openxmlformats.org/package/2006/relationships"';
+  const relType = (type) => `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}`;
+  const zip = new JSZip();
+
+  zip.file('ppt/presentation.xml', `<?xml version="1.0" encoding="UTF-8"?><p:presentation ${ns}><p:sldIdLst>${
+    slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 1}"/>`).join('')}</p:sldIdLst></p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0" encoding="UTF-8"?><Relationships ${relsNs}>${
+    slides.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${relType('slide')}" Target="slides/slide${i + 1}.xml"/>`).join('')}</Relationships>`);
+
+  slides.forEach((slide, i) => {
+    const n = i + 1;
+    zip.file(`ppt/slides/slide${n}.xml`, `<?xml version="1.0" encoding="UTF-8"?><p:sld ${ns}><p:cSld><p:spTree>${slide.shapes}</p:spTree></p:cSld></p:sld>`);
+    const rels = Object.entries(slide.links || {})
+      .map(([id, url]) => `<Relationship Id="${id}" Type="${relType('hyperlink')}" Target="${url}" TargetMode="External"/>`);
+    if (slide.notes) {
+      rels.push(`<Relationship Id="rIdNotes" Type="${relType('notesSlide')}" Target="../notesSlides/notesSlide${n}.xml"/>`);
+      const paragraphs = slide.notes.split('\n').map((line) => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`).join('');
+      zip.file(`ppt/notesSlides/notesSlide${n}.xml`, `<?xml version="1.0" encoding="UTF-8"?><p:notes ${ns}><p:cSld><p:spTree>`
+        + '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image"/><p:cNvSpPr/><p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr></p:sp>'
+        + `<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes"/><p:cNvSpPr/><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:txBody>${paragraphs}</p:txBody></p:sp>`
+        + `<p:sp><p:nvSpPr><p:cNvPr id="4" name="Slide Number"/><p:cNvSpPr/><p:nvPr><p:ph type="sldNum" idx="5"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${n}</a:t></a:r></a:p></p:txBody></p:sp>`
+        + '</p:spTree></p:cSld></p:notes>');
+    }
+    zip.file(`ppt/slides/_rels/slide${n}.xml.rels`, `<?xml version="1.0" encoding="UTF-8"?><Relationships ${relsNs}>${rels.join('')}</Relationships>`);
+  });
+
+  if (info.title) {
+    zip.file('docProps/core.xml', '<?xml version="1.0" encoding="UTF-8"?><cp:coreProperties '
+      + 'xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+      + `<dc:title>${info.title}</dc:title></cp:coreProperties>`);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+
+/**
+ * Helper: build a minimal OpenDocument package (ODT, ODS or ODP) around the inner XML of
+ * its office:body, with optional automatic styles and a meta.xml title.
+ * @param {'text'|'spreadsheet'|'presentation'} kind
+ * @param {string} body - Inner XML of office:text / office:spreadsheet / office:presentation
+ * @param {{styles?: string, title?: string}} [info]
+ * @returns {Promise<Buffer>}
+ */
+export async function buildOdf(kind, body, info = {}) {
+  const ns = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" '
+    + 'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" '
+    + 'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" '
+    + 'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" '
+    + 'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0" '
+    + 'xmlns:presentation="urn:oasis:names:tc:opendocument:xmlns:presentation:1.0" '
+    + 'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" '
+    + 'xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:dc="http://purl.org/dc/elements/1.1/"';
+  const zip = new JSZip();
+  // The mimetype entry comes first and uncompressed, as in real packages
+  zip.file('mimetype', `application/vnd.oasis.opendocument.${kind}`, { compression: 'STORE' });
+  zip.file('META-INF/manifest.xml', '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.3">'
+    + `<manifest:file-entry manifest:full-path="/" manifest:media-type="application/vnd.oasis.opendocument.${kind}"/>`
+    + '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/></manifest:manifest>');
+  zip.file('content.xml', `<?xml version="1.0" encoding="UTF-8"?><office:document-content ${ns} office:version="1.3">`
+    + `<office:automatic-styles>${info.styles || ''}</office:automatic-styles>`
+    + `<office:body><office:${kind}>${body}</office:${kind}></office:body></office:document-content>`);
+  if (info.title) {
+    zip.file('meta.xml', `<?xml version="1.0" encoding="UTF-8"?><office:document-meta ${ns}>`
+      + `<office:meta><dc:title>${info.title}</dc:title></office:meta></office:document-meta>`);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Helper: build a minimal EPUB. Chapters are XHTML body contents in spine order; the
+ * table of contents is an EPUB 3 nav document ('nav'), an EPUB 2 NCX ('ncx') or absent.
+ * TOC entries are [label, chapter index, depth].
+ * @param {string[]} chapters
+ * @param {{title?: string, author?: string, toc?: 'nav'|'ncx', entries?: [string, number, number?][]}} [info]
+ * @returns {Promise<Buffer>}
+ */
+export async function buildEpub(chapters, info = {}) {
+  const entries = info.entries || [];
+  const xhtml = (body) => '<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml" '
+    + `xmlns:epub="http://www.idpf.org/2007/ops"><head><title>Chapter</title></head><body>${body}</body></html>`;
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">'
+    + '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>');
+
+  const items = chapters.map((body, i) => {
+    zip.file(`OEBPS/text/ch${i + 1}.xhtml`, xhtml(body));
+    return `<item id="ch${i + 1}" href="text/ch${i + 1}.xhtml" media-type="application/xhtml+xml"/>`;
+  });
+  // Nested <ol>s from [label, chapter, depth] entries
+  const navList = (list, depth = 0) => {
+    let html = '<ol>';
+    for (let i = 0; i < list.length; i++) {
+      const [label, chapter, d = 0] = list[i];
+      if (d !== depth) continue;
+      const nested = [];
+      for (let j = i + 1; j < list.length && (list[j][2] || 0) > depth; j++) nested.push(list[j]);
+      html += `<li><a href="text/ch${chapter + 1}.xhtml">${label}</a>${nested.length ? navList(nested, depth + 1) : ''}</li>`;
+    }
+    return `${html}</ol>`;
+  };
+  if (info.toc === 'nav') {
+    items.push('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>');
+    zip.file('OEBPS/nav.xhtml', xhtml(`<nav epub:type="toc"><h1>Contents</h1>${navList(entries)}</nav>`));
+  } else if (info.toc === 'ncx') {
+    items.push('<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>');
+    const points = entries.map(([label, chapter], i) => `<navPoint id="p${i}" playOrder="${i + 1}">`
+      + `<navLabel><text>${label}</text></navLabel><content src="text/ch${chapter + 1}.xhtml"/></navPoint>`).join('');
+    zip.file('OEBPS/toc.ncx', `<?xml version="1.0"?><ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><navMap>${points}</navMap></ncx>`);
+  }
+  zip.file('OEBPS/content.opf', '<?xml version="1.0" encoding="UTF-8"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0">'
+    + '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">'
+    + `${info.title ? `<dc:title>${info.title}</dc:title>` : ''}${info.author ? `<dc:creator>${info.author}</dc:creator>` : ''}</metadata>`
+    + `<manifest>${items.join('')}</manifest>`
+    + `<spine${info.toc === 'ncx' ? ' toc="ncx"' : ''}>${info.toc === 'nav' ? '<itemref idref="nav"/>' : ''}`
+    + `${chapters.map((_, i) => `<itemref idref="ch${i + 1}"/>`).join('')}</spine></package>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
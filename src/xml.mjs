@@ -0,0 +1,115 @@
+/**
+ * XML parts of zip-packaged documents (PPTX, OpenDocument, EPUB).
+ *
+ * Parts are parsed as plain XML without namespace resolution, so elements and
+ * attributes are matched by their prefixed names ("a:p", "text:h", "r:id").
+ *
+ * A few MB of upload can inflate to gigabytes (zip bomb), so the sizes a package's
+ * central directory declares are checked against MAX_PACKAGE_BYTES before it is opened,
+ * and parts are inflated as streams that stop once the package has produced that much,
+ * whatever its headers claim.
+ */
+import JSZip from 'jszip';
+import { DOMParser } from 'linkedom';
+
+/** Uncompressed size allowed for all parts of a package together */
+export const MAX_PACKAGE_BYTES = 50 * 1024 * 1024;
+
+const EOCD_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const CENTRAL_SIGNATURE = 0x02014b50;
+/** End of central directory record plus the longest archive comment */
+const EOCD_SCAN_BYTES = 22 + 0xffff;
+/** Bytes inflated so far per open package, across all its parts */
+const inflated = new WeakMap();
+
+function tooLarge(bytes) {
+  return new Error(`Document too large: ${(bytes / 1024 / 1024).toFixed(1)}MB uncompressed (limit ${MAX_PACKAGE_BYTES / 1024 / 1024}MB)`);
+}
+
+/**
+ * Reject a zip package whose central directory declares more than MAX_PACKAGE_BYTES
+ * uncompressed. Sizes are read from the buffer, not from a zip library; buffers that are
+ * not zip archives pass and are left to their parser.
+ * @param {Buffer} buffer
+ */
+export function checkPackageSize(buffer) {
+  const eocd = buffer.lastIndexOf(EOCD_SIGNATURE);
+  if (eocd < 0 || eocd < buffer.length - EOCD_SCAN_BYTES || eocd + 22 > buffer.length) return;
+  let pos = buffer.readUInt32LE(eocd + 16);
+  // ZIP64 sizes do not fit the 4-byte fields; no upload within the body limit needs them
+  if (pos === 0xffffffff) throw new Error('Document too large: ZIP64 packages are not supported');
+  let total = 0;
+  while (pos + 46 <= eocd && buffer.readUInt32LE(pos) === CENTRAL_SIGNATURE) {
+    const size = buffer.readUInt32LE(pos + 24);
+    if (size === 0xffffffff) throw new Error('Document too large: ZIP64 packages are not supported');
+    total += size;
+    if (total > MAX_PACKAGE_BYTES) throw tooLarge(total);
+    pos += 46 + buffer.readUInt16LE(pos + 28) + buffer.readUInt16LE(pos + 30) + buffer.readUInt16LE(pos + 32);
+  }
+}
+
+/**
+ * Open a zip package after checkPackageSize().
+ * @param {Buffer} buffer
+ * @returns {Promise<JSZip>}
+ */
+export async function loadPackage(buffer) {
+  checkPackageSize(buffer);
+  return JSZip.loadAsync(buffer);
+}
+
+/**
+ * Text of a package part (UTF-8), or null when there is no such part. Inflation stops
+ * once the package's parts together pass MAX_PACKAGE_BYTES, so headers that understate
+ * their sizes cannot get around checkPackageSize().
+ * @param {JSZip} zip
+ * @param {string} path
+ * @returns {Promise<string|null>}
+ */
+export function readText(zip, path) {
+  const file = zip.file(path);
+  if (!file) return Promise.resolve(null);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', (chunk) => {
+        const total = (inflated.get(zip) || 0) + chunk.length;
+        inflated.set(zip, total);
+        if (total > MAX_PACKAGE_BYTES) {
+          stream.pause();
+          reject(tooLarge(total));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, '')))
+      .resume();
+  });
+}
+
+/** @param {string} xml */
+export function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+/**
+ * Parse a part of a zip package, or null when the package has no such part.
+ * @param {import('jszip')} zip
+ * @param {string} path
+ */
+export async function readXml(zip, path) {
+  const xml = await readText(zip, path);
+  return xml === null ? null : parseXml(xml);
+}
+
+/** Child elements with a tag name */
+export function children(el, tagName) {
+  return [...el.children].filter((child) => child.tagName === tagName);
+}
+
+/** First child element with a tag name, or null */
+export function child(el, tagName) {
+  return children(el, tagName)[0] || null;
+}
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { MAX_PACKAGE_BYTES, checkPackageSize, loadPackage, readText, readXml } from './xml.mjs';
+
+/** A zip with one part, its central directory claiming `declared` bytes uncompressed */
+async function zipDeclaring(content, declared = Buffer.byteLength(content)) {
+  const zip = new JSZip();
+  zip.file('part.xml', content);
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const dir = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(declared, dir + 24);
+  return buffer;
+}
+
+describe('loadPackage', () => {
+  it('opens a package and reads its parts', async () => {
+    const zip = await loadPackage(await zipDeclaring('\uFEFF<root><a>1</a></root>'));
+    assert.equal(await readText(zip, 'part.xml'), '<root><a>1</a></root>');
+    assert.equal((await readXml(zip, 'part.xml')).getElementsByTagName('a')[0].textContent, '1');
+    assert.equal(await readXml(zip, 'missing.xml'), null);
+  });
+
+  it('rejects packages that declare more than the limit uncompressed', async () => {
+    await assert.rejects(loadPackage(await zipDeclaring('<root/>', MAX_PACKAGE_BYTES + 1)), /too large/);
+  });
+});
+
+describe('checkPackageSize', () => {
+  it('sums the sizes declared by the central directory', async () => {
+    assert.doesNotThrow(() => checkPackageSize(Buffer.alloc(0)));
+    assert.doesNotThrow(() => checkPackageSize(Buffer.from('{\\rtf1 not a zip}')));
+    const zip = new JSZip();
+    zip.file('a.xml', 'a');
+    zip.file('b.xml', 'b');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    assert.doesNotThrow(() => checkPackageSize(buffer));
+    // Half the limit each: together over it
+    for (const name of ['a.xml', 'b.xml']) {
+      const dir = buffer.indexOf(name, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]))) - 46;
+      buffer.writeUInt32LE(MAX_PACKAGE_BYTES / 2 + 1, dir + 24);
+    }
+    assert.throws(() => checkPackageSize(buffer), /too large/);
+  });
+});
+
+describe('readText', () => {
+  it('stops inflating once the package passes the limit, whatever its headers declare', async () => {
+    const zip = await loadPackage(await zipDeclaring('x'.repeat(MAX_PACKAGE_BYTES + 1), 10));
+    await assert.rejects(readText(zip, 'part.xml'), /too large/);
+  });
+});